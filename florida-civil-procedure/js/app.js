@@ -1,16 +1,37 @@
 /**
  * Main Application Entry Point
- * Initializes and coordinates the Florida Civil Procedure visualization
+ * Initializes and coordinates the civil procedure workflow visualization
  */
 
 import { ChartRenderer } from './chart.js';
 import { ControlsManager } from './controls.js';
+import { Workspace } from './workspace.js';
+import {
+    DATASET_URL_PARAM,
+    applyDataset,
+    exportDataset,
+    getActiveDataset,
+    getAsOfDate,
+    loadDatasetFromURL,
+    readDatasetFile,
+    setAsOfDate
+} from './dataset.js';
+import {
+    JURISDICTIONS,
+    JURISDICTION_URL_PARAM,
+    getActiveJurisdiction,
+    getJurisdiction,
+    setActiveJurisdiction
+} from './jurisdictions.js';
+import { AS_OF_URL_PARAM } from './versions.js';
+import { escapeHTML, exportToJSON, formatDisplayDate, parseISODate } from './utils.js';
 
 /**
  * Main application class
  */
 class App {
     constructor() {
+        this.workspace = null;
         this.chart = null;
         this.controls = null;
         this.isInitialized = false;
@@ -21,13 +42,25 @@ class App {
      */
     async initialize() {
         try {
-            console.log('Initializing Florida Civil Procedure Visualization...');
+            console.log('Initializing Civil Procedure Visualization...');
+
+            // Load the jurisdiction's workflow, then swap in the dataset and as-of date named in the URL, if any, before anything renders
+            await this.loadInitialJurisdiction();
+            await this.loadInitialDataset();
+            this.loadInitialAsOfDate();
+
+            if (this.isDebugMode()) {
+                await this.validateData();
+            }
 
             // Check for D3.js
             if (typeof d3 === 'undefined') {
                 throw new Error('D3.js library not loaded');
             }
 
+            // Load the matter workspace (matters, per-matter progress and selections)
+            this.workspace = new Workspace();
+
             // Initialize chart renderer
             this.chart = new ChartRenderer('chart');
             const chartSuccess = this.chart.initialize();
@@ -37,7 +70,11 @@ class App {
             }
 
             // Initialize controls
-            this.controls = new ControlsManager(this.chart);
+            this.controls = new ControlsManager(this.chart, this.workspace);
+
+            this.setupJurisdictionControls();
+            this.setupDatasetControls();
+            this.setupAsOfControls();
 
             // Mark as initialized
             this.isInitialized = true;
@@ -48,7 +85,7 @@ class App {
             console.log('Initialization complete!');
 
             // Announce to screen readers
-            this.announceToScreenReader('Florida Civil Procedure workflow visualization loaded successfully');
+            this.announceToScreenReader(`${getActiveJurisdiction().title} workflow visualization loaded successfully`);
 
             return true;
         } catch (error) {
@@ -58,17 +95,280 @@ class App {
         }
     }
 
+    /**
+     * Check whether debug mode is on (?debug in the URL)
+     * @returns {boolean}
+     */
+    isDebugMode() {
+        return new URLSearchParams(window.location.search).has('debug');
+    }
+
+    /**
+     * Run the workflow data validator and log its report
+     * Loaded on demand so normal page loads skip the checks.
+     */
+    async validateData() {
+        const { validateWorkflowData, formatValidationReport } = await import('./validate.js');
+        const result = validateWorkflowData();
+        const log = result.errors.length > 0 ? console.error : (result.warnings.length > 0 ? console.warn : console.log);
+        log(formatValidationReport(result));
+    }
+
+    // ============================================
+    // JURISDICTION METHODS
+    // ============================================
+
+    /**
+     * Activate the jurisdiction pack named by the ?jurisdiction= URL parameter
+     * (or the default pack) and apply its bundled workflow
+     */
+    async loadInitialJurisdiction() {
+        const id = new URLSearchParams(window.location.search).get(JURISDICTION_URL_PARAM);
+        const requested = id ? getJurisdiction(id) : null;
+        if (id && !requested) {
+            console.error(`Unknown jurisdiction: ${id}`);
+            this.showError(`Unknown jurisdiction: ${id}. Showing ${getActiveJurisdiction().name} instead.`);
+        }
+
+        const pack = requested || getActiveJurisdiction();
+        applyDataset(await pack.loadDataset(), 'bundled');
+        setActiveJurisdiction(pack.id);
+        this.updateJurisdictionText();
+    }
+
+    /**
+     * Setup the jurisdiction dropdown
+     */
+    setupJurisdictionControls() {
+        const select = document.getElementById('jurisdictionSelect');
+        if (!select) return;
+
+        select.innerHTML = JURISDICTIONS
+            .map(pack => `<option value="${pack.id}">${escapeHTML(pack.name)}</option>`)
+            .join('');
+        select.value = getActiveJurisdiction().id;
+        select.addEventListener('change', () => this.switchJurisdiction(select.value));
+    }
+
+    /**
+     * Switch to another jurisdiction pack and re-render with its bundled workflow
+     * The current pack stays active when the workflow cannot be loaded.
+     * @param {string} id - Pack ID
+     */
+    async switchJurisdiction(id) {
+        let dataset;
+        try {
+            dataset = await getJurisdiction(id).loadDataset();
+        } catch (error) {
+            console.error('Jurisdiction failed to load:', error);
+            this.showError(`Unable to load the ${getJurisdiction(id).name} workflow: ${error.message}.`, error.details);
+            const select = document.getElementById('jurisdictionSelect');
+            if (select) {
+                select.value = getActiveJurisdiction().id;
+            }
+            return;
+        }
+
+        setActiveJurisdiction(id);
+        this.updateJurisdictionText();
+        this.switchDataset(dataset, 'bundled');
+    }
+
+    /**
+     * Update titles and rule-specific labels for the active jurisdiction
+     */
+    updateJurisdictionText() {
+        const pack = getActiveJurisdiction();
+        const { mailServiceDays } = pack.deadlineRules;
+        const heading = `${pack.title} - Interactive Workflow Visualization`;
+
+        document.title = heading;
+        const title = document.getElementById('appTitle');
+        if (title) {
+            title.textContent = heading;
+        }
+        document.getElementById('chart')?.setAttribute('aria-label', `${pack.title} Workflow Diagram`);
+        document.querySelectorAll('.jurisdiction-rules').forEach(element => {
+            element.textContent = pack.rulesName;
+        });
+
+        const mailLabel = document.getElementById('deadlineMailServiceLabel');
+        if (mailLabel) {
+            mailLabel.textContent = `Served by Mail (+${mailServiceDays} days)`;
+        }
+        document.getElementById('deadlineMailService')?.setAttribute('aria-label', `Add ${mailServiceDays} days for service by mail`);
+
+        const serviceTitle = document.getElementById('serviceTitle');
+        if (serviceTitle) {
+            serviceTitle.textContent = `Service Tracker - Rule ${pack.serviceRule}`;
+        }
+
+        document.querySelectorAll('.proposal-inputs').forEach(element => {
+            element.style.display = pack.features.proposalForSettlement ? '' : 'none';
+        });
+    }
+
+    // ============================================
+    // WORKFLOW DATASET METHODS
+    // ============================================
+
+    /**
+     * Load the dataset named by the ?data= URL parameter
+     * Falls back to the bundled workflow (and reports why) when it cannot be used.
+     */
+    async loadInitialDataset() {
+        const url = new URLSearchParams(window.location.search).get(DATASET_URL_PARAM);
+        if (!url) return;
+
+        try {
+            applyDataset(await loadDatasetFromURL(url), url);
+        } catch (error) {
+            console.error('Workflow dataset failed to load:', error);
+            this.showError(`Unable to load workflow data from ${url}: ${error.message}. Showing the bundled workflow instead.`, error.details);
+        }
+    }
+
+    /**
+     * Setup the workflow dataset picker, download and reset buttons
+     */
+    setupDatasetControls() {
+        const fileInput = document.getElementById('loadDatasetFile');
+        document.getElementById('loadDataset')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', async () => {
+            const [file] = fileInput.files;
+            fileInput.value = '';
+            if (!file) return;
+
+            try {
+                this.switchDataset(await readDatasetFile(file), file.name);
+            } catch (error) {
+                console.error('Workflow dataset failed to load:', error);
+                this.showError(`Unable to load workflow data from ${file.name}: ${error.message}.`, error.details);
+            }
+        });
+
+        document.getElementById('exportDataset')?.addEventListener('click', () => {
+            exportToJSON(exportDataset(), getActiveJurisdiction().filePrefix, 'workflow');
+        });
+
+        document.getElementById('resetDataset')?.addEventListener('click', async () => {
+            try {
+                this.switchDataset(await getActiveJurisdiction().loadDataset(), 'bundled');
+            } catch (error) {
+                console.error('Workflow dataset failed to load:', error);
+                this.showError(`Unable to reload the bundled workflow: ${error.message}.`, error.details);
+            }
+        });
+
+        this.updateDatasetDetails();
+    }
+
+    /**
+     * Apply a validated dataset and re-render the chart and controls in place
+     * @param {Object} dataset - Dataset document
+     * @param {string} source - Where the dataset came from ('bundled', a URL or a file name)
+     */
+    switchDataset(dataset, source) {
+        applyDataset(dataset, source);
+        this.clearErrors();
+
+        if (!this.chart.reload()) return;
+        this.controls.refreshWorkflowData();
+        this.updateDatasetDetails();
+        this.announceToScreenReader(`Loaded workflow ${dataset.name}`);
+    }
+
+    /**
+     * Show the active dataset's name, version and source
+     */
+    updateDatasetDetails() {
+        const details = document.getElementById('datasetDetails');
+        if (!details) return;
+
+        const { name, version, source } = getActiveDataset();
+        const asOfDate = getAsOfDate();
+        details.textContent = (source === 'bundled' ?
+            `Workflow: ${name} (bundled)` :
+            `Workflow: ${name} v${version} from ${source}`) +
+            (asOfDate ? `, rules as of ${formatDisplayDate(parseISODate(asOfDate))}` : '');
+        document.getElementById('resetDataset').style.display = source === 'bundled' ? 'none' : '';
+        const clearAsOf = document.getElementById('clearAsOfDate');
+        if (clearAsOf) {
+            clearAsOf.style.display = asOfDate ? '' : 'none';
+        }
+    }
+
+    // ============================================
+    // AS-OF DATE METHODS
+    // ============================================
+
+    /**
+     * Apply the as-of date named by the ?asof= URL parameter
+     * Always applies the workflow, so versioned steps resolve to today's rules by default.
+     */
+    loadInitialAsOfDate() {
+        const value = new URLSearchParams(window.location.search).get(AS_OF_URL_PARAM);
+        const date = value && parseISODate(value) ? value : null;
+        if (value && !date) {
+            this.showError(`"${value}" is not a valid as-of date (use YYYY-MM-DD). Showing the current rules instead.`);
+        }
+        setAsOfDate(date);
+    }
+
+    /**
+     * Setup the as-of date picker
+     */
+    setupAsOfControls() {
+        const input = document.getElementById('asOfDate');
+        if (!input) return;
+
+        input.value = getAsOfDate() || '';
+        input.addEventListener('change', () => {
+            // Ignore partial dates typed into the picker
+            if (input.value && !parseISODate(input.value)) return;
+            this.switchAsOfDate(input.value || null);
+        });
+        document.getElementById('clearAsOfDate')?.addEventListener('click', () => {
+            input.value = '';
+            this.switchAsOfDate(null);
+        });
+    }
+
+    /**
+     * Show the workflow as it stood on a date and re-render the chart and controls in place
+     * @param {string|null} date - ISO date, or null for the rules in effect today
+     */
+    switchAsOfDate(date) {
+        setAsOfDate(date);
+        this.clearErrors();
+
+        if (!this.chart.reload()) return;
+        this.controls.refreshWorkflowData();
+        this.updateDatasetDetails();
+        this.announceToScreenReader(date ? `Showing the rules as of ${formatDisplayDate(parseISODate(date))}` : 'Showing the current rules');
+    }
+
     /**
      * Show error message
+     * @param {string} message - What went wrong
+     * @param {Array} details - Specific problems (e.g., "/nodes/3/x: must be number");
+     *     when given, they are listed in place of the refresh hint
      */
-    showError(message) {
+    showError(message, details = []) {
         const container = document.querySelector('.container');
         if (container) {
             const errorDiv = document.createElement('div');
             errorDiv.className = 'error';
             errorDiv.setAttribute('role', 'alert');
-            errorDiv.innerHTML = `
-                <strong>Error:</strong> ${message}
+            errorDiv.innerHTML = details.length > 0 ? `
+                <strong>Error:</strong> ${escapeHTML(message)}
+                <ul class="error-details">
+                    ${details.map(detail => `<li>${escapeHTML(detail)}</li>`).join('')}
+                </ul>
+            ` : `
+                <strong>Error:</strong> ${escapeHTML(message)}
                 <br><br>
                 Please refresh the page and try again. If the problem persists, check the browser console for details.
             `;
@@ -76,6 +376,13 @@ class App {
         }
     }
 
+    /**
+     * Remove error messages shown by showError
+     */
+    clearErrors() {
+        document.querySelectorAll('.container > .error').forEach(errorDiv => errorDiv.remove());
+    }
+
     /**
      * Announce message to screen readers
      */
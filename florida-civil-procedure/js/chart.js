@@ -1,16 +1,40 @@
 /**
  * Chart Rendering Module
- * Handles D3.js visualization of the Florida Civil Procedure workflow
+ * Handles D3.js visualization of the civil procedure workflow
  * Enhanced with expandable node groups and parallel process indicators
  */
 
-import { NODES, LINKS, STAGE_COLORS, CONFIG, NODE_GROUPS, PARALLEL_PROCESSES, PHASE_GROUPS } from './data.js';
+import {
+    NODES,
+    LINKS,
+    STAGE_COLORS,
+    CONFIG,
+    NODE_GROUPS,
+    PARALLEL_PROCESSES,
+    PHASE_GROUPS,
+    AMENDMENTS
+} from './data.js';
 import {
     generateCurvePath,
     formatTooltip,
     formatLinkTooltip,
-    highlightNode
+    formatDisplayDate,
+    highlightNode,
+    getLineage,
+    addDays,
+    getToday,
+    escapeHTML
 } from './utils.js';
+import { GanttRenderer } from './gantt.js';
+import { SankeyRenderer, buildSankeyGraph } from './sankey.js';
+import { computeCriticalPath } from './critical.js';
+import { PROPOSAL_WINDOW_STATUS, getProposalTiming } from './proposal.js';
+import { TRACKER_STATUSES, getStatusInfo } from './tracker.js';
+import { JURISDICTIONS, getActiveJurisdiction, getJurisdiction } from './jurisdictions.js';
+import { getActiveDataset } from './dataset.js';
+import { ComparisonRenderer, findCounterparts, formatComparisonTooltip } from './comparison.js';
+import { describeNodeVersion } from './versions.js';
+import { resolveCitations, formatCitation } from './citations.js';
 
 export class ChartRenderer {
     constructor(containerId) {
@@ -21,6 +45,8 @@ export class ChartRenderer {
         this.tooltip = document.querySelector('.tooltip');
 
         // Layer groups
+        this.flowGroup = null;
+        this.ganttGroup = null;
         this.linkGroup = null;
         this.exceptionGroup = null;
         this.parallelGroup = null;
@@ -37,6 +63,56 @@ export class ChartRenderer {
             parallelProcesses: true
         };
 
+        this.highlightedNodeId = null;
+        this.highlightedPath = [];
+
+        // How many links upstream/downstream a focused node lights up (Infinity for all)
+        this.highlightDepth = Infinity;
+
+        // Cost estimator state
+        this.costEstimatorEnabled = false;
+        this.selectedNodes = new Set();
+        this.attorneyHourlyRate = 350;
+        this.sidebarCollapsed = false;
+
+        // Deadline calculator state (nodeId -> computed deadline entry)
+        this.deadlineSchedule = new Map();
+
+        // Computed proposal for settlement window (shown on the parallel indicator)
+        this.proposalWindow = null;
+
+        // Case tracker state
+        this.trackerEnabled = false;
+        this.tracker = null;
+
+        // Decision analysis (decision node ID -> branch EV comparison), null when off
+        this.decisionAnalysis = null;
+
+        // Critical path overlay (from computeCriticalPath), null when off
+        this.criticalPath = null;
+
+        // Steps left on the chart by an applied search filter, null when off
+        this.searchFilter = null;
+
+        // View mode: 'flowchart', 'gantt', 'sankey' or 'compare'
+        this.viewMode = 'flowchart';
+        this.gantt = null;
+        this.sankey = null;
+
+        // Side-by-side comparison: pack shown next to the active workflow
+        // (null picks the first other pack) and the sides last rendered
+        this.comparison = null;
+        this.comparisonJurisdictionId = null;
+        this.comparisonSides = null;
+
+        this.loadWorkflowState();
+    }
+
+    /**
+     * Build the state derived from the workflow data (phase and group
+     * defaults, lookups); rerun by reload() when a new dataset is applied
+     */
+    loadWorkflowState() {
         // Phase visibility state - all phases enabled by default
         this.phaseVisibility = {};
         Object.keys(PHASE_GROUPS).forEach(key => {
@@ -57,15 +133,6 @@ export class ChartRenderer {
             this.groupExpansion[key] = NODE_GROUPS[key].expanded;
         });
 
-        this.highlightedNodeId = null;
-        this.highlightedPath = [];
-
-        // Cost estimator state
-        this.costEstimatorEnabled = false;
-        this.selectedNodes = new Set();
-        this.attorneyHourlyRate = 350;
-        this.sidebarCollapsed = false;
-
         // Create node lookup map for efficient access
         this.nodeMap = new Map();
         NODES.forEach(node => this.nodeMap.set(node.id, node));
@@ -91,6 +158,35 @@ export class ChartRenderer {
         }
     }
 
+    /**
+     * Rebuild the chart from the current workflow data, e.g., after a new
+     * dataset has been applied. Node-specific state (highlights, selections,
+     * deadlines and overlays) is cleared; the view mode is kept.
+     * @returns {boolean} Whether the chart rendered
+     */
+    reload() {
+        const viewMode = this.viewMode;
+
+        this.hideTooltip();
+        d3.select(this.container).selectAll('*').remove();
+
+        this.highlightedNodeId = null;
+        this.highlightedPath = [];
+        this.selectedNodes.clear();
+        this.deadlineSchedule = new Map();
+        this.proposalWindow = null;
+        this.decisionAnalysis = null;
+        this.criticalPath = null;
+        this.searchFilter = null;
+        this.viewMode = 'flowchart';
+        this.loadWorkflowState();
+
+        if (!this.initialize()) return false;
+
+        this.setViewMode(viewMode);
+        return true;
+    }
+
     /**
      * Create SVG element
      */
@@ -102,7 +198,7 @@ export class ChartRenderer {
             .attr('width', '100%')
             .attr('height', '100%')
             .attr('viewBox', [0, 0, width, height])
-            .attr('aria-label', 'Florida Civil Procedure Workflow Diagram')
+            .attr('aria-label', `${getActiveJurisdiction().title} Workflow Diagram`)
             .attr('role', 'img');
 
         this.g = this.svg.append('g');
@@ -127,13 +223,50 @@ export class ChartRenderer {
      * Create layer groups for organized rendering
      */
     createLayers() {
-        this.parallelGroup = this.g.append('g').attr('class', 'parallel-processes');
-        this.linkGroup = this.g.append('g').attr('class', 'links');
-        this.exceptionGroup = this.g.append('g').attr('class', 'exceptions');
-        this.nodeGroup = this.g.append('g').attr('class', 'nodes');
-        this.documentGroup = this.g.append('g').attr('class', 'documents');
-        this.decisionGroup = this.g.append('g').attr('class', 'decisions');
-        this.expandableGroup = this.g.append('g').attr('class', 'expandables');
+        this.flowGroup = this.g.append('g').attr('class', 'flowchart');
+        this.parallelGroup = this.flowGroup.append('g').attr('class', 'parallel-processes');
+        this.linkGroup = this.flowGroup.append('g').attr('class', 'links');
+        this.exceptionGroup = this.flowGroup.append('g').attr('class', 'exceptions');
+        this.nodeGroup = this.flowGroup.append('g').attr('class', 'nodes');
+        this.documentGroup = this.flowGroup.append('g').attr('class', 'documents');
+        this.decisionGroup = this.flowGroup.append('g').attr('class', 'decisions');
+        this.expandableGroup = this.flowGroup.append('g').attr('class', 'expandables');
+
+        // Alternate Gantt timeline view, hidden until selected
+        this.ganttGroup = this.g.append('g')
+            .attr('class', 'gantt-view')
+            .style('display', 'none');
+        this.gantt = new GanttRenderer(this.ganttGroup, {
+            onNodeHover: (event, node, row) => this.handleGanttHover(event, node, row),
+            onNodeOut: () => this.hideTooltip(),
+            onNodeClick: (node) => {
+                this.setViewMode('flowchart');
+                this.highlightNodeAndPaths(node.id);
+            }
+        });
+
+        // Alternate Sankey case-flow view, hidden until selected
+        this.sankeyGroup = this.g.append('g')
+            .attr('class', 'sankey-view')
+            .style('display', 'none');
+        this.sankey = new SankeyRenderer(this.sankeyGroup, {
+            onNodeHover: (event, node) => this.showTooltip(event, formatTooltip(node, this.getTooltipExtras(node.id))),
+            onLinkHover: (event, html) => this.showTooltip(event, html),
+            onOut: () => this.hideTooltip(),
+            onNodeClick: (node) => {
+                this.setViewMode('flowchart');
+                this.highlightNodeAndPaths(node.id);
+            }
+        });
+
+        // Side-by-side jurisdiction comparison, drawn next to the main svg
+        this.comparison = new ComparisonRenderer(d3.select(this.container), {
+            onNodeHover: (event, side, node) => this.handleComparisonHover(event, side, node),
+            onOut: () => {
+                this.comparison.clearHighlight();
+                this.hideTooltip();
+            }
+        });
     }
 
     /**
@@ -203,21 +336,91 @@ export class ChartRenderer {
                 .style('font-size', '8px')
                 .style('fill', 'rgba(255,255,255,0.8)')
                 .text(process.rule);
+
+            if (process.id === 'proposal-settlement' && this.proposalWindow) {
+                this.renderProposalWindowBand(processGroup);
+            }
         });
     }
 
+    /**
+     * Render the computed proposal window as a band under its parallel process
+     * The band spans service of process to trial, with the permitted window
+     * shaded and a marker for today
+     * @param {Object} processGroup - D3 selection of the process entry
+     */
+    renderProposalWindowBand(processGroup) {
+        const { opens, closes, trialReference, status } = this.proposalWindow;
+        const start = addDays(opens, -getProposalTiming().earliestDaysAfterService);
+        const end = trialReference || addDays(opens, 365);
+        const today = getToday();
+        const x = d3.scaleTime()
+            .domain([start, d3.max([end, today])])
+            .range([0, 140])
+            .clamp(true);
+        const colors = { 'not-yet-open': '#94a3b8', open: '#16a34a', closed: '#dc2626' };
+
+        const band = processGroup.append('g')
+            .attr('class', `proposal-window-band window-${status}`)
+            .attr('transform', 'translate(0, 37)');
+
+        band.append('rect')
+            .attr('width', 140)
+            .attr('height', 6)
+            .attr('rx', 3)
+            .attr('fill', 'rgba(148, 163, 184, 0.3)');
+
+        band.append('rect')
+            .attr('class', 'proposal-window-open')
+            .attr('x', x(opens))
+            .attr('width', Math.max(2, x(closes || end) - x(opens)))
+            .attr('height', 6)
+            .attr('rx', 3)
+            .attr('fill', colors[status]);
+
+        band.append('line')
+            .attr('class', 'proposal-window-today')
+            .attr('x1', x(today))
+            .attr('x2', x(today))
+            .attr('y1', -2)
+            .attr('y2', 8)
+            .attr('stroke', '#0f172a')
+            .attr('stroke-width', 1.5);
+    }
+
+    /**
+     * Set the computed proposal for settlement window
+     * @param {Object|null} proposalWindow - Result of computeProposalWindow, or null to clear
+     */
+    setProposalWindow(proposalWindow) {
+        this.proposalWindow = proposalWindow;
+        this.parallelGroup.selectAll('*').remove();
+        this.renderParallelProcessIndicator();
+    }
+
     /**
      * Show tooltip for parallel process
      */
     showParallelTooltip(event, process) {
-        let html = `<strong>${process.name}</strong>`;
-        html += `<div class="section"><div class="label">Rule</div>${process.rule}</div>`;
-        html += `<div class="section"><div class="label">Description</div>${process.description}</div>`;
+        let html = `<strong>${escapeHTML(process.name)}</strong>`;
+        html += `<div class="section"><div class="label">Rule</div>${escapeHTML(process.rule)}</div>`;
+        html += `<div class="section"><div class="label">Description</div>${escapeHTML(process.description)}</div>`;
 
         if (process.timing) {
             html += `<div class="section"><div class="label">Timing</div>`;
-            html += `<div>Earliest: ${process.timing.earliest}</div>`;
-            html += `<div>Latest: ${process.timing.latest}</div></div>`;
+            html += `<div>Earliest: ${escapeHTML(process.timing.earliest)}</div>`;
+            html += `<div>Latest: ${escapeHTML(process.timing.latest)}</div></div>`;
+        }
+
+        if (process.id === 'proposal-settlement' && this.proposalWindow) {
+            const { opens, closes, status, acceptance } = this.proposalWindow;
+            html += `<div class="section due-date"><div class="label">Computed Window (${PROPOSAL_WINDOW_STATUS[status]})</div>`;
+            html += `<div>Opens: ${formatDisplayDate(opens)}</div>`;
+            html += `<div>Closes: ${closes ? formatDisplayDate(closes) : 'Trial not set'}</div>`;
+            if (acceptance) {
+                html += `<div>Acceptance due: ${formatDisplayDate(acceptance.dueDate)}</div>`;
+            }
+            html += '</div>';
         }
 
         this.showTooltip(event, html);
@@ -260,6 +463,8 @@ export class ChartRenderer {
                 .attr('stroke', link.isException ? '#dc2626' : (link.isParallel ? '#84cc16' : STAGE_COLORS[sourceNode.stage]))
                 .attr('stroke-width', Math.max(1, link.volume / 5))
                 .style('display', (sourceHidden || targetHidden || isExceptionHidden) ? 'none' : 'block')
+                .classed('link-recommended', this.isRecommendedLink(link))
+                .classed('link-critical', this.isCriticalLink(link))
                 .on('mouseover', (event) => this.handleLinkHover(event, link, sourceNode, targetNode))
                 .on('mouseout', () => this.handleLinkOut());
         });
@@ -286,8 +491,13 @@ export class ChartRenderer {
      * Check if a node should be rendered (considering both group collapse and phase visibility)
      */
     shouldRenderNode(node) {
-        // Don't render if node is in a collapsed group
-        if (this.isNodeCollapsed(node)) return false;
+        // An applied search filter shows only its steps, in collapsed groups too
+        if (this.searchFilter) {
+            if (!this.searchFilter.has(node.id)) return false;
+        } else if (this.isNodeCollapsed(node)) {
+            // Don't render if node is in a collapsed group
+            return false;
+        }
         // Don't render if node's phase is hidden
         if (this.isNodePhaseHidden(node)) return false;
         // Don't render exception nodes if exceptions layer is hidden
@@ -323,7 +533,10 @@ export class ChartRenderer {
             .attr('class', `node ${node.deadline === 'strict' ? 'deadline-strict' : ''} ${node.isExpandable ? 'expandable-node' : ''} ${node.group ? `group-${node.group}` : ''}`)
             .attr('data-node-id', node.id)
             .attr('transform', `translate(${node.x}, ${node.y})`)
-            .attr('aria-label', `${node.name.replace(/\n/g, ' ')} - ${node.rule || 'No rule'}`);
+            .attr('aria-label', `${node.name.replace(/\n/g, ' ')} - ${node.rule || 'No rule'}`)
+            .classed('node-selected', this.selectedNodes.has(node.id))
+            .classed('has-due-date', this.deadlineSchedule.has(node.id))
+            .classed('node-critical', Boolean(this.criticalPath?.nodeIds.includes(node.id)));
 
         // Calculate height based on text lines
         const lines = node.name.split('\n');
@@ -370,29 +583,42 @@ export class ChartRenderer {
                 .text(line);
         });
 
-        // Rule reference - clickable link to Florida Bar rules
+        // Rule references - one clickable link per citation
         if (node.rule) {
-            const ruleUrl = this.getRuleUrl(node.rule);
-            nodeGroup.append('text')
-                .attr('class', 'rule-link')
+            const ruleText = nodeGroup.append('text')
+                .attr('class', 'rule-citations')
                 .attr('x', textX)
                 .attr('y', metadataStartY)
                 .style('font-size', '8px')
                 .style('fill', '#0369a1')
-                .style('font-weight', '500')
-                .style('cursor', 'pointer')
-                .style('text-decoration', 'underline')
-                .text(node.rule)
-                .on('mouseover', function() {
-                    d3.select(this).style('fill', '#0284c7');
-                })
-                .on('mouseout', function() {
-                    d3.select(this).style('fill', '#0369a1');
-                })
-                .on('click', function(event) {
-                    event.stopPropagation();
-                    window.open(ruleUrl, '_blank', 'noopener,noreferrer');
-                });
+                .style('font-weight', '500');
+
+            this.getRuleLinks(node.rule).forEach(citation => {
+                if (citation.separator) {
+                    ruleText.append('tspan').text(citation.separator);
+                }
+
+                const citationText = ruleText.append('tspan').text(citation.text);
+                if (!citation.url) return;
+
+                citationText
+                    .attr('class', 'rule-link')
+                    .style('cursor', 'pointer')
+                    .style('text-decoration', 'underline')
+                    .on('mouseover', function() {
+                        d3.select(this).style('fill', '#0284c7');
+                    })
+                    .on('mouseout', function() {
+                        d3.select(this).style('fill', '#0369a1');
+                    })
+                    .on('click', (event) => {
+                        // Opens the rule text panel at this citation
+                        event.stopPropagation();
+                        document.dispatchEvent(new CustomEvent('ruleCitationSelect', { detail: { node, citation } }));
+                    })
+                    .append('title')
+                    .text(formatCitation(citation));
+            });
         }
 
         // Duration
@@ -430,6 +656,34 @@ export class ChartRenderer {
         if (node.documents && node.documents.length > 0 && this.visibility.documents) {
             this.renderDocumentIcon(node, rectHeight);
         }
+
+        // Case progress styling
+        this.renderProgressState(nodeGroup, node, rectHeight);
+    }
+
+    /**
+     * Apply case tracker status styling and badge to a node group
+     * @param {Object} nodeGroup - D3 selection of the node group
+     * @param {Object} node - Node data
+     * @param {number} rectHeight - Height of node rectangle
+     */
+    renderProgressState(nodeGroup, node, rectHeight) {
+        const status = this.tracker && this.tracker.hasEntry(node.id) ? this.tracker.getStatus(node.id) : null;
+
+        TRACKER_STATUSES.forEach(({ id }) => {
+            nodeGroup.classed(`status-${id}`, status === id);
+        });
+        nodeGroup.select('.progress-badge').remove();
+
+        if (!status || status === 'not-started') return;
+
+        nodeGroup.append('text')
+            .attr('class', 'progress-badge')
+            .attr('x', CONFIG.node.width / 2)
+            .attr('y', rectHeight / 2 + 10)
+            .attr('text-anchor', 'middle')
+            .style('font-size', '10px')
+            .text(getStatusInfo(status).icon);
     }
 
     /**
@@ -492,6 +746,17 @@ export class ChartRenderer {
         // Re-render
         this.renderLinks();
         this.renderNodes();
+
+        // Keep a focused node's lineage lit across re-renders
+        if (this.highlightedNodeId !== null) {
+            this.applyLineageHighlight(this.highlightedNodeId);
+        }
+
+        if (this.viewMode === 'gantt') {
+            this.renderGantt();
+        } else if (this.viewMode === 'sankey') {
+            this.renderSankey();
+        }
     }
 
     /**
@@ -540,7 +805,28 @@ export class ChartRenderer {
      * Handle node hover
      */
     handleNodeHover(event, node) {
-        this.showTooltip(event, formatTooltip(node));
+        this.showTooltip(event, formatTooltip(node, this.getTooltipExtras(node.id)));
+    }
+
+    /**
+     * Collect per-node context shown in tooltips (computed deadline, case progress, decision analysis)
+     * @param {number} nodeId - Node ID
+     * @returns {Object} { deadline, progress, decision }
+     */
+    getTooltipExtras(nodeId) {
+        let progress = null;
+        if (this.tracker && this.tracker.hasEntry(nodeId)) {
+            const entry = this.tracker.getEntry(nodeId);
+            progress = { ...entry, label: getStatusInfo(entry.status).label };
+        }
+
+        const node = this.nodeMap.get(nodeId);
+        return {
+            deadline: this.deadlineSchedule.get(nodeId) || null,
+            progress,
+            decision: this.decisionAnalysis?.get(nodeId) || null,
+            version: node ? describeNodeVersion(node, AMENDMENTS) : null
+        };
     }
 
     /**
@@ -556,7 +842,7 @@ export class ChartRenderer {
      */
     handleDocumentHover(event, node) {
         const html = `<strong>Required Documents</strong>
-                      <div class="section">${node.documents.map(doc => `• ${doc}`).join('<br/>')}</div>`;
+                      <div class="section">${node.documents.map(doc => `• ${escapeHTML(doc)}`).join('<br/>')}</div>`;
         this.showTooltip(event, html);
     }
 
@@ -579,17 +865,21 @@ export class ChartRenderer {
      * Handle node click
      */
     handleNodeClick(node) {
-        // Cost estimator mode takes priority - allow selecting any node including expandable ones
+        // Tracker mode takes priority - clicking opens the node's progress editor
         // The + indicator has its own click handler for expansion
-        if (this.costEstimatorEnabled) {
+        if (this.trackerEnabled) {
+            document.dispatchEvent(new CustomEvent('trackerNodeSelect', { detail: { node } }));
+        } else if (this.costEstimatorEnabled) {
+            // Cost estimator mode - allow selecting any node including expandable ones
             this.toggleNodeSelection(node.id);
             this.dispatchCostUpdate();
         } else if (node.isExpandable) {
             // When not in cost estimator mode, expandable nodes toggle expansion
             this.toggleGroup(node.expandsGroup);
         } else {
-            // Default: highlight and pan to node
+            // Default: highlight and pan to node, and show its rule text
             this.highlightNodeAndPaths(node.id);
+            document.dispatchEvent(new CustomEvent('nodeFocus', { detail: { node } }));
         }
     }
 
@@ -611,29 +901,40 @@ export class ChartRenderer {
     }
 
     /**
-     * Get URL for a Florida rule citation
-     * Links to the official Florida Bar Rules of Civil Procedure PDF
-     * @param {string} rule - Rule citation (e.g., "1.100", "90.702", "768.79", "9.110")
-     * @returns {string} - URL to the rules PDF
+     * Get URL for a rule citation
+     * Resolved through the active jurisdiction pack's citation sources; for a
+     * compound citation (e.g., "768.79/1.442") this is the first citation's URL
+     * @param {string} rule - Rule citation (e.g., "1.100", "90.702", "4(m)", "FRAP 4(a)(1)(A)")
+     * @returns {string} - URL to the rule text (the pack's rules when no source matches)
      */
     getRuleUrl(rule) {
-        // All rules link to the official Florida Bar Civil Procedure Rules PDF
-        return 'https://www-media.floridabar.org/uploads/2025/11/Civil-Procedure-Rules-06-19-25.pdf';
+        const citation = this.getRuleLinks(rule).find(entry => entry.url);
+        return citation ? citation.url : getActiveJurisdiction().rulesUrl;
+    }
+
+    /**
+     * Split a rule string into citations resolved by the active jurisdiction pack
+     * @param {string} rule - Rule string (e.g., "57.105/768.79")
+     * @returns {Array} Citations from resolveCitations (url is null when unresolved)
+     */
+    getRuleLinks(rule) {
+        return resolveCitations(rule, getActiveJurisdiction().citationSources);
     }
 
     /**
-     * Highlight a specific node and its paths
+     * Highlight a node with its upstream and downstream steps, dimming the rest
+     * @param {number} nodeId - Node ID to focus
      */
     highlightNodeAndPaths(nodeId) {
+        // Highlighting happens on the flowchart
+        if (this.viewMode !== 'flowchart') {
+            this.setViewMode('flowchart');
+        }
+
         // Remove previous highlights
         this.clearHighlights();
 
-        // Highlight the node
-        const nodeElement = this.nodeGroup.select(`[data-node-id="${nodeId}"]`);
-        if (nodeElement.empty()) return;
-
-        nodeElement.classed('node-highlight', true);
-        this.highlightedNodeId = nodeId;
+        if (!this.applyLineageHighlight(nodeId)) return;
 
         // Scroll to node (smooth pan to node)
         const node = this.nodeMap.get(nodeId);
@@ -642,12 +943,120 @@ export class ChartRenderer {
         }
     }
 
+    /**
+     * Apply the focus classes for a node's lineage to the rendered chart
+     * @param {number} nodeId - Node ID to focus
+     * @returns {boolean} False when the node is not rendered
+     */
+    applyLineageHighlight(nodeId) {
+        const nodeElement = this.nodeGroup.select(`[data-node-id="${nodeId}"]`);
+        if (nodeElement.empty()) return false;
+
+        const lineage = getLineage(LINKS, nodeId, this.highlightDepth);
+        this.highlightedNodeId = nodeId;
+
+        nodeElement.classed('node-highlight', true);
+        this.nodeGroup.selectAll('.node').each((d, i, elements) => {
+            const id = parseInt(elements[i].dataset.nodeId, 10);
+            d3.select(elements[i])
+                .classed('node-upstream', lineage.upstream.has(id))
+                .classed('node-downstream', lineage.downstream.has(id))
+                .classed('node-exception-related', lineage.exceptionNodes.has(id))
+                .classed('lineage-dimmed', id !== nodeId && !lineage.upstream.has(id) &&
+                    !lineage.downstream.has(id) && !lineage.exceptionNodes.has(id));
+        });
+
+        this.linkGroup.selectAll('.link').each((d, i, elements) => {
+            const key = `${elements[i].dataset.source}-${elements[i].dataset.target}`;
+            d3.select(elements[i])
+                .classed('link-highlight', lineage.links.has(key))
+                .classed('lineage-dimmed', !lineage.links.has(key));
+        });
+
+        // Exception links keep their own styling rather than joining the lineage
+        this.exceptionGroup.selectAll('.link').each((d, i, elements) => {
+            const key = `${elements[i].dataset.source}-${elements[i].dataset.target}`;
+            d3.select(elements[i])
+                .classed('exception-highlight', lineage.exceptionLinks.has(key))
+                .classed('lineage-dimmed', !lineage.exceptionLinks.has(key));
+        });
+
+        return true;
+    }
+
+    /**
+     * Set how many links upstream/downstream a focused node highlights
+     * @param {number} depth - Link depth (Infinity for the full lineage)
+     */
+    setHighlightDepth(depth) {
+        this.highlightDepth = depth;
+
+        if (this.highlightedNodeId !== null) {
+            const nodeId = this.highlightedNodeId;
+            this.clearHighlights();
+            this.applyLineageHighlight(nodeId);
+        }
+    }
+
+    /**
+     * Highlight a route (ordered node IDs) and fit it into view
+     * @param {Array} nodeIds - Ordered node IDs along the route
+     */
+    highlightPath(nodeIds) {
+        if (this.viewMode !== 'flowchart') {
+            this.setViewMode('flowchart');
+        }
+
+        this.clearHighlights();
+        this.highlightedPath = [...nodeIds];
+
+        nodeIds.forEach((nodeId, index) => {
+            this.nodeGroup.select(`[data-node-id="${nodeId}"]`).classed('node-highlight', true);
+            if (index < nodeIds.length - 1) {
+                this.linkGroup.selectAll(`[data-source="${nodeId}"][data-target="${nodeIds[index + 1]}"]`)
+                    .classed('link-highlight', true);
+            }
+        });
+
+        const nodes = nodeIds.map(id => this.nodeMap.get(id)).filter(Boolean);
+        if (nodes.length > 0) {
+            this.fitToNodes(nodes);
+        }
+    }
+
+    /**
+     * Zoom and pan so a set of nodes fills the view
+     * @param {Array} nodes - Node objects to fit
+     */
+    fitToNodes(nodes) {
+        const { width, height } = CONFIG.chart;
+        const padding = 150;
+        const [minX, maxX] = d3.extent(nodes, node => node.x);
+        const [minY, maxY] = d3.extent(nodes, node => node.y);
+        const scale = Math.min(0.8, width / (maxX - minX + padding * 2), height / (maxY - minY + padding * 2));
+        const x = width / 2 - ((minX + maxX) / 2) * scale;
+        const y = height / 2 - ((minY + maxY) / 2) * scale;
+
+        this.svg.transition()
+            .duration(750)
+            .call(
+                this.zoom.transform,
+                d3.zoomIdentity.translate(x, y).scale(scale)
+            );
+    }
+
     /**
      * Clear all highlights
      */
     clearHighlights() {
         this.nodeGroup.selectAll('.node-highlight').classed('node-highlight', false);
+        this.nodeGroup.selectAll('.node')
+            .classed('node-upstream', false)
+            .classed('node-downstream', false)
+            .classed('node-exception-related', false);
         this.linkGroup.selectAll('.link-highlight').classed('link-highlight', false);
+        this.exceptionGroup.selectAll('.exception-highlight').classed('exception-highlight', false);
+        this.flowGroup.selectAll('.lineage-dimmed').classed('lineage-dimmed', false);
         this.highlightedNodeId = null;
         this.highlightedPath = [];
     }
@@ -767,6 +1176,11 @@ export class ChartRenderer {
      * Reset zoom to initial view
      */
     resetZoom() {
+        if (this.viewMode === 'compare') {
+            this.comparison.resetZoom();
+            return;
+        }
+
         const { initialZoom, width, height } = CONFIG.chart;
         // Center on the early stages of litigation (around x=600, y=500)
         // which shows Filing, Service, and Responsive Pleadings
@@ -794,6 +1208,11 @@ export class ChartRenderer {
      * Zoom in
      */
     zoomIn() {
+        if (this.viewMode === 'compare') {
+            this.comparison.scaleBy(1.3);
+            return;
+        }
+
         this.svg.transition()
             .duration(300)
             .call(this.zoom.scaleBy, 1.3);
@@ -803,6 +1222,11 @@ export class ChartRenderer {
      * Zoom out
      */
     zoomOut() {
+        if (this.viewMode === 'compare') {
+            this.comparison.scaleBy(0.7);
+            return;
+        }
+
         this.svg.transition()
             .duration(300)
             .call(this.zoom.scaleBy, 0.7);
@@ -902,6 +1326,10 @@ export class ChartRenderer {
     clearNodeSelections() {
         this.selectedNodes.clear();
         this.nodeGroup.selectAll('.node-selected').classed('node-selected', false);
+
+        if (this.viewMode === 'gantt') {
+            this.renderGantt();
+        }
     }
 
     /**
@@ -912,6 +1340,18 @@ export class ChartRenderer {
         return Array.from(this.selectedNodes).map(id => this.nodeMap.get(id)).filter(Boolean);
     }
 
+    /**
+     * Replace the selection (e.g., when switching matters)
+     * @param {Array} nodeIds - Node IDs to select
+     */
+    setSelectedNodes(nodeIds) {
+        this.selectedNodes = new Set(nodeIds.filter(id => this.nodeMap.has(id)));
+        this.nodeGroup.selectAll('.node').each((d, i, elements) => {
+            d3.select(elements[i]).classed('node-selected', this.selectedNodes.has(parseInt(elements[i].dataset.nodeId, 10)));
+        });
+        this.dispatchCostUpdate();
+    }
+
     /**
      * Update visual styling for a selected/deselected node
      * @param {number} nodeId - Node ID to update
@@ -963,6 +1403,392 @@ export class ChartRenderer {
             detail: { selectedNodes: this.getSelectedNodes() }
         });
         document.dispatchEvent(event);
+
+        if (this.viewMode === 'gantt') {
+            this.renderGantt();
+        }
+    }
+
+    // ============================================
+    // DEADLINE CALCULATOR METHODS
+    // ============================================
+
+    /**
+     * Set computed deadlines so they appear in node tooltips
+     * @param {Array} entries - Schedule entries from computeDeadlineSchedule
+     */
+    setDeadlineSchedule(entries) {
+        this.deadlineSchedule = new Map(entries.map(entry => [entry.nodeId, entry]));
+        this.updateDeadlineVisuals();
+    }
+
+    /**
+     * Get all computed deadlines
+     * @returns {Array} Schedule entries
+     */
+    getDeadlineSchedule() {
+        return Array.from(this.deadlineSchedule.values());
+    }
+
+    /**
+     * Get the computed deadline for a node
+     * @param {number} nodeId - Node ID
+     * @returns {Object|undefined} Schedule entry
+     */
+    getDeadlineForNode(nodeId) {
+        return this.deadlineSchedule.get(nodeId);
+    }
+
+    /**
+     * Mark nodes that have a computed due date
+     */
+    updateDeadlineVisuals() {
+        this.nodeGroup.selectAll('.has-due-date').classed('has-due-date', false);
+        this.deadlineSchedule.forEach((entry, nodeId) => {
+            this.nodeGroup.select(`[data-node-id="${nodeId}"]`).classed('has-due-date', true);
+        });
+    }
+
+    // ============================================
+    // GANTT TIMELINE METHODS
+    // ============================================
+
+    /**
+     * Switch between the flowchart, Gantt timeline, Sankey and comparison views
+     * @param {string} mode - 'flowchart', 'gantt', 'sankey' or 'compare'
+     */
+    setViewMode(mode) {
+        if (mode === this.viewMode) return;
+
+        this.viewMode = mode;
+        this.flowGroup.style('display', mode === 'flowchart' ? 'block' : 'none');
+        this.ganttGroup.style('display', mode === 'gantt' ? 'block' : 'none');
+        this.sankeyGroup.style('display', mode === 'sankey' ? 'block' : 'none');
+        this.svg.style('display', mode === 'compare' ? 'none' : null);
+        this.comparison.setVisible(mode === 'compare');
+        this.hideTooltip();
+
+        if (mode === 'gantt') {
+            this.renderGantt();
+        } else if (mode === 'sankey') {
+            this.renderSankey();
+        } else if (mode === 'compare') {
+            this.renderComparison();
+        } else {
+            this.resetZoom();
+        }
+
+        document.dispatchEvent(new CustomEvent('viewModeChange', { detail: { mode } }));
+    }
+
+    /**
+     * Get the current view mode
+     * @returns {string} 'flowchart', 'gantt', 'sankey' or 'compare'
+     */
+    getViewMode() {
+        return this.viewMode;
+    }
+
+    /**
+     * Get the ordered path shown in the Gantt view
+     * Uses the selected steps (in workflow order) or falls back to the critical path
+     * shown in the overlay, or the longest path when the overlay is off
+     * @returns {Object} { nodes, title, emptyMessage }
+     */
+    getGanttPath() {
+        const selected = this.getSelectedNodes();
+        if (selected.length > 0) {
+            return {
+                nodes: selected.sort((a, b) => a.x - b.x || a.id - b.id),
+                title: 'Selected Path Timeline'
+            };
+        }
+
+        const criticalPath = this.criticalPath || computeCriticalPath('duration', { hourlyRate: this.attorneyHourlyRate });
+        return {
+            nodes: criticalPath ? criticalPath.nodes : [],
+            title: criticalPath ? `Critical Path Timeline (${criticalPath.metric.label})` : 'Critical Path Timeline',
+            emptyMessage: criticalPath ? undefined :
+                'No critical path: no route reaches Final Judgment, or the workflow contains a cycle. Select steps in Selection Mode instead.'
+        };
+    }
+
+    /**
+     * Render the Gantt timeline and fit it to the view
+     */
+    renderGantt() {
+        const { nodes, title, emptyMessage } = this.getGanttPath();
+        const size = this.gantt.render(nodes, title, emptyMessage);
+
+        const { width, height } = CONFIG.chart;
+        const padding = 40;
+        const scale = Math.min((width - padding * 2) / size.width, (height - padding * 2) / size.height, 2);
+
+        this.svg.call(
+            this.zoom.transform,
+            d3.zoomIdentity.translate(padding, padding).scale(scale)
+        );
+    }
+
+    /**
+     * Render the Sankey case-flow view and fit it to the view
+     * Hidden phases are left out and collapsed groups are merged into their parent step.
+     */
+    renderSankey() {
+        const resolveNode = (node) => {
+            const id = this.isNodeCollapsed(node) ? NODE_GROUPS[node.group]?.parentNodeId : node.id;
+            const representative = this.nodeMap.get(id);
+            return representative && !this.isNodePhaseHidden(representative) ? id : null;
+        };
+
+        const size = this.sankey.render(buildSankeyGraph(NODES, LINKS, resolveNode), this.nodeMap);
+
+        const { width, height } = CONFIG.chart;
+        const padding = 40;
+        const scale = Math.min((width - padding * 2) / size.width, (height - padding * 2) / size.height, 2);
+
+        this.svg.call(
+            this.zoom.transform,
+            d3.zoomIdentity.translate(padding, padding).scale(scale)
+        );
+    }
+
+    /**
+     * Handle hover on a Gantt row
+     */
+    handleGanttHover(event, node, row) {
+        let html = formatTooltip(node, this.getTooltipExtras(node.id));
+        html += `<div class="section"><div class="label">Timeline Position</div>` +
+            `Starts day ${Math.round(row.earliestStart)} - ${Math.round(row.latestStart)}, ` +
+            `finishes day ${Math.round(row.earliestFinish)} - ${Math.round(row.latestFinish)}</div>`;
+        this.showTooltip(event, html);
+    }
+
+    // ============================================
+    // JURISDICTION COMPARISON METHODS
+    // ============================================
+
+    /**
+     * Get the pack shown next to the active workflow in the comparison view
+     * @returns {Object} Jurisdiction pack
+     */
+    getComparisonJurisdiction() {
+        const active = getActiveJurisdiction();
+        const selected = getJurisdiction(this.comparisonJurisdictionId);
+        return selected && selected.id !== active.id ?
+            selected :
+            (JURISDICTIONS.find(pack => pack.id !== active.id) || active);
+    }
+
+    /**
+     * Set the pack shown next to the active workflow
+     * @param {string} id - Pack ID
+     */
+    setComparisonJurisdiction(id) {
+        this.comparisonJurisdictionId = id;
+        if (this.viewMode === 'compare') {
+            this.renderComparison();
+        }
+    }
+
+    /**
+     * Render the active workflow and the comparison pack side by side
+     */
+    async renderComparison() {
+        const active = getActiveJurisdiction();
+        const other = this.getComparisonJurisdiction();
+
+        let dataset;
+        try {
+            dataset = await other.loadDataset();
+        } catch (error) {
+            console.error('Comparison workflow failed to load:', error);
+            alert(`Unable to load the ${other.shortName} workflow for comparison: ${error.message}`);
+            return;
+        }
+
+        // Another view, pack or comparison may have been chosen while the workflow loaded
+        if (this.viewMode !== 'compare' || getActiveJurisdiction() !== active || this.getComparisonJurisdiction() !== other) {
+            return;
+        }
+
+        const nodeMaps = this.comparison.render([
+            { title: `${active.shortName}: ${getActiveDataset().name}`, nodes: NODES, links: LINKS, stageColors: STAGE_COLORS, config: CONFIG },
+            { title: `${other.shortName}: ${dataset.name}`, nodes: dataset.nodes, links: dataset.links, stageColors: dataset.stageColors, config: dataset.config }
+        ]);
+
+        this.comparisonSides = [
+            { pack: active, nodeMap: nodeMaps[0] },
+            { pack: other, nodeMap: nodeMaps[1] }
+        ];
+    }
+
+    /**
+     * Highlight a hovered step's counterparts and show how they differ
+     * @param {Event} event - Mouse event
+     * @param {number} side - 0 for the active workflow, 1 for the comparison pack
+     * @param {Object} node - Hovered step
+     */
+    handleComparisonHover(event, side, node) {
+        const from = this.comparisonSides[side];
+        const to = this.comparisonSides[1 - side];
+        const matches = findCounterparts(from.pack.id, node.id, to.pack.id);
+
+        this.comparison.highlight(side, node.id, matches.flatMap(match => match.toNodeIds));
+        this.showTooltip(event, formatComparisonTooltip(node, matches, {
+            fromName: from.pack.shortName,
+            toName: to.pack.shortName,
+            triggers: { from: from.pack.deadlineRules.triggers, to: to.pack.deadlineRules.triggers },
+            hourlyRate: this.attorneyHourlyRate,
+            nodeMaps: { from: from.nodeMap, to: to.nodeMap }
+        }));
+    }
+
+    // ============================================
+    // CASE TRACKER METHODS
+    // ============================================
+
+    /**
+     * Attach the case tracker whose progress is drawn on nodes
+     * @param {CaseTracker} tracker - Case tracker instance
+     */
+    setTracker(tracker) {
+        this.tracker = tracker;
+        this.updateAllProgressVisuals();
+    }
+
+    /**
+     * Enable or disable tracker mode (node clicks edit progress)
+     * @param {boolean} enabled - Whether tracker mode is on
+     */
+    setTrackerMode(enabled) {
+        this.trackerEnabled = enabled;
+    }
+
+    /**
+     * Check if tracker mode is enabled
+     * @returns {boolean}
+     */
+    isTrackerEnabled() {
+        return this.trackerEnabled;
+    }
+
+    /**
+     * Redraw progress styling for a single node
+     * @param {number} nodeId - Node ID
+     */
+    updateNodeProgressVisuals(nodeId) {
+        const nodeElement = this.nodeGroup.select(`[data-node-id="${nodeId}"]`);
+        const node = this.nodeMap.get(nodeId);
+        if (nodeElement.empty() || !node) return;
+
+        const rectHeight = node.name.includes('\n') ? CONFIG.node.multiLineHeight : CONFIG.node.singleLineHeight;
+        this.renderProgressState(nodeElement, node, rectHeight);
+    }
+
+    /**
+     * Redraw progress styling for every rendered node
+     */
+    updateAllProgressVisuals() {
+        if (!this.nodeGroup) return;
+        this.nodeGroup.selectAll('.node').each((d, i, elements) => {
+            this.updateNodeProgressVisuals(parseInt(elements[i].dataset.nodeId, 10));
+        });
+    }
+
+    // ============================================
+    // DECISION ANALYSIS METHODS
+    // ============================================
+
+    /**
+     * Set (or clear) the decision analysis shown in decision node tooltips
+     * @param {Map|null} analysis - Decision node ID -> analysis from analyzeDecisions, or null to turn off
+     */
+    setDecisionAnalysis(analysis) {
+        this.decisionAnalysis = analysis;
+
+        if (!this.linkGroup) return;
+        this.svg.selectAll('.link').each((d, i, elements) => {
+            const element = elements[i];
+            d3.select(element).classed('link-recommended', this.isRecommendedLink({
+                source: parseInt(element.dataset.source, 10),
+                target: parseInt(element.dataset.target, 10)
+            }));
+        });
+    }
+
+    /**
+     * Check whether a link is the recommended branch of a decision node
+     * @param {Object} link - Link data { source, target }
+     * @returns {boolean}
+     */
+    isRecommendedLink(link) {
+        const analysis = this.decisionAnalysis?.get(link.source);
+        return Boolean(analysis && analysis.branches.length > 1 && analysis.recommended.target.id === link.target);
+    }
+
+    // ============================================
+    // CRITICAL PATH METHODS
+    // ============================================
+
+    /**
+     * Set (or clear) the critical path drawn as an overlay
+     * @param {Object|null} criticalPath - Result of computeCriticalPath, or null to turn off
+     */
+    setCriticalPath(criticalPath) {
+        this.criticalPath = criticalPath;
+
+        if (this.nodeGroup) {
+            this.nodeGroup.selectAll('.node').each((d, i, elements) => {
+                const nodeId = parseInt(elements[i].dataset.nodeId, 10);
+                d3.select(elements[i]).classed('node-critical', Boolean(criticalPath?.nodeIds.includes(nodeId)));
+            });
+            this.svg.selectAll('.link').each((d, i, elements) => {
+                const element = elements[i];
+                d3.select(element).classed('link-critical', this.isCriticalLink({
+                    source: parseInt(element.dataset.source, 10),
+                    target: parseInt(element.dataset.target, 10)
+                }));
+            });
+        }
+
+        if (this.viewMode === 'gantt') {
+            this.renderGantt();
+        }
+    }
+
+    /**
+     * Check whether a link is a step along the critical path overlay
+     * @param {Object} link - Link data { source, target }
+     * @returns {boolean}
+     */
+    isCriticalLink(link) {
+        if (!this.criticalPath) return false;
+        const index = this.criticalPath.nodeIds.indexOf(link.source);
+        return index !== -1 && this.criticalPath.nodeIds[index + 1] === link.target;
+    }
+
+    // ============================================
+    // SEARCH FILTER METHODS
+    // ============================================
+
+    /**
+     * Show only the given steps (e.g., the results of a search), or all again
+     * @param {Array|null} nodeIds - IDs of the steps to keep, or null to clear the filter
+     */
+    setSearchFilter(nodeIds) {
+        this.searchFilter = nodeIds ? new Set(nodeIds) : null;
+        if (this.nodeGroup) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Get the IDs of the steps an applied search filter keeps
+     * @returns {Array|null} Null when no filter is applied
+     */
+    getSearchFilter() {
+        return this.searchFilter ? Array.from(this.searchFilter) : null;
     }
 
     /**
@@ -971,7 +1797,7 @@ export class ChartRenderer {
     showError(message) {
         this.container.innerHTML = `
             <div class="error" role="alert">
-                <strong>Error:</strong> ${message}
+                <strong>Error:</strong> ${escapeHTML(message)}
             </div>
         `;
     }
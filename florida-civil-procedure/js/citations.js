@@ -0,0 +1,114 @@
+/**
+ * Citation Parser Module
+ * Splits a node's rule string into citations (e.g., "768.79/1.442" or
+ * "50(b), 59"), classifies each by source and subdivision, and resolves it
+ * to a URL through a resolver table supplied by the jurisdiction pack.
+ *
+ * A resolver table is an ordered list of sources; the first source whose
+ * prefix and number pattern match a citation resolves it:
+ *
+ * id      - source key (e.g., 'civil', 'statute')
+ * label   - citation form shown in link titles (e.g., 'Fla. R. Civ. P.')
+ * prefix  - citation prefix the source requires (e.g., 'FRE', or SECTION_PREFIX
+ *           for "§"); omit for bare numbers
+ * pattern - test for the rule or section number
+ * url     - function(citation) returning the URL of the document and anchor
+ */
+
+// One citation: optional prefix (a section sign, which may follow "Fla. Stat."
+// and may be doubled, or a word such as "FRAP"), number, optional range end,
+// subdivisions
+const CITATION_PATTERN = /^(?:((?:Fla\.\s*Stat\.\s*)?§§?)\s*|([A-Za-z][A-Za-z.]*)\s+)?(\d+(?:\.\d+)?)(?:\s*-\s*(\d+(?:\.\d+)?))?((?:\([A-Za-z0-9]+\))*)$/;
+
+/**
+ * Prefix recorded for statute sections cited with a section sign
+ * ("§ 768.79", "§§ 57.105", "Fla. Stat. § 768.79")
+ */
+export const SECTION_PREFIX = '§';
+
+// Separators between citations in a compound rule string
+const SEPARATOR_PATTERN = /(\s*[/,;]\s*)/;
+
+/**
+ * Parse a rule string into citations
+ * A citation without a prefix that follows a comma keeps the previous
+ * citation's prefix ("FRAP 4, 5" cites FRAP 4 and FRAP 5). Every form of
+ * section-sign prefix is recorded as SECTION_PREFIX.
+ * @param {string} rule - Rule string (e.g., "1.070(b)", "57.105/768.79", "FRAP 28-34", "§ 768.79")
+ * @returns {Array} Citations as { text, separator, prefix, number, rangeEnd, subdivisions },
+ *     where separator is the text preceding the citation in the rule string
+ *     and unparseable citations (e.g., "Admin Order") have a null number
+ */
+export function parseCitations(rule) {
+    const parts = String(rule ?? '').trim().split(SEPARATOR_PATTERN);
+    const citations = [];
+
+    for (let i = 0; i < parts.length; i += 2) {
+        const text = parts[i];
+        const separator = i > 0 ? parts[i - 1] : '';
+        if (!text) continue;
+
+        const match = text.match(CITATION_PATTERN);
+        if (!match) {
+            citations.push({ text, separator, prefix: null, number: null, rangeEnd: null, subdivisions: [] });
+            continue;
+        }
+
+        const prefix = match[1] ? SECTION_PREFIX : match[2];
+        const previous = citations[citations.length - 1];
+        const inheritsPrefix = !prefix && previous?.prefix && separator.trim() === ',';
+        citations.push({
+            text,
+            separator,
+            prefix: prefix || (inheritsPrefix ? previous.prefix : null),
+            number: match[3],
+            rangeEnd: match[4] || null,
+            subdivisions: (match[5].match(/[A-Za-z0-9]+/g) || [])
+        });
+    }
+    return citations;
+}
+
+/**
+ * Find the source of a citation in a resolver table
+ * @param {Object} citation - Parsed citation
+ * @param {Array} sources - Resolver table
+ * @returns {Object|null} The matching source, or null
+ */
+export function classifyCitation(citation, sources) {
+    if (!citation.number) return null;
+
+    return sources.find(source =>
+        (source.prefix || null) === citation.prefix && source.pattern.test(citation.number)) || null;
+}
+
+/**
+ * Parse a rule string and resolve each citation to a URL
+ * @param {string} rule - Rule string
+ * @param {Array} sources - Resolver table
+ * @returns {Array} Parsed citations with source ({ id, label }) and url, both
+ *     null when no source matches
+ */
+export function resolveCitations(rule, sources) {
+    return parseCitations(rule).map(citation => {
+        const source = classifyCitation(citation, sources);
+        return {
+            ...citation,
+            source: source ? { id: source.id, label: source.label } : null,
+            url: source ? source.url(citation) : null
+        };
+    });
+}
+
+/**
+ * Format a citation in full (e.g., "Fla. R. Civ. P. 1.070(b)")
+ * @param {Object} citation - Resolved citation
+ * @returns {string}
+ */
+export function formatCitation(citation) {
+    if (!citation.source) return citation.text;
+
+    const range = citation.rangeEnd ? `-${citation.rangeEnd}` : '';
+    const subdivisions = citation.subdivisions.map(part => `(${part})`).join('');
+    return `${citation.source.label} ${citation.number}${range}${subdivisions}`;
+}
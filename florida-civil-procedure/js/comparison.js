@@ -0,0 +1,376 @@
+/**
+ * Jurisdiction Comparison Module
+ * Renders two workflows side by side with synchronized zoom and pan, and
+ * cross-references their steps through an equivalence map so a step in one
+ * jurisdiction can be compared with its counterpart in the other
+ * (e.g., Fla. R. Civ. P. 1.140 and Fed. R. Civ. P. 12).
+ */
+
+import {
+    calculateCostEstimates,
+    cleanNodeName,
+    escapeHTML,
+    formatCurrency,
+    generateCurvePath
+} from './utils.js';
+
+/**
+ * Equivalent steps across jurisdiction packs
+ * topic     - what the steps have in common
+ * citations - governing rule per pack ID
+ * nodeIds   - the steps in each pack's bundled workflow
+ */
+export const NODE_EQUIVALENCES = [
+    { topic: 'Commencing the action', citations: { florida: 'Fla. R. Civ. P. 1.100', federal: 'Fed. R. Civ. P. 3' }, nodeIds: { florida: [0], federal: [0] } },
+    { topic: 'Time limit for service', citations: { florida: 'Fla. R. Civ. P. 1.070(j)', federal: 'Fed. R. Civ. P. 4(m)' }, nodeIds: { florida: [1, 5], federal: [4] } },
+    { topic: 'Personal service', citations: { florida: 'Fla. R. Civ. P. 1.070(b)', federal: 'Fed. R. Civ. P. 4(e)' }, nodeIds: { florida: [2], federal: [3] } },
+    { topic: 'Failure to serve', citations: { florida: 'Fla. R. Civ. P. 1.140(b)(5)', federal: 'Fed. R. Civ. P. 4(m)' }, nodeIds: { florida: [6], federal: [5, 6] } },
+    { topic: 'Motion to dismiss', citations: { florida: 'Fla. R. Civ. P. 1.140(b)', federal: 'Fed. R. Civ. P. 12(b)' }, nodeIds: { florida: [7], federal: [9] } },
+    { topic: 'Dismissal on motion', citations: { florida: 'Fla. R. Civ. P. 1.140(b)', federal: 'Fed. R. Civ. P. 12(b)(6)' }, nodeIds: { florida: [9], federal: [10] } },
+    { topic: 'Answer', citations: { florida: 'Fla. R. Civ. P. 1.140(a)', federal: 'Fed. R. Civ. P. 12(a)' }, nodeIds: { florida: [8], federal: [8] } },
+    { topic: 'Amended pleadings', citations: { florida: 'Fla. R. Civ. P. 1.190(a)', federal: 'Fed. R. Civ. P. 15(a)' }, nodeIds: { florida: [170, 171], federal: [11] } },
+    { topic: 'Default', citations: { florida: 'Fla. R. Civ. P. 1.500', federal: 'Fed. R. Civ. P. 55' }, nodeIds: { florida: [100], federal: [12, 13] } },
+    { topic: 'Voluntary dismissal', citations: { florida: 'Fla. R. Civ. P. 1.420(a)(1)', federal: 'Fed. R. Civ. P. 41(a)(1)' }, nodeIds: { florida: [180], federal: [7] } },
+    { topic: 'Case management', citations: { florida: 'Fla. R. Civ. P. 1.200', federal: 'Fed. R. Civ. P. 16(b), 26(f)' }, nodeIds: { florida: [11], federal: [14, 15] } },
+    { topic: 'Scope of discovery', citations: { florida: 'Fla. R. Civ. P. 1.280', federal: 'Fed. R. Civ. P. 26(b)' }, nodeIds: { florida: [14], federal: [17] } },
+    { topic: 'Interrogatories', citations: { florida: 'Fla. R. Civ. P. 1.340', federal: 'Fed. R. Civ. P. 33' }, nodeIds: { florida: [15], federal: [18] } },
+    { topic: 'Requests for production', citations: { florida: 'Fla. R. Civ. P. 1.350', federal: 'Fed. R. Civ. P. 34' }, nodeIds: { florida: [16], federal: [19] } },
+    { topic: 'Requests for admission', citations: { florida: 'Fla. R. Civ. P. 1.370', federal: 'Fed. R. Civ. P. 36' }, nodeIds: { florida: [40], federal: [20] } },
+    { topic: 'Depositions', citations: { florida: 'Fla. R. Civ. P. 1.310', federal: 'Fed. R. Civ. P. 30' }, nodeIds: { florida: [41], federal: [21] } },
+    { topic: 'Discovery disputes', citations: { florida: 'Fla. R. Civ. P. 1.380(a)', federal: 'Fed. R. Civ. P. 37(a)(1)' }, nodeIds: { florida: [17], federal: [22] } },
+    { topic: 'Motion to compel', citations: { florida: 'Fla. R. Civ. P. 1.380(a)', federal: 'Fed. R. Civ. P. 37(a)' }, nodeIds: { florida: [18], federal: [23] } },
+    { topic: 'Discovery sanctions', citations: { florida: 'Fla. R. Civ. P. 1.380(b)', federal: 'Fed. R. Civ. P. 37(b)' }, nodeIds: { florida: [102], federal: [24] } },
+    { topic: 'Expert disclosure', citations: { florida: 'Fla. R. Civ. P. 1.280(b)(5)', federal: 'Fed. R. Civ. P. 26(a)(2)' }, nodeIds: { florida: [19], federal: [25] } },
+    { topic: 'Expert admissibility', citations: { florida: '§ 90.702, Fla. Stat.', federal: 'Fed. R. Evid. 702' }, nodeIds: { florida: [140, 141, 142], federal: [31] } },
+    { topic: 'Summary judgment', citations: { florida: 'Fla. R. Civ. P. 1.510', federal: 'Fed. R. Civ. P. 56' }, nodeIds: { florida: [20], federal: [29] } },
+    { topic: 'Summary judgment granted', citations: { florida: 'Fla. R. Civ. P. 1.510(a)', federal: 'Fed. R. Civ. P. 56(a)' }, nodeIds: { florida: [21], federal: [30] } },
+    { topic: 'Mediation', citations: { florida: 'Fla. R. Civ. P. 1.700-1.730', federal: 'Local rules' }, nodeIds: { florida: [12], federal: [27] } },
+    { topic: 'Settlement', citations: { florida: 'Fla. R. Civ. P. 1.730', federal: 'Fed. R. Civ. P. 41(a)(1)(A)(ii)' }, nodeIds: { florida: [13, 25], federal: [28] } },
+    { topic: 'Offers that shift costs or fees', citations: { florida: 'Fla. R. Civ. P. 1.442; § 768.79, Fla. Stat.', federal: 'Fed. R. Civ. P. 68' }, nodeIds: { florida: [23], federal: [42] } },
+    { topic: 'Pretrial conference', citations: { florida: 'Fla. R. Civ. P. 1.200', federal: 'Fed. R. Civ. P. 16(e)' }, nodeIds: { florida: [24], federal: [32] } },
+    { topic: 'Witness and exhibit lists', citations: { florida: 'Fla. R. Civ. P. 1.200', federal: 'Fed. R. Civ. P. 26(a)(3)' }, nodeIds: { florida: [53], federal: [33] } },
+    { topic: 'Trial', citations: { florida: 'Fla. R. Civ. P. 1.430', federal: 'Fed. R. Civ. P. 38-39, 43' }, nodeIds: { florida: [26], federal: [34] } },
+    { topic: 'Verdict', citations: { florida: 'Fla. R. Civ. P. 1.480', federal: 'Fed. R. Civ. P. 48-49' }, nodeIds: { florida: [27], federal: [35] } },
+    { topic: 'Post-trial motions', citations: { florida: 'Fla. R. Civ. P. 1.480(b), 1.530', federal: 'Fed. R. Civ. P. 50(b), 59' }, nodeIds: { florida: [29, 70], federal: [37] } },
+    { topic: 'Final judgment', citations: { florida: 'Fla. R. Civ. P. 1.080(a)', federal: 'Fed. R. Civ. P. 58' }, nodeIds: { florida: [30], federal: [36] } },
+    { topic: 'Fees and costs', citations: { florida: 'Fla. R. Civ. P. 1.525', federal: 'Fed. R. Civ. P. 54(d)' }, nodeIds: { florida: [72, 150], federal: [38] } },
+    { topic: 'Notice of appeal', citations: { florida: 'Fla. R. App. P. 9.110(b)', federal: 'Fed. R. App. P. 4(a)' }, nodeIds: { florida: [34], federal: [39] } },
+    { topic: 'Execution', citations: { florida: 'Ch. 56, Fla. Stat.', federal: 'Fed. R. Civ. P. 69(a)' }, nodeIds: { florida: [32], federal: [41] } }
+];
+
+const DEADLINE_LABELS = {
+    strict: 'Strict',
+    flexible: 'Flexible',
+    'court-set': 'Court-set'
+};
+
+/**
+ * Find a step's counterparts in another jurisdiction
+ * @param {string} fromPackId - Pack the step belongs to
+ * @param {number} nodeId - Step ID
+ * @param {string} toPackId - Pack to look in
+ * @returns {Array} Matches as { topic, citations: { from, to }, fromNodeIds, toNodeIds }
+ */
+export function findCounterparts(fromPackId, nodeId, toPackId) {
+    return NODE_EQUIVALENCES
+        .filter(entry => entry.nodeIds[fromPackId]?.includes(nodeId) && entry.nodeIds[toPackId])
+        .map(entry => ({
+            topic: entry.topic,
+            citations: { from: entry.citations[fromPackId], to: entry.citations[toPackId] },
+            fromNodeIds: entry.nodeIds[fromPackId],
+            toNodeIds: entry.nodeIds[toPackId]
+        }));
+}
+
+/**
+ * Describe a step's deadline
+ * Strict steps report their rule period (from the pack's deadline triggers
+ * or durationDaysMax); other steps report their typical duration range.
+ * @param {Object} node - Node data
+ * @param {Object} triggers - The pack's deadline triggers keyed by node ID
+ * @returns {Object} { type, days, daysMin, daysMax, text }, where days is null without a fixed period
+ */
+export function describeDeadline(node, triggers = {}) {
+    const override = triggers[node.id] || {};
+    const label = DEADLINE_LABELS[node.deadline] || node.deadline;
+    const period = node.deadline === 'strict' && override.computable !== false ?
+        (override.days || node.durationDaysMax) : null;
+
+    if (period >= 1) {
+        const direction = override.direction === 'before' ? ' before' : '';
+        return { type: node.deadline, days: period, daysMin: period, daysMax: period, text: `${label}, ${period} days${direction}` };
+    }
+
+    const { durationDaysMin: daysMin = 0, durationDaysMax: daysMax = 0 } = node;
+    const range = daysMin === daysMax ? `${daysMax}` : `${daysMin}-${daysMax}`;
+    return { type: node.deadline, days: null, daysMin, daysMax, text: `${label}, typically ${range} days` };
+}
+
+/**
+ * Compare a step with its counterparts
+ * @param {Object} node - Hovered step
+ * @param {Array} counterparts - Counterpart steps
+ * @param {Object} options - Comparison inputs
+ * @param {Array} options.nodeGroup - All steps on the hovered side of the equivalence (defaults to [node])
+ * @param {Object} options.triggers - { from, to } deadline triggers for each pack
+ * @param {number} options.hourlyRate - Attorney hourly rate
+ * @returns {Object} { deadlines: { from, to: [] }, dayDifference, cost: { from, to, difference } }
+ */
+export function compareSteps(node, counterparts, options = {}) {
+    const { nodeGroup = [node], triggers = {}, hourlyRate = 0 } = options;
+
+    const from = describeDeadline(node, triggers.from);
+    const to = counterparts.map(counterpart => ({ node: counterpart, ...describeDeadline(counterpart, triggers.to) }));
+
+    // Only fixed periods of the same kind are directly comparable
+    const comparable = to.find(entry => entry.days !== null);
+    const dayDifference = from.days !== null && comparable ? comparable.days - from.days : null;
+
+    const fromCost = calculateCostEstimates(nodeGroup, hourlyRate);
+    const toCost = calculateCostEstimates(counterparts, hourlyRate);
+    const midpoint = (estimates) => (estimates.totalMin + estimates.totalMax) / 2;
+
+    return {
+        deadlines: { from, to },
+        dayDifference,
+        cost: { from: fromCost, to: toCost, difference: midpoint(toCost) - midpoint(fromCost) }
+    };
+}
+
+/**
+ * Format the comparison tooltip for a hovered step
+ * @param {Object} node - Hovered step
+ * @param {Array} matches - Results of findCounterparts
+ * @param {Object} context - Comparison inputs
+ * @param {string} context.fromName - Short name of the hovered step's jurisdiction
+ * @param {string} context.toName - Short name of the other jurisdiction
+ * @param {Object} context.triggers - { from, to } deadline triggers for each pack
+ * @param {number} context.hourlyRate - Attorney hourly rate
+ * @param {Object} context.nodeMaps - { from, to } node ID -> node maps for each side
+ * @returns {string} Tooltip HTML
+ */
+export function formatComparisonTooltip(node, matches, context) {
+    const { fromName, toName, triggers, hourlyRate, nodeMaps } = context;
+    let html = `<strong>${escapeHTML(cleanNodeName(node.name))} (${escapeHTML(fromName)})</strong>`;
+
+    if (matches.length === 0) {
+        return `${html}<div class="section">No equivalent step in ${escapeHTML(toName)}</div>`;
+    }
+
+    matches.forEach(match => {
+        const counterparts = match.toNodeIds.map(id => nodeMaps.to.get(id)).filter(Boolean);
+        const nodeGroup = match.fromNodeIds.map(id => nodeMaps.from.get(id)).filter(Boolean);
+        const result = compareSteps(node, counterparts, { nodeGroup, triggers, hourlyRate });
+
+        const dayText = result.dayDifference === null ? '' :
+            result.dayDifference === 0 ? '<div>Same period</div>' :
+            `<div class="comparison-delta">${escapeHTML(toName)}: ${Math.abs(result.dayDifference)} ${Math.abs(result.dayDifference) === 1 ? 'day' : 'days'} ${result.dayDifference > 0 ? 'longer' : 'shorter'}</div>`;
+        const costDifference = Math.round(result.cost.difference);
+        const costText = costDifference === 0 ? '<div>About the same cost</div>' :
+            `<div class="comparison-delta">${escapeHTML(toName)}: about ${formatCurrency(Math.abs(costDifference))} ${costDifference > 0 ? 'more' : 'less'}</div>`;
+
+        html += `
+            <div class="section">
+                <div class="label">${escapeHTML(match.topic)}</div>
+                ${escapeHTML(match.citations.from)} ↔ ${escapeHTML(match.citations.to)}
+            </div>
+            <div class="section">
+                <div class="label">Deadline</div>
+                <div>${escapeHTML(fromName)}: ${escapeHTML(result.deadlines.from.text)}</div>
+                ${result.deadlines.to.map(entry => `<div>${escapeHTML(toName)} (${escapeHTML(cleanNodeName(entry.node.name))}): ${escapeHTML(entry.text)}</div>`).join('')}
+                ${dayText}
+            </div>
+            <div class="section">
+                <div class="label">Estimated Cost${hourlyRate > 0 ? ` at ${formatCurrency(hourlyRate)}/hr` : ''}</div>
+                <div>${escapeHTML(fromName)}: ${formatCurrency(result.cost.from.totalMin, result.cost.from.totalMax)}</div>
+                <div>${escapeHTML(toName)}: ${formatCurrency(result.cost.to.totalMin, result.cost.to.totalMax)}</div>
+                ${costText}
+            </div>`;
+    });
+
+    return html;
+}
+
+export class ComparisonRenderer {
+    /**
+     * @param {Object} container - D3 selection of the chart container
+     * @param {Object} handlers - { onNodeHover(event, side, node), onOut } callbacks
+     */
+    constructor(container, handlers = {}) {
+        this.handlers = handlers;
+        this.panes = [];
+        this.zoom = null;
+        this.syncing = false;
+
+        this.root = container.append('div')
+            .attr('class', 'comparison-view')
+            .style('display', 'none');
+    }
+
+    /**
+     * Show or hide the split view
+     * @param {boolean} visible - Whether the view is shown
+     */
+    setVisible(visible) {
+        this.root.style('display', visible ? 'flex' : 'none');
+    }
+
+    /**
+     * Render both workflows
+     * Both panes share one coordinate space so the same zoom transform lines
+     * them up.
+     * @param {Array} sides - Two { title, nodes, links, stageColors, config } workflows
+     * @returns {Array} Node ID -> node maps for each side
+     */
+    render(sides) {
+        this.root.selectAll('*').remove();
+
+        const width = Math.max(...sides.map(side => side.config.chart.width));
+        const height = Math.max(...sides.map(side => side.config.chart.height));
+        const { minZoom, maxZoom } = sides[0].config.chart;
+
+        this.zoom = d3.zoom()
+            .scaleExtent([minZoom, maxZoom])
+            .on('zoom', (event) => this.handleZoom(event));
+
+        this.panes = sides.map((side, index) => this.renderPane(side, index, width, height));
+        return this.panes.map(pane => pane.nodeMap);
+    }
+
+    /**
+     * Render one workflow pane
+     * @param {Object} side - Workflow to draw
+     * @param {number} index - 0 for the left pane, 1 for the right
+     * @param {number} width - Shared view box width
+     * @param {number} height - Shared view box height
+     * @returns {Object} { svg, g, nodeMap }
+     */
+    renderPane(side, index, width, height) {
+        const { nodes, links, stageColors, config } = side;
+        const nodeMap = new Map(nodes.map(node => [node.id, node]));
+
+        const pane = this.root.append('div')
+            .attr('class', 'comparison-pane');
+        pane.append('div')
+            .attr('class', 'comparison-pane-title')
+            .text(side.title);
+
+        const svg = pane.append('svg')
+            .attr('width', '100%')
+            .attr('height', '100%')
+            .attr('viewBox', [0, 0, width, height])
+            .attr('role', 'img')
+            .attr('aria-label', `${side.title} Workflow Diagram`)
+            .call(this.zoom);
+        const g = svg.append('g');
+
+        const linkGroup = g.append('g').attr('class', 'comparison-links');
+        links.forEach(link => {
+            const source = nodeMap.get(link.source);
+            const target = nodeMap.get(link.target);
+            if (!source || !target) return;
+
+            linkGroup.append('path')
+                .attr('class', `link${link.isException ? ' exception-path' : ''}`)
+                .attr('d', generateCurvePath(source, target))
+                .attr('stroke', link.isException ? '#dc2626' : (stageColors[source.stage] || '#64748b'))
+                .attr('stroke-width', Math.max(1, link.volume / 5));
+        });
+
+        const nodeGroup = g.append('g').attr('class', 'comparison-nodes');
+        nodes.forEach(node => {
+            const lines = node.name.split('\n');
+            const rectHeight = lines.length > 1 ? config.node.multiLineHeight : config.node.singleLineHeight;
+
+            const group = nodeGroup.append('g')
+                .attr('class', `node comparison-node${node.deadline === 'strict' ? ' deadline-strict' : ''}`)
+                .attr('data-node-id', node.id)
+                .attr('transform', `translate(${node.x}, ${node.y})`)
+                .on('mouseover', (event) => this.handlers.onNodeHover?.(event, index, node))
+                .on('mouseout', () => this.handlers.onOut?.());
+
+            group.append('rect')
+                .attr('y', -rectHeight / 2)
+                .attr('width', config.node.width)
+                .attr('height', rectHeight)
+                .attr('rx', config.node.borderRadius)
+                .attr('fill', stageColors[node.stage] || '#64748b');
+
+            lines.forEach((line, i) => {
+                group.append('text')
+                    .attr('x', 24)
+                    .attr('y', (lines.length > 1 ? -7 : 0) + i * 13)
+                    .attr('dy', '0.35em')
+                    .text(line);
+            });
+        });
+
+        return { svg, g, nodeMap };
+    }
+
+    /**
+     * Apply a zoom or pan to both panes
+     * @param {Object} event - d3 zoom event
+     */
+    handleZoom(event) {
+        if (this.syncing) return;
+
+        const { transform } = event;
+        this.syncing = true;
+        this.panes.forEach(pane => {
+            pane.g.attr('transform', transform);
+            // Move the other pane's zoom state along so its next gesture starts from here
+            const current = d3.zoomTransform(pane.svg.node());
+            if (current.k !== transform.k || current.x !== transform.x || current.y !== transform.y) {
+                pane.svg.call(this.zoom.transform, transform);
+            }
+        });
+        this.syncing = false;
+    }
+
+    /**
+     * Zoom both panes by a factor
+     * @param {number} factor - Scale multiplier
+     */
+    scaleBy(factor) {
+        if (this.panes.length === 0) return;
+        this.panes[0].svg.transition()
+            .duration(300)
+            .call(this.zoom.scaleBy, factor);
+    }
+
+    /**
+     * Show both workflows in full
+     */
+    resetZoom() {
+        if (this.panes.length === 0) return;
+        this.panes[0].svg.call(this.zoom.transform, d3.zoomIdentity);
+    }
+
+    /**
+     * Highlight a hovered step and its counterparts, dimming the rest
+     * @param {number} side - Pane of the hovered step
+     * @param {number} nodeId - Hovered step
+     * @param {Array} counterpartIds - Counterpart step IDs in the other pane
+     */
+    highlight(side, nodeId, counterpartIds) {
+        this.panes.forEach((pane, index) => {
+            const focusIds = index === side ? [nodeId] : counterpartIds;
+            pane.g.selectAll('.comparison-node').each((d, i, elements) => {
+                const id = parseInt(elements[i].dataset.nodeId, 10);
+                d3.select(elements[i])
+                    .classed('node-highlight', focusIds.includes(id))
+                    .classed('comparison-dimmed', !focusIds.includes(id));
+            });
+        });
+    }
+
+    /**
+     * Remove counterpart highlighting
+     */
+    clearHighlight() {
+        this.root.selectAll('.comparison-node')
+            .classed('node-highlight', false)
+            .classed('comparison-dimmed', false);
+    }
+}
@@ -3,34 +3,136 @@
  * Handles user interactions, search, export, and UI controls
  */
 
-import { NODES, PHASE_GROUPS } from './data.js';
+import { NODES, LINKS, NODE_GROUPS, PARALLEL_PROCESSES, PHASE_GROUPS } from './data.js';
 import {
     debounce,
-    searchNodes,
     exportToPNG,
     exportToSVG,
+    exportToICS,
+    exportToJSON,
     setupKeyboardShortcuts,
     calculateStatistics,
     calculateCostEstimates,
-    formatCurrency
+    formatCurrency,
+    cleanNodeName,
+    escapeHTML,
+    formatDisplayDate,
+    addDays,
+    getToday,
+    parseISODate,
+    toISODate
 } from './utils.js';
+import { computeDeadlineSchedule, getDeadlineAnchorNodes } from './deadlines.js';
+import { generateICS } from './ics.js';
+import {
+    HOLIDAY_TABLE_VERSION,
+    JUDICIAL_CIRCUITS,
+    addClosureDate,
+    getHolidayCalendar,
+    removeClosureDate,
+    getCustomClosures,
+    setCustomClosures
+} from './holidays.js';
+import { CaseTracker, TRACKER_STATUSES } from './tracker.js';
+import { MATTER_FIELDS } from './workspace.js';
+import { DEFAULT_DASHBOARD_LIMIT, buildDeadlineDashboard } from './dashboard.js';
+import { PROPOSAL_WINDOW_STATUS, computeProposalWindow } from './proposal.js';
+import { PATH_SORT_OPTIONS, explorePaths } from './paths.js';
+import { START_NODE_ID, computeOutcomeDistribution, findVolumeImbalances } from './probability.js';
+import { runSimulation } from './simulation.js';
+import { DEFAULT_DECISION_INPUTS, analyzeDecisions } from './decision.js';
+import { CRITICAL_PATH_METRICS, computeCriticalPath, getCriticalPathEndId } from './critical.js';
+import { JURISDICTIONS, getActiveJurisdiction } from './jurisdictions.js';
+import {
+    EXTENSION_STATUSES,
+    SERVICE_METHODS,
+    ServiceTracker,
+    getDefendantServiceStatus,
+    getServicePeriodDays
+} from './service.js';
+import { getAsOfDate, getVersionedDataset } from './dataset.js';
+import { diffWorkflowVersions } from './versions.js';
+import { findRuleText, formatRuleTextHTML, formatSubdivisionPath } from './library.js';
+import { formatCitation } from './citations.js';
+import {
+    buildSearchIndex,
+    parseSearchQuery,
+    searchWorkflow,
+    getSearchSuggestions,
+    highlightTerms
+} from './search.js';
+
+// localStorage key for ad-hoc court closures
+const CLOSURES_STORAGE_KEY = 'fcp.customClosures';
+
+// Routes listed per page in the path explorer
+const PATHS_PAGE_SIZE = 20;
 
 export class ControlsManager {
-    constructor(chartRenderer) {
+    /**
+     * @param {ChartRenderer} chartRenderer - Chart to control
+     * @param {Workspace} workspace - Matter workspace
+     */
+    constructor(chartRenderer, workspace) {
         this.chart = chartRenderer;
+        this.workspace = workspace;
         this.searchInput = document.getElementById('searchInput');
         this.searchResults = document.querySelector('.search-results');
         this.currentSearchResults = [];
+        this.currentSearchQuery = '';
+        this.searchSuggestions = [];
+        this.searchErrors = [];
+        this.searchFilterQuery = '';
+        this.searchIndex = null;
 
         // Cost estimator state
         this.attorneyFeesEnabled = false;
         this.selectionModeEnabled = false;
         this.costSidebar = document.getElementById('costSidebar');
 
+        // Deadline calculator state
+        this.deadlinePanel = document.getElementById('deadlinePanel');
+
+        // Case tracker state
+        this.tracker = new CaseTracker(workspace.getActiveMatter().id);
+        this.trackerPanel = document.getElementById('trackerPanel');
+        this.trackerNodeId = null;
+        this.trackerStatus = null;
+
+        // Path explorer state
+        this.pathResults = [];
+        this.pathsShown = 0;
+
+        // Service tracker state
+        this.serviceTracker = new ServiceTracker(workspace.getActiveMatter().id);
+
+        // Matter workspace state
+        this.editingMatterId = null;
+
+        // Rule text library state
+        this.libraryPanel = document.getElementById('libraryPanel');
+        this.libraryCitations = [];
+
+        // Monte Carlo simulation state
+        this.simulation = null;
+
         this.setupEventListeners();
         this.setupKeyboardShortcuts();
         this.setupPhaseFilters();
         this.setupCostEstimatorListeners();
+        this.setupDeadlineCalculator();
+        this.setupProposalCalculator();
+        this.setupCaseTracker();
+        this.setupDashboard();
+        this.setupServiceTracker();
+        this.setupPathExplorer();
+        this.setupOutcomes();
+        this.setupRuleChanges();
+        this.setupRuleLibrary();
+        this.setupSimulation();
+        this.setupDecisionAnalysis();
+        this.setupCriticalPath();
+        this.setupWorkspace();
         this.updateStatistics();
     }
 
@@ -51,6 +153,32 @@ export class ControlsManager {
             this.chart.zoomOut();
         });
 
+        // View mode controls
+        document.getElementById('viewFlowchart')?.addEventListener('click', () => {
+            this.chart.setViewMode('flowchart');
+        });
+
+        document.getElementById('viewGantt')?.addEventListener('click', () => {
+            this.chart.setViewMode('gantt');
+        });
+
+        document.getElementById('viewSankey')?.addEventListener('click', () => {
+            this.chart.setViewMode('sankey');
+        });
+
+        document.getElementById('viewCompare')?.addEventListener('click', () => {
+            this.chart.setViewMode('compare');
+        });
+
+        this.renderComparisonOptions();
+        document.getElementById('compareJurisdiction')?.addEventListener('change', (e) => {
+            this.chart.setComparisonJurisdiction(e.target.value);
+        });
+
+        document.addEventListener('viewModeChange', (e) => {
+            this.updateViewModeButtons(e.detail.mode);
+        });
+
         // Export controls
         document.getElementById('exportPNG')?.addEventListener('click', () => {
             this.exportChart('png');
@@ -60,6 +188,10 @@ export class ControlsManager {
             this.exportChart('svg');
         });
 
+        document.getElementById('exportICS')?.addEventListener('click', () => {
+            this.exportCalendar();
+        });
+
         // Filter controls
         document.getElementById('showDocs')?.addEventListener('change', (e) => {
             this.chart.toggleLayer('documents');
@@ -73,6 +205,11 @@ export class ControlsManager {
             this.chart.toggleLayer('exceptions');
         });
 
+        // Upstream/downstream depth lit when a node is focused
+        document.getElementById('highlightDepth')?.addEventListener('change', (e) => {
+            this.chart.setHighlightDepth(e.target.value === 'all' ? Infinity : parseInt(e.target.value, 10));
+        });
+
         // Search
         if (this.searchInput) {
             this.searchInput.addEventListener('input', debounce((e) => {
@@ -80,11 +217,23 @@ export class ControlsManager {
             }, 300));
 
             this.searchInput.addEventListener('focus', () => {
-                if (this.currentSearchResults.length > 0) {
+                if (this.currentSearchResults.length > 0 || this.searchSuggestions.length > 0) {
                     this.searchResults.classList.add('active');
                 }
             });
 
+            // Tab accepts the first autocomplete suggestion
+            this.searchInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Tab' && this.searchSuggestions.length > 0) {
+                    e.preventDefault();
+                    this.applySearchSuggestion(this.searchSuggestions[0]);
+                }
+            });
+
+            document.getElementById('clearSearchFilter')?.addEventListener('click', () => {
+                this.clearSearchFilter();
+            });
+
             // Close search results on click outside
             document.addEventListener('click', (e) => {
                 if (!e.target.closest('.search-container')) {
@@ -105,6 +254,38 @@ export class ControlsManager {
         });
     }
 
+    /**
+     * Sync view mode button state with the chart
+     * @param {string} mode - 'flowchart', 'gantt', 'sankey' or 'compare'
+     */
+    updateViewModeButtons(mode) {
+        document.querySelectorAll('.view-mode-btn').forEach(btn => {
+            const isActive = btn.dataset.viewMode === mode;
+            btn.classList.toggle('active', isActive);
+            btn.setAttribute('aria-pressed', isActive);
+        });
+
+        const comparisonControls = document.getElementById('comparisonControls');
+        if (comparisonControls) {
+            comparisonControls.style.display = mode === 'compare' ? '' : 'none';
+        }
+    }
+
+    /**
+     * Populate the comparison dropdown with every pack other than the active one
+     */
+    renderComparisonOptions() {
+        const select = document.getElementById('compareJurisdiction');
+        if (!select) return;
+
+        const active = getActiveJurisdiction();
+        select.innerHTML = JURISDICTIONS
+            .filter(pack => pack.id !== active.id)
+            .map(pack => `<option value="${pack.id}">${escapeHTML(pack.name)}</option>`)
+            .join('');
+        select.value = this.chart.getComparisonJurisdiction().id;
+    }
+
     /**
      * Setup keyboard shortcuts
      */
@@ -140,21 +321,58 @@ export class ControlsManager {
         });
     }
 
+    /**
+     * Build the search index for the current workflow data, if needed
+     * @returns {Object} Index from buildSearchIndex
+     */
+    getSearchIndex() {
+        if (!this.searchIndex) {
+            this.searchIndex = buildSearchIndex({
+                nodes: NODES,
+                links: LINKS,
+                nodeGroups: NODE_GROUPS,
+                parallelProcesses: PARALLEL_PROCESSES
+            }, getActiveJurisdiction().citationSources);
+        }
+        return this.searchIndex;
+    }
+
+    /**
+     * Context for structured search filters (see SEARCH_FILTERS)
+     * @returns {Object} { phaseGroups, nodeGroups, hourlyRate }
+     */
+    getSearchContext() {
+        return {
+            phaseGroups: PHASE_GROUPS,
+            nodeGroups: NODE_GROUPS,
+            hourlyRate: this.chart.getAttorneyHourlyRate()
+        };
+    }
+
     /**
      * Handle search input
+     * Free text and field filters (owner:Paralegal, cost>1000) are parsed by
+     * parseSearchQuery; the last word is autocompleted.
      */
     handleSearch(query) {
+        this.currentSearchQuery = query || '';
         if (!query || query.trim() === '') {
             this.currentSearchResults = [];
+            this.searchSuggestions = [];
+            this.searchErrors = [];
             this.searchResults.classList.remove('active');
             this.renderSearchResults();
             return;
         }
 
-        this.currentSearchResults = searchNodes(NODES, query);
+        const context = this.getSearchContext();
+        const parsed = parseSearchQuery(query);
+        this.currentSearchResults = searchWorkflow(this.getSearchIndex(), parsed, context);
+        this.searchSuggestions = getSearchSuggestions(query, NODES, context);
+        this.searchErrors = parsed.errors;
         this.renderSearchResults();
 
-        if (this.currentSearchResults.length > 0) {
+        if (this.currentSearchResults.length > 0 || this.searchSuggestions.length > 0 || this.searchErrors.length > 0) {
             this.searchResults.classList.add('active');
         } else {
             this.searchResults.classList.remove('active');
@@ -162,31 +380,79 @@ export class ControlsManager {
     }
 
     /**
-     * Render search results
+     * Complete the query with an autocomplete suggestion and search again
+     * @param {Object} suggestion - Suggestion from getSearchSuggestions
+     */
+    applySearchSuggestion(suggestion) {
+        if (!this.searchInput) return;
+
+        this.searchInput.value = suggestion.query;
+        this.searchInput.focus();
+        this.handleSearch(suggestion.query);
+    }
+
+    /**
+     * Render autocomplete suggestions, query errors and search results (best
+     * match first, with matched words highlighted)
      */
     renderSearchResults() {
+        const suggestions = this.searchSuggestions.map((suggestion, index) => `
+            <div class="search-result-item search-suggestion" data-suggestion-index="${index}" role="option" tabindex="0">
+                <span class="search-suggestion-label">${escapeHTML(suggestion.label)}</span>
+                <span class="search-result-meta">${escapeHTML(suggestion.description)}</span>
+            </div>
+        `).join('');
+        const errors = this.searchErrors.map(error => `
+            <div class="search-result-item search-result-error" role="alert">${escapeHTML(error)}</div>
+        `).join('');
+
         if (this.currentSearchResults.length === 0) {
-            this.searchResults.innerHTML = '<div class="search-result-item">No results found</div>';
+            this.searchResults.innerHTML = `${suggestions}${errors}<div class="search-result-item">No results found</div>`;
+            this.bindSearchSuggestions();
             return;
         }
 
-        const html = this.currentSearchResults.map(node => {
-            const name = node.name.replace(/\n/g, ' ');
-            const meta = [node.rule, node.stage, node.owner].filter(Boolean).join(' • ');
+        const stepCount = this.currentSearchResults.filter(result => result.node).length;
+        const header = stepCount > 0 ? `
+            <div class="search-results-header">
+                <span>${stepCount} step${stepCount === 1 ? '' : 's'}</span>
+                <button type="button" class="search-apply-filter" aria-label="Show only these steps on the chart">Filter Chart</button>
+            </div>
+        ` : '';
+
+        const html = this.currentSearchResults.map((result, index) => {
+            const item = result.node || result.process;
+            const name = highlightTerms(cleanNodeName(item.name), result.terms);
+            const meta = [
+                item.rule && highlightTerms(item.rule, result.terms),
+                item.stage && highlightTerms(item.stage, result.terms),
+                result.node ? item.owner && highlightTerms(item.owner, result.terms) : 'Parallel process'
+            ].filter(Boolean).join(' • ');
+            const snippet = result.snippet ?
+                `<div class="search-result-snippet"><span class="search-result-field">${escapeHTML(result.snippet.label)}:</span> ${highlightTerms(result.snippet.text, result.terms)}</div>` :
+                '';
 
             return `
-                <div class="search-result-item" data-node-id="${node.id}" role="button" tabindex="0">
+                <div class="search-result-item" data-result-index="${index}" role="button" tabindex="0">
                     <div class="search-result-name">${name}</div>
                     <div class="search-result-meta">${meta}</div>
+                    ${snippet}
                 </div>
             `;
         }).join('');
 
-        this.searchResults.innerHTML = html;
+        this.searchResults.innerHTML = `${suggestions}${errors}${header}${html}`;
+        this.bindSearchSuggestions();
+
+        this.searchResults.querySelector('.search-apply-filter')?.addEventListener('click', () => {
+            this.applySearchFilter();
+        });
 
         // Add click handlers to results
-        this.searchResults.querySelectorAll('.search-result-item').forEach(item => {
-            const nodeId = parseInt(item.dataset.nodeId);
+        this.searchResults.querySelectorAll('[data-result-index]').forEach(item => {
+            const result = this.currentSearchResults[parseInt(item.dataset.resultIndex, 10)];
+            // Parallel processes are shown from the step where they become available
+            const nodeId = result.node ? result.node.id : result.process.availableFrom;
 
             const handleSelect = () => {
                 this.chart.highlightNodeAndPaths(nodeId);
@@ -205,6 +471,57 @@ export class ControlsManager {
         });
     }
 
+    /**
+     * Add click handlers to rendered autocomplete suggestions
+     */
+    bindSearchSuggestions() {
+        this.searchResults.querySelectorAll('[data-suggestion-index]').forEach(item => {
+            const suggestion = this.searchSuggestions[parseInt(item.dataset.suggestionIndex, 10)];
+            item.addEventListener('click', () => this.applySearchSuggestion(suggestion));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter') {
+                    this.applySearchSuggestion(suggestion);
+                }
+            });
+        });
+    }
+
+    /**
+     * Show only the steps in the current search results on the chart
+     */
+    applySearchFilter() {
+        const nodeIds = this.currentSearchResults.filter(result => result.node).map(result => result.node.id);
+        if (nodeIds.length === 0) return;
+
+        this.chart.setSearchFilter(nodeIds);
+        this.searchFilterQuery = this.currentSearchQuery.trim();
+        this.searchResults.classList.remove('active');
+        this.updateSearchFilterStatus();
+    }
+
+    /**
+     * Show every step on the chart again
+     */
+    clearSearchFilter() {
+        this.chart.setSearchFilter(null);
+        this.updateSearchFilterStatus();
+    }
+
+    /**
+     * Show or hide the applied search filter notice
+     */
+    updateSearchFilterStatus() {
+        const status = document.getElementById('searchFilterStatus');
+        const label = document.getElementById('searchFilterLabel');
+        const nodeIds = this.chart.getSearchFilter();
+        if (!status) return;
+
+        status.style.display = nodeIds ? 'flex' : 'none';
+        if (label && nodeIds) {
+            label.textContent = `Showing ${nodeIds.length} step${nodeIds.length === 1 ? '' : 's'} matching "${this.searchFilterQuery}"`;
+        }
+    }
+
     /**
      * Export chart
      */
@@ -216,11 +533,12 @@ export class ControlsManager {
             return;
         }
 
+        const { filePrefix } = getActiveJurisdiction();
         try {
             if (format === 'png') {
-                exportToPNG(svgElement, 'florida-civil-procedure.png');
+                exportToPNG(svgElement, `${filePrefix}.png`);
             } else if (format === 'svg') {
-                exportToSVG(svgElement, 'florida-civil-procedure.svg');
+                exportToSVG(svgElement, `${filePrefix}.svg`);
             }
         } catch (error) {
             console.error('Export failed:', error);
@@ -228,6 +546,35 @@ export class ControlsManager {
         }
     }
 
+    /**
+     * Export computed deadlines for the selected steps as an .ics calendar
+     */
+    exportCalendar() {
+        const selectedNodes = this.chart.getSelectedNodes();
+        if (selectedNodes.length === 0) {
+            alert('Enable Selection Mode and select the steps to export first.');
+            return;
+        }
+
+        const entries = selectedNodes
+            .map(node => this.chart.getDeadlineForNode(node.id))
+            .filter(Boolean)
+            .sort((a, b) => a.dueDate - b.dueDate);
+
+        if (entries.length === 0) {
+            alert('None of the selected steps has a computed due date. Use the Deadline Calculator first.');
+            return;
+        }
+
+        const { title, filePrefix } = getActiveJurisdiction();
+        try {
+            exportToICS(generateICS(entries, { calendarName: `${title} Deadlines`, uidDomain: filePrefix }), filePrefix);
+        } catch (error) {
+            console.error('Calendar export failed:', error);
+            alert('Calendar export failed. Please try again.');
+        }
+    }
+
     /**
      * Update statistics display
      */
@@ -265,10 +612,28 @@ export class ControlsManager {
      * Setup phase filter toggles
      */
     setupPhaseFilters() {
+        if (!document.getElementById('phaseToggles')) return;
+
+        this.renderPhaseToggles();
+
+        // Setup "All" and "None" buttons
+        document.getElementById('showAllPhases')?.addEventListener('click', () => {
+            this.setAllPhasesVisible(true);
+        });
+
+        document.getElementById('hideAllPhases')?.addEventListener('click', () => {
+            this.setAllPhasesVisible(false);
+        });
+    }
+
+    /**
+     * Render a toggle button for each phase group
+     */
+    renderPhaseToggles() {
         const phaseTogglesContainer = document.getElementById('phaseToggles');
         if (!phaseTogglesContainer) return;
 
-        // Render phase toggle buttons
+        phaseTogglesContainer.innerHTML = '';
         const phaseVisibility = this.chart.getPhaseVisibility();
 
         Object.entries(PHASE_GROUPS).forEach(([phaseId, phase]) => {
@@ -283,8 +648,8 @@ export class ControlsManager {
             toggle.title = phase.description;
 
             toggle.innerHTML = `
-                <span class="phase-toggle-icon">${phase.icon}</span>
-                <span class="phase-toggle-name">${phase.shortName}</span>
+                <span class="phase-toggle-icon">${escapeHTML(phase.icon)}</span>
+                <span class="phase-toggle-name">${escapeHTML(phase.shortName)}</span>
                 <span class="phase-toggle-count">${nodeCount}</span>
             `;
 
@@ -294,15 +659,6 @@ export class ControlsManager {
 
             phaseTogglesContainer.appendChild(toggle);
         });
-
-        // Setup "All" and "None" buttons
-        document.getElementById('showAllPhases')?.addEventListener('click', () => {
-            this.setAllPhasesVisible(true);
-        });
-
-        document.getElementById('hideAllPhases')?.addEventListener('click', () => {
-            this.setAllPhasesVisible(false);
-        });
     }
 
     /**
@@ -333,9 +689,10 @@ export class ControlsManager {
      * Show help modal
      */
     showHelp() {
+        const { title, rulesName } = getActiveJurisdiction();
         const helpContent = `
-            <h3>Florida Civil Procedure Workflow</h3>
-            <p>This interactive diagram shows the complete workflow of civil litigation in Florida.</p>
+            <h3>${title} Workflow</h3>
+            <p>This interactive diagram shows the complete workflow of civil litigation under the ${rulesName}.</p>
 
             <h4>Navigation:</h4>
             <ul>
@@ -438,6 +795,7 @@ export class ControlsManager {
         // Listen for cost update events from ChartRenderer
         document.addEventListener('costEstimatorUpdate', (e) => {
             this.updateCostEstimates(e.detail.selectedNodes);
+            this.saveMatterEstimatorState();
         });
     }
 
@@ -470,6 +828,18 @@ export class ControlsManager {
     handleHourlyRateChange(rate) {
         this.chart.setAttorneyHourlyRate(rate);
         this.updateCostEstimates(this.chart.getSelectedNodes());
+        this.saveMatterEstimatorState();
+
+        // Keep simulated spend and decision EVs in step with the rate
+        if (this.simulation) {
+            this.handleRunSimulation();
+        }
+        if (this.chart.decisionAnalysis) {
+            this.updateDecisionAnalysis();
+        }
+        if (this.chart.criticalPath?.metric.id === 'cost') {
+            this.updateCriticalPath();
+        }
     }
 
     /**
@@ -477,6 +847,11 @@ export class ControlsManager {
      * @param {boolean} enabled - Whether selection mode is enabled
      */
     handleSelectionModeToggle(enabled) {
+        // Selection mode and tracker mode both claim node clicks
+        if (enabled && this.chart.isTrackerEnabled()) {
+            this.setTrackerModeChecked(false);
+        }
+
         this.selectionModeEnabled = enabled;
         this.chart.toggleCostEstimatorMode();
 
@@ -504,6 +879,7 @@ export class ControlsManager {
     handleClearSelections() {
         this.chart.clearNodeSelections();
         this.updateCostEstimates([]);
+        this.saveMatterEstimatorState();
     }
 
     /**
@@ -589,11 +965,11 @@ export class ControlsManager {
         }
 
         listEl.innerHTML = selectedNodes.map(node => {
-            const name = node.name.replace(/\n/g, ' ');
+            const name = escapeHTML(cleanNodeName(node.name));
             return `
                 <li class="selected-node-item" data-node-id="${node.id}">
                     <span class="node-name">${name}</span>
-                    <span class="node-cost">${node.cost || 'n/a'}</span>
+                    <span class="node-cost">${escapeHTML(node.cost || 'n/a')}</span>
                     <button class="remove-node-btn" aria-label="Remove ${name} from selection">
                         &times;
                     </button>
@@ -609,4 +985,1855 @@ export class ControlsManager {
             });
         });
     }
+
+    // ============================================
+    // DEADLINE CALCULATOR METHODS
+    // ============================================
+
+    /**
+     * Setup deadline calculator inputs and listeners
+     */
+    setupDeadlineCalculator() {
+        if (!document.getElementById('deadlineAnchorNode')) return;
+
+        this.renderDeadlineAnchorOptions();
+
+        document.getElementById('calculateDeadlines')?.addEventListener('click', () => {
+            this.handleCalculateDeadlines();
+        });
+
+        document.getElementById('clearDeadlines')?.addEventListener('click', () => {
+            this.handleClearDeadlines();
+        });
+
+        const circuitSelect = document.getElementById('deadlineCircuit');
+        if (circuitSelect) {
+            circuitSelect.insertAdjacentHTML('beforeend', JUDICIAL_CIRCUITS.map(circuit => `
+                <option value="${circuit.id}">${circuit.name}</option>
+            `).join(''));
+        }
+
+        this.renderHolidayTableVersion();
+
+        document.getElementById('addClosure')?.addEventListener('click', () => {
+            this.handleAddClosure();
+        });
+
+        this.loadCustomClosures();
+        this.renderClosureList();
+    }
+
+    /**
+     * List the steps a deadline schedule can be anchored on
+     */
+    renderDeadlineAnchorOptions() {
+        const anchorSelect = document.getElementById('deadlineAnchorNode');
+        if (!anchorSelect) return;
+
+        anchorSelect.innerHTML = getDeadlineAnchorNodes().map(node => `
+            <option value="${node.id}">${escapeHTML(cleanNodeName(node.name))}${node.rule ? ` (${escapeHTML(node.rule)})` : ''}</option>
+        `).join('');
+    }
+
+    /**
+     * Show the holiday table version and the active jurisdiction's holiday calendar
+     */
+    renderHolidayTableVersion() {
+        const versionLabel = document.getElementById('holidayTableVersion');
+        if (versionLabel) {
+            versionLabel.textContent = `Holiday table v${HOLIDAY_TABLE_VERSION} (${getHolidayCalendar().name})`;
+        }
+    }
+
+    /**
+     * Get the selected circuit for local closures
+     * @returns {number|null} Circuit number, or null for statewide only
+     */
+    getSelectedCircuit() {
+        const value = document.getElementById('deadlineCircuit')?.value;
+        return value ? parseInt(value, 10) : null;
+    }
+
+    /**
+     * Restore ad-hoc court closures from localStorage
+     * Closures are saved per jurisdiction; a saved list from before that is
+     * restored as Florida closures.
+     */
+    loadCustomClosures() {
+        try {
+            const saved = localStorage.getItem(CLOSURES_STORAGE_KEY);
+            if (saved) {
+                const parsed = JSON.parse(saved);
+                const byJurisdiction = Array.isArray(parsed) ? { florida: parsed } : parsed;
+                JURISDICTIONS.forEach(pack => setCustomClosures(byJurisdiction[pack.id], pack.id));
+            }
+        } catch (error) {
+            console.warn('Unable to restore court closures:', error);
+        }
+    }
+
+    /**
+     * Persist ad-hoc court closures to localStorage
+     */
+    saveCustomClosures() {
+        try {
+            const byJurisdiction = Object.fromEntries(JURISDICTIONS.map(pack => [pack.id, getCustomClosures(pack.id)]));
+            localStorage.setItem(CLOSURES_STORAGE_KEY, JSON.stringify(byJurisdiction));
+        } catch (error) {
+            console.warn('Unable to save court closures:', error);
+        }
+    }
+
+    /**
+     * Add an ad-hoc court closure from the closure inputs
+     */
+    handleAddClosure() {
+        const dateInput = document.getElementById('closureDate');
+        const nameInput = document.getElementById('closureName');
+        if (!dateInput?.value) {
+            alert('Please enter the date the court is closed.');
+            return;
+        }
+
+        const added = addClosureDate({
+            date: dateInput.value,
+            name: nameInput?.value.trim() || 'Court closure',
+            circuit: this.getSelectedCircuit()
+        });
+
+        if (added) {
+            dateInput.value = '';
+            if (nameInput) nameInput.value = '';
+            this.saveCustomClosures();
+            this.renderClosureList();
+            this.recalculateDeadlines();
+        }
+    }
+
+    /**
+     * Render the active jurisdiction's ad-hoc court closures
+     */
+    renderClosureList() {
+        const listEl = document.getElementById('closureList');
+        if (!listEl) return;
+
+        listEl.innerHTML = getCustomClosures().map(closure => {
+            const circuit = JUDICIAL_CIRCUITS.find(c => c.id === closure.circuit);
+            return `
+                <li class="closure-item" data-date="${escapeHTML(closure.date)}" data-circuit="${escapeHTML(closure.circuit || '')}">
+                    <span>${escapeHTML(closure.date)} - ${escapeHTML(closure.name)}${circuit ? ` (${circuit.name})` : ''}</span>
+                    <button class="remove-node-btn" aria-label="Remove closure on ${escapeHTML(closure.date)}">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        listEl.querySelectorAll('.remove-node-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const item = e.target.closest('li');
+                removeClosureDate(item.dataset.date, item.dataset.circuit ? parseInt(item.dataset.circuit, 10) : null);
+                this.saveCustomClosures();
+                this.renderClosureList();
+                this.recalculateDeadlines();
+            });
+        });
+    }
+
+    /**
+     * Recompute deadlines if a schedule is currently shown
+     */
+    recalculateDeadlines() {
+        if (this.deadlinePanel?.style.display === 'block') {
+            this.handleCalculateDeadlines();
+        }
+    }
+
+    /**
+     * Compute deadlines from the anchor inputs
+     */
+    handleCalculateDeadlines() {
+        const anchorNodeId = parseInt(document.getElementById('deadlineAnchorNode')?.value, 10);
+        const anchorDate = document.getElementById('deadlineAnchorDate')?.value;
+        const mailService = document.getElementById('deadlineMailService')?.checked || false;
+
+        if (!anchorDate) {
+            alert('Please enter the date of the anchor event.');
+            return;
+        }
+
+        const schedule = computeDeadlineSchedule({ [anchorNodeId]: anchorDate }, {
+            mailService,
+            circuit: this.getSelectedCircuit()
+        });
+        this.chart.setDeadlineSchedule(schedule);
+        this.renderDeadlinePanel(schedule, anchorNodeId, anchorDate);
+        this.renderDashboard();
+
+        this.workspace.updateMatter(this.workspace.getActiveMatter().id, {
+            deadlineAnchor: { nodeId: anchorNodeId, date: anchorDate, mailService, circuit: this.getSelectedCircuit() }
+        });
+
+        const clearBtn = document.getElementById('clearDeadlines');
+        if (clearBtn) {
+            clearBtn.style.display = 'inline-flex';
+        }
+    }
+
+    /**
+     * Clear computed deadlines
+     */
+    handleClearDeadlines() {
+        this.chart.setDeadlineSchedule([]);
+        this.renderDashboard();
+        this.workspace.updateMatter(this.workspace.getActiveMatter().id, { deadlineAnchor: null });
+
+        if (this.deadlinePanel) {
+            this.deadlinePanel.style.display = 'none';
+        }
+
+        const clearBtn = document.getElementById('clearDeadlines');
+        if (clearBtn) {
+            clearBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * Render the computed deadlines panel
+     * @param {Array} schedule - Schedule entries from computeDeadlineSchedule
+     * @param {number} anchorNodeId - Node ID of the anchor event
+     * @param {string} anchorDate - ISO date of the anchor event
+     */
+    renderDeadlinePanel(schedule, anchorNodeId, anchorDate) {
+        const tableBody = document.getElementById('deadlineTableBody');
+        const summary = document.getElementById('deadlineSummary');
+        if (!this.deadlinePanel || !tableBody) return;
+
+        const anchorNode = NODES.find(node => node.id === anchorNodeId);
+
+        if (summary) {
+            summary.textContent = `${schedule.length} strict deadline${schedule.length === 1 ? '' : 's'} computed from ` +
+                `${anchorNode ? cleanNodeName(anchorNode.name) : 'anchor event'} on ${anchorDate}. ` +
+                'Projected dates chain from earlier computed deadlines rather than actual event dates.';
+        }
+
+        if (schedule.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="5" class="no-selection">No strict deadlines run from this event.</td></tr>';
+        } else {
+            tableBody.innerHTML = schedule.map(entry => {
+                const trigger = NODES.find(node => node.id === entry.triggerNodeId);
+                const direction = entry.direction === 'before' ? 'before' : 'after';
+                const skipped = escapeHTML(entry.skippedHolidays.map(holiday => holiday.name).join(', '));
+                const notes = [
+                    entry.projected ? 'Projected' : '',
+                    entry.mailDaysAdded ? `+${entry.mailDaysAdded} days mail service` : '',
+                    entry.extended ? `Rolled past ${skipped || 'weekend'}` : ''
+                ].filter(Boolean).join(' • ');
+
+                return `
+                    <tr class="deadline-row ${entry.projected ? 'projected' : ''}" data-node-id="${entry.nodeId}" role="button" tabindex="0">
+                        <td class="deadline-date">${formatDisplayDate(entry.dueDate)}</td>
+                        <td>${escapeHTML(cleanNodeName(entry.node.name))}</td>
+                        <td>${escapeHTML(entry.node.rule || '')}</td>
+                        <td>${entry.days} days ${direction} ${trigger ? escapeHTML(cleanNodeName(trigger.name)) : ''}</td>
+                        <td class="deadline-notes">${notes}</td>
+                    </tr>
+                `;
+            }).join('');
+
+            tableBody.querySelectorAll('.deadline-row').forEach(row => {
+                const nodeId = parseInt(row.dataset.nodeId, 10);
+                row.addEventListener('click', () => this.chart.highlightNodeAndPaths(nodeId));
+                row.addEventListener('keydown', (e) => {
+                    if (e.key === 'Enter') {
+                        this.chart.highlightNodeAndPaths(nodeId);
+                    }
+                });
+            });
+        }
+
+        this.deadlinePanel.style.display = 'block';
+    }
+
+    // ============================================
+    // PROPOSAL FOR SETTLEMENT METHODS
+    // ============================================
+
+    /**
+     * Setup the proposal for settlement window calculator
+     */
+    setupProposalCalculator() {
+        document.getElementById('proposalOfferee')?.addEventListener('change', (e) => {
+            this.updateProposalServiceLabel(e.target.value);
+        });
+
+        document.getElementById('calculateProposalWindow')?.addEventListener('click', () => {
+            this.handleCalculateProposalWindow();
+        });
+
+        document.getElementById('clearProposalWindow')?.addEventListener('click', () => {
+            this.handleClearProposalWindow();
+        });
+    }
+
+    /**
+     * Relabel the start date input for the offeree
+     * Proposals to a defendant run from service of process; to a plaintiff, from filing
+     * @param {string} offeree - 'defendant' or 'plaintiff'
+     */
+    updateProposalServiceLabel(offeree) {
+        const label = document.getElementById('proposalServiceLabel');
+        if (label) {
+            label.textContent = offeree === 'plaintiff' ? 'Filing Date:' : 'Service Date:';
+        }
+    }
+
+    /**
+     * Read the proposal calculator inputs
+     * @returns {Object} { offeree, serviceDate, trialDate, docketDate, proposalServedDate }
+     */
+    getProposalInputs() {
+        return {
+            offeree: document.getElementById('proposalOfferee')?.value || 'defendant',
+            serviceDate: document.getElementById('proposalServiceDate')?.value || '',
+            trialDate: document.getElementById('proposalTrialDate')?.value || '',
+            docketDate: document.getElementById('proposalDocketDate')?.value || '',
+            proposalServedDate: document.getElementById('proposalServedDate')?.value || ''
+        };
+    }
+
+    /**
+     * Compute the proposal window from the inputs
+     */
+    handleCalculateProposalWindow() {
+        const inputs = this.getProposalInputs();
+
+        if (!inputs.serviceDate) {
+            alert(inputs.offeree === 'plaintiff' ?
+                'Please enter the date the action was filed.' :
+                'Please enter the date of service of process on the defendant.');
+            return;
+        }
+
+        const result = computeProposalWindow(inputs, {
+            mailService: document.getElementById('deadlineMailService')?.checked || false,
+            circuit: this.getSelectedCircuit()
+        });
+
+        this.chart.setProposalWindow(result);
+        this.renderProposalResult(result);
+        this.workspace.updateMatter(this.workspace.getActiveMatter().id, { proposalInputs: inputs });
+
+        const clearBtn = document.getElementById('clearProposalWindow');
+        if (clearBtn) {
+            clearBtn.style.display = 'inline-flex';
+        }
+    }
+
+    /**
+     * Clear the computed proposal window
+     */
+    handleClearProposalWindow() {
+        this.chart.setProposalWindow(null);
+        this.renderProposalResult(null);
+        this.workspace.updateMatter(this.workspace.getActiveMatter().id, { proposalInputs: null });
+
+        const clearBtn = document.getElementById('clearProposalWindow');
+        if (clearBtn) {
+            clearBtn.style.display = 'none';
+        }
+    }
+
+    /**
+     * Restore a matter's proposal calculator inputs and recompute its window
+     * @param {Object|null} inputs - { offeree, serviceDate, trialDate, docketDate, proposalServedDate }
+     */
+    applyProposalInputs(inputs) {
+        const values = inputs || { offeree: 'defendant' };
+        document.getElementById('proposalOfferee').value = values.offeree || 'defendant';
+        ['serviceDate', 'trialDate', 'docketDate', 'proposalServedDate'].forEach(field => {
+            const input = document.getElementById(`proposal${field.charAt(0).toUpperCase()}${field.slice(1)}`);
+            if (input) {
+                input.value = values[field] || '';
+            }
+        });
+        this.updateProposalServiceLabel(values.offeree);
+
+        if (inputs) {
+            this.handleCalculateProposalWindow();
+        } else {
+            this.handleClearProposalWindow();
+        }
+    }
+
+    /**
+     * Render the computed proposal window summary
+     * @param {Object|null} result - Result of computeProposalWindow
+     */
+    renderProposalResult(result) {
+        const container = document.getElementById('proposalResult');
+        if (!container) return;
+
+        if (!result) {
+            container.innerHTML = '';
+            container.className = 'proposal-result';
+            return;
+        }
+
+        const lines = [
+            `<strong>${PROPOSAL_WINDOW_STATUS[result.status]}:</strong> ` +
+            `serve no earlier than ${formatDisplayDate(result.opens)}` +
+            (result.closes ? ` and no later than ${formatDisplayDate(result.closes)}` : '')
+        ];
+        if (result.acceptance) {
+            lines.push(`Acceptance deadline for the served proposal: ${formatDisplayDate(result.acceptance.dueDate)}` +
+                (result.acceptance.extended ? ' (extended past a weekend/holiday)' : ''));
+        }
+        result.warnings.forEach(warning => lines.push(`⚠️ ${warning}`));
+
+        container.className = `proposal-result window-${result.status}`;
+        container.innerHTML = lines.map(line => `<div>${line}</div>`).join('');
+    }
+
+    // ============================================
+    // CASE TRACKER METHODS
+    // ============================================
+
+    /**
+     * Setup case tracker controls and the progress editor
+     */
+    setupCaseTracker() {
+        this.chart.setTracker(this.tracker);
+
+        document.getElementById('enableTrackerMode')?.addEventListener('change', (e) => {
+            this.handleTrackerModeToggle(e.target.checked);
+        });
+
+        document.getElementById('clearTracker')?.addEventListener('click', () => {
+            this.handleClearTracker();
+        });
+
+        const statusButtons = document.getElementById('trackerStatusButtons');
+        if (statusButtons) {
+            statusButtons.innerHTML = TRACKER_STATUSES.map(status => `
+                <button type="button" class="tracker-status-btn secondary" role="radio" aria-checked="false" data-status="${status.id}">
+                    ${status.icon} ${status.label}
+                </button>
+            `).join('');
+
+            statusButtons.addEventListener('click', (e) => {
+                const button = e.target.closest('.tracker-status-btn');
+                if (button) {
+                    this.setEditorStatus(button.dataset.status);
+                }
+            });
+        }
+
+        document.getElementById('saveTrackerEntry')?.addEventListener('click', () => {
+            this.handleSaveTrackerEntry();
+        });
+
+        document.getElementById('closeTrackerPanel')?.addEventListener('click', () => {
+            this.closeTrackerPanel();
+        });
+
+        // Listen for node clicks from ChartRenderer while tracker mode is on
+        document.addEventListener('trackerNodeSelect', (e) => {
+            this.openTrackerPanel(e.detail.node);
+        });
+
+        this.updateTrackerSummary();
+    }
+
+    /**
+     * Handle tracker mode toggle
+     * @param {boolean} enabled - Whether tracker mode is enabled
+     */
+    handleTrackerModeToggle(enabled) {
+        if (enabled && this.selectionModeEnabled) {
+            const selectionToggle = document.getElementById('enableSelectionMode');
+            if (selectionToggle) {
+                selectionToggle.checked = false;
+            }
+            this.handleSelectionModeToggle(false);
+        }
+
+        this.chart.setTrackerMode(enabled);
+        document.getElementById('chart')?.classList.toggle('tracker-mode', enabled);
+
+        if (!enabled) {
+            this.closeTrackerPanel();
+        }
+    }
+
+    /**
+     * Set the tracker mode checkbox and apply the change
+     * @param {boolean} enabled - Whether tracker mode is enabled
+     */
+    setTrackerModeChecked(enabled) {
+        const trackerToggle = document.getElementById('enableTrackerMode');
+        if (trackerToggle) {
+            trackerToggle.checked = enabled;
+        }
+        this.handleTrackerModeToggle(enabled);
+    }
+
+    /**
+     * Open the progress editor for a node
+     * @param {Object} node - Node data
+     */
+    openTrackerPanel(node) {
+        if (!this.trackerPanel) return;
+
+        const entry = this.tracker.getEntry(node.id);
+        this.trackerNodeId = node.id;
+
+        const title = document.getElementById('trackerNodeName');
+        if (title) {
+            title.textContent = cleanNodeName(node.name);
+        }
+        document.getElementById('trackerActualStart').value = entry.actualStart;
+        document.getElementById('trackerActualEnd').value = entry.actualEnd;
+        document.getElementById('trackerDueDate').value = entry.dueDate;
+        document.getElementById('trackerNotes').value = entry.notes;
+        this.setEditorStatus(entry.status);
+
+        this.trackerPanel.style.display = 'block';
+    }
+
+    /**
+     * Close the progress editor
+     */
+    closeTrackerPanel() {
+        this.trackerNodeId = null;
+        if (this.trackerPanel) {
+            this.trackerPanel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Mark a status as chosen in the progress editor
+     * @param {string} statusId - Status identifier
+     */
+    setEditorStatus(statusId) {
+        this.trackerStatus = statusId;
+        document.querySelectorAll('.tracker-status-btn').forEach(button => {
+            const active = button.dataset.status === statusId;
+            button.classList.toggle('active', active);
+            button.setAttribute('aria-checked', String(active));
+        });
+    }
+
+    /**
+     * Save the progress editor contents for the current node
+     */
+    handleSaveTrackerEntry() {
+        if (this.trackerNodeId === null) return;
+
+        try {
+            this.tracker.updateEntry(this.trackerNodeId, {
+                status: this.trackerStatus,
+                actualStart: document.getElementById('trackerActualStart').value,
+                actualEnd: document.getElementById('trackerActualEnd').value,
+                dueDate: document.getElementById('trackerDueDate').value,
+                notes: document.getElementById('trackerNotes').value.trim()
+            });
+        } catch (error) {
+            console.error('Failed to save case progress:', error);
+            alert(`Unable to save progress: ${error.message}`);
+            return;
+        }
+
+        this.chart.updateNodeProgressVisuals(this.trackerNodeId);
+        this.updateTrackerSummary();
+        this.renderDashboard();
+        this.closeTrackerPanel();
+    }
+
+    /**
+     * Handle clearing all progress for the current matter
+     */
+    handleClearTracker() {
+        if (!confirm('Clear all recorded progress for this matter?')) return;
+
+        this.tracker.clear();
+        this.chart.updateAllProgressVisuals();
+        this.updateTrackerSummary();
+        this.renderDashboard();
+        this.closeTrackerPanel();
+    }
+
+    /**
+     * Update the progress summary (counts by status)
+     */
+    updateTrackerSummary() {
+        const summary = document.getElementById('trackerSummary');
+        if (!summary) return;
+
+        const counts = this.tracker.getProgress(NODES);
+        summary.textContent = TRACKER_STATUSES
+            .filter(status => status.id !== 'not-started')
+            .map(status => `${status.icon} ${counts[status.id]} ${status.label.toLowerCase()}`)
+            .join(' • ');
+    }
+
+    // ============================================
+    // MATTER WORKSPACE METHODS
+    // ============================================
+
+    /**
+     * Setup the matter workspace bar and details editor
+     */
+    setupWorkspace() {
+        const form = document.getElementById('matterForm');
+        if (form) {
+            form.insertAdjacentHTML('afterbegin', MATTER_FIELDS.map(field => `
+                <div class="deadline-field">
+                    <label for="matter-${field.id}">${field.label}:</label>
+                    <input type="text" id="matter-${field.id}" name="${field.id}" placeholder="${field.placeholder}">
+                </div>
+            `).join(''));
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                this.handleSaveMatter();
+            });
+        }
+
+        document.getElementById('matterSelect')?.addEventListener('change', (e) => {
+            this.switchMatter(e.target.value);
+        });
+
+        document.getElementById('showArchivedMatters')?.addEventListener('change', () => {
+            this.renderMatterList();
+        });
+
+        document.getElementById('newMatter')?.addEventListener('click', () => {
+            this.openMatterPanel(null);
+        });
+
+        document.getElementById('editMatter')?.addEventListener('click', () => {
+            this.openMatterPanel(this.workspace.getActiveMatter());
+        });
+
+        document.getElementById('duplicateMatter')?.addEventListener('click', () => {
+            this.handleDuplicateMatter();
+        });
+
+        document.getElementById('archiveMatter')?.addEventListener('click', () => {
+            this.handleArchiveMatter();
+        });
+
+        document.getElementById('deleteMatter')?.addEventListener('click', () => {
+            this.handleDeleteMatter();
+        });
+
+        document.getElementById('closeMatterPanel')?.addEventListener('click', () => {
+            this.closeMatterPanel();
+        });
+
+        document.getElementById('exportWorkspace')?.addEventListener('click', () => {
+            exportToJSON(this.workspace.exportJSON(), getActiveJurisdiction().filePrefix, 'workspace');
+        });
+
+        const fileInput = document.getElementById('importWorkspaceFile');
+        document.getElementById('importWorkspace')?.addEventListener('click', () => {
+            fileInput?.click();
+        });
+        fileInput?.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleImportWorkspace(file);
+            }
+            e.target.value = '';
+        });
+
+        this.applyActiveMatter();
+    }
+
+    /**
+     * Load the active matter's progress, selections and hourly rate into the UI
+     */
+    applyActiveMatter() {
+        const matter = this.workspace.getActiveMatter();
+
+        this.tracker.setMatter(matter.id);
+        this.chart.updateAllProgressVisuals();
+        this.updateTrackerSummary();
+        this.closeTrackerPanel();
+
+        const hourlyRateInput = document.getElementById('hourlyRate');
+        if (hourlyRateInput) {
+            hourlyRateInput.value = matter.hourlyRate;
+        }
+        this.chart.setAttorneyHourlyRate(matter.hourlyRate);
+        this.chart.setSelectedNodes(matter.selections);
+
+        this.applyDeadlineAnchor(matter.deadlineAnchor);
+        if (getActiveJurisdiction().features.proposalForSettlement) {
+            this.applyProposalInputs(matter.proposalInputs);
+        } else {
+            // Keep the matter's inputs for when the Florida pack is active again
+            this.chart.setProposalWindow(null);
+            this.renderProposalResult(null);
+        }
+
+        this.serviceTracker.setMatter(matter.id);
+        this.renderServiceTracker();
+        this.renderMatterList();
+    }
+
+    /**
+     * Restore a matter's deadline calculator inputs and recompute its schedule
+     * @param {Object|null} anchor - { nodeId, date, mailService, circuit }
+     */
+    applyDeadlineAnchor(anchor) {
+        if (!anchor) {
+            document.getElementById('deadlineAnchorDate').value = '';
+            this.handleClearDeadlines();
+            return;
+        }
+
+        // The anchor step is not in the loaded workflow; keep the matter's anchor for when it is
+        if (!getDeadlineAnchorNodes().some(node => node.id === anchor.nodeId)) {
+            this.chart.setDeadlineSchedule([]);
+            if (this.deadlinePanel) {
+                this.deadlinePanel.style.display = 'none';
+            }
+            return;
+        }
+
+        document.getElementById('deadlineAnchorNode').value = anchor.nodeId;
+        document.getElementById('deadlineAnchorDate').value = anchor.date;
+        document.getElementById('deadlineMailService').checked = Boolean(anchor.mailService);
+        document.getElementById('deadlineCircuit').value = anchor.circuit || '';
+        this.handleCalculateDeadlines();
+    }
+
+    /**
+     * Switch to another matter
+     * @param {string} matterId - Matter identifier
+     */
+    switchMatter(matterId) {
+        this.workspace.setActiveMatter(matterId);
+        this.applyActiveMatter();
+    }
+
+    /**
+     * Save the current cost-estimator selections and hourly rate to the active matter
+     */
+    saveMatterEstimatorState() {
+        const matter = this.workspace?.getActiveMatter();
+        if (!matter) return;
+
+        this.workspace.updateMatter(matter.id, {
+            selections: this.chart.getSelectedNodes().map(node => node.id),
+            hourlyRate: this.chart.getAttorneyHourlyRate()
+        });
+    }
+
+    /**
+     * Render the matter dropdown and active matter details
+     */
+    renderMatterList() {
+        const select = document.getElementById('matterSelect');
+        const active = this.workspace.getActiveMatter();
+        const includeArchived = document.getElementById('showArchivedMatters')?.checked || false;
+
+        if (select) {
+            const matters = this.workspace.getMatters({ includeArchived });
+            // Keep an archived active matter visible even when archived matters are hidden
+            if (!matters.some(matter => matter.id === active.id)) {
+                matters.push(active);
+            }
+
+            // Captions are user-entered, so build options as text rather than HTML
+            select.replaceChildren(...matters.map(matter => new Option(
+                `${matter.caption}${matter.caseNumber ? ` - ${matter.caseNumber}` : ''}${matter.archived ? ' (archived)' : ''}`,
+                matter.id,
+                false,
+                matter.id === active.id
+            )));
+        }
+
+        const details = document.getElementById('matterDetails');
+        if (details) {
+            details.textContent = [active.court, active.parties].filter(Boolean).join(' • ');
+        }
+
+        const archiveBtn = document.getElementById('archiveMatter');
+        if (archiveBtn) {
+            archiveBtn.textContent = active.archived ? '📤 Restore' : '🗄️ Archive';
+        }
+    }
+
+    /**
+     * Open the matter details editor
+     * @param {Object|null} matter - Matter to edit, or null to create a new one
+     */
+    openMatterPanel(matter) {
+        const panel = document.getElementById('matterPanel');
+        if (!panel) return;
+
+        this.editingMatterId = matter ? matter.id : null;
+        document.getElementById('matterPanelTitle').textContent = matter ? 'Edit Matter' : 'New Matter';
+        MATTER_FIELDS.forEach(field => {
+            document.getElementById(`matter-${field.id}`).value = matter ? matter[field.id] : '';
+        });
+
+        panel.style.display = 'block';
+        document.getElementById(`matter-${MATTER_FIELDS[0].id}`).focus();
+    }
+
+    /**
+     * Close the matter details editor
+     */
+    closeMatterPanel() {
+        this.editingMatterId = null;
+        const panel = document.getElementById('matterPanel');
+        if (panel) {
+            panel.style.display = 'none';
+        }
+    }
+
+    /**
+     * Save the matter details editor (create or update)
+     */
+    handleSaveMatter() {
+        const fields = {};
+        MATTER_FIELDS.forEach(field => {
+            fields[field.id] = document.getElementById(`matter-${field.id}`).value.trim();
+        });
+
+        if (!fields.caption) {
+            alert('Please enter a caption for the matter.');
+            return;
+        }
+
+        if (this.editingMatterId) {
+            this.workspace.updateMatter(this.editingMatterId, fields);
+            this.renderMatterList();
+        } else {
+            this.switchMatter(this.workspace.createMatter(fields).id);
+        }
+        this.closeMatterPanel();
+    }
+
+    /**
+     * Duplicate the active matter and switch to the copy
+     */
+    handleDuplicateMatter() {
+        const copy = this.workspace.duplicateMatter(this.workspace.getActiveMatter().id);
+        this.switchMatter(copy.id);
+    }
+
+    /**
+     * Archive or restore the active matter
+     */
+    handleArchiveMatter() {
+        const matter = this.workspace.getActiveMatter();
+        this.workspace.setArchived(matter.id, !matter.archived);
+        this.applyActiveMatter();
+    }
+
+    /**
+     * Delete the active matter after confirmation
+     */
+    handleDeleteMatter() {
+        const matter = this.workspace.getActiveMatter();
+        if (!confirm(`Delete "${matter.caption}" and all of its recorded progress? This cannot be undone.`)) return;
+
+        this.workspace.deleteMatter(matter.id);
+        this.applyActiveMatter();
+    }
+
+    /**
+     * Replace the workspace with matters from an exported JSON file
+     * @param {File} file - Workspace JSON file
+     */
+    handleImportWorkspace(file) {
+        if (!confirm('Importing replaces every matter in this workspace. Continue?')) return;
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            try {
+                const count = this.workspace.importJSON(reader.result);
+                this.applyActiveMatter();
+                alert(`Imported ${count} matter${count === 1 ? '' : 's'}.`);
+            } catch (error) {
+                console.error('Workspace import failed:', error);
+                alert(`Unable to import workspace: ${error.message}`);
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // ============================================
+    // DEADLINE DASHBOARD METHODS
+    // ============================================
+
+    /**
+     * Setup the upcoming and overdue deadlines dashboard
+     */
+    setupDashboard() {
+        document.getElementById('dashboardLimit')?.addEventListener('change', () => {
+            this.renderDashboard();
+        });
+
+        ['dashboardStrict', 'dashboardOther'].forEach(listId => {
+            const list = document.getElementById(listId);
+            list?.addEventListener('click', (e) => {
+                const item = e.target.closest('.dashboard-item');
+                if (item) {
+                    this.chart.highlightNodeAndPaths(parseInt(item.dataset.nodeId, 10));
+                }
+            });
+            list?.addEventListener('keydown', (e) => {
+                const item = e.target.closest('.dashboard-item');
+                if (item && e.key === 'Enter') {
+                    this.chart.highlightNodeAndPaths(parseInt(item.dataset.nodeId, 10));
+                }
+            });
+        });
+    }
+
+    /**
+     * Render the dashboard for the active matter
+     */
+    renderDashboard() {
+        const limit = parseInt(document.getElementById('dashboardLimit')?.value, 10) || DEFAULT_DASHBOARD_LIMIT;
+        const { strict, other } = buildDeadlineDashboard({
+            schedule: this.chart.getDeadlineSchedule(),
+            tracker: this.tracker
+        }, { limit });
+
+        this.renderDashboardList('dashboardStrict', strict, 'No open strict deadlines.');
+        this.renderDashboardList('dashboardOther', other, 'No recorded flexible or court-set dates.');
+
+        const summary = document.getElementById('dashboardSummary');
+        if (summary) {
+            const overdue = [...strict, ...other].filter(item => item.urgency.id === 'overdue').length;
+            summary.textContent = strict.length + other.length === 0 ?
+                'Compute deadlines or record due dates in Tracker Mode to see them here.' :
+                `${overdue} overdue. Computed dates come from the Deadline Calculator; recorded dates from Tracker Mode.`;
+        }
+    }
+
+    /**
+     * Render one dashboard list
+     * @param {string} listId - List element ID
+     * @param {Array} items - Dashboard items from buildDeadlineDashboard
+     * @param {string} emptyMessage - Message shown when there are no items
+     */
+    renderDashboardList(listId, items, emptyMessage) {
+        const list = document.getElementById(listId);
+        if (!list) return;
+
+        if (items.length === 0) {
+            list.innerHTML = `<li class="no-selection">${emptyMessage}</li>`;
+            return;
+        }
+
+        list.innerHTML = items.map(item => {
+            const days = Math.abs(item.daysRemaining);
+            const timing = item.daysRemaining < 0 ? `${days} day${days === 1 ? '' : 's'} overdue` :
+                item.daysRemaining === 0 ? 'Due today' :
+                `In ${days} day${days === 1 ? '' : 's'}`;
+            const source = item.source === 'recorded' ? 'Recorded' : item.projected ? 'Projected' : 'Computed';
+
+            return `
+                <li class="dashboard-item urgency-${item.urgency.id}" data-node-id="${item.node.id}" role="button" tabindex="0"
+                    title="${item.urgency.label}">
+                    <span class="dashboard-date">${formatDisplayDate(item.dueDate)}</span>
+                    <span class="dashboard-name">${escapeHTML(cleanNodeName(item.node.name))}${item.node.rule ? ` (${escapeHTML(item.node.rule)})` : ''}</span>
+                    <span class="dashboard-meta">${timing} • ${source}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // ============================================
+    // SERVICE TRACKER METHODS
+    // ============================================
+
+    /**
+     * Setup the Rule 1.070(j) service tracker
+     */
+    setupServiceTracker() {
+        document.getElementById('serviceFilingDate')?.addEventListener('change', (e) => {
+            this.runServiceUpdate(() => this.serviceTracker.setFilingDate(e.target.value));
+        });
+
+        const nameInput = document.getElementById('serviceDefendantName');
+        const addDefendant = () => {
+            this.runServiceUpdate(() => this.serviceTracker.addDefendant(nameInput.value));
+            nameInput.value = '';
+        };
+        document.getElementById('addDefendant')?.addEventListener('click', addDefendant);
+        nameInput?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                addDefendant();
+            }
+        });
+
+        const tableBody = document.getElementById('serviceTableBody');
+        tableBody?.addEventListener('change', (e) => {
+            const row = e.target.closest('.service-row');
+            if (!row || !e.target.dataset.field) return;
+
+            this.runServiceUpdate(() => this.serviceTracker.updateDefendant(row.dataset.defendantId, {
+                [e.target.dataset.field]: e.target.value
+            }));
+        });
+        tableBody?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const defendantId = button.closest('[data-defendant-id]').dataset.defendantId;
+            this.handleServiceAction(button.dataset.action, defendantId, button);
+        });
+    }
+
+    /**
+     * Apply a service tracker change and re-render, reporting validation errors
+     * @param {Function} update - Change to apply
+     */
+    runServiceUpdate(update) {
+        try {
+            update();
+        } catch (error) {
+            alert(error.message);
+        }
+        this.renderServiceTracker();
+    }
+
+    /**
+     * Handle a button in the service tracker table
+     * @param {string} action - Action name from the button's data-action
+     * @param {string} defendantId - Defendant identifier
+     * @param {HTMLElement} button - Button clicked
+     */
+    handleServiceAction(action, defendantId, button) {
+        switch (action) {
+            case 'toggle-extension': {
+                const formRow = document.querySelector(`.extension-form-row[data-defendant-id="${defendantId}"]`);
+                if (formRow) {
+                    formRow.style.display = formRow.style.display === 'none' ? 'table-row' : 'none';
+                }
+                break;
+            }
+            case 'save-extension': {
+                const formRow = button.closest('.extension-form-row');
+                this.runServiceUpdate(() => this.serviceTracker.logExtension(defendantId, {
+                    filedDate: formRow.querySelector('[name="filedDate"]').value,
+                    status: formRow.querySelector('[name="status"]').value,
+                    extendedTo: formRow.querySelector('[name="extendedTo"]').value,
+                    note: formRow.querySelector('[name="note"]').value
+                }));
+                break;
+            }
+            case 'grant-extension':
+            case 'deny-extension': {
+                const ruling = button.closest('.extension-ruling');
+                this.runServiceUpdate(() => this.serviceTracker.resolveExtension(
+                    defendantId,
+                    parseInt(ruling.dataset.extensionIndex, 10),
+                    {
+                        status: action === 'grant-extension' ? 'granted' : 'denied',
+                        extendedTo: ruling.querySelector('[name="extendedTo"]').value
+                    }
+                ));
+                break;
+            }
+            case 'remove': {
+                const defendant = this.serviceTracker.findDefendant(defendantId);
+                if (confirm(`Remove ${defendant.name} from the service tracker?`)) {
+                    this.runServiceUpdate(() => this.serviceTracker.removeDefendant(defendantId));
+                }
+                break;
+            }
+            case 'show-risk':
+                this.chart.highlightNodeAndPaths(parseInt(button.dataset.nodeId, 10));
+                break;
+        }
+    }
+
+    /**
+     * Render the service tracker table for the active matter
+     */
+    renderServiceTracker() {
+        const tableBody = document.getElementById('serviceTableBody');
+        const summary = document.getElementById('serviceSummary');
+        const filingInput = document.getElementById('serviceFilingDate');
+        if (!tableBody) return;
+
+        const filingDate = this.serviceTracker.getFilingDate();
+        const defendants = this.serviceTracker.getDefendants();
+        const circuit = this.getSelectedCircuit();
+        if (filingInput) {
+            filingInput.value = filingDate;
+        }
+
+        const rows = defendants.map(defendant => ({
+            defendant,
+            service: filingDate ? getDefendantServiceStatus(defendant, filingDate, { circuit }) : null
+        }));
+
+        if (summary) {
+            const flagged = rows.filter(row => row.service && row.service.status.flagged).length;
+            summary.textContent = !filingDate ?
+                `Enter the complaint filing date to track the ${getServicePeriodDays()}-day service deadline for each defendant.` :
+                `${defendants.length} defendant${defendants.length === 1 ? '' : 's'} • ${flagged} flagged. ` +
+                'Unserved defendants past the deadline face dismissal without prejudice unless time is extended for good cause.';
+        }
+
+        if (rows.length === 0) {
+            tableBody.innerHTML = '<tr><td colspan="8" class="no-selection">No defendants added.</td></tr>';
+            return;
+        }
+
+        tableBody.innerHTML = rows.map(({ defendant, service }) => {
+            const remaining = !service ? '' :
+                service.status.id === 'served' || service.status.id === 'served-late' ? '-' :
+                service.daysRemaining < 0 ? `${-service.daysRemaining} days over` :
+                `${service.daysRemaining} days`;
+            const riskNode = service && NODES.find(node => node.id === service.riskNodeId);
+            const status = !service ? '' : riskNode ?
+                `<button class="service-status status-${service.status.id}" data-action="show-risk" data-node-id="${riskNode.id}"
+                    title="Show ${escapeHTML(cleanNodeName(riskNode.name))} on the chart">${service.status.label}</button>` :
+                `<span class="service-status status-${service.status.id}">${service.status.label}</span>`;
+            const extensions = defendant.extensions.map((extension, index) => {
+                const ruling = extension.status !== 'pending' ? '' : `
+                    <div class="extension-ruling" data-extension-index="${index}">
+                        <input type="date" name="extendedTo" aria-label="Date service was extended to">
+                        <button class="secondary" data-action="grant-extension">Granted</button>
+                        <button class="secondary" data-action="deny-extension">Denied</button>
+                    </div>
+                `;
+                return `
+                    <li>${escapeHTML(extension.filedDate)}: ${escapeHTML(extension.status)}${extension.extendedTo ? ` to ${escapeHTML(extension.extendedTo)}` : ''}${extension.note ? ` - ${escapeHTML(extension.note)}` : ''}${ruling}</li>
+                `;
+            }).join('');
+
+            return `
+                <tr class="service-row" data-defendant-id="${escapeHTML(defendant.id)}">
+                    <td>${escapeHTML(defendant.name)}</td>
+                    <td>
+                        <select data-field="method" aria-label="Service method for ${escapeHTML(defendant.name)}">
+                            ${SERVICE_METHODS.map(method => `
+                                <option value="${method.id}" ${method.id === defendant.method ? 'selected' : ''}>${method.label}</option>
+                            `).join('')}
+                        </select>
+                    </td>
+                    <td>
+                        <input type="date" data-field="serviceDate" value="${escapeHTML(defendant.serviceDate)}" aria-label="Date ${escapeHTML(defendant.name)} was served">
+                    </td>
+                    <td class="deadline-date">${service ? formatDisplayDate(service.deadline) : ''}${service && service.extended ? ' (extended)' : ''}</td>
+                    <td>${remaining}</td>
+                    <td>${status}${service && service.pendingExtension ? '<div class="deadline-notes">Extension motion pending</div>' : ''}</td>
+                    <td><ul class="extension-list">${extensions}</ul></td>
+                    <td>
+                        <button class="secondary" data-action="toggle-extension">Log Motion</button>
+                        <button class="secondary" data-action="remove" aria-label="Remove ${escapeHTML(defendant.name)}">&times;</button>
+                    </td>
+                </tr>
+                <tr class="extension-form-row" data-defendant-id="${escapeHTML(defendant.id)}" style="display: none;">
+                    <td colspan="8">
+                        <div class="deadline-inputs">
+                            <div class="deadline-field">
+                                <label>Motion Filed: <input type="date" name="filedDate"></label>
+                            </div>
+                            <div class="deadline-field">
+                                <label>Ruling:
+                                    <select name="status">
+                                        ${EXTENSION_STATUSES.map(status => `<option value="${status}">${status}</option>`).join('')}
+                                    </select>
+                                </label>
+                            </div>
+                            <div class="deadline-field">
+                                <label>Extended To: <input type="date" name="extendedTo"></label>
+                            </div>
+                            <div class="deadline-field">
+                                <label>Note: <input type="text" name="note" placeholder="Good cause shown"></label>
+                            </div>
+                            <button data-action="save-extension">Save Motion</button>
+                        </div>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // ============================================
+    // PATH EXPLORER METHODS
+    // ============================================
+
+    /**
+     * Setup the path explorer panel
+     */
+    setupPathExplorer() {
+        const sortSelect = document.getElementById('pathSort');
+        if (!document.getElementById('pathStartNode') || !document.getElementById('pathEndNode')) return;
+
+        this.renderPathNodeOptions();
+
+        if (sortSelect) {
+            sortSelect.innerHTML = PATH_SORT_OPTIONS.map(option => `
+                <option value="${option.id}">${option.label}</option>
+            `).join('');
+            sortSelect.addEventListener('change', () => {
+                if (this.pathResults.length > 0) {
+                    this.handleFindPaths();
+                }
+            });
+        }
+
+        document.getElementById('findPaths')?.addEventListener('click', () => {
+            this.handleFindPaths();
+        });
+
+        document.getElementById('morePaths')?.addEventListener('click', () => {
+            this.renderPathList(this.pathsShown + PATHS_PAGE_SIZE);
+        });
+
+        const pathList = document.getElementById('pathList');
+        const selectRoute = (e) => {
+            const item = e.target.closest('.path-item');
+            if (item) {
+                pathList.querySelectorAll('.path-item.active').forEach(el => el.classList.remove('active'));
+                item.classList.add('active');
+                this.chart.highlightPath(this.pathResults[parseInt(item.dataset.index, 10)].nodeIds);
+            }
+        };
+        pathList?.addEventListener('click', selectRoute);
+        pathList?.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                selectRoute(e);
+            }
+        });
+    }
+
+    /**
+     * Fill the start and end selects with every step, in workflow order
+     */
+    renderPathNodeOptions() {
+        const startSelect = document.getElementById('pathStartNode');
+        const endSelect = document.getElementById('pathEndNode');
+        if (!startSelect || !endSelect) return;
+
+        const options = [...NODES]
+            .sort((a, b) => a.x - b.x || a.y - b.y)
+            .map(node => `<option value="${node.id}">${escapeHTML(cleanNodeName(node.name))}${node.rule ? ` (${escapeHTML(node.rule)})` : ''}</option>`)
+            .join('');
+        startSelect.innerHTML = options;
+        endSelect.innerHTML = options;
+
+        // Default to the main line: Complaint Filed -> Final Judgment
+        startSelect.value = String(START_NODE_ID);
+        endSelect.value = String(getCriticalPathEndId());
+    }
+
+    /**
+     * List every route between the chosen start and end nodes
+     */
+    handleFindPaths() {
+        const startId = parseInt(document.getElementById('pathStartNode').value, 10);
+        const endId = parseInt(document.getElementById('pathEndNode').value, 10);
+        const sortBy = document.getElementById('pathSort')?.value;
+
+        this.pathResults = explorePaths(startId, endId, { sortBy });
+
+        const summary = document.getElementById('pathsSummary');
+        if (summary) {
+            summary.textContent = this.pathResults.length === 0 ?
+                'No route connects these steps.' :
+                `${this.pathResults.length} route${this.pathResults.length === 1 ? '' : 's'} found. ` +
+                'Likelihood is each route\'s share of case volume reaching the end step, from link volumes.';
+        }
+
+        this.renderPathList(PATHS_PAGE_SIZE);
+    }
+
+    /**
+     * Render the first routes of the current results
+     * @param {number} count - Number of routes to show
+     */
+    renderPathList(count) {
+        const pathList = document.getElementById('pathList');
+        const moreBtn = document.getElementById('morePaths');
+        if (!pathList) return;
+
+        this.pathsShown = Math.min(count, this.pathResults.length);
+
+        pathList.innerHTML = this.pathResults.slice(0, this.pathsShown).map((route, index) => {
+            const { estimates } = route;
+            const names = route.nodes.map(node => escapeHTML(cleanNodeName(node.name)));
+
+            return `
+                <li class="path-item" data-index="${index}" role="button" tabindex="0">
+                    <div class="path-stats">
+                        <span class="path-likelihood">${(route.share * 100).toFixed(route.share < 0.01 ? 2 : 1)}%</span>
+                        <span>${route.steps} steps</span>
+                        <span>${Math.round(estimates.daysMin)} - ${Math.round(estimates.daysMax)} days</span>
+                        <span>${formatCurrency(estimates.fixedCostsMin, estimates.fixedCostsMax)} costs</span>
+                        <span>${Math.round(estimates.hoursMin)} - ${Math.round(estimates.hoursMax)} attorney hrs</span>
+                    </div>
+                    <div class="path-route">${names.join(' → ')}</div>
+                </li>
+            `;
+        }).join('');
+
+        if (moreBtn) {
+            moreBtn.style.display = this.pathsShown < this.pathResults.length ? 'inline-flex' : 'none';
+        }
+    }
+
+    // ============================================
+    // OUTCOME PROBABILITY METHODS
+    // ============================================
+
+    /**
+     * Setup the outcome probability panel
+     * Link data is static, so the distribution is computed once.
+     */
+    setupOutcomes() {
+        const outcomeList = document.getElementById('outcomeList');
+        if (!outcomeList) return;
+
+        this.renderOutcomes();
+
+        // Clicking a terminal step or a warning locates it on the chart
+        const panel = document.getElementById('outcomesPanel');
+        panel?.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-node-id]');
+            if (target) {
+                this.chart.highlightNodeAndPaths(parseInt(target.dataset.nodeId, 10));
+            }
+        });
+    }
+
+    /**
+     * Render the terminal outcome distribution and volume warnings
+     */
+    renderOutcomes() {
+        const { outcomes, unresolved } = computeOutcomeDistribution();
+        const formatPercent = (probability) => `${(probability * 100).toFixed(probability < 0.01 ? 2 : 1)}%`;
+
+        const summary = document.getElementById('outcomesSummary');
+        if (summary) {
+            summary.textContent = 'Probability a case starting at Complaint Filed ends in each outcome, ' +
+                'from each step\'s share of outgoing link volume.' +
+                (unresolved > 0.0005 ? ` ${formatPercent(unresolved)} could not be resolved to an outcome.` : '');
+        }
+
+        document.getElementById('outcomeList').innerHTML = outcomes
+            .filter(outcome => outcome.probability > 0)
+            .sort((a, b) => b.probability - a.probability)
+            .map(outcome => `
+                <li class="outcome-item">
+                    <div class="outcome-header">
+                        <span class="outcome-label">${outcome.label}</span>
+                        <span class="outcome-probability">${formatPercent(outcome.probability)}</span>
+                    </div>
+                    <div class="outcome-bar">
+                        <div class="outcome-bar-fill" style="width: ${(outcome.probability * 100).toFixed(2)}%; background: ${outcome.color};"></div>
+                    </div>
+                    <div class="outcome-nodes">
+                        ${outcome.nodes.map(({ node, probability }) => `
+                            <button class="outcome-node" data-node-id="${node.id}" title="Show on chart">
+                                ${escapeHTML(cleanNodeName(node.name))} <span>${formatPercent(probability)}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </li>
+            `).join('');
+
+        const imbalances = findVolumeImbalances();
+        const warnings = document.getElementById('outcomeWarnings');
+        if (warnings) {
+            warnings.style.display = imbalances.length > 0 ? 'block' : 'none';
+            document.getElementById('volumeWarningList').innerHTML = imbalances.map(({ node, incoming, outgoing }) => `
+                <li>
+                    <button class="outcome-node" data-node-id="${node.id}" title="Show on chart">
+                        ${escapeHTML(cleanNodeName(node.name))}
+                    </button>
+                    in ${incoming}% / out ${outgoing}%
+                </li>
+            `).join('');
+        }
+    }
+
+    // ============================================
+    // RULE CHANGE METHODS
+    // ============================================
+
+    /**
+     * Setup the rule changes panel
+     * Defaults to the day before the latest amendment through the as-of date (or today).
+     */
+    setupRuleChanges() {
+        const fromInput = document.getElementById('changesFrom');
+        const toInput = document.getElementById('changesTo');
+        if (!fromInput || !toInput) return;
+
+        const to = getAsOfDate() || toISODate(getToday());
+        const latest = Object.values(getVersionedDataset().amendments || {})
+            .map(amendment => amendment.effective)
+            .filter(effective => effective <= to)
+            .sort()
+            .pop();
+        fromInput.value = latest ? toISODate(addDays(parseISODate(latest), -1)) : to;
+        toInput.value = to;
+
+        document.getElementById('showChanges')?.addEventListener('click', () => {
+            this.renderRuleChanges();
+        });
+
+        // Clicking a step locates it on the chart
+        document.getElementById('changeList')?.addEventListener('click', (e) => {
+            const target = e.target.closest('[data-node-id]');
+            if (target) {
+                this.chart.highlightNodeAndPaths(parseInt(target.dataset.nodeId, 10));
+            }
+        });
+
+        this.renderRuleChanges();
+    }
+
+    /**
+     * List what changed in the workflow between the two chosen dates
+     */
+    renderRuleChanges() {
+        const list = document.getElementById('changeList');
+        const summary = document.getElementById('changesSummary');
+        if (!list || !summary) return;
+
+        const from = parseISODate(document.getElementById('changesFrom').value);
+        const to = parseISODate(document.getElementById('changesTo').value);
+        if (!from || !to || from > to) {
+            summary.textContent = 'Enter a From date on or before the To date.';
+            list.innerHTML = '';
+            return;
+        }
+
+        const workflow = getVersionedDataset();
+        const diff = diffWorkflowVersions(workflow, toISODate(from), toISODate(to));
+        const nodeNames = new Map(workflow.nodes.map(node => [node.id, cleanNodeName(node.name)]));
+        const range = `${formatDisplayDate(from)} and ${formatDisplayDate(to)}`;
+
+        // Steps not in the workflow as shown can be listed but not located
+        const stepLabel = (node) => this.chart.nodeMap.has(node.id) ?
+            `<button class="outcome-node" data-node-id="${node.id}" title="Show on chart">${escapeHTML(cleanNodeName(node.name))}</button>` :
+            `<span class="change-step">${escapeHTML(cleanNodeName(node.name))}</span>`;
+        const formatValue = (value) => escapeHTML(Array.isArray(value) ? value.join(', ') : String(value ?? 'none'));
+        const linkLabel = (link) => `${escapeHTML(nodeNames.get(link.source) || String(link.source))} → ` +
+            `${escapeHTML(nodeNames.get(link.target) || String(link.target))} (${link.volume}%)`;
+
+        const linkCount = diff.linksAdded.length + diff.linksRemoved.length;
+        const total = diff.added.length + diff.removed.length + diff.changed.length + linkCount;
+        summary.textContent = total === 0 ?
+            `No changes to the workflow between ${range}.` :
+            `Between ${range}: ${diff.added.length} step${diff.added.length === 1 ? '' : 's'} added, ` +
+            `${diff.removed.length} removed, ${diff.changed.length} changed, ` +
+            `${linkCount} link change${linkCount === 1 ? '' : 's'}.`;
+
+        list.innerHTML = [
+            ...diff.amendments.map(amendment => `
+                <li class="change-item change-amendment">
+                    <span class="change-type">Amendment</span>
+                    <strong>${escapeHTML(amendment.name)}</strong>, effective ${formatDisplayDate(parseISODate(amendment.effective))}
+                    <div class="change-detail">${escapeHTML(amendment.citation)}</div>
+                    ${amendment.summary ? `<div class="change-detail">${escapeHTML(amendment.summary)}</div>` : ''}
+                </li>
+            `),
+            ...diff.added.map(node => `
+                <li class="change-item change-added">
+                    <span class="change-type">Added</span> ${stepLabel(node)} ${escapeHTML(node.rule || '')}
+                </li>
+            `),
+            ...diff.removed.map(node => `
+                <li class="change-item change-removed">
+                    <span class="change-type">Removed</span> ${stepLabel(node)} ${escapeHTML(node.rule || '')}
+                </li>
+            `),
+            ...diff.changed.map(({ after, fields }) => `
+                <li class="change-item change-changed">
+                    <span class="change-type">Changed</span> ${stepLabel(after)} ${escapeHTML(after.rule || '')}
+                    ${fields.map(field => `
+                        <div class="change-detail">
+                            <strong>${escapeHTML(field.label)}:</strong>
+                            <del>${formatValue(field.before)}</del> → <ins>${formatValue(field.after)}</ins>
+                        </div>
+                    `).join('')}
+                </li>
+            `),
+            ...diff.linksAdded.map(link => `
+                <li class="change-item change-added"><span class="change-type">Link Added</span> ${linkLabel(link)}</li>
+            `),
+            ...diff.linksRemoved.map(link => `
+                <li class="change-item change-removed"><span class="change-type">Link Removed</span> ${linkLabel(link)}</li>
+            `)
+        ].join('');
+    }
+
+    // ============================================
+    // RULE TEXT LIBRARY METHODS
+    // ============================================
+
+    /**
+     * Setup the rule text panel, opened by focusing a node or clicking one
+     * of its rule links
+     */
+    setupRuleLibrary() {
+        document.getElementById('closeLibraryPanel')?.addEventListener('click', () => {
+            this.closeRuleLibrary();
+        });
+
+        document.getElementById('libraryCitations')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-citation-index]');
+            if (button) {
+                this.showLibraryCitation(parseInt(button.dataset.citationIndex, 10));
+            }
+        });
+
+        document.addEventListener('nodeFocus', (e) => {
+            this.openRuleLibrary(e.detail.node);
+        });
+        document.addEventListener('ruleCitationSelect', (e) => {
+            this.openRuleLibrary(e.detail.node, e.detail.citation);
+        });
+    }
+
+    /**
+     * Open the rule text panel for a node's citations
+     * @param {Object} node - Node data
+     * @param {Object} citation - Citation to show (defaults to the first one with bundled text)
+     */
+    openRuleLibrary(node, citation = null) {
+        if (!this.libraryPanel) return;
+
+        this.libraryCitations = node.rule ? this.chart.getRuleLinks(node.rule) : [];
+        if (this.libraryCitations.length === 0) {
+            this.closeRuleLibrary();
+            return;
+        }
+
+        const title = document.getElementById('libraryTitle');
+        if (title) {
+            title.textContent = `Rule Text - ${cleanNodeName(node.name)}`;
+        }
+
+        const citationsEl = document.getElementById('libraryCitations');
+        if (citationsEl) {
+            citationsEl.innerHTML = this.libraryCitations.map((entry, index) => `
+                <button type="button" class="library-citation" data-citation-index="${index}" aria-pressed="false">
+                    ${escapeHTML(entry.text)}
+                </button>
+            `).join('');
+        }
+
+        const index = citation ?
+            this.libraryCitations.findIndex(entry => entry.text === citation.text) :
+            this.libraryCitations.findIndex(entry => findRuleText(entry));
+        this.showLibraryCitation(Math.max(index, 0));
+        this.libraryPanel.style.display = 'block';
+    }
+
+    /**
+     * Show one of the open node's citations in the rule text panel
+     * @param {number} index - Index into the node's citations
+     */
+    showLibraryCitation(index) {
+        const citation = this.libraryCitations[index];
+        if (!citation) return;
+
+        document.querySelectorAll('#libraryCitations [data-citation-index]').forEach(button => {
+            button.setAttribute('aria-pressed', String(parseInt(button.dataset.citationIndex, 10) === index));
+        });
+
+        const result = findRuleText(citation);
+        const heading = document.getElementById('libraryHeading');
+        const note = document.getElementById('libraryNote');
+        const textEl = document.getElementById('libraryText');
+        const source = document.getElementById('librarySource');
+
+        if (heading) {
+            heading.textContent = result ? `${result.key} - ${result.entry.title}` : formatCitation(citation);
+        }
+
+        if (note) {
+            const notes = [];
+            if (!result) {
+                notes.push('This rule is not in the offline library. Open the official text to read it.');
+            } else {
+                notes.push(`Excerpt checked against the official text on ${formatDisplayDate(parseISODate(result.entry.currentAsOf))}.`);
+                if (result.missingPath.length > 0) {
+                    const bundled = result.citedPath.length > 0 ? `; showing ${formatSubdivisionPath(result.citedPath)}` : '';
+                    notes.push(`Subdivision ${formatSubdivisionPath([...result.citedPath, ...result.missingPath])} is not in the excerpt${bundled}.`);
+                }
+                const asOfDate = getAsOfDate();
+                if (asOfDate && asOfDate < result.entry.currentAsOf) {
+                    notes.push(`The chart shows the rules as of ${formatDisplayDate(parseISODate(asOfDate))}; this text may have changed since.`);
+                }
+            }
+            note.textContent = notes.join(' ');
+        }
+
+        if (textEl) {
+            textEl.innerHTML = result ? formatRuleTextHTML(result) : '';
+            textEl.querySelector('.cited')?.scrollIntoView?.({ block: 'nearest' });
+        }
+
+        if (source) {
+            source.href = citation.url || getActiveJurisdiction().rulesUrl;
+        }
+    }
+
+    /**
+     * Close the rule text panel
+     */
+    closeRuleLibrary() {
+        this.libraryCitations = [];
+        if (this.libraryPanel) {
+            this.libraryPanel.style.display = 'none';
+        }
+    }
+
+    // ============================================
+    // MONTE CARLO SIMULATION METHODS
+    // ============================================
+
+    /**
+     * Setup the Monte Carlo simulation panel
+     */
+    setupSimulation() {
+        document.getElementById('runSimulation')?.addEventListener('click', () => {
+            this.handleRunSimulation();
+        });
+    }
+
+    /**
+     * Run the simulation with the panel's run count and seed at the current hourly rate
+     */
+    handleRunSimulation() {
+        const runs = parseInt(document.getElementById('simulationRuns')?.value, 10);
+        const seed = parseInt(document.getElementById('simulationSeed')?.value, 10) || 0;
+
+        if (!Number.isInteger(runs) || runs < 1 || runs > 100000) {
+            alert('Enter between 1 and 100,000 runs.');
+            return;
+        }
+
+        this.simulation = runSimulation({ runs, seed, hourlyRate: this.chart.getAttorneyHourlyRate() });
+        this.renderSimulation();
+    }
+
+    /**
+     * Render simulation percentiles and histograms
+     */
+    renderSimulation() {
+        const results = document.getElementById('simulationResults');
+        if (!results || !this.simulation) return;
+
+        const { runs, seed, hourlyRate, duration, cost, truncated } = this.simulation;
+        const formatDays = (days) => `${Math.round(days).toLocaleString()} days`;
+
+        const summary = document.getElementById('simulationSummary');
+        if (summary) {
+            summary.textContent = `${runs.toLocaleString()} simulated cases from Complaint Filed (seed ${seed}), ` +
+                `total spend at $${hourlyRate}/hr plus fixed costs.` +
+                (truncated > 0 ? ` ${truncated} case${truncated === 1 ? '' : 's'} hit the step limit without resolving.` : '');
+        }
+
+        const renderMetric = (title, stats, format) => {
+            const peak = Math.max(...stats.histogram.map(bin => bin.count), 1);
+            return `
+                <div class="simulation-metric">
+                    <h3>${title}</h3>
+                    <div class="simulation-percentiles">
+                        <span>P10 <strong>${format(stats.p10)}</strong></span>
+                        <span>P50 <strong>${format(stats.p50)}</strong></span>
+                        <span>P90 <strong>${format(stats.p90)}</strong></span>
+                    </div>
+                    <div class="simulation-histogram" role="img" aria-label="${title} histogram">
+                        ${stats.histogram.map(bin => `
+                            <div class="simulation-bin" style="height: ${(bin.count / peak * 100).toFixed(1)}%;"
+                                title="${format(bin.x0)} - ${format(bin.x1)}: ${bin.count} cases"></div>
+                        `).join('')}
+                    </div>
+                    <div class="simulation-axis">
+                        <span>${format(stats.min)}</span>
+                        <span>${format(stats.max)}</span>
+                    </div>
+                </div>
+            `;
+        };
+
+        results.innerHTML = renderMetric('Time to Resolution', duration, formatDays) +
+            renderMetric('Total Spend', cost, amount => formatCurrency(amount));
+    }
+
+    // ============================================
+    // DECISION ANALYSIS METHODS
+    // ============================================
+
+    /**
+     * Setup decision analysis mode
+     */
+    setupDecisionAnalysis() {
+        const damages = document.getElementById('decisionDamages');
+        const prevail = document.getElementById('decisionPrevail');
+        const discount = document.getElementById('decisionDiscount');
+        if (damages) damages.value = DEFAULT_DECISION_INPUTS.damages;
+        if (prevail) prevail.value = DEFAULT_DECISION_INPUTS.pPrevail * 100;
+        if (discount) discount.value = DEFAULT_DECISION_INPUTS.discountRate * 100;
+
+        document.getElementById('enableDecisionMode')?.addEventListener('change', (e) => {
+            this.handleDecisionModeToggle(e.target.checked);
+        });
+
+        [damages, prevail, discount].forEach(input => {
+            input?.addEventListener('input', debounce(() => {
+                if (this.chart.decisionAnalysis) {
+                    this.updateDecisionAnalysis();
+                }
+            }, 300));
+        });
+    }
+
+    /**
+     * Handle decision analysis mode toggle
+     * @param {boolean} enabled - Whether decision analysis is shown
+     */
+    handleDecisionModeToggle(enabled) {
+        const inputs = document.getElementById('decisionInputs');
+        if (inputs) {
+            inputs.style.display = enabled ? 'flex' : 'none';
+        }
+
+        if (enabled) {
+            this.updateDecisionAnalysis();
+        } else {
+            this.chart.setDecisionAnalysis(null);
+            document.getElementById('decisionSummary').textContent = '';
+        }
+    }
+
+    /**
+     * Recompute branch EVs from the decision inputs and the current hourly rate
+     */
+    updateDecisionAnalysis() {
+        const summary = document.getElementById('decisionSummary');
+
+        try {
+            const analysis = analyzeDecisions({
+                damages: parseFloat(document.getElementById('decisionDamages').value),
+                pPrevail: parseFloat(document.getElementById('decisionPrevail').value) / 100,
+                discountRate: parseFloat(document.getElementById('decisionDiscount').value) / 100,
+                hourlyRate: this.chart.getAttorneyHourlyRate()
+            });
+            this.chart.setDecisionAnalysis(analysis);
+            if (summary) {
+                summary.textContent = `${analysis.size} decision points analyzed at $${this.chart.getAttorneyHourlyRate()}/hr. ` +
+                    'Hover a decision node for branch EVs; recommended branches are outlined.';
+            }
+        } catch (error) {
+            this.chart.setDecisionAnalysis(null);
+            if (summary) {
+                summary.textContent = error.message;
+            }
+        }
+    }
+
+    // ============================================
+    // CRITICAL PATH METHODS
+    // ============================================
+
+    /**
+     * Setup the critical path overlay selector
+     */
+    setupCriticalPath() {
+        const metricSelect = document.getElementById('criticalPathMetric');
+        if (!metricSelect) return;
+
+        metricSelect.innerHTML = '<option value="">Off</option>' + CRITICAL_PATH_METRICS.map(metric => `
+            <option value="${metric.id}">${metric.label}</option>
+        `).join('');
+
+        metricSelect.addEventListener('change', () => {
+            this.updateCriticalPath();
+        });
+    }
+
+    /**
+     * Compute the chosen critical path and draw it over the chart
+     */
+    updateCriticalPath() {
+        const metricId = document.getElementById('criticalPathMetric')?.value;
+        const summary = document.getElementById('criticalPathSummary');
+
+        if (!metricId) {
+            this.chart.setCriticalPath(null);
+            if (summary) summary.textContent = '';
+            return;
+        }
+
+        const criticalPath = computeCriticalPath(metricId, { hourlyRate: this.chart.getAttorneyHourlyRate() });
+        this.chart.setCriticalPath(criticalPath);
+        if (!summary) return;
+
+        if (!criticalPath) {
+            summary.textContent = 'No route reaches Final Judgment, or the workflow contains a cycle';
+            return;
+        }
+
+        const total = {
+            duration: `${Math.round(criticalPath.total).toLocaleString()} days max`,
+            likelihood: `${(criticalPath.total * 100).toPrecision(2)}% of cases`,
+            cost: `${formatCurrency(criticalPath.total)} max`
+        }[metricId];
+        summary.textContent = `${criticalPath.nodeIds.length} steps, ${total}`;
+    }
+
+    // ============================================
+    // WORKFLOW DATA METHODS
+    // ============================================
+
+    /**
+     * Re-render everything derived from the workflow data after the chart
+     * has been reloaded with a new dataset, then restore the active matter
+     */
+    refreshWorkflowData() {
+        this.searchIndex = null;
+        this.updateSearchFilterStatus();
+        if (this.searchInput) {
+            this.searchInput.value = '';
+        }
+        this.handleSearch('');
+
+        this.renderPhaseToggles();
+        this.renderDeadlineAnchorOptions();
+        this.renderHolidayTableVersion();
+        this.renderClosureList();
+        this.renderComparisonOptions();
+
+        this.renderPathNodeOptions();
+        this.pathResults = [];
+        this.renderPathList(0);
+        const pathsSummary = document.getElementById('pathsSummary');
+        if (pathsSummary) pathsSummary.textContent = '';
+
+        this.renderOutcomes();
+        this.renderRuleChanges();
+        this.closeRuleLibrary();
+
+        this.simulation = null;
+        const simulationResults = document.getElementById('simulationResults');
+        if (simulationResults) simulationResults.innerHTML = '';
+        const simulationSummary = document.getElementById('simulationSummary');
+        if (simulationSummary) simulationSummary.textContent = '';
+
+        this.handleDecisionModeToggle(document.getElementById('enableDecisionMode')?.checked || false);
+        this.updateCriticalPath();
+        this.updateStatistics();
+        this.applyActiveMatter();
+    }
 }
@@ -0,0 +1,142 @@
+/**
+ * Critical Path Module
+ * Computes the critical path over the link graph rather than a fixed list:
+ * the longest route by durationDaysMax, the most likely route by link volume,
+ * or the most expensive route by fixed costs and attorney hours
+ */
+
+import { NODES, LINKS } from './data.js';
+import { START_NODE_ID, getTransitionProbabilities } from './probability.js';
+import { getActiveJurisdiction } from './jurisdictions.js';
+
+/**
+ * Default end of the critical path: the active jurisdiction's Final Judgment step
+ * @returns {number} Node ID
+ */
+export function getCriticalPathEndId() {
+    return getActiveJurisdiction().endNodeId;
+}
+
+/**
+ * Ways the critical path can be measured
+ * nodeWeight - value added by visiting a node
+ * linkWeight - value added by following a link (log-probability for likelihood)
+ */
+export const CRITICAL_PATH_METRICS = [
+    {
+        id: 'duration',
+        label: 'Longest',
+        nodeWeight: (node) => node.durationDaysMax || 0,
+        linkWeight: () => 0
+    },
+    {
+        id: 'likelihood',
+        label: 'Most likely',
+        nodeWeight: () => 0,
+        linkWeight: (probability) => Math.log(probability)
+    },
+    {
+        id: 'cost',
+        label: 'Most expensive',
+        nodeWeight: (node, hourlyRate) => (node.attorneyHoursMax || 0) * hourlyRate +
+            (node.fixedCosts || []).reduce((sum, cost) => sum + (cost.amountMax || cost.amount || 0), 0),
+        linkWeight: () => 0
+    }
+];
+
+/**
+ * Order nodes so every link points forward (Kahn's algorithm)
+ * @param {Array} links - Links to sort by
+ * @returns {Array|null} Node IDs in topological order, or null when the links form a cycle
+ */
+function topologicalOrder(links) {
+    const inDegree = new Map(NODES.map(node => [node.id, 0]));
+    links.forEach(link => inDegree.set(link.target, (inDegree.get(link.target) || 0) + 1));
+
+    const queue = NODES.filter(node => inDegree.get(node.id) === 0).map(node => node.id);
+    const order = [];
+    while (queue.length > 0) {
+        const nodeId = queue.shift();
+        order.push(nodeId);
+        links.filter(link => link.source === nodeId).forEach(link => {
+            inDegree.set(link.target, inDegree.get(link.target) - 1);
+            if (inDegree.get(link.target) === 0) {
+                queue.push(link.target);
+            }
+        });
+    }
+
+    return order.length < inDegree.size ? null : order;
+}
+
+/**
+ * Compute the critical path between two nodes
+ * @param {string} metricId - Metric ID (see CRITICAL_PATH_METRICS)
+ * @param {Object} options - Path options
+ * @param {number} options.startId - Starting node ID (defaults to Complaint Filed)
+ * @param {number} options.endId - Ending node ID (defaults to Final Judgment)
+ * @param {number} options.hourlyRate - Attorney hourly rate for the cost metric
+ * @returns {Object|null} { metric, nodeIds, nodes, total }, where total is days, probability
+ *     or dollars depending on the metric; null when no route connects the nodes or the
+ *     links form a cycle (which validateWorkflowData reports as an error)
+ */
+export function computeCriticalPath(metricId = 'duration', options = {}) {
+    const {
+        startId = START_NODE_ID,
+        endId = getCriticalPathEndId(),
+        hourlyRate = 0
+    } = options;
+
+    const metric = CRITICAL_PATH_METRICS.find(option => option.id === metricId);
+    if (!metric) {
+        throw new Error(`Unknown critical path metric: ${metricId}`);
+    }
+
+    const order = topologicalOrder(LINKS);
+    if (!order) return null;
+
+    const nodeMap = new Map(NODES.map(node => [node.id, node]));
+    const probabilities = new Map();
+    getTransitionProbabilities().forEach((transitions, sourceId) => {
+        transitions.forEach(({ target, probability }) => {
+            probabilities.set(`${sourceId}>${target}`, probability);
+        });
+    });
+
+    // Best score reaching each node, and the predecessor that achieved it
+    const score = new Map([[startId, metric.nodeWeight(nodeMap.get(startId), hourlyRate)]]);
+    const previous = new Map();
+
+    order.forEach(nodeId => {
+        if (!score.has(nodeId)) return;
+
+        LINKS.filter(link => link.source === nodeId).forEach(link => {
+            const target = nodeMap.get(link.target);
+            const key = `${nodeId}>${link.target}`;
+            // Links into parallel processes carry no transition probability
+            if (!target || !probabilities.has(key)) return;
+
+            const candidate = score.get(nodeId) +
+                metric.linkWeight(probabilities.get(key)) +
+                metric.nodeWeight(target, hourlyRate);
+            if (!score.has(link.target) || candidate > score.get(link.target)) {
+                score.set(link.target, candidate);
+                previous.set(link.target, nodeId);
+            }
+        });
+    });
+
+    if (!score.has(endId)) return null;
+
+    const nodeIds = [endId];
+    while (nodeIds[0] !== startId) {
+        nodeIds.unshift(previous.get(nodeIds[0]));
+    }
+
+    return {
+        metric,
+        nodeIds,
+        nodes: nodeIds.map(id => nodeMap.get(id)),
+        total: metric.id === 'likelihood' ? Math.exp(score.get(endId)) : score.get(endId)
+    };
+}
@@ -0,0 +1,78 @@
+/**
+ * Deadline Dashboard Module
+ * Collects the active matter's upcoming and overdue deadlines - computed
+ * under Rule 2.514 or recorded in the case tracker - and ranks them by urgency
+ */
+
+import { NODES } from './data.js';
+import { daysBetween, getToday, parseISODate } from './utils.js';
+
+/**
+ * Urgency bands, checked in order; the first whose maxDays covers the
+ * days remaining applies
+ */
+export const URGENCY_LEVELS = [
+    { id: 'overdue', label: 'Overdue', maxDays: -1 },
+    { id: 'due-7', label: 'Due within 7 days', maxDays: 7 },
+    { id: 'due-14', label: 'Due within 14 days', maxDays: 14 },
+    { id: 'upcoming', label: 'Upcoming', maxDays: Infinity }
+];
+
+export const DEFAULT_DASHBOARD_LIMIT = 10;
+
+/**
+ * Get the urgency band for a deadline
+ * @param {number} daysRemaining - Days from today until the due date
+ * @returns {Object} Urgency level { id, label, maxDays }
+ */
+export function getUrgency(daysRemaining) {
+    return URGENCY_LEVELS.find(level => daysRemaining <= level.maxDays);
+}
+
+/**
+ * Build the dashboard lists for the active matter
+ * Recorded dates take precedence over computed ones for the same step, and
+ * steps the tracker marks completed or skipped are left out.
+ * @param {Object} sources - Deadline sources
+ * @param {Array} sources.schedule - Computed entries from computeDeadlineSchedule
+ * @param {CaseTracker} sources.tracker - Case tracker for the active matter
+ * @param {Object} options - Dashboard options
+ * @param {Date} options.today - Reference date (defaults to today)
+ * @param {number} options.limit - Maximum items per list
+ * @returns {Object} { strict, other } lists of items sorted by due date
+ */
+export function buildDeadlineDashboard(sources, options = {}) {
+    const { schedule = [], tracker = null } = sources;
+    const { today = getToday(), limit = DEFAULT_DASHBOARD_LIMIT } = options;
+
+    const items = new Map();
+
+    schedule.forEach(entry => {
+        items.set(entry.nodeId, {
+            node: entry.node,
+            dueDate: entry.dueDate,
+            source: 'computed',
+            projected: entry.projected
+        });
+    });
+
+    NODES.forEach(node => {
+        const dueDate = tracker && tracker.hasEntry(node.id) ? parseISODate(tracker.getEntry(node.id).dueDate) : null;
+        if (dueDate) {
+            items.set(node.id, { node, dueDate, source: 'recorded', projected: false });
+        }
+    });
+
+    const open = Array.from(items.values())
+        .filter(item => !tracker || !['completed', 'skipped'].includes(tracker.getStatus(item.node.id)))
+        .map(item => {
+            const daysRemaining = daysBetween(today, item.dueDate);
+            return { ...item, daysRemaining, urgency: getUrgency(daysRemaining) };
+        })
+        .sort((a, b) => a.dueDate - b.dueDate);
+
+    return {
+        strict: open.filter(item => item.node.deadline === 'strict').slice(0, limit),
+        other: open.filter(item => item.node.deadline !== 'strict').slice(0, limit)
+    };
+}
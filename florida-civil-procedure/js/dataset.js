@@ -0,0 +1,307 @@
+/**
+ * Workflow Dataset Module
+ * Loads workflow data (phases, stages, groups, parallel processes, nodes,
+ * links and chart configuration) from versioned JSON documents described by
+ * data/workflow.schema.json: the workflows bundled in data/ and any dataset
+ * the user loads in their place.
+ *
+ * Datasets are applied by replacing the contents of the data.js exports in
+ * place, so every module that imports them sees the new workflow. Versioned
+ * datasets are applied as they stood on the as-of date (see versions.js).
+ */
+
+import {
+    PHASE_GROUPS,
+    STAGE_COLORS,
+    NODE_GROUPS,
+    PARALLEL_PROCESSES,
+    NODES,
+    LINKS,
+    CONFIG,
+    AMENDMENTS
+} from './data.js';
+import { validateSchema } from './schema.js';
+import { validateWorkflowData } from './validate.js';
+import { resolveWorkflowAsOf } from './versions.js';
+import { getToday, toISODate } from './utils.js';
+
+/**
+ * Version of the dataset format written by exportDataset and accepted by parseDataset
+ */
+export const WORKFLOW_FORMAT_VERSION = 1;
+
+/**
+ * URL parameter naming a dataset to load at startup (e.g., ?data=datasets/custom.json)
+ */
+export const DATASET_URL_PARAM = 'data';
+
+/**
+ * Location of the published JSON Schema
+ */
+export const WORKFLOW_SCHEMA_URL = new URL('../data/workflow.schema.json', import.meta.url).href;
+
+// Where each integrity check's findings live in a dataset (see VALIDATION_CHECKS)
+const CHECK_PATHS = {
+    'duplicate-id': '/nodes',
+    'missing-link-node': '/links',
+    cycle: '/links',
+    'group-member': '/nodeGroups',
+    'group-parent': '/nodeGroups',
+    'expands-group': '/nodes',
+    'stage-color': '/stageColors',
+    'effective-range': '/nodes',
+    'amendment-ref': '/amendments'
+};
+
+let schemaPromise = null;
+
+// Bundled datasets fetched so far, keyed by URL (promises of the parsed document)
+const bundledDatasets = new Map();
+
+// Name, version and source of the applied dataset, and the versioned document
+// itself (null until the first dataset is applied)
+let activeDataset = null;
+let versionedDataset = null;
+
+// Date the workflow is shown as of (null for today)
+let asOfDate = null;
+
+/**
+ * Build an Error carrying per-field details for App.showError
+ * @param {string} message - Summary message
+ * @param {Array} issues - { path, message } entries
+ * @returns {Error}
+ */
+function createDatasetError(message, issues = []) {
+    const error = new Error(message);
+    error.details = issues.map(issue => (issue.path ? `${issue.path}: ${issue.message}` : issue.message));
+    return error;
+}
+
+/**
+ * Get the name, version and source of the workflow currently applied
+ * @returns {Object} { name, version, source }, where source is 'bundled', a URL or a file name
+ */
+export function getActiveDataset() {
+    return { ...activeDataset };
+}
+
+/**
+ * Get a copy of the applied dataset with its effective ranges and revisions
+ * @returns {Object} Dataset document
+ */
+export function getVersionedDataset() {
+    return JSON.parse(JSON.stringify(versionedDataset));
+}
+
+/**
+ * Serialize the current workflow, with its rule versions, as a dataset document
+ * @returns {string} JSON document
+ */
+export function exportDataset() {
+    const { name, version } = activeDataset;
+    return JSON.stringify({ ...versionedDataset, name, version }, null, 2);
+}
+
+/**
+ * Load the published JSON Schema (fetched once)
+ * @returns {Promise<Object>} Schema
+ */
+export function loadWorkflowSchema() {
+    if (!schemaPromise) {
+        schemaPromise = fetch(WORKFLOW_SCHEMA_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`Unable to load the workflow schema (HTTP ${response.status})`);
+                }
+                return response.json();
+            })
+            .catch(error => {
+                schemaPromise = null;
+                throw error;
+            });
+    }
+    return schemaPromise;
+}
+
+/**
+ * Check a dataset against the schema, then (if it is well-formed) for
+ * integrity errors such as links to missing nodes
+ * @param {Object} dataset - Parsed dataset document
+ * @param {Object} schema - Workflow JSON Schema
+ * @returns {Array} Issues as { path, message }; empty when the dataset is usable
+ */
+export function checkDataset(dataset, schema) {
+    const schemaIssues = validateSchema(dataset, schema);
+    if (schemaIssues.length > 0) return schemaIssues;
+
+    const { errors } = validateWorkflowData({
+        nodes: dataset.nodes,
+        links: dataset.links,
+        nodeGroups: dataset.nodeGroups,
+        phaseGroups: dataset.phaseGroups,
+        stageColors: dataset.stageColors,
+        config: dataset.config,
+        amendments: dataset.amendments || {}
+    });
+    return errors.map(issue => ({ path: CHECK_PATHS[issue.check] || '', message: issue.message }));
+}
+
+/**
+ * Parse and validate a dataset document
+ * @param {string} json - Dataset JSON
+ * @returns {Promise<Object>} The dataset, when valid
+ * @throws {Error} With a details array of "path: message" strings when invalid
+ */
+export async function parseDataset(json) {
+    let dataset;
+    try {
+        dataset = JSON.parse(json);
+    } catch (error) {
+        throw createDatasetError(`Workflow file is not valid JSON: ${error.message}`);
+    }
+
+    if (dataset && typeof dataset.formatVersion === 'number' && dataset.formatVersion > WORKFLOW_FORMAT_VERSION) {
+        throw createDatasetError(`Workflow file format ${dataset.formatVersion} is newer than this app supports`);
+    }
+
+    const issues = checkDataset(dataset, await loadWorkflowSchema());
+    if (issues.length > 0) {
+        throw createDatasetError(`Workflow data has ${issues.length} error${issues.length === 1 ? '' : 's'}`, issues);
+    }
+    return dataset;
+}
+
+/**
+ * Resolve a dataset URL against the page and check that it is same-origin
+ * Datasets reach the page's tooltips and panels, and the page's storage holds
+ * every matter, so ?data= links may not point at other sites.
+ * @param {string} url - Dataset URL (relative to the page)
+ * @param {string} base - Page URL (defaults to the current location)
+ * @returns {URL} Resolved URL
+ * @throws {Error} For a URL that cannot be parsed or names another origin
+ */
+export function resolveDatasetURL(url, base = globalThis.location?.href) {
+    let resolved;
+    let page;
+    try {
+        page = new URL(base);
+        resolved = new URL(url, page);
+    } catch (error) {
+        throw createDatasetError(`Invalid workflow URL: ${url}`);
+    }
+
+    // Protocol and host rather than origin, which is "null" for every data: and file: URL
+    if (resolved.protocol !== page.protocol || resolved.host !== page.host) {
+        throw createDatasetError(`Workflow data must come from the same site as this page; ${url} does not`);
+    }
+    return resolved;
+}
+
+/**
+ * Fetch, parse and validate a dataset
+ * @param {string} url - Dataset URL (relative to the page); must be same-origin
+ * @returns {Promise<Object>} The dataset
+ */
+export async function loadDatasetFromURL(url) {
+    return fetchDataset(resolveDatasetURL(url).href, url);
+}
+
+/**
+ * Fetch, parse and validate a dataset
+ * @param {string} href - Absolute dataset URL
+ * @param {string} label - URL as shown in error messages
+ * @returns {Promise<Object>} The dataset
+ */
+async function fetchDataset(href, label) {
+    let response;
+    try {
+        response = await fetch(href);
+    } catch (error) {
+        throw createDatasetError(`Unable to fetch ${label}: ${error.message}`);
+    }
+    if (!response.ok) {
+        throw createDatasetError(`Unable to fetch ${label} (HTTP ${response.status})`);
+    }
+    return parseDataset(await response.text());
+}
+
+/**
+ * Load a workflow bundled with the app (fetched and validated once per URL)
+ * @param {string} url - Absolute URL of the bundled dataset (see the jurisdiction packs)
+ * @returns {Promise<Object>} A fresh copy of the dataset
+ */
+export async function loadBundledDataset(url) {
+    if (!bundledDatasets.has(url)) {
+        const promise = fetchDataset(url, url);
+        bundledDatasets.set(url, promise);
+        promise.catch(() => bundledDatasets.delete(url));
+    }
+    return JSON.parse(JSON.stringify(await bundledDatasets.get(url)));
+}
+
+/**
+ * Read, parse and validate a dataset file chosen by the user
+ * @param {File} file - Dataset JSON file
+ * @returns {Promise<Object>} The dataset
+ */
+export async function readDatasetFile(file) {
+    return parseDataset(await file.text());
+}
+
+/**
+ * Replace an object's own properties with another object's
+ * @param {Object} target - Object to update in place
+ * @param {Object} source - New contents
+ */
+function replaceContents(target, source) {
+    Object.keys(target).forEach(key => delete target[key]);
+    Object.assign(target, source);
+}
+
+/**
+ * Write the versioned dataset, as it stood on the as-of date, to the data.js exports
+ */
+function applyVersionedDataset() {
+    const copy = resolveWorkflowAsOf(JSON.parse(JSON.stringify(versionedDataset)), asOfDate || toISODate(getToday()));
+
+    replaceContents(PHASE_GROUPS, copy.phaseGroups);
+    replaceContents(STAGE_COLORS, copy.stageColors);
+    replaceContents(NODE_GROUPS, copy.nodeGroups);
+    replaceContents(CONFIG, copy.config);
+    replaceContents(AMENDMENTS, copy.amendments || {});
+    PARALLEL_PROCESSES.splice(0, PARALLEL_PROCESSES.length, ...copy.parallelProcesses);
+    NODES.splice(0, NODES.length, ...copy.nodes);
+    LINKS.splice(0, LINKS.length, ...copy.links);
+}
+
+/**
+ * Apply a validated dataset to the data.js exports
+ * Callers re-render the chart and controls afterwards.
+ * @param {Object} dataset - Dataset document (from parseDataset or loadBundledDataset)
+ * @param {string} source - Where the dataset came from ('bundled', a URL or a file name)
+ */
+export function applyDataset(dataset, source) {
+    versionedDataset = JSON.parse(JSON.stringify(dataset));
+    applyVersionedDataset();
+
+    activeDataset = { name: versionedDataset.name, version: versionedDataset.version, source };
+}
+
+/**
+ * Get the date the workflow is shown as of
+ * @returns {string|null} ISO date, or null when showing the rules in effect today
+ */
+export function getAsOfDate() {
+    return asOfDate;
+}
+
+/**
+ * Show the workflow as it stood on a date and re-apply it
+ * Callers re-render the chart and controls afterwards.
+ * @param {string|null} date - ISO date, or null for the rules in effect today
+ */
+export function setAsOfDate(date) {
+    asOfDate = date || null;
+    applyVersionedDataset();
+}
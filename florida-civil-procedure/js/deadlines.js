@@ -0,0 +1,304 @@
+/**
+ * Deadline Computation Module
+ * Turns node durations into calendar due dates following
+ * Fla. R. Gen. Prac. & Jud. Admin. 2.514 (Computing and Extending Time)
+ *
+ * Rule 2.514(a)(1): begin counting from the next day after the triggering event,
+ * count every day (including intermediate weekends and holidays), and include the
+ * last day - unless it falls on a weekend or legal holiday, in which case the
+ * period runs until the end of the next day that is not.
+ * Rule 2.514(b): when a period runs from service and service is made by mail,
+ * 5 days are added after the period would otherwise expire - so the last day
+ * is rolled off any weekend or holiday first, the days are added, and the
+ * result is rolled again.
+ *
+ * Fed. R. Civ. P. 6(a)(1) counts the same way; Rule 6(d) adds 3 days for mail.
+ * The active jurisdiction pack installs its triggers and mail days through
+ * setDeadlineRules, and its legal holidays through setHolidayCalendar in
+ * holidays.js.
+ */
+
+import { NODES, LINKS, getStrictDeadlineNodes } from './data.js';
+import { getCourtClosure } from './holidays.js';
+import { addDays, parseISODate } from './utils.js';
+
+/**
+ * Days added for service by mail (Rule 2.514(b))
+ */
+export const MAIL_SERVICE_DAYS = 5;
+
+/**
+ * Deadline triggers for strict nodes whose period does not simply run
+ * from their predecessor in LINKS, or whose rule period differs from
+ * durationDaysMax.
+ *
+ * triggerNodeId - node whose date starts the period
+ * days          - length of the period in days
+ * direction     - 'after' (default) or 'before' for periods counted back from the trigger
+ * afterService  - period runs from service, so mail service adds days
+ * computable    - false for strict nodes with no fixed calendar period
+ */
+export const DEADLINE_TRIGGERS = {
+    // Service must be perfected within 120 days of filing, whatever the method
+    1: { triggerNodeId: 0, days: 120 },
+    2: { triggerNodeId: 0, days: 120 },
+    3: { triggerNodeId: 0, days: 120 },
+    4: { triggerNodeId: 0, days: 120 },
+
+    // Responses run from service of process
+    7: { triggerNodeId: 5, afterService: true },
+    8: { triggerNodeId: 5, afterService: true },
+    100: { triggerNodeId: 5, days: 20, afterService: true },
+
+    // Initial disclosures are due 60 days after service of the complaint (Rule 1.280(a), 2025)
+    210: { triggerNodeId: 5, days: 60 },
+
+    // Discovery responses run from service of the request
+    15: { afterService: true },
+    16: { afterService: true },
+    40: { afterService: true },
+    42: { afterService: true },
+    132: { afterService: true },
+
+    // Counted back from the trial date
+    51: { triggerNodeId: 26, days: 10, direction: 'before' },
+
+    // Post-judgment fee motions run from the judgment
+    152: { triggerNodeId: 30, days: 21 },
+    153: { triggerNodeId: 30, days: 30 },
+
+    // No fixed calendar period (same-day or "before answer" events, or
+    // windows that depend on when a proposal is served)
+    23: { computable: false },
+    63: { computable: false },
+    111: { computable: false },
+    112: { computable: false },
+    180: { computable: false }
+};
+
+// Rules in effect (Florida unless a jurisdiction pack installs its own)
+let deadlineRules = {
+    triggers: DEADLINE_TRIGGERS,
+    mailServiceDays: MAIL_SERVICE_DAYS,
+    servicePeriodDays: DEADLINE_TRIGGERS[1].days
+};
+
+/**
+ * Get the deadline rules in effect
+ * @returns {Object} { triggers, mailServiceDays, servicePeriodDays }
+ */
+export function getDeadlineRules() {
+    return { ...deadlineRules };
+}
+
+/**
+ * Replace the deadline rules in effect (see jurisdictions.js)
+ * @param {Object} rules - Rules to use
+ * @param {Object} rules.triggers - Deadline triggers keyed by node ID (same fields as DEADLINE_TRIGGERS)
+ * @param {number} rules.mailServiceDays - Days added for service by mail
+ * @param {number} rules.servicePeriodDays - Days allowed to serve process after filing
+ */
+export function setDeadlineRules({ triggers, mailServiceDays, servicePeriodDays }) {
+    deadlineRules = { triggers, mailServiceDays, servicePeriodDays };
+}
+
+/**
+ * Check whether a date falls on a weekend
+ * @param {Date} date - UTC date
+ * @returns {boolean}
+ */
+export function isWeekend(date) {
+    const day = date.getUTCDay();
+    return day === 0 || day === 6;
+}
+
+/**
+ * Check whether the court is closed on a date (weekend, legal holiday or closure)
+ * @param {Date} date - UTC date
+ * @param {Object} options - Lookup options
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {boolean}
+ */
+export function isNonCourtDay(date, options = {}) {
+    return isWeekend(date) || getCourtClosure(date, options) !== null;
+}
+
+/**
+ * Move a last day that falls on a weekend or holiday to the nearest court day
+ * @param {Date} date - Last day of a period
+ * @param {number} step - 1 to roll forward, -1 to roll backward
+ * @param {number} circuit - Circuit number for local closures
+ * @param {Array} skippedHolidays - Closures rolled past are appended here
+ * @returns {Date}
+ */
+function rollToCourtDay(date, step, circuit, skippedHolidays) {
+    let rolled = date;
+    while (isNonCourtDay(rolled, { circuit })) {
+        const closure = getCourtClosure(rolled, { circuit });
+        if (closure) {
+            skippedHolidays.push(closure);
+        }
+        rolled = addDays(rolled, step);
+    }
+    return rolled;
+}
+
+/**
+ * Compute a deadline under Rule 2.514
+ * @param {Date|string} triggerDate - Date of the triggering event
+ * @param {number} days - Length of the period in days
+ * @param {Object} options - Computation options
+ * @param {boolean} options.mailService - Add mail service days (Rule 2.514(b) or Fed. R. Civ. P. 6(d))
+ * @param {string} options.direction - 'after' or 'before' the trigger
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {Object|null} { dueDate, periodEnd, mailDaysAdded, extended, skippedHolidays },
+ *     where periodEnd is the last day of the period before mail days or any
+ *     roll, or null for an invalid date
+ */
+export function computeDeadline(triggerDate, days, options = {}) {
+    const { mailService = false, direction = 'after', circuit = null } = options;
+    const start = parseISODate(triggerDate);
+    if (!start) return null;
+
+    const mailDaysAdded = mailService && direction === 'after' ? deadlineRules.mailServiceDays : 0;
+    const step = direction === 'before' ? -1 : 1;
+
+    // Excluding the trigger day and counting every day means the period
+    // ends exactly `days` calendar days away from the trigger
+    const periodEnd = addDays(start, step * days);
+
+    // A last day that falls on a weekend or holiday rolls to the next court day
+    // (counting backward for periods measured before an event)
+    const skippedHolidays = [];
+    let dueDate = rollToCourtDay(periodEnd, step, circuit, skippedHolidays);
+    let extended = dueDate.getTime() !== periodEnd.getTime();
+
+    // Mail days run from the day the period would otherwise expire, and the
+    // extended last day rolls again
+    if (mailDaysAdded > 0) {
+        const mailEnd = addDays(dueDate, mailDaysAdded);
+        dueDate = rollToCourtDay(mailEnd, step, circuit, skippedHolidays);
+        extended = extended || dueDate.getTime() !== mailEnd.getTime();
+    }
+
+    return {
+        dueDate,
+        periodEnd,
+        mailDaysAdded,
+        extended,
+        skippedHolidays
+    };
+}
+
+/**
+ * Get the deadline rule for a strict node
+ * Defaults to a period of durationDaysMax running from the node's predecessors
+ * @param {Object} node - Node data
+ * @returns {Object|null} Rule with triggerNodeIds, days, direction and afterService, or null
+ */
+export function getDeadlineRule(node) {
+    if (!node || node.deadline !== 'strict') return null;
+
+    const override = deadlineRules.triggers[node.id] || {};
+    if (override.computable === false) return null;
+
+    const days = override.days || node.durationDaysMax;
+    // Same-day steps have no calendar period to compute
+    if (!days || days < 1) return null;
+
+    const triggerNodeIds = override.triggerNodeId !== undefined ?
+        [override.triggerNodeId] :
+        LINKS.filter(link => link.target === node.id).map(link => link.source);
+
+    if (triggerNodeIds.length === 0) return null;
+
+    return {
+        triggerNodeIds,
+        days,
+        direction: override.direction || 'after',
+        afterService: Boolean(override.afterService)
+    };
+}
+
+/**
+ * Get nodes whose date can start a strict deadline period
+ * @returns {Array} Node objects usable as anchors
+ */
+export function getDeadlineAnchorNodes() {
+    const anchorIds = new Set();
+    getStrictDeadlineNodes().forEach(node => {
+        const rule = getDeadlineRule(node);
+        if (rule) {
+            rule.triggerNodeIds.forEach(id => anchorIds.add(id));
+        }
+    });
+    return NODES.filter(node => anchorIds.has(node.id));
+}
+
+/**
+ * Compute due dates for strict-deadline nodes downstream of anchor events
+ * Deadlines chain: a computed due date becomes the trigger for later strict
+ * nodes, and those dates are marked as projected.
+ * @param {Object} anchors - Map of node ID to the date the event occurred
+ * @param {Object} options - Computation options
+ * @param {boolean} options.mailService - Service was made by mail
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {Array} Schedule entries sorted by due date
+ */
+export function computeDeadlineSchedule(anchors, options = {}) {
+    const { mailService = false, circuit = null } = options;
+
+    // nodeId -> { date, projected }
+    const known = new Map();
+    Object.entries(anchors || {}).forEach(([nodeId, value]) => {
+        const date = parseISODate(value);
+        if (date) {
+            known.set(Number(nodeId), { date, projected: false });
+        }
+    });
+
+    const entries = new Map();
+    const strictNodes = getStrictDeadlineNodes().filter(node => !known.has(node.id));
+
+    // Resolve until no further deadlines can be computed
+    let changed = true;
+    while (changed) {
+        changed = false;
+
+        strictNodes.forEach(node => {
+            if (entries.has(node.id)) return;
+
+            const rule = getDeadlineRule(node);
+            if (!rule) return;
+
+            const triggers = rule.triggerNodeIds
+                .filter(id => known.has(id))
+                .map(id => ({ nodeId: id, ...known.get(id) }))
+                .sort((a, b) => a.date - b.date);
+
+            if (triggers.length === 0) return;
+
+            const trigger = triggers[0];
+            const result = computeDeadline(trigger.date, rule.days, {
+                mailService: mailService && rule.afterService,
+                direction: rule.direction,
+                circuit
+            });
+
+            entries.set(node.id, {
+                nodeId: node.id,
+                node,
+                triggerNodeId: trigger.nodeId,
+                triggerDate: trigger.date,
+                days: rule.days,
+                direction: rule.direction,
+                projected: trigger.projected,
+                ...result
+            });
+            known.set(node.id, { date: result.dueDate, projected: true });
+            changed = true;
+        });
+    }
+
+    return Array.from(entries.values()).sort((a, b) => a.dueDate - b.dueDate);
+}
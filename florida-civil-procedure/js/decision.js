@@ -0,0 +1,163 @@
+/**
+ * Decision Analysis Module
+ * Expected-value comparison of the branches leaving each decision node
+ * (isDecision: true), from the claimant's perspective. Each branch is valued
+ * by propagating the outcome model from the branch's first step: the expected
+ * recovery across terminal outcomes, discounted over the expected time to
+ * resolution, less the expected downstream attorney fees and fixed costs.
+ */
+
+import { NODES, LINKS } from './data.js';
+import { computeOutcomeDistribution, getTransitionProbabilities } from './probability.js';
+
+/**
+ * Share of the damages at stake recovered in each outcome category,
+ * given the probability of prevailing on the merits
+ */
+export const OUTCOME_RECOVERY = {
+    settlement: (pPrevail) => pPrevail,
+    'summary-judgment': (pPrevail) => pPrevail,
+    judgment: (pPrevail) => pPrevail,
+    default: () => 1,
+    dismissal: () => 0,
+    sanctions: () => 0,
+    appeal: (pPrevail) => pPrevail,
+    other: (pPrevail) => pPrevail
+};
+
+export const DEFAULT_DECISION_INPUTS = {
+    damages: 100000,
+    pPrevail: 0.5,
+    discountRate: 0.05
+};
+
+/**
+ * Expected attorney fees plus fixed costs for a single step (midpoint of each range)
+ * @param {Object} node - Node data
+ * @param {number} hourlyRate - Attorney hourly rate
+ * @returns {number}
+ */
+function getExpectedNodeCost(node, hourlyRate) {
+    const hours = ((node.attorneyHoursMin || 0) + (node.attorneyHoursMax || 0)) / 2;
+    const fixed = (node.fixedCosts || []).reduce((sum, cost) => {
+        const min = cost.amountMin || cost.amount || 0;
+        const max = cost.amountMax || cost.amount || 0;
+        return sum + (min + max) / 2;
+    }, 0);
+    return hours * hourlyRate + fixed;
+}
+
+/**
+ * Value the case from a step onward
+ * @param {number} startId - First step of the branch
+ * @param {Object} inputs - { damages, pPrevail, discountRate, hourlyRate }
+ * @param {Map} transitions - Transition probabilities
+ * @param {Map} nodeMap - Node ID -> node
+ * @returns {Object} { recovery, cost, days, ev }
+ */
+function valueFrom(startId, inputs, transitions, nodeMap) {
+    const { damages, pPrevail, discountRate, hourlyRate } = inputs;
+    const { outcomes, reach } = computeOutcomeDistribution({ startId, transitions });
+
+    let cost = 0;
+    let days = 0;
+    reach.forEach((visits, nodeId) => {
+        const node = nodeMap.get(nodeId);
+        if (!node) return;
+        cost += visits * getExpectedNodeCost(node, hourlyRate);
+        days += visits * ((node.durationDaysMin || 0) + (node.durationDaysMax || 0)) / 2;
+    });
+
+    const recovery = outcomes.reduce((sum, outcome) => {
+        const share = (OUTCOME_RECOVERY[outcome.id] || OUTCOME_RECOVERY.other)(pPrevail);
+        return sum + outcome.probability * share * damages;
+    }, 0);
+
+    // Money recovered later is worth less today
+    const discounted = recovery / Math.pow(1 + discountRate, days / 365);
+
+    return { recovery: discounted, cost, days, ev: discounted - cost };
+}
+
+/**
+ * Validate decision-analysis inputs
+ * @param {Object} inputs - { damages, pPrevail, discountRate, hourlyRate }
+ */
+function validateInputs(inputs) {
+    const { damages, pPrevail, discountRate, hourlyRate } = inputs;
+    if (!Number.isFinite(damages) || damages < 0) {
+        throw new Error('Damages at stake must be zero or more');
+    }
+    if (!Number.isFinite(pPrevail) || pPrevail < 0 || pPrevail > 1) {
+        throw new Error('Probability of prevailing must be between 0% and 100%');
+    }
+    if (!Number.isFinite(discountRate) || discountRate < 0) {
+        throw new Error('Discount rate must be zero or more');
+    }
+    if (!Number.isFinite(hourlyRate) || hourlyRate < 0) {
+        throw new Error('Hourly rate must be zero or more');
+    }
+}
+
+/**
+ * Compare the expected value of every decision node's outgoing branches
+ * @param {Object} inputs - Analysis inputs
+ * @param {number} inputs.damages - Damages at stake
+ * @param {number} inputs.pPrevail - Probability of prevailing (0-1)
+ * @param {number} inputs.discountRate - Annual discount rate (e.g., 0.05)
+ * @param {number} inputs.hourlyRate - Attorney hourly rate
+ * @returns {Map} Decision node ID -> { node, branches, recommended, evDelta }, where
+ *     branches are { target, probability, recovery, cost, days, ev } sorted by EV and
+ *     evDelta is the recommended branch's EV advantage over the next best (null with one branch)
+ */
+export function analyzeDecisions(inputs) {
+    const resolved = { ...DEFAULT_DECISION_INPUTS, hourlyRate: 0, ...inputs };
+    validateInputs(resolved);
+
+    const transitions = getTransitionProbabilities();
+    const nodeMap = new Map(NODES.map(node => [node.id, node]));
+
+    // Many decisions share downstream steps (e.g., Discovery Begins)
+    const values = new Map();
+    const value = (nodeId) => {
+        if (!values.has(nodeId)) {
+            values.set(nodeId, valueFrom(nodeId, resolved, transitions, nodeMap));
+        }
+        return values.get(nodeId);
+    };
+
+    const analyses = new Map();
+    NODES.filter(node => node.isDecision).forEach(node => {
+        const outgoing = transitions.get(node.id);
+        // Decisions with no modeled branches have nothing to compare
+        if (!outgoing || outgoing.length === 0) return;
+
+        const branches = outgoing
+            .map(({ target, probability }) => ({
+                target: nodeMap.get(target),
+                probability,
+                ...value(target)
+            }))
+            .filter(branch => branch.target)
+            .sort((a, b) => b.ev - a.ev);
+
+        analyses.set(node.id, {
+            node,
+            branches,
+            recommended: branches[0],
+            evDelta: branches.length > 1 ? branches[0].ev - branches[1].ev : null
+        });
+    });
+
+    return analyses;
+}
+
+/**
+ * Decision node IDs that have at least one outgoing branch
+ * @returns {Array} Node IDs
+ */
+export function getDecisionNodeIds() {
+    return NODES
+        .filter(node => node.isDecision && LINKS.some(link => link.source === node.id))
+        .map(node => node.id);
+}
@@ -0,0 +1,60 @@
+/**
+ * Federal Civil Procedure - Deadline and Outcome Configuration
+ * Deadline triggers and outcome categories for the federal workflow
+ * (data/federal-workflow.json), which covers civil actions in the U.S.
+ * District Courts for Florida (S.D. Fla., M.D. Fla., N.D. Fla.)
+ *
+ * References:
+ * - Federal Rules of Civil Procedure (Fed. R. Civ. P.)
+ * - Federal Rules of Appellate Procedure (Fed. R. App. P.)
+ * - Federal Rules of Evidence (Fed. R. Evid.)
+ * - 28 U.S.C. § 1914 (district court filing fee)
+ *
+ * Local rules of each district can change several of these periods; the
+ * workflow's notes call out where that commonly happens.
+ */
+
+/**
+ * Deadline triggers for strict nodes whose period does not simply run from
+ * their predecessor in the links, or whose rule period differs from
+ * durationDaysMax (same fields as DEADLINE_TRIGGERS in deadlines.js)
+ */
+export const FEDERAL_DEADLINE_TRIGGERS = {
+    // Rule 4(m): serve within 90 days after the complaint is filed
+    4: { triggerNodeId: 0, days: 90 },
+    5: { triggerNodeId: 0, days: 90 },
+
+    // Rule 12(a)(1)(A)(i): 21 days after service of the summons and complaint
+    8: { triggerNodeId: 4, days: 21 },
+
+    // Rule 26(a)(1)(C): 14 days after the Rule 26(f) conference
+    16: { triggerNodeId: 14, days: 14 },
+
+    // Discovery responses run from service of the request (Rule 6(d) adds 3 days for mail)
+    18: { afterService: true },
+    19: { afterService: true },
+    20: { afterService: true },
+
+    // Counted back from the trial date (Rules 26(a)(2)(D)(i) and 26(a)(3)(B))
+    25: { triggerNodeId: 34, days: 90, direction: 'before' },
+    33: { triggerNodeId: 34, days: 30, direction: 'before' },
+
+    // Rule 56(b): 30 days after the close of all discovery
+    29: { triggerNodeId: 26, days: 30 },
+
+    // The 14-day acceptance period runs from service of the offer itself
+    42: { computable: false }
+};
+
+/**
+ * Terminal outcome nodes by outcome category (see OUTCOME_CATEGORIES in probability.js)
+ */
+export const FEDERAL_OUTCOME_NODES = {
+    settlement: [28],
+    'summary-judgment': [30],
+    judgment: [41],
+    default: [13],
+    dismissal: [6, 7, 10],
+    sanctions: [24],
+    appeal: [40]
+};
@@ -0,0 +1,263 @@
+/**
+ * Gantt Timeline Module
+ * Renders a litigation path as a horizontal Gantt chart with min-max
+ * duration bands, strict deadline markers, and phase swimlanes
+ */
+
+import { STAGE_COLORS, PHASE_GROUPS, getPhaseForStage } from './data.js';
+import { cleanNodeName } from './utils.js';
+
+const LAYOUT = {
+    labelWidth: 220,
+    chartWidth: 1600,
+    rowHeight: 28,
+    barHeight: 14,
+    laneGap: 6,
+    headerHeight: 60,
+    laneLabelWidth: 90
+};
+
+/**
+ * Compute cumulative timing for an ordered path
+ * Each step starts when the previous one could finish, so the earliest start
+ * sums minimum durations and the latest start sums maximum durations.
+ * @param {Array} nodes - Ordered node objects
+ * @returns {Array} Timing rows { node, earliestStart, earliestFinish, latestStart, latestFinish }
+ */
+export function computePathTiming(nodes) {
+    let earliest = 0;
+    let latest = 0;
+
+    return nodes.map(node => {
+        const min = node.durationDaysMin || 0;
+        const max = node.durationDaysMax || 0;
+        const row = {
+            node,
+            earliestStart: earliest,
+            earliestFinish: earliest + min,
+            latestStart: latest,
+            latestFinish: latest + max
+        };
+        earliest += min;
+        latest += max;
+        return row;
+    });
+}
+
+export class GanttRenderer {
+    /**
+     * @param {Object} group - D3 selection to render into
+     * @param {Object} handlers - { onNodeHover, onNodeOut, onNodeClick } callbacks
+     */
+    constructor(group, handlers = {}) {
+        this.group = group;
+        this.handlers = handlers;
+    }
+
+    /**
+     * Render the Gantt chart for an ordered path
+     * @param {Array} nodes - Ordered node objects
+     * @param {string} title - Chart title
+     * @param {string} emptyMessage - Text shown when there are no steps
+     * @returns {Object} Rendered size { width, height }
+     */
+    render(nodes, title, emptyMessage = 'No steps to display. Select steps in Selection Mode or use the critical path.') {
+        this.group.selectAll('*').remove();
+
+        if (nodes.length === 0) {
+            this.group.append('text')
+                .attr('class', 'gantt-empty')
+                .attr('x', 20)
+                .attr('y', 40)
+                .style('font-size', '16px')
+                .text(emptyMessage);
+            return { width: LAYOUT.labelWidth + LAYOUT.chartWidth, height: LAYOUT.headerHeight };
+        }
+
+        const timing = computePathTiming(nodes);
+        const totalDays = Math.max(1, timing[timing.length - 1].latestFinish);
+        const x = d3.scaleLinear()
+            .domain([0, totalDays])
+            .range([LAYOUT.labelWidth, LAYOUT.labelWidth + LAYOUT.chartWidth]);
+
+        const lanes = this.buildLanes(timing);
+        const chartHeight = this.renderLanes(lanes);
+
+        this.renderHeader(title, nodes.length, timing[timing.length - 1]);
+        this.renderAxis(x, chartHeight);
+        lanes.forEach(lane => {
+            lane.rows.forEach(row => this.renderRow(row, x));
+        });
+
+        return { width: LAYOUT.labelWidth + LAYOUT.chartWidth, height: chartHeight };
+    }
+
+    /**
+     * Group timing rows into phase swimlanes, in PHASE_GROUPS order
+     * @param {Array} timing - Timing rows
+     * @returns {Array} Lanes { phaseId, phase, rows } with row y positions assigned
+     */
+    buildLanes(timing) {
+        const lanes = [];
+        const phaseOrder = [...Object.keys(PHASE_GROUPS), null];
+
+        phaseOrder.forEach(phaseId => {
+            const rows = timing.filter(row => getPhaseForStage(row.node.stage) === phaseId);
+            if (rows.length > 0) {
+                lanes.push({ phaseId, phase: PHASE_GROUPS[phaseId] || null, rows });
+            }
+        });
+
+        let y = LAYOUT.headerHeight;
+        lanes.forEach(lane => {
+            lane.y = y;
+            lane.rows.forEach(row => {
+                row.y = y + LAYOUT.laneGap / 2;
+                y += LAYOUT.rowHeight;
+            });
+            lane.height = lane.rows.length * LAYOUT.rowHeight + LAYOUT.laneGap;
+            y += LAYOUT.laneGap;
+        });
+
+        return lanes;
+    }
+
+    /**
+     * Render phase swimlane bands
+     * @param {Array} lanes - Lanes from buildLanes
+     * @returns {number} Bottom y coordinate of the last lane
+     */
+    renderLanes(lanes) {
+        const laneGroup = this.group.append('g').attr('class', 'gantt-lanes');
+
+        lanes.forEach((lane, index) => {
+            laneGroup.append('rect')
+                .attr('class', 'gantt-lane')
+                .attr('x', 0)
+                .attr('y', lane.y)
+                .attr('width', LAYOUT.labelWidth + LAYOUT.chartWidth)
+                .attr('height', lane.height)
+                .attr('fill', index % 2 === 0 ? 'rgba(148, 163, 184, 0.12)' : 'rgba(148, 163, 184, 0.04)');
+
+            laneGroup.append('text')
+                .attr('class', 'gantt-lane-label')
+                .attr('x', 8)
+                .attr('y', lane.y + 16)
+                .style('font-size', '10px')
+                .style('font-weight', '700')
+                .style('text-transform', 'uppercase')
+                .text(lane.phase ? `${lane.phase.icon} ${lane.phase.shortName}` : 'Other');
+        });
+
+        const last = lanes[lanes.length - 1];
+        return last.y + last.height;
+    }
+
+    /**
+     * Render the chart title and path summary
+     * @param {string} title - Chart title
+     * @param {number} stepCount - Number of steps in the path
+     * @param {Object} lastRow - Final timing row
+     */
+    renderHeader(title, stepCount, lastRow) {
+        this.group.append('text')
+            .attr('class', 'gantt-title')
+            .attr('x', 0)
+            .attr('y', 18)
+            .style('font-size', '16px')
+            .style('font-weight', '700')
+            .text(title);
+
+        this.group.append('text')
+            .attr('class', 'gantt-subtitle')
+            .attr('x', 0)
+            .attr('y', 36)
+            .style('font-size', '11px')
+            .text(`${stepCount} steps • ${Math.round(lastRow.earliestFinish)} - ${Math.round(lastRow.latestFinish)} days to complete`);
+    }
+
+    /**
+     * Render the day axis and gridlines
+     * @param {Function} x - D3 linear scale (days to pixels)
+     * @param {number} chartHeight - Bottom of the lanes
+     */
+    renderAxis(x, chartHeight) {
+        const axisGroup = this.group.append('g')
+            .attr('class', 'gantt-axis')
+            .attr('transform', `translate(0, ${LAYOUT.headerHeight - 4})`)
+            .call(d3.axisTop(x).ticks(12).tickFormat(d => `Day ${d}`));
+
+        axisGroup.selectAll('text').style('font-size', '9px');
+
+        this.group.append('g')
+            .attr('class', 'gantt-grid')
+            .selectAll('line')
+            .data(x.ticks(12))
+            .enter()
+            .append('line')
+            .attr('x1', d => x(d))
+            .attr('x2', d => x(d))
+            .attr('y1', LAYOUT.headerHeight)
+            .attr('y2', chartHeight)
+            .attr('stroke', 'rgba(148, 163, 184, 0.3)')
+            .attr('stroke-dasharray', '2,3');
+    }
+
+    /**
+     * Render a single step: label, min-max band, and minimum-duration bar
+     * @param {Object} row - Timing row with y position
+     * @param {Function} x - D3 linear scale (days to pixels)
+     */
+    renderRow(row, x) {
+        const { node } = row;
+        const color = STAGE_COLORS[node.stage] || '#64748b';
+        const barY = row.y + (LAYOUT.rowHeight - LAYOUT.barHeight) / 2;
+
+        const rowGroup = this.group.append('g')
+            .attr('class', `gantt-row ${node.deadline === 'strict' ? 'deadline-strict' : ''}`)
+            .attr('data-node-id', node.id)
+            .style('cursor', 'pointer')
+            .on('mouseover', (event) => this.handlers.onNodeHover?.(event, node, row))
+            .on('mouseout', () => this.handlers.onNodeOut?.())
+            .on('click', () => this.handlers.onNodeClick?.(node));
+
+        rowGroup.append('text')
+            .attr('class', 'gantt-label')
+            .attr('x', LAYOUT.laneLabelWidth)
+            .attr('y', row.y + LAYOUT.rowHeight / 2)
+            .attr('dy', '0.35em')
+            .style('font-size', '10px')
+            .style('font-weight', '600')
+            .text(`${cleanNodeName(node.name)}${node.rule ? ` (${node.rule})` : ''}`);
+
+        // Range band: earliest possible start to latest possible finish
+        rowGroup.append('rect')
+            .attr('class', 'gantt-band')
+            .attr('x', x(row.earliestStart))
+            .attr('y', barY)
+            .attr('width', Math.max(2, x(row.latestFinish) - x(row.earliestStart)))
+            .attr('height', LAYOUT.barHeight)
+            .attr('rx', 3)
+            .attr('fill', color)
+            .attr('opacity', 0.3);
+
+        // Minimum duration bar from the earliest start
+        rowGroup.append('rect')
+            .attr('class', 'gantt-bar')
+            .attr('x', x(row.earliestStart))
+            .attr('y', barY + 3)
+            .attr('width', Math.max(2, x(row.earliestFinish) - x(row.earliestStart)))
+            .attr('height', LAYOUT.barHeight - 6)
+            .attr('rx', 2)
+            .attr('fill', color);
+
+        // Strict deadline marker at the latest finish
+        if (node.deadline === 'strict') {
+            const markerX = x(row.latestFinish);
+            rowGroup.append('polygon')
+                .attr('class', 'gantt-deadline-marker')
+                .attr('points', `${markerX},${barY - 3} ${markerX + 5},${barY + LAYOUT.barHeight / 2} ${markerX},${barY + LAYOUT.barHeight + 3} ${markerX - 5},${barY + LAYOUT.barHeight / 2}`)
+                .attr('fill', '#dc2626');
+        }
+    }
+}
@@ -0,0 +1,382 @@
+/**
+ * Court Holiday & Closure Calendar
+ * Versioned table of legal holidays observed by Florida state courts and
+ * per-circuit closure days, used by deadline computation under
+ * Fla. R. Gen. Prac. & Jud. Admin. 2.514(a)(6), and the federal holiday
+ * calendar used under Fed. R. Civ. P. 6(a)(6).
+ *
+ * Rule 2.514(a)(6) treats as a legal holiday any day the clerk's office is
+ * closed by order of the chief judge or chief justice, so hurricane and other
+ * emergency closures extend deadlines the same way statewide holidays do.
+ *
+ * Closure entries summarize the chief judge orders for each event and should
+ * be verified against the governing order before relying on a computed date.
+ */
+
+import { addDays, parseISODate, toISODate } from './utils.js';
+
+/**
+ * Table version - bump when holiday or closure entries change
+ */
+export const HOLIDAY_TABLE_VERSION = "2025.2";
+
+/**
+ * Florida judicial circuits
+ */
+export const JUDICIAL_CIRCUITS = [
+    { id: 1, name: "First Circuit" },
+    { id: 2, name: "Second Circuit" },
+    { id: 3, name: "Third Circuit" },
+    { id: 4, name: "Fourth Circuit" },
+    { id: 5, name: "Fifth Circuit" },
+    { id: 6, name: "Sixth Circuit" },
+    { id: 7, name: "Seventh Circuit" },
+    { id: 8, name: "Eighth Circuit" },
+    { id: 9, name: "Ninth Circuit" },
+    { id: 10, name: "Tenth Circuit" },
+    { id: 11, name: "Eleventh Circuit" },
+    { id: 12, name: "Twelfth Circuit" },
+    { id: 13, name: "Thirteenth Circuit" },
+    { id: 14, name: "Fourteenth Circuit" },
+    { id: 15, name: "Fifteenth Circuit" },
+    { id: 16, name: "Sixteenth Circuit" },
+    { id: 17, name: "Seventeenth Circuit" },
+    { id: 18, name: "Eighteenth Circuit" },
+    { id: 19, name: "Nineteenth Circuit" },
+    { id: 20, name: "Twentieth Circuit" }
+];
+
+/**
+ * Statewide court holidays by year (observed dates)
+ * Years missing from the table fall back to computed holidays
+ */
+export const FLORIDA_COURT_HOLIDAYS = {
+    2024: [
+        { date: "2024-01-01", name: "New Year's Day" },
+        { date: "2024-01-15", name: "Martin Luther King Jr. Day" },
+        { date: "2024-05-27", name: "Memorial Day" },
+        { date: "2024-07-04", name: "Independence Day" },
+        { date: "2024-09-02", name: "Labor Day" },
+        { date: "2024-11-11", name: "Veterans Day" },
+        { date: "2024-11-28", name: "Thanksgiving Day" },
+        { date: "2024-11-29", name: "Friday after Thanksgiving" },
+        { date: "2024-12-25", name: "Christmas Day" }
+    ],
+    2025: [
+        { date: "2025-01-01", name: "New Year's Day" },
+        { date: "2025-01-20", name: "Martin Luther King Jr. Day" },
+        { date: "2025-05-26", name: "Memorial Day" },
+        { date: "2025-07-04", name: "Independence Day" },
+        { date: "2025-09-01", name: "Labor Day" },
+        { date: "2025-11-11", name: "Veterans Day" },
+        { date: "2025-11-27", name: "Thanksgiving Day" },
+        { date: "2025-11-28", name: "Friday after Thanksgiving" },
+        { date: "2025-12-25", name: "Christmas Day" }
+    ],
+    2026: [
+        { date: "2026-01-01", name: "New Year's Day" },
+        { date: "2026-01-19", name: "Martin Luther King Jr. Day" },
+        { date: "2026-05-25", name: "Memorial Day" },
+        { date: "2026-07-03", name: "Independence Day (observed)" },
+        { date: "2026-09-07", name: "Labor Day" },
+        { date: "2026-11-11", name: "Veterans Day" },
+        { date: "2026-11-26", name: "Thanksgiving Day" },
+        { date: "2026-11-27", name: "Friday after Thanksgiving" },
+        { date: "2026-12-25", name: "Christmas Day" }
+    ],
+    2027: [
+        { date: "2027-01-01", name: "New Year's Day" },
+        { date: "2027-01-18", name: "Martin Luther King Jr. Day" },
+        { date: "2027-05-31", name: "Memorial Day" },
+        { date: "2027-07-05", name: "Independence Day (observed)" },
+        { date: "2027-09-06", name: "Labor Day" },
+        { date: "2027-11-11", name: "Veterans Day" },
+        { date: "2027-11-25", name: "Thanksgiving Day" },
+        { date: "2027-11-26", name: "Friday after Thanksgiving" },
+        { date: "2027-12-24", name: "Christmas Day (observed)" },
+        { date: "2027-12-31", name: "New Year's Day (observed)" }
+    ]
+};
+
+/**
+ * Per-circuit closure days (hurricanes and other emergencies)
+ * An empty circuits array means the closure was statewide
+ */
+export const CIRCUIT_CLOSURES = [
+    {
+        name: "Hurricane Ian closure",
+        dates: ["2022-09-28", "2022-09-29", "2022-09-30"],
+        circuits: [5, 6, 9, 10, 12, 13, 18, 20],
+        source: "Chief judge administrative orders"
+    },
+    {
+        name: "Hurricane Milton closure",
+        dates: ["2024-10-09", "2024-10-10", "2024-10-11"],
+        circuits: [5, 6, 7, 9, 10, 12, 13, 18, 19, 20],
+        source: "Chief judge administrative orders"
+    }
+];
+
+// Ad-hoc closure dates added by the user, keyed by jurisdiction ID: a local
+// state court closure order does not close the federal court
+let customClosures = {};
+
+// Jurisdiction whose ad-hoc closures are in effect
+let closureJurisdiction = 'florida';
+
+/**
+ * Get the nth weekday of a month (e.g., 3rd Monday of January)
+ * @param {number} year - Full year
+ * @param {number} month - Zero-based month
+ * @param {number} weekday - 0 (Sunday) through 6 (Saturday)
+ * @param {number} n - Occurrence (1-based), or -1 for the last occurrence
+ * @returns {Date}
+ */
+function nthWeekdayOfMonth(year, month, weekday, n) {
+    if (n === -1) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        return addDays(last, -((last.getUTCDay() - weekday + 7) % 7));
+    }
+    const first = new Date(Date.UTC(year, month, 1));
+    return addDays(first, (weekday - first.getUTCDay() + 7) % 7 + (n - 1) * 7);
+}
+
+/**
+ * Shift a fixed-date holiday to its observed day
+ * Saturday holidays are observed Friday, Sunday holidays Monday
+ * @param {Date} date - Holiday date
+ * @param {string} name - Holiday name
+ * @returns {Object} { date, name } with an ISO date
+ */
+function observed(date, name) {
+    const day = date.getUTCDay();
+    if (day === 6) return { date: toISODate(addDays(date, -1)), name: `${name} (observed)` };
+    if (day === 0) return { date: toISODate(addDays(date, 1)), name: `${name} (observed)` };
+    return { date: toISODate(date), name };
+}
+
+/**
+ * Compute the statewide court holidays for a year not covered by the table
+ * @param {number} year - Full year
+ * @returns {Array} Holiday entries { date, name }
+ */
+function computeHolidays(year) {
+    const thanksgiving = nthWeekdayOfMonth(year, 10, 4, 4);
+    const holidays = [
+        observed(new Date(Date.UTC(year, 0, 1)), "New Year's Day"),
+        { date: toISODate(nthWeekdayOfMonth(year, 0, 1, 3)), name: "Martin Luther King Jr. Day" },
+        { date: toISODate(nthWeekdayOfMonth(year, 4, 1, -1)), name: "Memorial Day" },
+        observed(new Date(Date.UTC(year, 6, 4)), "Independence Day"),
+        { date: toISODate(nthWeekdayOfMonth(year, 8, 1, 1)), name: "Labor Day" },
+        observed(new Date(Date.UTC(year, 10, 11)), "Veterans Day"),
+        { date: toISODate(thanksgiving), name: "Thanksgiving Day" },
+        { date: toISODate(addDays(thanksgiving, 1)), name: "Friday after Thanksgiving" },
+        observed(new Date(Date.UTC(year, 11, 25)), "Christmas Day"),
+        observed(new Date(Date.UTC(year + 1, 0, 1)), "New Year's Day")
+    ];
+    // Keep only holidays observed within this year (New Year's can fall on Dec 31)
+    return holidays.filter(holiday => holiday.date.startsWith(`${year}-`));
+}
+
+/**
+ * Compute the federal legal holidays for a year (5 U.S.C. § 6103(a), as
+ * listed in Fed. R. Civ. P. 6(a)(6)(A))
+ * @param {number} year - Full year
+ * @returns {Array} Holiday entries { date, name }
+ */
+function computeFederalHolidays(year) {
+    const holidays = [
+        observed(new Date(Date.UTC(year, 0, 1)), "New Year's Day"),
+        { date: toISODate(nthWeekdayOfMonth(year, 0, 1, 3)), name: "Martin Luther King Jr. Day" },
+        { date: toISODate(nthWeekdayOfMonth(year, 1, 1, 3)), name: "Washington's Birthday" },
+        { date: toISODate(nthWeekdayOfMonth(year, 4, 1, -1)), name: "Memorial Day" },
+        // Juneteenth became a federal holiday in 2021
+        ...(year >= 2021 ? [observed(new Date(Date.UTC(year, 5, 19)), "Juneteenth National Independence Day")] : []),
+        observed(new Date(Date.UTC(year, 6, 4)), "Independence Day"),
+        { date: toISODate(nthWeekdayOfMonth(year, 8, 1, 1)), name: "Labor Day" },
+        { date: toISODate(nthWeekdayOfMonth(year, 9, 1, 2)), name: "Columbus Day" },
+        observed(new Date(Date.UTC(year, 10, 11)), "Veterans Day"),
+        { date: toISODate(nthWeekdayOfMonth(year, 10, 4, 4)), name: "Thanksgiving Day" },
+        observed(new Date(Date.UTC(year, 11, 25)), "Christmas Day"),
+        observed(new Date(Date.UTC(year + 1, 0, 1)), "New Year's Day")
+    ];
+    // Keep only holidays observed within this year (New Year's can fall on Dec 31)
+    return holidays.filter(holiday => holiday.date.startsWith(`${year}-`));
+}
+
+/**
+ * Get the Florida state court holidays observed in a year
+ * @param {number} year - Full year
+ * @returns {Array} Holiday entries { date, name }
+ */
+function getFloridaHolidays(year) {
+    return FLORIDA_COURT_HOLIDAYS[year] || computeHolidays(year);
+}
+
+/**
+ * Combine holiday lists, keeping the first entry for each date
+ * @param {...Array} lists - Holiday entries { date, name }
+ * @returns {Array} Holiday entries sorted by date
+ */
+function mergeHolidays(...lists) {
+    const byDate = new Map();
+    lists.flat().forEach(holiday => {
+        if (!byDate.has(holiday.date)) {
+            byDate.set(holiday.date, holiday);
+        }
+    });
+    return Array.from(byDate.values()).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * Holiday calendars a jurisdiction pack can install (see setHolidayCalendar)
+ * florida - Florida state court holidays (Rule 2.514(a)(6))
+ * federal - federal holidays (Rule 6(a)(6)(A)) plus every day Florida
+ *           declares a holiday (Rule 6(a)(6)(C)), such as the Friday after
+ *           Thanksgiving
+ */
+export const HOLIDAY_CALENDARS = {
+    florida: {
+        id: 'florida',
+        name: 'Florida state courts',
+        getHolidays: getFloridaHolidays
+    },
+    federal: {
+        id: 'federal',
+        name: 'Federal and Florida holidays',
+        getHolidays: (year) => mergeHolidays(computeFederalHolidays(year), getFloridaHolidays(year))
+    }
+};
+
+// Calendar in effect (Florida unless a jurisdiction pack installs its own)
+let holidayCalendar = HOLIDAY_CALENDARS.florida;
+
+/**
+ * Get the holiday calendar in effect
+ * @returns {Object} { id, name }
+ */
+export function getHolidayCalendar() {
+    return { id: holidayCalendar.id, name: holidayCalendar.name };
+}
+
+/**
+ * Replace the holiday calendar in effect (see jurisdictions.js)
+ * @param {string} id - Key in HOLIDAY_CALENDARS
+ * @throws {Error} For an unknown calendar
+ */
+export function setHolidayCalendar(id) {
+    if (!HOLIDAY_CALENDARS[id]) {
+        throw new Error(`Unknown holiday calendar: ${id}`);
+    }
+    holidayCalendar = HOLIDAY_CALENDARS[id];
+}
+
+/**
+ * Select the jurisdiction whose ad-hoc closures are in effect (see jurisdictions.js)
+ * @param {string} id - Jurisdiction pack ID
+ */
+export function setClosureJurisdiction(id) {
+    closureJurisdiction = id;
+}
+
+/**
+ * Get the court holidays observed in a year under the calendar in effect
+ * @param {number} year - Full year
+ * @returns {Array} Holiday entries { date, name }
+ */
+export function getHolidaysForYear(year) {
+    return holidayCalendar.getHolidays(year);
+}
+
+/**
+ * Get all closures that apply to a circuit
+ * @param {number|null} circuit - Circuit number, or null for statewide only
+ * @returns {Array} Closure entries { date, name, type }
+ */
+export function getClosures(circuit = null) {
+    const applies = (circuits) => !circuits || circuits.length === 0 ||
+        (circuit !== null && circuits.includes(circuit));
+
+    const published = CIRCUIT_CLOSURES
+        .filter(closure => applies(closure.circuits))
+        .flatMap(closure => closure.dates.map(date => ({ date, name: closure.name, type: 'closure' })));
+
+    const custom = (customClosures[closureJurisdiction] || [])
+        .filter(closure => applies(closure.circuit ? [closure.circuit] : []))
+        .map(closure => ({ date: closure.date, name: closure.name, type: 'custom' }));
+
+    return [...published, ...custom];
+}
+
+/**
+ * Look up why the court is closed on a date (holiday or closure)
+ * Weekends are not reported here; see isWeekend in deadlines.js
+ * @param {Date|string} date - Date to check
+ * @param {Object} options - Lookup options
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {Object|null} { date, name, type } or null if the court is open
+ */
+export function getCourtClosure(date, options = {}) {
+    const parsed = parseISODate(date);
+    if (!parsed) return null;
+
+    const iso = toISODate(parsed);
+    const holiday = getHolidaysForYear(parsed.getUTCFullYear()).find(entry => entry.date === iso);
+    if (holiday) {
+        return { ...holiday, type: 'holiday' };
+    }
+
+    return getClosures(options.circuit || null).find(entry => entry.date === iso) || null;
+}
+
+/**
+ * Add an ad-hoc closure date (e.g., a local emergency closure order)
+ * @param {Object} closure - { date, name, circuit }
+ * @param {string} jurisdictionId - Jurisdiction the closure applies to (defaults to the one in effect)
+ * @returns {boolean} True if the closure was added
+ */
+export function addClosureDate({ date, name = "Court closure", circuit = null }, jurisdictionId = closureJurisdiction) {
+    const parsed = parseISODate(date);
+    if (!parsed) return false;
+
+    const iso = toISODate(parsed);
+    const closures = customClosures[jurisdictionId] || [];
+    if (closures.some(entry => entry.date === iso && entry.circuit === circuit)) {
+        return false;
+    }
+
+    closures.push({ date: iso, name, circuit });
+    closures.sort((a, b) => a.date.localeCompare(b.date));
+    customClosures[jurisdictionId] = closures;
+    return true;
+}
+
+/**
+ * Remove an ad-hoc closure date
+ * @param {string} date - ISO date
+ * @param {number|null} circuit - Circuit the closure applies to
+ * @param {string} jurisdictionId - Jurisdiction the closure applies to (defaults to the one in effect)
+ */
+export function removeClosureDate(date, circuit = null, jurisdictionId = closureJurisdiction) {
+    customClosures[jurisdictionId] = (customClosures[jurisdictionId] || [])
+        .filter(entry => !(entry.date === date && entry.circuit === circuit));
+}
+
+/**
+ * Get the ad-hoc closure dates of a jurisdiction
+ * @param {string} jurisdictionId - Jurisdiction ID (defaults to the one in effect)
+ * @returns {Array} Custom closure entries { date, name, circuit }
+ */
+export function getCustomClosures(jurisdictionId = closureJurisdiction) {
+    return (customClosures[jurisdictionId] || []).map(entry => ({ ...entry }));
+}
+
+/**
+ * Replace the ad-hoc closure dates of a jurisdiction (e.g., when restoring saved state)
+ * @param {Array} closures - Custom closure entries { date, name, circuit }
+ * @param {string} jurisdictionId - Jurisdiction ID (defaults to the one in effect)
+ */
+export function setCustomClosures(closures, jurisdictionId = closureJurisdiction) {
+    customClosures[jurisdictionId] = [];
+    (closures || []).forEach(closure => addClosureDate(closure, jurisdictionId));
+}
@@ -0,0 +1,159 @@
+/**
+ * iCalendar Export Module
+ * Builds RFC 5545 calendar files from computed deadlines
+ */
+
+import { addDays, cleanNodeName, formatDisplayDate } from './utils.js';
+
+const PRODUCT_ID = '-//Florida Civil Procedure Visualization//Deadlines//EN';
+const UID_DOMAIN = 'florida-civil-procedure';
+
+/**
+ * Days before the due date that the reminder alarm fires
+ */
+export const DEFAULT_REMINDER_DAYS = 3;
+
+/**
+ * Escape a TEXT property value (RFC 5545 section 3.3.11)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeICSText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets (RFC 5545 section 3.1)
+ * @param {string} line - Unfolded content line
+ * @returns {string} Folded line
+ */
+export function foldICSLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+
+    for (const char of line) {
+        const charBytes = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts toward the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a date as an iCalendar DATE value (YYYYMMDD)
+ * @param {Date} date - UTC date
+ * @returns {string}
+ */
+function formatICSDate(date) {
+    return date.toISOString().slice(0, 10).replace(/-/g, '');
+}
+
+/**
+ * Format a timestamp as an iCalendar UTC DATE-TIME value (YYYYMMDDTHHMMSSZ)
+ * @param {Date} date - Timestamp
+ * @returns {string}
+ */
+function formatICSDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the description text for a deadline event
+ * @param {Object} entry - Schedule entry from computeDeadlineSchedule
+ * @returns {string}
+ */
+function buildEventDescription(entry) {
+    const { node } = entry;
+    const lines = [];
+
+    if (node.rule) {
+        lines.push(`Rule: ${node.rule}`);
+    }
+    if (node.owner && node.owner !== 'n/a') {
+        lines.push(`Responsible: ${node.owner}`);
+    }
+    if (node.documents && node.documents.length > 0) {
+        lines.push(`Required documents: ${node.documents.join(', ')}`);
+    }
+    if (entry.projected) {
+        lines.push('Projected date - recompute once the triggering event occurs.');
+    }
+    if (entry.skippedHolidays && entry.skippedHolidays.length > 0) {
+        lines.push(`Extended past: ${entry.skippedHolidays.map(holiday => holiday.name).join(', ')}`);
+    }
+    if (node.notes) {
+        lines.push(`Note: ${node.notes}`);
+    }
+
+    return lines.join('\n');
+}
+
+/**
+ * Generate an iCalendar file with one all-day VEVENT per deadline
+ * @param {Array} entries - Schedule entries from computeDeadlineSchedule
+ * @param {Object} options - Export options
+ * @param {number} options.reminderDays - Days before the due date for the alarm
+ * @param {string} options.calendarName - Calendar display name
+ * @param {string} options.uidDomain - Domain part of event UIDs (keeps each jurisdiction's events distinct)
+ * @param {Date} options.timestamp - DTSTAMP value (defaults to now)
+ * @returns {string} iCalendar content with CRLF line endings
+ */
+export function generateICS(entries, options = {}) {
+    const {
+        reminderDays = DEFAULT_REMINDER_DAYS,
+        calendarName = 'Florida Civil Procedure Deadlines',
+        uidDomain = UID_DOMAIN,
+        timestamp = new Date()
+    } = options;
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(calendarName)}`
+    ];
+
+    entries.forEach(entry => {
+        const name = cleanNodeName(entry.node.name);
+        const rule = entry.node.rule ? ` (${entry.node.rule})` : '';
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${entry.nodeId}-${formatICSDate(entry.dueDate)}@${uidDomain}`,
+            `DTSTAMP:${formatICSDateTime(timestamp)}`,
+            `DTSTART;VALUE=DATE:${formatICSDate(entry.dueDate)}`,
+            `DTEND;VALUE=DATE:${formatICSDate(addDays(entry.dueDate, 1))}`,
+            `SUMMARY:${escapeICSText(`Deadline: ${name}${rule}`)}`,
+            `DESCRIPTION:${escapeICSText(buildEventDescription(entry))}`,
+            `CATEGORIES:${escapeICSText(entry.node.stage || 'Deadline')}`,
+            'TRANSP:TRANSPARENT',
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            `DESCRIPTION:${escapeICSText(`${name} due ${formatDisplayDate(entry.dueDate)}`)}`,
+            `TRIGGER:-P${reminderDays}D`,
+            'END:VALARM',
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,243 @@
+/**
+ * Jurisdiction Packs Module
+ * Each pack bundles what the app needs to model one court system: its
+ * workflow dataset (data/*.json), rule URL resolver,
+ * deadline rules, outcome nodes and display names.
+ *
+ * Each pack installs its own holiday calendar from holidays.js. Florida
+ * courts observe the state court holidays (Rule 2.514(a)(6)). Fed. R. Civ. P.
+ * 6(a)(6) counts every federal holiday listed in (A) and, under (C), every
+ * day declared a holiday by the state where the district court sits in
+ * addition, so the federal pack uses both. Local closures are entered per
+ * matter either way.
+ */
+
+import { SECTION_PREFIX } from './citations.js';
+import { loadBundledDataset } from './dataset.js';
+import { DEADLINE_TRIGGERS, MAIL_SERVICE_DAYS, setDeadlineRules } from './deadlines.js';
+import { setClosureJurisdiction, setHolidayCalendar } from './holidays.js';
+import { FEDERAL_DEADLINE_TRIGGERS, FEDERAL_OUTCOME_NODES } from './federal-data.js';
+
+/**
+ * URL parameter selecting the pack at startup (e.g., ?jurisdiction=federal)
+ */
+export const JURISDICTION_URL_PARAM = 'jurisdiction';
+
+const FLORIDA_RULES_URL = 'https://www-media.floridabar.org/uploads/2025/11/Civil-Procedure-Rules-06-19-25.pdf';
+const FLORIDA_JUDICIAL_ADMIN_RULES_URL = 'https://www-media.floridabar.org/uploads/2025/10/Rules-of-General-Practice-and-Judicial-Administration-Updated-10-01-25.pdf';
+const FLORIDA_APPELLATE_RULES_URL = 'https://www-media.floridabar.org/uploads/2025/10/Appellate-Procedure-Rules-Updated-10-01-25.pdf';
+const FLORIDA_STATUTES_URL = 'https://www.leg.state.fl.us/statutes/index.cfm?App_mode=Display_Statute&URL=';
+const FEDERAL_RULES_URL = 'https://www.uscourts.gov/rules-policies/current-rules-practice-procedure/federal-rules-civil-procedure';
+const CORNELL_RULES_URL = 'https://www.law.cornell.edu/rules/';
+
+const FLORIDA_WORKFLOW_URL = new URL('../data/workflow.json', import.meta.url).href;
+const FEDERAL_WORKFLOW_URL = new URL('../data/federal-workflow.json', import.meta.url).href;
+
+/**
+ * Online Sunshine path for a Florida Statutes chapter (e.g., 768 -> "0700-0799/0768")
+ * @param {number} chapter - Chapter number
+ * @returns {string}
+ */
+function getStatuteChapterPath(chapter) {
+    const pad = (value) => String(value).padStart(4, '0');
+    const first = Math.floor(chapter / 100) * 100;
+    return `${pad(first)}-${pad(first + 99)}/${pad(chapter)}`;
+}
+
+/**
+ * Online Sunshine URL for a Florida Statutes section (e.g., "768.79")
+ * @param {Object} citation - Parsed citation
+ * @returns {string}
+ */
+function getStatuteUrl({ number }) {
+    const [chapter] = number.split('.');
+    return `${FLORIDA_STATUTES_URL}${getStatuteChapterPath(Number(chapter))}/Sections/${chapter.padStart(4, '0')}.${number.split('.')[1]}.html`;
+}
+
+/**
+ * Florida Bar rules PDF opened at a search for the rule heading
+ * (e.g., 2.514 -> ...pdf#search="RULE 2.514")
+ * @param {string} pdfUrl - Rule set PDF
+ * @returns {Function} Resolver taking a parsed citation
+ */
+function getFloridaRulesResolver(pdfUrl) {
+    return ({ number }) => `${pdfUrl}#search=${encodeURIComponent(`"RULE ${number}"`)}`;
+}
+
+/**
+ * Cornell LII URL for a federal rule, anchored at its subdivision
+ * (e.g., FRCP 12(b)(6) -> .../frcp/rule_12#rule_12_b_6)
+ * @param {string} ruleSet - LII rule set path ('frcp', 'fre', 'frap')
+ * @returns {Function} Resolver taking a parsed citation
+ */
+function getCornellResolver(ruleSet) {
+    return ({ number, subdivisions }) => {
+        const anchor = subdivisions.length > 0 ? `#rule_${[number, ...subdivisions].join('_')}` : '';
+        return `${CORNELL_RULES_URL}${ruleSet}/rule_${number}${anchor}`;
+    };
+}
+
+/**
+ * Florida citation resolver table (see citations.js)
+ * Court rules open their rule set's Florida Bar PDF at a search for the rule
+ * heading; statutes, including the Evidence Code (ch. 90), open the section on Online
+ * Sunshine whether cited bare ("768.79") or with a section sign ("§ 768.79").
+ */
+const FLORIDA_CITATION_SOURCES = [
+    { id: 'civil', label: 'Fla. R. Civ. P.', pattern: /^1\.\d+$/, url: getFloridaRulesResolver(FLORIDA_RULES_URL) },
+    {
+        id: 'judicial-admin',
+        label: 'Fla. R. Gen. Prac. & Jud. Admin.',
+        pattern: /^2\.\d+$/,
+        url: getFloridaRulesResolver(FLORIDA_JUDICIAL_ADMIN_RULES_URL)
+    },
+    { id: 'appellate', label: 'Fla. R. App. P.', pattern: /^9\.\d+$/, url: getFloridaRulesResolver(FLORIDA_APPELLATE_RULES_URL) },
+    { id: 'evidence', label: 'Fla. Stat. §', pattern: /^90\.\d+$/, url: getStatuteUrl },
+    { id: 'statute', label: 'Fla. Stat. §', pattern: /^\d{2,3}\.\d+$/, url: getStatuteUrl },
+    { id: 'evidence', label: 'Fla. Stat. §', prefix: SECTION_PREFIX, pattern: /^90\.\d+$/, url: getStatuteUrl },
+    { id: 'statute', label: 'Fla. Stat. §', prefix: SECTION_PREFIX, pattern: /^\d{2,3}\.\d+$/, url: getStatuteUrl },
+    {
+        id: 'statute-chapter',
+        label: 'Fla. Stat. ch.',
+        prefix: 'Ch.',
+        pattern: /^\d+$/,
+        url: ({ number }) => `${FLORIDA_STATUTES_URL}${getStatuteChapterPath(Number(number))}/${String(number).padStart(4, '0')}ContentsIndex.html`
+    }
+];
+
+/**
+ * Federal citation resolver table (see citations.js)
+ */
+const FEDERAL_CITATION_SOURCES = [
+    { id: 'evidence', label: 'Fed. R. Evid.', prefix: 'FRE', pattern: /^\d+$/, url: getCornellResolver('fre') },
+    { id: 'appellate', label: 'Fed. R. App. P.', prefix: 'FRAP', pattern: /^\d+$/, url: getCornellResolver('frap') },
+    { id: 'civil', label: 'Fed. R. Civ. P.', pattern: /^\d+$/, url: getCornellResolver('frcp') }
+];
+
+/**
+ * Available jurisdiction packs
+ *
+ * shortName       - label for side-by-side comparisons
+ * title           - display name used in page titles, exports and calendars
+ * rulesName       - name of the governing rules (footer)
+ * filePrefix      - prefix for exported file names
+ * loadDataset     - resolves to a fresh copy of the pack's bundled workflow dataset
+ * citationSources - resolver table for rule citations (see citations.js)
+ * rulesUrl        - governing rules, for citations no source resolves
+ * deadlineRules   - triggers, mail service days and service period for deadlines.js
+ * holidayCalendar - legal holidays deadlines roll past (key in HOLIDAY_CALENDARS)
+ * serviceRule     - rule setting the time limit for service of process
+ * serviceRiskNodeIds - step each flagged service status concerns (see SERVICE_STATUSES)
+ * endNodeId       - default end step for critical path and path exploration
+ * outcomeNodeIds  - terminal nodes per outcome category (see OUTCOME_CATEGORIES)
+ * features        - Florida- or federal-only tools to show
+ */
+export const JURISDICTIONS = [
+    {
+        id: 'florida',
+        name: 'Florida State Courts',
+        shortName: 'Florida',
+        title: 'Florida Civil Procedure',
+        rulesName: 'Florida Rules of Civil Procedure',
+        filePrefix: 'florida-civil-procedure',
+        loadDataset: () => loadBundledDataset(FLORIDA_WORKFLOW_URL),
+        citationSources: FLORIDA_CITATION_SOURCES,
+        rulesUrl: FLORIDA_RULES_URL,
+        deadlineRules: {
+            triggers: DEADLINE_TRIGGERS,
+            mailServiceDays: MAIL_SERVICE_DAYS,
+            servicePeriodDays: DEADLINE_TRIGGERS[1].days
+        },
+        holidayCalendar: 'florida',
+        serviceRule: '1.070(j)',
+        serviceRiskNodeIds: {
+            // Service Required; Insufficient Service (Rule 1.140(b))
+            'at-risk': 1,
+            overdue: 6,
+            'served-late': 6
+        },
+        endNodeId: 30,
+        outcomeNodeIds: {
+            settlement: [13, 23, 25, 134],
+            'summary-judgment': [21],
+            judgment: [32, 154],
+            default: [100],
+            dismissal: [6, 9, 101, 181, 182],
+            sanctions: [102, 152, 204],
+            appeal: [34, 123, 124, 163]
+        },
+        features: { proposalForSettlement: true }
+    },
+    {
+        id: 'federal',
+        name: 'Federal Courts (S.D./M.D./N.D. Fla.)',
+        shortName: 'Federal',
+        title: 'Federal Civil Procedure',
+        rulesName: 'Federal Rules of Civil Procedure',
+        filePrefix: 'federal-civil-procedure',
+        loadDataset: () => loadBundledDataset(FEDERAL_WORKFLOW_URL),
+        citationSources: FEDERAL_CITATION_SOURCES,
+        rulesUrl: FEDERAL_RULES_URL,
+        deadlineRules: {
+            triggers: FEDERAL_DEADLINE_TRIGGERS,
+            // Rule 6(d): 3 days are added after service by mail
+            mailServiceDays: 3,
+            servicePeriodDays: FEDERAL_DEADLINE_TRIGGERS[4].days
+        },
+        holidayCalendar: 'federal',
+        serviceRule: '4(m)',
+        serviceRiskNodeIds: {
+            // Personal Service; Service Not Made (Rule 4(m)); Motion to Dismiss (Rule 12(b)(5))
+            'at-risk': 3,
+            overdue: 5,
+            'served-late': 9
+        },
+        endNodeId: 36,
+        outcomeNodeIds: FEDERAL_OUTCOME_NODES,
+        features: { proposalForSettlement: false }
+    }
+];
+
+/**
+ * Pack used when none is selected
+ */
+export const DEFAULT_JURISDICTION_ID = 'florida';
+
+let activeJurisdiction = JURISDICTIONS.find(pack => pack.id === DEFAULT_JURISDICTION_ID);
+
+/**
+ * Look up a jurisdiction pack
+ * @param {string} id - Pack ID
+ * @returns {Object|null}
+ */
+export function getJurisdiction(id) {
+    return JURISDICTIONS.find(pack => pack.id === id) || null;
+}
+
+/**
+ * Get the active jurisdiction pack
+ * @returns {Object}
+ */
+export function getActiveJurisdiction() {
+    return activeJurisdiction;
+}
+
+/**
+ * Make a pack active and install its deadline rules, holiday calendar and ad-hoc closures
+ * Callers apply the dataset from pack.loadDataset() and re-render the chart and controls afterwards.
+ * @param {string} id - Pack ID
+ * @returns {Object} The pack
+ * @throws {Error} For an unknown pack ID
+ */
+export function setActiveJurisdiction(id) {
+    const pack = getJurisdiction(id);
+    if (!pack) {
+        throw new Error(`Unknown jurisdiction: ${id}`);
+    }
+
+    activeJurisdiction = pack;
+    setDeadlineRules(pack.deadlineRules);
+    setHolidayCalendar(pack.holidayCalendar);
+    setClosureJurisdiction(pack.id);
+    return pack;
+}
@@ -0,0 +1,95 @@
+/**
+ * Rule Library Module
+ * Looks up the bundled text of a parsed citation (see citations.js and
+ * rule-text.js) and formats it for the rule text panel, marking the cited
+ * subdivision.
+ */
+
+import { RULE_TEXT_LIBRARY } from './rule-text.js';
+import { escapeHTML } from './utils.js';
+
+/**
+ * Library key for a resolved citation (e.g., "Fla. R. Civ. P. 1.442")
+ * @param {Object} citation - Citation from resolveCitations
+ * @returns {string|null} Null when the citation has no source
+ */
+export function getRuleTextKey(citation) {
+    return citation.source ? `${citation.source.label} ${citation.number}` : null;
+}
+
+/**
+ * Find the bundled text for a citation
+ * The cited subdivision is followed as far as the excerpt goes: for 1.442(c)(9)
+ * with only (c)(1)-(3) bundled, citedPath is ['c'] and missingPath ['9'].
+ * @param {Object} citation - Citation from resolveCitations
+ * @param {Object} library - Rule text keyed by citation (defaults to RULE_TEXT_LIBRARY)
+ * @returns {Object|null} { key, entry, citedPath, missingPath }, or null when not bundled
+ */
+export function findRuleText(citation, library = RULE_TEXT_LIBRARY) {
+    const key = getRuleTextKey(citation);
+    const entry = key ? library[key] : null;
+    if (!entry) return null;
+
+    const citedPath = [];
+    let subdivisions = entry.subdivisions || [];
+    for (const label of citation.subdivisions) {
+        const subdivision = subdivisions.find(item => item.label === label);
+        if (!subdivision) break;
+
+        citedPath.push(label);
+        subdivisions = subdivision.subdivisions || [];
+    }
+
+    return {
+        key,
+        entry,
+        citedPath,
+        missingPath: citation.subdivisions.slice(citedPath.length)
+    };
+}
+
+/**
+ * Format a subdivision path (e.g., ['c', '2'] -> "(c)(2)")
+ * @param {Array} path - Subdivision labels
+ * @returns {string}
+ */
+export function formatSubdivisionPath(path) {
+    return path.map(label => `(${label})`).join('');
+}
+
+/**
+ * Render subdivisions as nested HTML
+ * @param {Array} subdivisions - Subdivisions to render
+ * @param {Array} path - Labels of the enclosing subdivisions
+ * @param {string} citedId - Path ID of the cited subdivision
+ * @returns {string}
+ */
+function renderSubdivisions(subdivisions, path, citedId) {
+    return subdivisions.map(subdivision => {
+        const subdivisionPath = [...path, subdivision.label];
+        const id = subdivisionPath.join('.');
+        const heading = subdivision.heading ? ` <strong>${escapeHTML(subdivision.heading)}.</strong>` : '';
+        const text = subdivision.text ? ` ${escapeHTML(subdivision.text)}` : '';
+        const children = subdivision.subdivisions ?
+            renderSubdivisions(subdivision.subdivisions, subdivisionPath, citedId) : '';
+
+        return `
+            <div class="library-subdivision${id === citedId ? ' cited' : ''}" data-subdivision="${escapeHTML(id)}">
+                <p><span class="library-label">(${escapeHTML(subdivision.label)})</span>${heading}${text}</p>
+                ${children}
+            </div>
+        `;
+    }).join('');
+}
+
+/**
+ * Format bundled rule text as HTML, marking the cited subdivision with the
+ * "cited" class
+ * @param {Object} result - Result of findRuleText
+ * @returns {string}
+ */
+export function formatRuleTextHTML(result) {
+    const { entry, citedPath } = result;
+    const lead = entry.text ? `<p>${escapeHTML(entry.text)}</p>` : '';
+    return `${lead}${renderSubdivisions(entry.subdivisions || [], [], citedPath.join('.'))}`;
+}
@@ -0,0 +1,73 @@
+/**
+ * Path Explorer Module
+ * Enumerates every route between two workflow nodes with findPaths and
+ * totals each route's duration, costs, attorney hours and likelihood
+ */
+
+import { NODES, LINKS } from './data.js';
+import { getTransitionProbabilities } from './probability.js';
+import { calculateCostEstimates, findPaths } from './utils.js';
+
+/**
+ * Ways the path list can be ordered
+ */
+export const PATH_SORT_OPTIONS = [
+    { id: 'likelihood', label: 'Most likely', compare: (a, b) => b.likelihood - a.likelihood },
+    { id: 'duration', label: 'Fastest', compare: (a, b) => a.estimates.daysMin - b.estimates.daysMin },
+    { id: 'cost', label: 'Least expensive', compare: (a, b) => a.estimates.fixedCostsMin - b.estimates.fixedCostsMin },
+    { id: 'steps', label: 'Fewest steps', compare: (a, b) => a.steps - b.steps }
+];
+
+/**
+ * Find and total every route between two nodes
+ * @param {number} startId - Starting node ID
+ * @param {number} endId - Ending node ID
+ * @param {Object} options - Explorer options
+ * @param {string} options.sortBy - Sort option ID (see PATH_SORT_OPTIONS)
+ * @returns {Array} Routes { nodeIds, nodes, steps, estimates, likelihood, share }, where
+ *     likelihood is the product of link probabilities and share is the route's
+ *     fraction of the total likelihood across all routes found
+ */
+export function explorePaths(startId, endId, options = {}) {
+    const { sortBy = 'likelihood' } = options;
+    const nodeMap = new Map(NODES.map(node => [node.id, node]));
+
+    // Parallel links between the same pair of nodes yield duplicate routes
+    const unique = new Map();
+    findPaths(LINKS, startId, endId).forEach(nodeIds => {
+        unique.set(nodeIds.join('>'), nodeIds);
+    });
+
+    // Routes share most of their links, so normalize the outgoing volumes once
+    const probabilities = new Map();
+    getTransitionProbabilities().forEach((transitions, sourceId) => {
+        transitions.forEach(({ target, probability }) => {
+            probabilities.set(`${sourceId}>${target}`, probability);
+        });
+    });
+    const probability = (sourceId, targetId) => probabilities.get(`${sourceId}>${targetId}`) || 0;
+
+    const routes = Array.from(unique.values()).map(nodeIds => {
+        const nodes = nodeIds.map(id => nodeMap.get(id)).filter(Boolean);
+        let likelihood = 1;
+        for (let i = 0; i < nodeIds.length - 1; i++) {
+            likelihood *= probability(nodeIds[i], nodeIds[i + 1]);
+        }
+
+        return {
+            nodeIds,
+            nodes,
+            steps: nodes.length,
+            estimates: calculateCostEstimates(nodes),
+            likelihood
+        };
+    });
+
+    const total = routes.reduce((sum, route) => sum + route.likelihood, 0);
+    routes.forEach(route => {
+        route.share = total > 0 ? route.likelihood / total : 0;
+    });
+
+    const sort = PATH_SORT_OPTIONS.find(option => option.id === sortBy) || PATH_SORT_OPTIONS[0];
+    return routes.sort(sort.compare);
+}
@@ -0,0 +1,168 @@
+/**
+ * Outcome Probability Module
+ * Treats link volumes ("% of cases") as a Markov chain: each node's outgoing
+ * volumes are normalized into transition probabilities and propagated from
+ * Complaint Filed to a distribution over terminal outcomes
+ */
+
+import { NODES, LINKS } from './data.js';
+import { getActiveJurisdiction } from './jurisdictions.js';
+
+/**
+ * Terminal outcome categories
+ * The terminal nodes in each come from the active jurisdiction pack's
+ * outcomeNodeIds; terminal nodes not listed there are reported under "other"
+ */
+export const OUTCOME_CATEGORIES = [
+    { id: 'settlement', label: 'Settlement', color: '#10b981' },
+    { id: 'summary-judgment', label: 'Summary Judgment', color: '#3b82f6' },
+    { id: 'judgment', label: 'Verdict / Judgment', color: '#6366f1' },
+    { id: 'default', label: 'Default', color: '#f59e0b' },
+    { id: 'dismissal', label: 'Dismissal', color: '#64748b' },
+    { id: 'sanctions', label: 'Sanctions', color: '#dc2626' },
+    { id: 'appeal', label: 'Appeal', color: '#8b5cf6' },
+    { id: 'other', label: 'Other / Side Proceedings', color: '#94a3b8' }
+];
+
+export const START_NODE_ID = 0;
+
+// Mass still in transit below this is treated as fully absorbed
+const CONVERGENCE_THRESHOLD = 1e-9;
+const MAX_ITERATIONS = 1000;
+
+/**
+ * Normalize each node's outgoing link volumes into transition probabilities
+ * Links between the same pair of nodes are combined. Parallel processes
+ * (nodes flagged isParallel, such as a Proposal for Settlement) run alongside
+ * the main case rather than diverting it, so their links are left out.
+ * @param {Array} links - Links to normalize (defaults to LINKS)
+ * @param {Array} nodes - Nodes the links connect (defaults to NODES)
+ * @returns {Map} Source node ID -> Array of { target, probability, volume }
+ */
+export function getTransitionProbabilities(links = LINKS, nodes = NODES) {
+    const parallelIds = new Set(nodes.filter(node => node.isParallel).map(node => node.id));
+    const bySource = new Map();
+
+    links.forEach(link => {
+        if (parallelIds.has(link.source) || parallelIds.has(link.target)) return;
+        if (!bySource.has(link.source)) {
+            bySource.set(link.source, new Map());
+        }
+        const targets = bySource.get(link.source);
+        targets.set(link.target, (targets.get(link.target) || 0) + (link.volume || 0));
+    });
+
+    const transitions = new Map();
+    bySource.forEach((targets, source) => {
+        const total = Array.from(targets.values()).reduce((sum, volume) => sum + volume, 0);
+        transitions.set(source, Array.from(targets.entries()).map(([target, volume]) => ({
+            target,
+            volume,
+            // Without volume data, every outgoing link is equally likely
+            probability: total > 0 ? volume / total : 1 / targets.size
+        })));
+    });
+
+    return transitions;
+}
+
+/**
+ * Get the outcome category for a terminal node
+ * @param {number} nodeId - Terminal node ID
+ * @returns {Object} Outcome category
+ */
+export function getOutcomeCategory(nodeId) {
+    const { outcomeNodeIds } = getActiveJurisdiction();
+    return OUTCOME_CATEGORIES.find(category => (outcomeNodeIds[category.id] || []).includes(nodeId)) ||
+        OUTCOME_CATEGORIES.find(category => category.id === 'other');
+}
+
+/**
+ * Propagate probability from a start node to the terminal nodes
+ * Probability mass is pushed along transitions until it is absorbed by nodes
+ * with no outgoing links; mass caught in cycles is reported as unresolved.
+ * @param {Object} options - Model options
+ * @param {number} options.startId - Node the case starts at
+ * @param {Map} options.transitions - Transition probabilities (defaults to getTransitionProbabilities())
+ * @returns {Object} { outcomes, terminals, reach, unresolved }
+ */
+export function computeOutcomeDistribution(options = {}) {
+    const { startId = START_NODE_ID, transitions = getTransitionProbabilities() } = options;
+
+    const terminals = new Map();
+    const reach = new Map([[startId, 1]]);
+    let inTransit = new Map([[startId, 1]]);
+    let iterations = 0;
+
+    while (inTransit.size > 0 && iterations < MAX_ITERATIONS) {
+        const next = new Map();
+
+        inTransit.forEach((mass, nodeId) => {
+            const outgoing = transitions.get(nodeId);
+            if (!outgoing || outgoing.length === 0) {
+                terminals.set(nodeId, (terminals.get(nodeId) || 0) + mass);
+                return;
+            }
+
+            outgoing.forEach(({ target, probability }) => {
+                const share = mass * probability;
+                if (share < CONVERGENCE_THRESHOLD) return;
+                next.set(target, (next.get(target) || 0) + share);
+                reach.set(target, (reach.get(target) || 0) + share);
+            });
+        });
+
+        inTransit = next;
+        iterations++;
+    }
+
+    const absorbed = Array.from(terminals.values()).reduce((sum, mass) => sum + mass, 0);
+    const nodeMap = new Map(NODES.map(node => [node.id, node]));
+
+    const outcomes = OUTCOME_CATEGORIES.map(category => {
+        const nodes = Array.from(terminals.entries())
+            .filter(([nodeId]) => getOutcomeCategory(nodeId) === category)
+            .map(([nodeId, probability]) => ({ node: nodeMap.get(nodeId), probability }))
+            .sort((a, b) => b.probability - a.probability);
+
+        return {
+            ...category,
+            probability: nodes.reduce((sum, entry) => sum + entry.probability, 0),
+            nodes
+        };
+    });
+
+    return {
+        outcomes,
+        terminals,
+        reach,
+        unresolved: Math.max(0, 1 - absorbed)
+    };
+}
+
+/**
+ * Find nodes whose outgoing volume exceeds their incoming volume
+ * Volumes are "% of cases", so more leaving a node than arriving usually
+ * means a data entry error. The start node has no incoming links and is skipped.
+ * @param {Array} links - Links to check (defaults to LINKS)
+ * @returns {Array} { node, incoming, outgoing, excess } sorted by excess
+ */
+export function findVolumeImbalances(links = LINKS) {
+    const incoming = new Map();
+    const outgoing = new Map();
+
+    links.forEach(link => {
+        outgoing.set(link.source, (outgoing.get(link.source) || 0) + (link.volume || 0));
+        incoming.set(link.target, (incoming.get(link.target) || 0) + (link.volume || 0));
+    });
+
+    return NODES
+        .filter(node => incoming.has(node.id) && (outgoing.get(node.id) || 0) > incoming.get(node.id))
+        .map(node => ({
+            node,
+            incoming: incoming.get(node.id),
+            outgoing: outgoing.get(node.id),
+            excess: outgoing.get(node.id) - incoming.get(node.id)
+        }))
+        .sort((a, b) => b.excess - a.excess);
+}
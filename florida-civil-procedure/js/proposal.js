@@ -0,0 +1,100 @@
+/**
+ * Proposal for Settlement Window Module
+ * Computes when a proposal for settlement may be served under
+ * § 768.79, Fla. Stat. and Fla. R. Civ. P. 1.442
+ *
+ * Rule 1.442(b): a proposal to a defendant may be served no earlier than
+ * 90 days after service of process on that defendant (to a plaintiff, 90 days
+ * after the action was commenced), and no later than 45 days before the date
+ * set for trial or the first day of the trial docket, whichever is earlier.
+ * Rule 1.442(f): a proposal is deemed rejected unless accepted within 30 days
+ * after service.
+ */
+
+import { PARALLEL_PROCESSES } from './data.js';
+import { computeDeadline } from './deadlines.js';
+import { addDays, getToday, parseISODate } from './utils.js';
+
+/**
+ * Get the structured timing of the applied workflow's proposal-settlement parallel process
+ * @returns {Object|null} { earliestDaysAfterService, latestDaysBeforeTrial, acceptanceDays }, or null when the workflow has none
+ */
+export function getProposalTiming() {
+    return PARALLEL_PROCESSES.find(process => process.id === 'proposal-settlement')?.timing || null;
+}
+
+/**
+ * Window states, as reported by computeProposalWindow
+ */
+export const PROPOSAL_WINDOW_STATUS = {
+    'not-yet-open': 'Not yet open',
+    open: 'Open',
+    closed: 'Closed'
+};
+
+/**
+ * Compute the window for serving a proposal for settlement
+ * @param {Object} inputs - Case dates
+ * @param {Date|string} inputs.serviceDate - Service of process on the defendant (or filing date for a proposal to plaintiff)
+ * @param {Date|string} inputs.trialDate - Date set for trial
+ * @param {Date|string} inputs.docketDate - First day of the trial docket (optional)
+ * @param {Date|string} inputs.proposalServedDate - Date a proposal was served (optional)
+ * @param {Object} options - Computation options
+ * @param {Date} options.today - Reference date (defaults to today)
+ * @param {boolean} options.mailService - Proposal was served by mail (adds days to acceptance)
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {Object|null} { opens, closes, trialReference, status, acceptance, warnings }, or null without a valid
+ *     service date or a proposal-settlement process in the workflow
+ */
+export function computeProposalWindow(inputs, options = {}) {
+    const { today = getToday(), mailService = false, circuit = null } = options;
+    const serviceDate = parseISODate(inputs.serviceDate);
+    const timing = getProposalTiming();
+    if (!serviceDate || !timing) return null;
+
+    const trialDate = parseISODate(inputs.trialDate);
+    const docketDate = parseISODate(inputs.docketDate);
+    const proposalServedDate = parseISODate(inputs.proposalServedDate);
+    const warnings = [];
+
+    // The window opens on the first day a proposal may be served; no roll-forward
+    // applies because this is not the last day of a period
+    const opens = addDays(serviceDate, timing.earliestDaysAfterService);
+
+    // Measure back from whichever trial reference date is earlier
+    const trialReference = [trialDate, docketDate].filter(Boolean).sort((a, b) => a - b)[0] || null;
+    const closes = trialReference ?
+        computeDeadline(trialReference, timing.latestDaysBeforeTrial, { direction: 'before', circuit }).dueDate :
+        null;
+
+    let status = 'open';
+    if (today < opens) {
+        status = 'not-yet-open';
+    } else if (closes && today > closes) {
+        status = 'closed';
+    }
+
+    if (closes && closes < opens) {
+        status = 'closed';
+        warnings.push('Trial is set too soon for a proposal to be served: the window closes before it opens.');
+    } else if (status === 'closed') {
+        warnings.push('The window to serve a proposal for settlement has closed.');
+    }
+    if (!trialReference) {
+        warnings.push('No trial date entered - the closing date cannot be computed until trial is set.');
+    }
+
+    let acceptance = null;
+    if (proposalServedDate) {
+        acceptance = computeDeadline(proposalServedDate, timing.acceptanceDays, { mailService, circuit });
+
+        if (proposalServedDate < opens || (closes && proposalServedDate > closes)) {
+            warnings.push('The proposal was served outside the permitted window and may be unenforceable.');
+        }
+        if (today > acceptance.dueDate) {
+            warnings.push('The acceptance period has run; an unaccepted proposal is deemed rejected.');
+        }
+    }
+
+    return { opens, closes, trialReference, status, acceptance, warnings };
+}
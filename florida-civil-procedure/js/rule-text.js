@@ -0,0 +1,447 @@
+/**
+ * Rule Text Library Data
+ * Bundled excerpts of the rules and statutes cited by the Florida and federal
+ * workflows, read offline in the rule text panel (see library.js).
+ *
+ * Entries are keyed by canonical citation: the citation source label and
+ * number from the active pack's resolver table (e.g., "Fla. R. Civ. P. 1.442",
+ * "Fla. Stat. § 768.79", "Fed. R. Civ. P. 12").
+ *
+ * title        - rule or section heading
+ * currentAsOf  - date the excerpt was checked against the official text (ISO)
+ * text         - lead-in text before the first subdivision, if any
+ * subdivisions - { label, heading, text, subdivisions } in rule order, where
+ *                label is the subdivision letter or number without parentheses
+ *
+ * Excerpts cover the subdivisions the workflows cite and are no substitute
+ * for the official text linked from the panel.
+ */
+
+export const RULE_TEXT_LIBRARY = {
+    // ============================================
+    // FLORIDA RULES OF CIVIL PROCEDURE
+    // ============================================
+    "Fla. R. Civ. P. 1.070": {
+        title: "Process",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "j",
+                heading: "Summons; Time Limit",
+                text: "If service of the initial process and initial pleading is not made upon a defendant within 120 days after filing of the initial pleading directed to that defendant the court, on its own initiative after notice or on motion, shall direct that service be effected within a specified time or shall dismiss the action without prejudice or drop that defendant as a party; provided that if the plaintiff shows good cause or excusable neglect for the failure, the court shall extend the time for service for an appropriate period."
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.140": {
+        title: "Defenses",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "When Presented",
+                subdivisions: [
+                    {
+                        label: "1",
+                        text: "Unless a different time is prescribed in a statute of Florida, a defendant must serve an answer within 20 days after service of original process and the initial pleading on the defendant, or not later than the date fixed in a notice by publication. A defendant who, before being served with process, timely waives service under rule 1.070(i) must serve an answer within 60 days after the date the request for waiver was mailed to the defendant."
+                    }
+                ]
+            },
+            {
+                label: "b",
+                heading: "How Presented",
+                text: "Every defense in law or fact to a claim for relief in a pleading must be asserted in the responsive pleading, if one is required, but the following defenses may be made by motion at the option of the pleader: (1) lack of jurisdiction over the subject matter, (2) lack of jurisdiction over the person, (3) improper venue, (4) insufficiency of process, (5) insufficiency of service of process, (6) failure to state a cause of action, and (7) failure to join indispensable parties. A motion making any of these defenses must be made before pleading if a further pleading is permitted."
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.190": {
+        title: "Amended and Supplemental Pleadings",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Amendments",
+                text: "A party may amend a pleading once as a matter of course at any time before a responsive pleading is served or, if the pleading is one to which no responsive pleading is permitted and the action has not been placed on the trial calendar, may so amend it at any time within 20 days after it is served. Otherwise a party may amend a pleading only by leave of court or by written consent of the adverse party. If a party files a motion to amend a pleading, the party shall attach the proposed amended pleading to the motion. Leave of court shall be given freely when justice so requires."
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.280": {
+        title: "General Provisions Governing Discovery",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Initial Discovery Disclosure",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "In General",
+                        text: "Except as exempted by subdivision (a)(2) or as ordered by the court, a party must, without awaiting a discovery request, provide to the other parties the following initial discovery disclosures unless privileged or protected from disclosure:",
+                        subdivisions: [
+                            {
+                                label: "A",
+                                text: "the name and, if known, the address, telephone number, and e-mail address of each individual likely to have discoverable information, along with the subjects of that information, that the disclosing party may use to support its claims or defenses, unless the use would be solely for impeachment;"
+                            },
+                            {
+                                label: "B",
+                                text: "a copy, or a description by category and location, of all documents, electronically stored information, and tangible things that the disclosing party has in its possession, custody, or control and may use to support its claims or defenses, unless the use would be solely for impeachment;"
+                            },
+                            {
+                                label: "C",
+                                text: "a computation of each category of damages claimed by the disclosing party, together with a copy of the documents or other evidentiary material on which each computation is based; and"
+                            },
+                            {
+                                label: "D",
+                                text: "a copy of any insurance policy or agreement under which an insurance business may be liable to satisfy all or part of a possible judgment in the action or to indemnify or reimburse for payments made to satisfy the judgment."
+                            }
+                        ]
+                    },
+                    {
+                        label: "3",
+                        heading: "Time for Initial Disclosures",
+                        text: "Unless otherwise stipulated or ordered, a party must make the initial disclosures within 60 days after service of the complaint or joinder."
+                    }
+                ]
+            },
+            {
+                label: "c",
+                heading: "Scope of Discovery",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "In General",
+                        text: "Parties may obtain discovery regarding any nonprivileged matter that is relevant to any party's claim or defense and proportional to the needs of the case, considering the importance of the issues at stake in the action, the amount in controversy, the parties' relative access to relevant information, the parties' resources, the importance of the discovery in resolving the issues, and whether the burden or expense of the proposed discovery outweighs its likely benefit."
+                    }
+                ]
+            },
+            {
+                label: "g",
+                heading: "Supplementing of Responses",
+                text: "A party who has made a disclosure under this rule or who has responded to an interrogatory, a request for production, or a request for admission must supplement or correct its disclosure or response in a timely manner if the party learns that in some material respect the disclosure or response is incomplete or incorrect, and if the additional or corrective information has not otherwise been made known to the other parties during the discovery process or in writing."
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.420": {
+        title: "Dismissal of Actions",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Voluntary Dismissal",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "By Parties",
+                        text: "Except in actions in which property has been seized or is in the custody of the court, an action, a claim, or any part of an action or claim may be dismissed by plaintiff without order of court",
+                        subdivisions: [
+                            {
+                                label: "A",
+                                text: "before trial by serving, or during trial by stating on the record, a notice of dismissal at any time before a hearing on motion for summary judgment, or if none is served or if the motion is denied, before retirement of the jury in a case tried before a jury or before submission of a nonjury case to the court for decision, or"
+                            },
+                            {
+                                label: "B",
+                                text: "by filing a stipulation of dismissal signed by all current parties to the action. Unless otherwise stated in the notice or stipulation, the dismissal is without prejudice, except that a notice of dismissal operates as an adjudication on the merits when served by a plaintiff who has once dismissed in any court an action based on or including the same claim."
+                            }
+                        ]
+                    },
+                    {
+                        label: "2",
+                        heading: "By Order of Court; If Counterclaim",
+                        text: "Except as provided in subdivision (a)(1) of this rule, an action shall not be dismissed at a party's instance except on order of the court and upon such terms and conditions as the court deems proper."
+                    }
+                ]
+            },
+            {
+                label: "e",
+                heading: "Failure to Prosecute",
+                text: "In all actions in which it appears on the face of the record that no activity by filing of pleadings, order of court, or otherwise has occurred for a period of 10 months, and no order staying the action has been issued nor stipulation for stay approved by the court, any interested person, whether a party to the action or not, the court, or the clerk of the court may serve notice to all parties that no such activity has occurred. If no such record activity has occurred within the 10 months immediately preceding the service of such notice, and no record activity occurs within the 60 days immediately following the service of such notice, and if no stay was issued or approved prior to the expiration of such 60-day period, the action shall be dismissed by the court on its own motion or on the motion of any interested person, whether a party to the action or not, after reasonable notice to the parties, unless a party shows good cause in writing at least 5 days before the hearing on the motion why the action should remain pending."
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.442": {
+        title: "Proposals for Settlement",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "b",
+                heading: "Service of Proposal",
+                text: "A proposal to a defendant shall be served no earlier than 90 days after service of process on that defendant; a proposal to a plaintiff shall be served no earlier than 90 days after the action has been commenced. No proposal shall be served later than 45 days before the date set for trial or the first day of the docket on which the case is set for trial, whichever is earlier."
+            },
+            {
+                label: "c",
+                heading: "Form and Content of Proposal for Settlement",
+                subdivisions: [
+                    {
+                        label: "1",
+                        text: "A proposal shall be in writing and shall identify the applicable Florida law under which it is being made."
+                    },
+                    {
+                        label: "2",
+                        text: "A proposal shall:",
+                        subdivisions: [
+                            { label: "A", text: "name the party or parties making the proposal and the party or parties to whom the proposal is being made;" },
+                            { label: "B", text: "state that the proposal resolves all damages that would otherwise be awarded in a final judgment in the action in which the proposal is served, subject to subdivision (F);" },
+                            { label: "C", text: "state with particularity any relevant conditions;" },
+                            { label: "D", text: "state the total amount of the proposal and state with particularity all nonmonetary terms of the proposal;" },
+                            { label: "E", text: "state with particularity the amount proposed to settle a claim for punitive damages, if any;" },
+                            { label: "F", text: "state whether the proposal includes attorneys' fees and whether attorneys' fees are part of the legal claim; and" },
+                            { label: "G", text: "include a certificate of service in the form required by rule 1.080." }
+                        ]
+                    },
+                    {
+                        label: "3",
+                        text: "A proposal may be made by or to any party or parties and by or to any combination of parties properly identified in the proposal. A joint proposal shall state the amount and terms attributable to each party."
+                    }
+                ]
+            },
+            {
+                label: "e",
+                heading: "Withdrawal",
+                text: "A proposal may be withdrawn in writing provided the written withdrawal is delivered before a written acceptance is delivered. Once withdrawn, a proposal is void."
+            },
+            {
+                label: "f",
+                heading: "Acceptance and Rejection",
+                subdivisions: [
+                    {
+                        label: "1",
+                        text: "A proposal shall be deemed rejected unless accepted by delivery of a written notice of acceptance within 30 days after service of the proposal. The provisions of rule 1.090(e) do not apply to this subdivision. No oral communications shall constitute an acceptance, rejection, or counteroffer under the provisions of this rule."
+                    }
+                ]
+            }
+        ]
+    },
+    "Fla. R. Civ. P. 1.510": {
+        title: "Summary Judgment",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Summary Judgment Standard",
+                text: "A party may move for summary judgment, identifying each claim or defense, or the part of each claim or defense, on which summary judgment is sought. The court shall grant summary judgment if the movant shows that there is no genuine dispute as to any material fact and the movant is entitled to judgment as a matter of law. The court shall state on the record the reasons for granting or denying the motion. The summary judgment standard provided for in this rule shall be construed and applied in accordance with the federal summary judgment standard."
+            }
+        ]
+    },
+
+    // ============================================
+    // FLORIDA RULES OF APPELLATE PROCEDURE
+    // ============================================
+    "Fla. R. App. P. 9.110": {
+        title: "Appeal Proceedings to Review Final Orders of Lower Tribunals",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "b",
+                heading: "Commencement",
+                text: "Jurisdiction of the court under this rule shall be invoked by filing a notice of appeal with the clerk of the lower tribunal within 30 days of rendition of the order to be reviewed."
+            }
+        ]
+    },
+    "Fla. R. App. P. 9.130": {
+        title: "Proceedings to Review Nonfinal Orders and Specified Final Orders",
+        currentAsOf: "2025-06-19",
+        subdivisions: [
+            {
+                label: "b",
+                heading: "Commencement",
+                text: "Jurisdiction of the court under this rule shall be invoked by filing a notice with the clerk of the lower tribunal within 30 days of rendition of the order to be reviewed."
+            }
+        ]
+    },
+
+    // ============================================
+    // FLORIDA STATUTES
+    // ============================================
+    "Fla. Stat. § 57.105": {
+        title: "Attorney's fee; sanctions for raising unsupported claims or defenses",
+        currentAsOf: "2025-07-01",
+        subdivisions: [
+            {
+                label: "1",
+                text: "Upon the court's initiative or motion of any party, the court shall award a reasonable attorney's fee, including prejudgment interest, to be paid to the prevailing party in equal amounts by the losing party and the losing party's attorney on any claim or defense at any time during a civil proceeding or action in which the court finds that the losing party or the losing party's attorney knew or should have known that a claim or defense when initially presented to the court or at any time before trial:",
+                subdivisions: [
+                    { label: "a", text: "Was not supported by the material facts necessary to establish the claim or defense; or" },
+                    { label: "b", text: "Would not be supported by the application of then-existing law to those material facts." }
+                ]
+            },
+            {
+                label: "4",
+                text: "A motion by a party seeking sanctions under this section must be served but may not be filed with or presented to the court unless, within 21 days after service of the motion, the challenged paper, claim, defense, contention, allegation, or denial is not withdrawn or appropriately corrected."
+            }
+        ]
+    },
+    "Fla. Stat. § 90.702": {
+        title: "Testimony by experts",
+        currentAsOf: "2025-07-01",
+        text: "If scientific, technical, or other specialized knowledge will assist the trier of fact in understanding the evidence or in determining a fact in issue, a witness qualified as an expert by knowledge, skill, experience, training, or education may testify about it in the form of an opinion or otherwise, if:",
+        subdivisions: [
+            { label: "1", text: "The testimony is based upon sufficient facts or data;" },
+            { label: "2", text: "The testimony is the product of reliable principles and methods; and" },
+            { label: "3", text: "The witness has applied the principles and methods reliably to the facts of the case." }
+        ]
+    },
+    "Fla. Stat. § 768.79": {
+        title: "Offer of judgment and demand for judgment",
+        currentAsOf: "2025-07-01",
+        subdivisions: [
+            {
+                label: "1",
+                text: "In any civil action for damages filed in the courts of this state, if a defendant files an offer of judgment which is not accepted by the plaintiff within 30 days, the defendant shall be entitled to recover reasonable costs and attorney's fees incurred by her or him or on the defendant's behalf pursuant to a policy of liability insurance or other contract from the date of filing of the offer if the judgment is one of no liability or the judgment obtained by the plaintiff is at least 25 percent less than such offer. If a plaintiff files a demand for judgment which is not accepted by the defendant within 30 days and the plaintiff recovers a judgment in an amount at least 25 percent greater than the offer, she or he shall be entitled to recover reasonable costs and attorney's fees incurred from the date of the filing of the demand."
+            },
+            {
+                label: "2",
+                text: "The making of an offer of settlement which is not accepted does not preclude the making of a subsequent offer. An offer must:",
+                subdivisions: [
+                    { label: "a", text: "Be in writing and state that it is being made pursuant to this section." },
+                    { label: "b", text: "Name the party making it and the party to whom it is being made." },
+                    { label: "c", text: "State with particularity the amount offered to settle a claim for punitive damages, if any." },
+                    { label: "d", text: "State its total amount." }
+                ]
+            }
+        ]
+    },
+
+    // ============================================
+    // FEDERAL RULES
+    // ============================================
+    "Fed. R. Civ. P. 4": {
+        title: "Summons",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "m",
+                heading: "Time Limit for Service",
+                text: "If a defendant is not served within 90 days after the complaint is filed, the court, on motion or on its own after notice to the plaintiff, must dismiss the action without prejudice against that defendant or order that service be made within a specified time. But if the plaintiff shows good cause for the failure, the court must extend the time for service for an appropriate period. This subdivision (m) does not apply to service in a foreign country under Rule 4(f), 4(h)(2), or 4(j)(1), or to service of a notice under Rule 71.1(d)(3)(A)."
+            }
+        ]
+    },
+    "Fed. R. Civ. P. 12": {
+        title: "Defenses and Objections: When and How Presented",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Time to Serve a Responsive Pleading",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "In General",
+                        text: "Unless another time is specified by this rule or a federal statute, the time for serving a responsive pleading is as follows:",
+                        subdivisions: [
+                            {
+                                label: "A",
+                                text: "A defendant must serve an answer: (i) within 21 days after being served with the summons and complaint; or (ii) if it has timely waived service under Rule 4(d), within 60 days after the request for a waiver was sent, or within 90 days after it was sent to the defendant outside any judicial district of the United States."
+                            }
+                        ]
+                    }
+                ]
+            },
+            {
+                label: "b",
+                heading: "How to Present Defenses",
+                text: "Every defense to a claim for relief in any pleading must be asserted in the responsive pleading if one is required. But a party may assert the following defenses by motion:",
+                subdivisions: [
+                    { label: "1", text: "lack of subject-matter jurisdiction;" },
+                    { label: "2", text: "lack of personal jurisdiction;" },
+                    { label: "3", text: "improper venue;" },
+                    { label: "4", text: "insufficient process;" },
+                    { label: "5", text: "insufficient service of process;" },
+                    { label: "6", text: "failure to state a claim upon which relief can be granted; and" },
+                    { label: "7", text: "failure to join a party under Rule 19. A motion asserting any of these defenses must be made before pleading if a responsive pleading is allowed." }
+                ]
+            }
+        ]
+    },
+    "Fed. R. Civ. P. 26": {
+        title: "Duty to Disclose; General Provisions Governing Discovery",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Required Disclosures",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "Initial Disclosure",
+                        subdivisions: [
+                            {
+                                label: "A",
+                                heading: "In General",
+                                text: "Except as exempted by Rule 26(a)(1)(B) or as otherwise stipulated or ordered by the court, a party must, without awaiting a discovery request, provide to the other parties: (i) the name and, if known, the address and telephone number of each individual likely to have discoverable information, along with the subjects of that information, that the disclosing party may use to support its claims or defenses, unless the use would be solely for impeachment; (ii) a copy, or a description by category and location, of all documents, electronically stored information, and tangible things that the disclosing party has in its possession, custody, or control and may use to support its claims or defenses, unless the use would be solely for impeachment; (iii) a computation of each category of damages claimed by the disclosing party; and (iv) for inspection and copying as under Rule 34, any insurance agreement under which an insurance business may be liable to satisfy all or part of a possible judgment in the action."
+                            },
+                            {
+                                label: "C",
+                                heading: "Time for Initial Disclosures, In General",
+                                text: "A party must make the initial disclosures at or within 14 days after the parties' Rule 26(f) conference unless a different time is set by stipulation or court order, or unless a party objects during the conference that initial disclosures are not appropriate in this action and states the objection in the proposed discovery plan."
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    },
+    "Fed. R. Civ. P. 56": {
+        title: "Summary Judgment",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Motion for Summary Judgment or Partial Summary Judgment",
+                text: "A party may move for summary judgment, identifying each claim or defense, or the part of each claim or defense, on which summary judgment is sought. The court shall grant summary judgment if the movant shows that there is no genuine dispute as to any material fact and the movant is entitled to judgment as a matter of law. The court should state on the record the reasons for granting or denying the motion."
+            },
+            {
+                label: "b",
+                heading: "Time to File a Motion",
+                text: "Unless a different time is set by local rule or the court orders otherwise, a party may file a motion for summary judgment at any time until 30 days after the close of all discovery."
+            }
+        ]
+    },
+    "Fed. R. Civ. P. 68": {
+        title: "Offer of Judgment",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Making an Offer; Judgment on an Accepted Offer",
+                text: "At least 14 days before the date set for trial, a party defending against a claim may serve on an opposing party an offer to allow judgment on specified terms, with the costs then accrued. If, within 14 days after being served, the opposing party serves written notice accepting the offer, either party may then file the offer and notice of acceptance, plus proof of service. The clerk must then enter judgment."
+            },
+            {
+                label: "d",
+                heading: "Paying Costs After an Unaccepted Offer",
+                text: "If the judgment that the offeree finally obtains is not more favorable than the unaccepted offer, the offeree must pay the costs incurred after the offer was made."
+            }
+        ]
+    },
+    "Fed. R. Evid. 702": {
+        title: "Testimony by Expert Witnesses",
+        currentAsOf: "2024-12-01",
+        text: "A witness who is qualified as an expert by knowledge, skill, experience, training, or education may testify in the form of an opinion or otherwise if the proponent demonstrates to the court that it is more likely than not that:",
+        subdivisions: [
+            { label: "a", text: "the expert's scientific, technical, or other specialized knowledge will help the trier of fact to understand the evidence or to determine a fact in issue;" },
+            { label: "b", text: "the testimony is based on sufficient facts or data;" },
+            { label: "c", text: "the testimony is the product of reliable principles and methods; and" },
+            { label: "d", text: "the expert's opinion reflects a reliable application of the principles and methods to the facts of the case." }
+        ]
+    },
+    "Fed. R. App. P. 4": {
+        title: "Appeal as of Right: When Taken",
+        currentAsOf: "2024-12-01",
+        subdivisions: [
+            {
+                label: "a",
+                heading: "Appeal in a Civil Case",
+                subdivisions: [
+                    {
+                        label: "1",
+                        heading: "Time for Filing a Notice of Appeal",
+                        subdivisions: [
+                            {
+                                label: "A",
+                                text: "In a civil case, except as provided in Rules 4(a)(1)(B), 4(a)(4), and 4(c), the notice of appeal required by Rule 3 must be filed with the district clerk within 30 days after entry of the judgment or order appealed from."
+                            }
+                        ]
+                    }
+                ]
+            }
+        ]
+    }
+};
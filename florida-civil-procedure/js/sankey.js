@@ -0,0 +1,284 @@
+/**
+ * Sankey Module
+ * Renders case flow as a Sankey diagram: steps are placed in columns by
+ * their depth from Complaint Filed and links become bands whose width is
+ * proportional to link volume ("% of cases")
+ */
+
+import { STAGE_COLORS } from './data.js';
+import { cleanNodeName, formatLinkTooltip } from './utils.js';
+
+const LAYOUT = {
+    columnWidth: 150,
+    nodeWidth: 14,
+    nodePadding: 10,
+    height: 1000,
+    headerHeight: 60,
+    minBandWidth: 1
+};
+
+/**
+ * Collapse the workflow graph into the steps and flows to draw
+ * Links are re-pointed at each node's representative (e.g., a collapsed
+ * group's parent); links between the same pair are merged and self-links
+ * inside a collapsed group are dropped.
+ * @param {Array} nodes - Node objects
+ * @param {Array} links - Link objects
+ * @param {Function} resolveNode - (node) => representative node ID, or null to hide the node
+ * @returns {Object} { nodes, links }, where links are { source, target, volume, links }
+ */
+export function buildSankeyGraph(nodes, links, resolveNode) {
+    const nodeMap = new Map(nodes.map(node => [node.id, node]));
+    const representatives = new Map(nodes.map(node => [node.id, resolveNode(node)]));
+
+    const merged = new Map();
+    links.forEach(link => {
+        const source = representatives.get(link.source);
+        const target = representatives.get(link.target);
+        if (source === null || source === undefined || target === null || target === undefined) return;
+        if (source === target) return;
+
+        const key = `${source}-${target}`;
+        if (!merged.has(key)) {
+            merged.set(key, { source, target, volume: 0, links: [] });
+        }
+        const flow = merged.get(key);
+        flow.volume += link.volume || 0;
+        flow.links.push(link);
+    });
+
+    const used = new Set();
+    merged.forEach(flow => {
+        used.add(flow.source);
+        used.add(flow.target);
+    });
+
+    return {
+        nodes: Array.from(used).map(id => nodeMap.get(id)).filter(Boolean),
+        links: Array.from(merged.values())
+    };
+}
+
+/**
+ * Lay out a Sankey graph
+ * Columns come from each node's longest distance to a node with no incoming
+ * flow; one vertical scale fits the busiest column into the layout height.
+ * @param {Object} graph - { nodes, links } from buildSankeyGraph
+ * @returns {Object} { nodes, links, width, height }, where nodes are
+ *     { node, column, value, x, y, height } and links add { width, sourceY, targetY }
+ */
+export function computeSankeyLayout(graph) {
+    const entries = new Map(graph.nodes.map(node => [node.id, {
+        node,
+        column: 0,
+        inValue: 0,
+        outValue: 0,
+        incoming: [],
+        outgoing: []
+    }]));
+
+    const flows = graph.links.map(link => ({ ...link }));
+    flows.forEach(flow => {
+        const source = entries.get(flow.source);
+        const target = entries.get(flow.target);
+        source.outValue += flow.volume;
+        source.outgoing.push(flow);
+        target.inValue += flow.volume;
+        target.incoming.push(flow);
+    });
+
+    // Longest-path column assignment (the workflow graph is acyclic)
+    const inDegree = new Map(Array.from(entries.keys()).map(id => [id, entries.get(id).incoming.length]));
+    const queue = Array.from(entries.keys()).filter(id => inDegree.get(id) === 0);
+    while (queue.length > 0) {
+        const entry = entries.get(queue.shift());
+        entry.outgoing.forEach(flow => {
+            const target = entries.get(flow.target);
+            target.column = Math.max(target.column, entry.column + 1);
+            inDegree.set(flow.target, inDegree.get(flow.target) - 1);
+            if (inDegree.get(flow.target) === 0) {
+                queue.push(flow.target);
+            }
+        });
+    }
+
+    const columns = [];
+    entries.forEach(entry => {
+        entry.value = Math.max(entry.inValue, entry.outValue);
+        (columns[entry.column] = columns[entry.column] || []).push(entry);
+    });
+
+    const usableHeight = LAYOUT.height - LAYOUT.headerHeight;
+    const scale = Math.min(...columns.filter(Boolean).map(column => {
+        const total = column.reduce((sum, entry) => sum + entry.value, 0);
+        return (usableHeight - LAYOUT.nodePadding * (column.length - 1)) / (total || 1);
+    }));
+
+    // Stack each column top to bottom, keeping the flowchart's vertical order
+    columns.filter(Boolean).forEach(column => {
+        let y = LAYOUT.headerHeight;
+        column.sort((a, b) => a.node.y - b.node.y || a.node.id - b.node.id).forEach(entry => {
+            entry.x = entry.column * LAYOUT.columnWidth;
+            entry.y = y;
+            entry.height = Math.max(LAYOUT.minBandWidth, entry.value * scale);
+            y += entry.height + LAYOUT.nodePadding;
+        });
+    });
+
+    // Stack bands within each node, ordered by the far end's position to limit crossings
+    flows.forEach(flow => {
+        flow.width = Math.max(LAYOUT.minBandWidth, flow.volume * scale);
+    });
+    entries.forEach(entry => {
+        let outY = entry.y;
+        entry.outgoing
+            .sort((a, b) => entries.get(a.target).y - entries.get(b.target).y)
+            .forEach(flow => {
+                flow.sourceY = outY + flow.width / 2;
+                outY += flow.width;
+            });
+
+        let inY = entry.y;
+        entry.incoming
+            .sort((a, b) => entries.get(a.source).y - entries.get(b.source).y)
+            .forEach(flow => {
+                flow.targetY = inY + flow.width / 2;
+                inY += flow.width;
+            });
+    });
+
+    return {
+        nodes: Array.from(entries.values()),
+        links: flows.map(flow => ({
+            ...flow,
+            sourceEntry: entries.get(flow.source),
+            targetEntry: entries.get(flow.target)
+        })),
+        width: columns.length * LAYOUT.columnWidth,
+        height: LAYOUT.height
+    };
+}
+
+export class SankeyRenderer {
+    /**
+     * @param {Object} group - D3 selection to render into
+     * @param {Object} handlers - { onNodeHover, onLinkHover, onOut, onNodeClick } callbacks
+     */
+    constructor(group, handlers = {}) {
+        this.group = group;
+        this.handlers = handlers;
+    }
+
+    /**
+     * Render the Sankey diagram
+     * @param {Object} graph - { nodes, links } from buildSankeyGraph
+     * @param {Map} nodeMap - Node ID -> node, for link tooltips
+     * @returns {Object} Rendered size { width, height }
+     */
+    render(graph, nodeMap) {
+        this.group.selectAll('*').remove();
+
+        if (graph.links.length === 0) {
+            this.group.append('text')
+                .attr('class', 'sankey-empty')
+                .attr('x', 20)
+                .attr('y', 40)
+                .style('font-size', '16px')
+                .text('No case flow to display. Turn on more phases in the phase filters.');
+            return { width: LAYOUT.columnWidth * 4, height: LAYOUT.headerHeight };
+        }
+
+        const layout = computeSankeyLayout(graph);
+        this.renderHeader();
+        this.renderLinks(layout.links, nodeMap);
+        this.renderNodes(layout.nodes);
+
+        return { width: layout.width, height: layout.height };
+    }
+
+    /**
+     * Render the diagram title
+     */
+    renderHeader() {
+        this.group.append('text')
+            .attr('class', 'sankey-title')
+            .attr('x', 0)
+            .attr('y', 18)
+            .style('font-size', '16px')
+            .style('font-weight', '700')
+            .text('Case Flow');
+
+        this.group.append('text')
+            .attr('class', 'sankey-subtitle')
+            .attr('x', 0)
+            .attr('y', 36)
+            .style('font-size', '11px')
+            .text('Band width is proportional to link volume (% of cases); collapsed groups are merged into their parent step');
+    }
+
+    /**
+     * Render flow bands
+     * @param {Array} links - Laid-out links
+     * @param {Map} nodeMap - Node ID -> node
+     */
+    renderLinks(links, nodeMap) {
+        const linkGroup = this.group.append('g').attr('class', 'sankey-links');
+
+        links.forEach(link => {
+            const x0 = link.sourceEntry.x + LAYOUT.nodeWidth;
+            const x1 = link.targetEntry.x;
+            const xi = (x0 + x1) / 2;
+            const source = nodeMap.get(link.source);
+            const target = nodeMap.get(link.target);
+
+            linkGroup.append('path')
+                .attr('class', 'sankey-link')
+                .attr('data-source', link.source)
+                .attr('data-target', link.target)
+                .attr('d', `M${x0},${link.sourceY} C${xi},${link.sourceY} ${xi},${link.targetY} ${x1},${link.targetY}`)
+                .attr('stroke', STAGE_COLORS[source.stage] || '#64748b')
+                .attr('stroke-width', link.width)
+                .attr('fill', 'none')
+                .on('mouseover', (event) => {
+                    // Merged flows describe their first link and the combined volume
+                    const [first] = link.links;
+                    this.handlers.onLinkHover?.(event, formatLinkTooltip({ ...first, volume: link.volume }, source, target));
+                })
+                .on('mouseout', () => this.handlers.onOut?.());
+        });
+    }
+
+    /**
+     * Render step bars and labels
+     * @param {Array} entries - Laid-out nodes
+     */
+    renderNodes(entries) {
+        const nodeGroup = this.group.append('g').attr('class', 'sankey-nodes');
+
+        entries.forEach(entry => {
+            const { node } = entry;
+            const group = nodeGroup.append('g')
+                .attr('class', 'sankey-node')
+                .attr('data-node-id', node.id)
+                .style('cursor', 'pointer')
+                .on('mouseover', (event) => this.handlers.onNodeHover?.(event, node))
+                .on('mouseout', () => this.handlers.onOut?.())
+                .on('click', () => this.handlers.onNodeClick?.(node));
+
+            group.append('rect')
+                .attr('x', entry.x)
+                .attr('y', entry.y)
+                .attr('width', LAYOUT.nodeWidth)
+                .attr('height', entry.height)
+                .attr('fill', STAGE_COLORS[node.stage] || '#64748b');
+
+            group.append('text')
+                .attr('class', 'sankey-label')
+                .attr('x', entry.x + LAYOUT.nodeWidth + 4)
+                .attr('y', entry.y + entry.height / 2)
+                .attr('dy', '0.35em')
+                .style('font-size', '9px')
+                .text(`${cleanNodeName(node.name)} (${Number(entry.value.toFixed(1))}%)`);
+        });
+    }
+}
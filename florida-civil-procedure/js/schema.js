@@ -0,0 +1,164 @@
+/**
+ * JSON Schema Module
+ * A small JSON Schema validator covering the keywords used by
+ * data/workflow.schema.json, so datasets can be checked in the browser
+ * without a schema library. Errors carry JSON Pointer paths
+ * (e.g., "/nodes/12/durationDaysMin") to the offending field.
+ *
+ * Supported keywords: $ref (local "#/definitions/..." only), type, enum,
+ * const, required, properties, additionalProperties, items, minItems,
+ * minimum, maximum, minLength, pattern, oneOf
+ */
+
+/**
+ * JSON type name of a value, as used by the "type" keyword
+ * @param {*} value - Value to inspect
+ * @returns {string}
+ */
+function getJSONType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    return typeof value;
+}
+
+/**
+ * Whether a value matches a "type" keyword entry
+ * @param {*} value - Value to check
+ * @param {string} type - Schema type
+ * @returns {boolean}
+ */
+function matchesType(value, type) {
+    const actual = getJSONType(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Escape a property name for use in a JSON Pointer
+ * @param {string|number} key - Property name or array index
+ * @returns {string}
+ */
+function escapePointer(key) {
+    return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Resolve a local $ref against the root schema
+ * @param {Object} root - Root schema
+ * @param {string} ref - Reference (e.g., "#/definitions/node")
+ * @returns {Object}
+ */
+function resolveRef(root, ref) {
+    if (!ref.startsWith('#/')) {
+        throw new Error(`Unsupported schema reference: ${ref}`);
+    }
+
+    const target = ref.slice(2).split('/').reduce((schema, key) => schema?.[key.replace(/~1/g, '/').replace(/~0/g, '~')], root);
+    if (!target) {
+        throw new Error(`Unresolved schema reference: ${ref}`);
+    }
+    return target;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {*} value - Value to validate
+ * @param {Object} schema - JSON Schema
+ * @returns {Array} Errors as { path, message }; empty when the value is valid
+ */
+export function validateSchema(value, schema) {
+    const errors = [];
+    validateNode(value, schema, schema, '', errors);
+    return errors;
+}
+
+/**
+ * Validate one value, appending errors
+ * @param {*} value - Value to validate
+ * @param {Object} schema - Schema for this value
+ * @param {Object} root - Root schema (for $ref)
+ * @param {string} path - JSON Pointer to the value
+ * @param {Array} errors - Error accumulator
+ */
+function validateNode(value, schema, root, path, errors) {
+    const at = path || '/';
+    const report = (message) => errors.push({ path: at, message });
+
+    if (schema.$ref) {
+        validateNode(value, resolveRef(root, schema.$ref), root, path, errors);
+        return;
+    }
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            report(`must be ${types.join(' or ')}, not ${getJSONType(value)}`);
+            return;
+        }
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        report(`must be ${JSON.stringify(schema.const)}`);
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        report(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+
+    if (schema.oneOf) {
+        const matches = schema.oneOf.filter(option => {
+            const optionErrors = [];
+            validateNode(value, option, root, path, optionErrors);
+            return optionErrors.length === 0;
+        });
+        if (matches.length !== 1) {
+            report(matches.length === 0 ? 'does not match any allowed form' : 'matches more than one allowed form');
+        }
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            report(`must be at least ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            report(`must be at most ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            report(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            report(`must match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            report(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                validateNode(item, schema.items, root, `${path}/${index}`, errors);
+            });
+        }
+    } else if (value !== null && typeof value === 'object') {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push({ path: `${path}/${escapePointer(key)}`, message: 'is required' });
+            }
+        });
+
+        Object.entries(value).forEach(([key, child]) => {
+            const childPath = `${path}/${escapePointer(key)}`;
+            if (schema.properties && key in schema.properties) {
+                validateNode(child, schema.properties[key], root, childPath, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: childPath, message: 'is not an allowed field' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateNode(child, schema.additionalProperties, root, childPath, errors);
+            }
+        });
+    }
+}
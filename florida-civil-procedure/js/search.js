@@ -0,0 +1,669 @@
+/**
+ * Full-Text Search Module
+ * In-browser inverted index over the workflow: step names, rules, notes,
+ * triggers, documents, link labels, node groups, parallel processes and the
+ * bundled rule text of each step's citations.
+ *
+ * Queries are tokenized like the indexed text, expanded with legal
+ * abbreviation synonyms (MSJ, PFS, MTD, ...), matched exactly, by prefix (the
+ * last word, as the user types) or within a small edit distance, and ranked
+ * by field weight and term rarity. Every query word must match.
+ *
+ * Queries may also hold field filters over step properties, e.g.
+ * `owner:Paralegal deadline:strict`, `phase:discovery cost>1000` or
+ * `rule:1.2*` (see SEARCH_FILTERS and parseSearchQuery).
+ */
+
+import { calculateCostEstimates, cleanNodeName, escapeHTML, formatCurrency } from './utils.js';
+import { parseCitations, resolveCitations } from './citations.js';
+import { findRuleText } from './library.js';
+
+/**
+ * Indexed fields with relevance weights and snippet labels
+ */
+export const SEARCH_FIELDS = {
+    name: { label: 'Name', weight: 5 },
+    rule: { label: 'Rule', weight: 4 },
+    group: { label: 'Group', weight: 2 },
+    stage: { label: 'Stage', weight: 2 },
+    documents: { label: 'Documents', weight: 2 },
+    trigger: { label: 'Trigger', weight: 2 },
+    description: { label: 'Description', weight: 1.5 },
+    notes: { label: 'Notes', weight: 1.5 },
+    links: { label: 'Paths', weight: 1.5 },
+    owner: { label: 'Owner', weight: 1 },
+    timing: { label: 'Timing', weight: 1 },
+    ruleText: { label: 'Rule Text', weight: 0.5 }
+};
+
+/**
+ * Abbreviations and terms that mean the same thing; a query using any
+ * entry also matches the others
+ */
+export const SEARCH_SYNONYMS = [
+    ['msj', 'summary judgment'],
+    ['pfs', 'proposal for settlement', 'offer of judgment'],
+    ['mtd', 'motion to dismiss'],
+    ['rfa', 'request for admission'],
+    ['rfp', 'request for production'],
+    ['rog', 'interrogatory'],
+    ['ime', 'cme', 'medical examination'],
+    ['sol', 'statute of limitations'],
+    ['tro', 'temporary injunction'],
+    ['jnov', 'directed verdict'],
+    ['adr', 'alternative dispute resolution']
+];
+
+// Words too common to rank on
+const STOP_WORDS = new Set(['a', 'an', 'and', 'as', 'at', 'be', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Words: letters and digits, keeping dotted rule numbers ("1.442") together
+const TOKEN_PATTERN = /[a-z0-9]+(?:\.[a-z0-9]+)*/gi;
+
+// Score factors for prefix and typo-tolerant matches
+const PREFIX_MATCH_FACTOR = 0.7;
+const FUZZY_MATCH_FACTOR = 0.5;
+
+// Score multiplier when the whole query appears in the step name
+const NAME_PHRASE_BONUS = 1.5;
+
+// Characters shown on each side of the first match in a snippet
+const SNIPPET_CONTEXT = 50;
+
+/**
+ * Normalize a word for indexing and matching (lowercase, simple plural stem)
+ * @param {string} word - Word from tokenize
+ * @returns {string}
+ */
+export function normalizeTerm(word) {
+    const term = word.toLowerCase();
+    if (term.length <= 3 || /\d/.test(term)) return term;
+    if (term.endsWith('ies')) return `${term.slice(0, -3)}y`;
+    if (term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * Split text into normalized terms
+ * @param {string} text - Text to split
+ * @returns {Array} Terms in order
+ */
+export function tokenize(text) {
+    return (String(text ?? '').match(TOKEN_PATTERN) || []).map(normalizeTerm);
+}
+
+/**
+ * Edit distance between two terms, giving up past a limit
+ * @param {string} a - First term
+ * @param {string} b - Second term
+ * @param {number} limit - Largest distance of interest
+ * @returns {number} The distance, or limit + 1 when greater than limit
+ */
+function editDistance(a, b, limit) {
+    if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > limit) return limit + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Typos tolerated for a query term (none for short terms and rule numbers)
+ * @param {string} term - Normalized query term
+ * @returns {number}
+ */
+function getTypoLimit(term) {
+    if (term.length < 4 || /\d/.test(term)) return 0;
+    return term.length >= 8 ? 2 : 1;
+}
+
+/**
+ * Text of the bundled rule excerpts a rule string cites
+ * @param {string} rule - Rule string
+ * @param {Array} citationSources - Resolver table of the active pack
+ * @returns {string}
+ */
+function getRuleText(rule, citationSources) {
+    const collect = (subdivisions = []) => subdivisions.flatMap(subdivision =>
+        [subdivision.heading, subdivision.text, ...collect(subdivision.subdivisions)]);
+
+    return resolveCitations(rule, citationSources)
+        .map(citation => findRuleText(citation))
+        .filter(Boolean)
+        .flatMap(({ entry }) => [entry.title, entry.text, ...collect(entry.subdivisions)])
+        .filter(Boolean)
+        .join(' ');
+}
+
+/**
+ * Build a search index over a workflow
+ * Links are indexed on both the steps they join, group names on their
+ * members and parent, and parallel processes as their own results.
+ * @param {Object} workflow - { nodes, links, nodeGroups, parallelProcesses }
+ * @param {Array} citationSources - Resolver table for bundled rule text (see citations.js)
+ * @returns {Object} Index for searchIndex
+ */
+export function buildSearchIndex(workflow, citationSources = []) {
+    const { nodes, links = [], nodeGroups = {}, parallelProcesses = [] } = workflow;
+
+    const linkText = new Map();
+    const groupNames = new Map();
+    const addText = (map, nodeId, text) => {
+        if (text) map.set(nodeId, [...(map.get(nodeId) || []), text]);
+    };
+    links.forEach(link => {
+        const text = [link.label, link.trigger].filter(Boolean).join(' - ');
+        addText(linkText, link.source, text);
+        addText(linkText, link.target, text);
+    });
+    Object.values(nodeGroups).forEach(group => {
+        const parentIds = group.parentNodeIds || (group.parentNodeId !== undefined ? [group.parentNodeId] : []);
+        [...(group.childNodeIds || []), ...parentIds].forEach(nodeId => addText(groupNames, nodeId, group.name));
+    });
+
+    const documents = [
+        ...nodes.map(node => ({
+            type: 'node',
+            id: node.id,
+            node,
+            fields: {
+                name: cleanNodeName(node.name),
+                rule: node.rule,
+                group: (groupNames.get(node.id) || []).join(', '),
+                stage: node.stage,
+                documents: (node.documents || []).join(', '),
+                trigger: node.trigger,
+                notes: node.notes,
+                links: [...new Set(linkText.get(node.id) || [])].join('; '),
+                owner: node.owner,
+                ruleText: node.rule ? getRuleText(node.rule, citationSources) : ''
+            }
+        })),
+        ...parallelProcesses.map(process => ({
+            type: 'process',
+            id: process.id,
+            process,
+            fields: {
+                name: process.name,
+                rule: process.rule,
+                stage: process.stage,
+                description: process.description,
+                timing: process.timing ? [process.timing.earliest, process.timing.latest].filter(Boolean).join('; ') : '',
+                ruleText: process.rule ? getRuleText(process.rule, citationSources) : ''
+            }
+        }))
+    ];
+
+    // term -> Map(document index -> summed field weight)
+    const postings = new Map();
+    documents.forEach((document, docIndex) => {
+        Object.entries(document.fields).forEach(([field, text]) => {
+            new Set(tokenize(text)).forEach(term => {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const entry = postings.get(term);
+                entry.set(docIndex, (entry.get(docIndex) || 0) + SEARCH_FIELDS[field].weight);
+            });
+        });
+    });
+
+    return { documents, postings, terms: Array.from(postings.keys()) };
+}
+
+/**
+ * Split a query into clauses, each a list of alternative term sequences
+ * (a synonym group gives one clause with every spelling)
+ * @param {string} query - Search text
+ * @returns {Array} Clauses as { variants: [[term, ...], ...], isLast }
+ */
+function parseQuery(query) {
+    const allTerms = tokenize(query);
+    const terms = allTerms.filter(term => !STOP_WORDS.has(term));
+    const queryTerms = terms.length > 0 ? terms : allTerms;
+    const synonymGroups = SEARCH_SYNONYMS.map(group => group.map(tokenize));
+
+    const clauses = [];
+    let i = 0;
+    while (i < queryTerms.length) {
+        let match = null;
+        synonymGroups.forEach(group => group.forEach(variant => {
+            const words = variant.filter(term => !STOP_WORDS.has(term));
+            const fits = words.every((term, offset) => queryTerms[i + offset] === term);
+            if (fits && (!match || words.length > match.length)) {
+                match = { group, length: words.length };
+            }
+        }));
+
+        const length = match ? match.length : 1;
+        clauses.push({
+            variants: match ?
+                match.group.map(variant => variant.filter(term => !STOP_WORDS.has(term))) :
+                [[queryTerms[i]]],
+            isLast: i + length === queryTerms.length
+        });
+        i += length;
+    }
+    return clauses;
+}
+
+/**
+ * Find the indexed terms a query term matches
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} term - Normalized query term
+ * @param {boolean} allowPrefix - Whether to match terms starting with it
+ * @returns {Array} [indexTerm, factor] pairs
+ */
+function expandTerm(index, term, allowPrefix) {
+    const limit = getTypoLimit(term);
+    const matches = [];
+    index.terms.forEach(indexTerm => {
+        if (indexTerm === term) {
+            matches.push([indexTerm, 1]);
+        } else if (allowPrefix && term.length >= 2 && indexTerm.startsWith(term)) {
+            matches.push([indexTerm, PREFIX_MATCH_FACTOR]);
+        } else if (limit > 0 && editDistance(term, indexTerm, limit) <= limit) {
+            matches.push([indexTerm, FUZZY_MATCH_FACTOR]);
+        }
+    });
+    return matches;
+}
+
+/**
+ * Search an index
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {string} query - Search text
+ * @returns {Array} Results, best first, as { type, id, node | process, score,
+ *     terms (matched index terms, for highlightTerms), snippet ({ label, text } or null) }
+ */
+export function searchIndex(index, query) {
+    const clauses = parseQuery(query);
+    if (clauses.length === 0) return [];
+
+    const documentCount = index.documents.length;
+    const idf = (term) => Math.log(1 + documentCount / index.postings.get(term).size);
+
+    // Per clause: Map(document index -> { score, terms })
+    const clauseMatches = clauses.map(clause => {
+        const best = new Map();
+        clause.variants.forEach(variant => {
+            // Every term of a variant must match the document
+            let variantMatches = null;
+            variant.forEach((term, position) => {
+                const termMatches = new Map();
+                const allowPrefix = clause.isLast && position === variant.length - 1;
+                expandTerm(index, term, allowPrefix).forEach(([indexTerm, factor]) => {
+                    index.postings.get(indexTerm).forEach((weight, docIndex) => {
+                        const score = weight * factor * idf(indexTerm);
+                        const current = termMatches.get(docIndex);
+                        if (!current || score > current.score) {
+                            termMatches.set(docIndex, { score, terms: [indexTerm] });
+                        } else if (score === current.score) {
+                            current.terms.push(indexTerm);
+                        }
+                    });
+                });
+
+                if (variantMatches === null) {
+                    variantMatches = termMatches;
+                    return;
+                }
+                const combined = new Map();
+                variantMatches.forEach((match, docIndex) => {
+                    const termMatch = termMatches.get(docIndex);
+                    if (termMatch) {
+                        combined.set(docIndex, { score: match.score + termMatch.score, terms: [...match.terms, ...termMatch.terms] });
+                    }
+                });
+                variantMatches = combined;
+            });
+
+            variantMatches.forEach((match, docIndex) => {
+                const current = best.get(docIndex);
+                if (!current || match.score > current.score) {
+                    best.set(docIndex, match);
+                }
+            });
+        });
+        return best;
+    });
+
+    const phrase = tokenize(query).join(' ');
+    const results = [];
+    clauseMatches[0].forEach((_, docIndex) => {
+        if (!clauseMatches.every(matches => matches.has(docIndex))) return;
+
+        const document = index.documents[docIndex];
+        const terms = new Set(clauseMatches.flatMap(matches => matches.get(docIndex).terms));
+        let score = clauseMatches.reduce((sum, matches) => sum + matches.get(docIndex).score, 0);
+        if (phrase && tokenize(document.fields.name).join(' ').includes(phrase)) {
+            score *= NAME_PHRASE_BONUS;
+        }
+
+        results.push({
+            type: document.type,
+            id: document.id,
+            node: document.node,
+            process: document.process,
+            score,
+            terms,
+            snippet: getSnippet(document, terms)
+        });
+    });
+
+    return results.sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Pick the text explaining a match, for fields not shown in the result
+ * name and meta line
+ * @param {Object} document - Indexed document
+ * @param {Set} terms - Matched index terms
+ * @returns {Object|null} { label, text }
+ */
+function getSnippet(document, terms) {
+    const shown = ['name', 'rule', 'stage', 'owner'];
+    const field = Object.keys(SEARCH_FIELDS).find(key =>
+        !shown.includes(key) && tokenize(document.fields[key]).some(term => terms.has(term)));
+    if (!field) return null;
+
+    const text = document.fields[field];
+    const match = Array.from(text.matchAll(TOKEN_PATTERN)).find(word => terms.has(normalizeTerm(word[0])));
+    const start = Math.max(0, match.index - SNIPPET_CONTEXT);
+    const end = Math.min(text.length, match.index + match[0].length + SNIPPET_CONTEXT);
+    return {
+        label: SEARCH_FIELDS[field].label,
+        text: `${start > 0 ? '…' : ''}${text.slice(start, end)}${end < text.length ? '…' : ''}`
+    };
+}
+
+/**
+ * Escape text for HTML, wrapping words that match in <mark>
+ * @param {string} text - Text to render
+ * @param {Set} terms - Matched index terms (from a search result)
+ * @returns {string} HTML
+ */
+export function highlightTerms(text, terms) {
+    const value = String(text ?? '');
+    let html = '';
+    let last = 0;
+    for (const word of value.matchAll(TOKEN_PATTERN)) {
+        if (!terms.has(normalizeTerm(word[0]))) continue;
+
+        html += `${escapeHTML(value.slice(last, word.index))}<mark>${escapeHTML(word[0])}</mark>`;
+        last = word.index + word[0].length;
+    }
+    return html + escapeHTML(value.slice(last));
+}
+
+// ============================================
+// STRUCTURED FILTERS
+// ============================================
+
+/**
+ * Midpoint of a min/max range
+ * @param {Array} range - [min, max]
+ * @returns {number}
+ */
+function getMidpoint([min, max]) {
+    return (min + max) / 2;
+}
+
+/**
+ * Field filters for structured queries
+ *
+ * label     - description shown in autocomplete
+ * getValues - function(node, context) returning the step's values (text filters)
+ * suggest   - function(context) returning the values to autocomplete, when
+ *             not every value getValues accepts should be offered
+ * getRange  - function(node, context) returning [min, max] (numeric filters,
+ *             which compare the midpoint with :, >, <, >= or <=)
+ * format    - function(min, max) describing a numeric range in results
+ *
+ * context is { phaseGroups, nodeGroups, hourlyRate }.
+ */
+export const SEARCH_FILTERS = {
+    stage: {
+        label: 'Workflow stage',
+        getValues: (node) => [node.stage]
+    },
+    phase: {
+        label: 'Phase containing the stage',
+        getValues: (node, { phaseGroups }) => Object.entries(phaseGroups)
+            .filter(([, phase]) => (phase.stages || []).includes(node.stage))
+            .flatMap(([key, phase]) => [phase.name, key, phase.shortName]),
+        suggest: ({ phaseGroups }) => Object.values(phaseGroups).map(phase => phase.name)
+    },
+    owner: {
+        label: 'Responsible party',
+        getValues: (node) => [node.owner]
+    },
+    rule: {
+        label: 'Rule or statute cited (e.g., 1.442, 1.2*)',
+        getValues: (node) => parseCitations(node.rule)
+            .flatMap(citation => [citation.number, citation.text])
+    },
+    deadline: {
+        label: 'Deadline type',
+        getValues: (node) => [node.deadline]
+    },
+    group: {
+        label: 'Expandable group',
+        getValues: (node, { nodeGroups }) => Object.entries(nodeGroups)
+            .filter(([, group]) => (group.childNodeIds || []).includes(node.id))
+            .flatMap(([key, group]) => [group.name, key]),
+        suggest: ({ nodeGroups }) => Object.values(nodeGroups).map(group => group.name)
+    },
+    cost: {
+        label: 'Estimated cost at the hourly rate',
+        getRange: (node, { hourlyRate }) => {
+            const estimate = calculateCostEstimates([node], hourlyRate);
+            return [estimate.totalMin, estimate.totalMax];
+        },
+        format: (min, max) => formatCurrency(min, max)
+    },
+    days: {
+        label: 'Duration (days)',
+        getRange: (node) => [node.durationDaysMin || 0, node.durationDaysMax || 0],
+        format: (min, max) => (min === max ? `${min} days` : `${min}-${max} days`)
+    },
+    hours: {
+        label: 'Attorney hours',
+        getRange: (node) => [node.attorneyHoursMin || 0, node.attorneyHoursMax || 0],
+        format: (min, max) => (min === max ? `${min}h` : `${min}-${max}h`)
+    }
+};
+
+// Query words, keeping quoted values ("Process Server") together
+const QUERY_WORD_PATTERN = /(?:[^\s"]+|"[^"]*"?)+/g;
+
+// field, operator and value of a filter word
+const FILTER_PATTERN = /^([a-z]+)(:|>=|<=|>|<)(.*)$/i;
+
+const NUMERIC_COMPARISONS = {
+    ':': (value, target) => value === target,
+    '>': (value, target) => value > target,
+    '<': (value, target) => value < target,
+    '>=': (value, target) => value >= target,
+    '<=': (value, target) => value <= target
+};
+
+/**
+ * Split a query into free text and field filters
+ * Words naming a filter (owner:Paralegal, cost>1000) become filters and the
+ * rest stays free text. Filters still being typed (owner:) are skipped.
+ * @param {string} query - Search text
+ * @returns {Object} { text, filters: [{ field, operator, value }], errors }
+ */
+export function parseSearchQuery(query) {
+    const text = [];
+    const filters = [];
+    const errors = [];
+
+    (String(query ?? '').match(QUERY_WORD_PATTERN) || []).forEach(word => {
+        const match = word.match(FILTER_PATTERN);
+        const field = match?.[1].toLowerCase();
+        if (!match || !SEARCH_FILTERS[field]) {
+            if (match && match[2] === ':') {
+                errors.push(`Unknown filter "${match[1]}:" (try ${Object.keys(SEARCH_FILTERS).join(', ')})`);
+            }
+            text.push(word);
+            return;
+        }
+
+        const [, , operator, rawValue] = match;
+        const value = rawValue.replace(/^"|"$/g, '').trim();
+        if (!value) return;
+
+        if (SEARCH_FILTERS[field].getRange) {
+            const number = Number(value.replace(/[$,]/g, ''));
+            if (Number.isNaN(number)) {
+                errors.push(`${field}${operator} needs a number`);
+            } else {
+                filters.push({ field, operator, value: number });
+            }
+        } else if (operator !== ':') {
+            errors.push(`${field} only supports ${field}:value`);
+        } else {
+            filters.push({ field, operator, value });
+        }
+    });
+
+    return { text: text.join(' '), filters, errors };
+}
+
+/**
+ * Check a text filter value against a step's values (case-insensitive;
+ * * matches any characters)
+ * @param {string} pattern - Filter value
+ * @param {Array} values - Step values
+ * @returns {boolean}
+ */
+function matchesTextFilter(pattern, values) {
+    const escaped = pattern.toLowerCase().replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+    const regex = new RegExp(`^${escaped}$`);
+    return values.some(value => value !== undefined && value !== null && regex.test(String(value).toLowerCase()));
+}
+
+/**
+ * Check a step against field filters
+ * Text filters on the same field are alternatives (owner:Paralegal
+ * owner:Client); filters on different fields, and numeric filters (a range
+ * such as cost>1000 cost<5000), must all match.
+ * @param {Object} node - Node data
+ * @param {Array} filters - Filters from parseSearchQuery
+ * @param {Object} context - { phaseGroups, nodeGroups, hourlyRate }
+ * @returns {boolean}
+ */
+export function matchesSearchFilters(node, filters, context) {
+    const textFilters = new Map();
+    return filters.every(({ field, operator, value }) => {
+        const filter = SEARCH_FILTERS[field];
+        if (filter.getRange) {
+            return NUMERIC_COMPARISONS[operator](getMidpoint(filter.getRange(node, context)), value);
+        }
+        textFilters.set(field, [...(textFilters.get(field) || []), value]);
+        return true;
+    }) && Array.from(textFilters.entries()).every(([field, values]) => {
+        const nodeValues = SEARCH_FILTERS[field].getValues(node, context);
+        return values.some(value => matchesTextFilter(value, nodeValues));
+    });
+}
+
+/**
+ * Run a parsed query: free text is ranked through the index and filters
+ * narrow the results to matching steps (parallel processes have no
+ * filterable properties and drop out). A filter-only query lists the
+ * matching steps in workflow order.
+ * @param {Object} index - Index from buildSearchIndex
+ * @param {Object} parsed - Result of parseSearchQuery
+ * @param {Object} context - { phaseGroups, nodeGroups, hourlyRate }
+ * @returns {Array} Results as from searchIndex
+ */
+export function searchWorkflow(index, parsed, context) {
+    const { text, filters } = parsed;
+    if (filters.length === 0) {
+        return text.trim() ? searchIndex(index, text) : [];
+    }
+
+    const keep = (node) => matchesSearchFilters(node, filters, context);
+    if (text.trim()) {
+        return searchIndex(index, text).filter(result => result.node && keep(result.node));
+    }
+
+    const numericFilter = filters.find(({ field }) => SEARCH_FILTERS[field].getRange);
+    return index.documents
+        .filter(document => document.type === 'node' && keep(document.node))
+        .map(document => {
+            let snippet = null;
+            if (numericFilter) {
+                const filter = SEARCH_FILTERS[numericFilter.field];
+                snippet = { label: filter.label, text: filter.format(...filter.getRange(document.node, context)) };
+            }
+            return { type: 'node', id: document.id, node: document.node, score: 0, terms: new Set(), snippet };
+        });
+}
+
+/**
+ * Autocomplete the last word of a query: filter names while the field is
+ * typed, then the values the workflow uses for it
+ * @param {string} query - Search text as typed
+ * @param {Array} nodes - Steps to draw values from
+ * @param {Object} context - { phaseGroups, nodeGroups, hourlyRate }
+ * @param {number} limit - Most suggestions to return
+ * @returns {Array} Suggestions as { query (the completed query), label, description }
+ */
+export function getSearchSuggestions(query, nodes, context, limit = 8) {
+    const value = String(query ?? '');
+    const words = value.match(QUERY_WORD_PATTERN) || [];
+    const last = words[words.length - 1];
+    if (!last || /\s$/.test(value)) return [];
+
+    const before = value.slice(0, value.lastIndexOf(last));
+    const complete = (text) => `${before}${text}`;
+
+    const fieldMatch = last.match(/^([a-z]{2,})$/i);
+    if (fieldMatch) {
+        const typed = fieldMatch[1].toLowerCase();
+        return Object.entries(SEARCH_FILTERS)
+            .filter(([field]) => field.startsWith(typed))
+            .flatMap(([field, filter]) => (filter.getRange ? ['>', '<'] : [':'])
+                .map(operator => ({ query: complete(`${field}${operator}`), label: `${field}${operator}`, description: filter.label })))
+            .slice(0, limit);
+    }
+
+    const valueMatch = last.match(/^([a-z]+):"?([^"]*)$/i);
+    const filter = valueMatch && SEARCH_FILTERS[valueMatch[1].toLowerCase()];
+    if (!filter || !filter.getValues) return [];
+
+    const field = valueMatch[1].toLowerCase();
+    const typed = valueMatch[2].toLowerCase();
+    const seen = new Set();
+    const values = [];
+    const candidates = filter.suggest ?
+        filter.suggest(context) :
+        nodes.flatMap(node => filter.getValues(node, context));
+    candidates.forEach(item => {
+        const text = String(item ?? '');
+        const key = text.toLowerCase();
+        if (!text || seen.has(key) || !key.startsWith(typed) || key === typed) return;
+        seen.add(key);
+        values.push(text);
+    });
+
+    return values
+        .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }))
+        .slice(0, limit)
+        .map(item => {
+            const quoted = /\s/.test(item) ? `"${item}"` : item;
+            return { query: complete(`${field}:${quoted} `), label: `${field}:${quoted}`, description: filter.label };
+        });
+}
@@ -0,0 +1,458 @@
+/**
+ * Service of Process Tracker Module
+ * Tracks the Rule 1.070(j) 120-day service deadline per defendant, including
+ * the service method, date served and motions to extend time
+ *
+ * Rule 1.070(j): if service is not made within 120 days after filing, the court
+ * shall direct that service be effected within a specified time or drop the
+ * defendant / dismiss without prejudice - unless good cause is shown, in which
+ * case the time for service is extended. Fed. R. Civ. P. 4(m) works the same
+ * way with a 90-day period when the federal jurisdiction pack is active.
+ */
+
+import { computeDeadline, getDeadlineRules } from './deadlines.js';
+import { getActiveJurisdiction } from './jurisdictions.js';
+import { daysBetween, getToday, parseISODate } from './utils.js';
+
+const STORAGE_PREFIX = 'fcp.service.';
+
+/**
+ * Days allowed to serve each defendant after filing under the active
+ * jurisdiction's rules (Rule 1.070(j) or Fed. R. Civ. P. 4(m))
+ * @returns {number}
+ */
+export function getServicePeriodDays() {
+    return getDeadlineRules().servicePeriodDays;
+}
+
+/**
+ * Unserved defendants within this many days of the deadline are flagged
+ */
+export const SERVICE_WARNING_DAYS = 30;
+
+/**
+ * Service methods and the workflow node each one corresponds to
+ */
+export const SERVICE_METHODS = [
+    { id: 'personal', label: 'Personal', nodeId: 2 },
+    { id: 'substituted', label: 'Substituted', nodeId: 3 },
+    { id: 'publication', label: 'Publication', nodeId: 4 }
+];
+
+/**
+ * Per-defendant service states
+ * flagged - whether the state warns of a service problem; the workflow step
+ * each flagged state concerns comes from the jurisdiction pack's serviceRiskNodeIds
+ */
+export const SERVICE_STATUSES = {
+    served: { id: 'served', label: 'Served', flagged: false },
+    pending: { id: 'pending', label: 'Pending', flagged: false },
+    'at-risk': { id: 'at-risk', label: 'Deadline approaching', flagged: true },
+    overdue: { id: 'overdue', label: 'Past deadline - dismissal risk', flagged: true },
+    'served-late': { id: 'served-late', label: 'Served late - insufficient service risk', flagged: true }
+};
+
+/**
+ * Motion to extend time states
+ */
+export const EXTENSION_STATUSES = ['pending', 'granted', 'denied'];
+
+/**
+ * Get the localStorage key holding a matter's service tracker
+ * @param {string} matterId - Matter identifier
+ * @returns {string}
+ */
+export function getServiceStorageKey(matterId) {
+    return `${STORAGE_PREFIX}${matterId}`;
+}
+
+/**
+ * Generate a unique defendant ID
+ * @returns {string}
+ */
+function generateDefendantId() {
+    return `def-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+}
+
+/**
+ * Check a motion to extend time
+ * @param {Object} motion - { filedDate, status, extendedTo }
+ * @throws {Error} For a missing filing date, an unknown status, or a granted
+ *     motion without the date service was extended to
+ */
+function validateExtension({ filedDate, status, extendedTo }) {
+    if (!parseISODate(filedDate)) {
+        throw new Error('A valid motion filing date is required');
+    }
+    if (!EXTENSION_STATUSES.includes(status)) {
+        throw new Error(`Unknown extension status: ${status}`);
+    }
+    if (status === 'granted' && !parseISODate(extendedTo)) {
+        throw new Error('A granted extension needs the date service was extended to');
+    }
+}
+
+/**
+ * Check that a field read from outside the app is text
+ * @param {*} value - Field value
+ * @param {string} field - Field name for the error message
+ * @returns {string} The value, or an empty string when missing
+ * @throws {Error} When the value is not a string
+ */
+function readText(value, field) {
+    if (value === undefined || value === null) return '';
+    if (typeof value !== 'string') {
+        throw new Error(`${field} must be text`);
+    }
+    return value.trim();
+}
+
+/**
+ * Check and normalize one defendant read from outside the app
+ * @param {Object} defendant - Defendant record
+ * @returns {Object} { id, name, method, serviceDate, extensions }
+ * @throws {Error} When a field cannot be used
+ */
+function normalizeDefendant(defendant) {
+    if (!defendant || typeof defendant !== 'object') {
+        throw new Error('not an object');
+    }
+
+    const id = readText(defendant.id, 'id') || generateDefendantId();
+    if (!/^[\w-]+$/.test(id)) {
+        throw new Error(`invalid ID: ${id}`);
+    }
+    const name = readText(defendant.name, 'name');
+    if (!name) {
+        throw new Error('name is required');
+    }
+    const method = readText(defendant.method, 'method') || SERVICE_METHODS[0].id;
+    if (!SERVICE_METHODS.some(entry => entry.id === method)) {
+        throw new Error(`unknown service method: ${method}`);
+    }
+    const serviceDate = readText(defendant.serviceDate, 'serviceDate');
+    if (serviceDate && !parseISODate(serviceDate)) {
+        throw new Error(`invalid service date: ${serviceDate}`);
+    }
+    if (defendant.extensions !== undefined && !Array.isArray(defendant.extensions)) {
+        throw new Error('extensions must be a list');
+    }
+
+    const extensions = (defendant.extensions || []).map((extension, index) => {
+        try {
+            if (!extension || typeof extension !== 'object') {
+                throw new Error('not an object');
+            }
+            const motion = {
+                filedDate: readText(extension.filedDate, 'filedDate'),
+                status: readText(extension.status, 'status') || 'pending',
+                extendedTo: readText(extension.extendedTo, 'extendedTo'),
+                note: readText(extension.note, 'note')
+            };
+            validateExtension(motion);
+            return { ...motion, extendedTo: motion.status === 'granted' ? motion.extendedTo : '' };
+        } catch (error) {
+            throw new Error(`extension ${index + 1}: ${error.message}`);
+        }
+    });
+
+    return { id, name, method, serviceDate, extensions };
+}
+
+/**
+ * Check and normalize service tracker data read from outside the app (e.g.,
+ * an imported workspace file)
+ * Missing fields get their defaults (a defendant without motions gets an
+ * empty extensions list) and unknown fields are dropped.
+ * @param {Object} data - { filingDate, defendants }
+ * @returns {Object} Normalized { filingDate, defendants }
+ * @throws {Error} Naming the first defendant that cannot be used
+ */
+export function normalizeServiceData(data) {
+    if (data === undefined || data === null) return { filingDate: '', defendants: [] };
+    if (typeof data !== 'object' || Array.isArray(data)) {
+        throw new Error('Service tracker data must be an object');
+    }
+
+    const filingDate = readText(data.filingDate, 'Service tracker filingDate');
+    if (filingDate && !parseISODate(filingDate)) {
+        throw new Error(`Invalid filing date: ${filingDate}`);
+    }
+    if (data.defendants !== undefined && data.defendants !== null && !Array.isArray(data.defendants)) {
+        throw new Error('Service tracker defendants must be a list');
+    }
+
+    const ids = new Set();
+    const defendants = (data.defendants || []).map((defendant, index) => {
+        let normalized;
+        try {
+            normalized = normalizeDefendant(defendant);
+        } catch (error) {
+            throw new Error(`Defendant ${index + 1}: ${error.message}`);
+        }
+        if (ids.has(normalized.id)) {
+            throw new Error(`Duplicate defendant ID: ${normalized.id}`);
+        }
+        ids.add(normalized.id);
+        return normalized;
+    });
+
+    return { filingDate, defendants };
+}
+
+/**
+ * Compute the service deadline and status for a defendant
+ * A granted extension replaces the deadline with the date the court ordered.
+ * @param {Object} defendant - Defendant record
+ * @param {Date|string} filingDate - Complaint filing date
+ * @param {Object} options - Computation options
+ * @param {Date} options.today - Reference date (defaults to today)
+ * @param {number} options.circuit - Circuit number for local closures
+ * @returns {Object|null} { deadline, extended, daysRemaining, status, riskNodeId, pendingExtension },
+ *     or null without a filing date; riskNodeId is the workflow step a flagged status concerns
+ */
+export function getDefendantServiceStatus(defendant, filingDate, options = {}) {
+    const { today = getToday(), circuit = null } = options;
+    const base = computeDeadline(filingDate, getServicePeriodDays(), { circuit });
+    if (!base) return null;
+
+    const granted = defendant.extensions
+        .filter(extension => extension.status === 'granted' && parseISODate(extension.extendedTo))
+        .map(extension => parseISODate(extension.extendedTo))
+        .sort((a, b) => b - a);
+    const deadline = granted.length > 0 && granted[0] > base.dueDate ? granted[0] : base.dueDate;
+    const servedDate = parseISODate(defendant.serviceDate);
+    const daysRemaining = daysBetween(today, deadline);
+
+    let status;
+    if (servedDate) {
+        status = servedDate > deadline ? 'served-late' : 'served';
+    } else if (daysRemaining < 0) {
+        status = 'overdue';
+    } else if (daysRemaining <= SERVICE_WARNING_DAYS) {
+        status = 'at-risk';
+    } else {
+        status = 'pending';
+    }
+
+    return {
+        deadline,
+        extended: deadline !== base.dueDate,
+        daysRemaining,
+        status: SERVICE_STATUSES[status],
+        riskNodeId: getActiveJurisdiction().serviceRiskNodeIds[status] ?? null,
+        pendingExtension: defendant.extensions.some(extension => extension.status === 'pending')
+    };
+}
+
+export class ServiceTracker {
+    /**
+     * @param {string} matterId - Matter the defendants belong to
+     * @param {Storage} storage - Storage backend (defaults to localStorage)
+     */
+    constructor(matterId, storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.matterId = matterId;
+        this.data = { filingDate: '', defendants: [] };
+        this.load();
+    }
+
+    /**
+     * Load the service tracker for the current matter from storage
+     */
+    load() {
+        this.data = { filingDate: '', defendants: [] };
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(getServiceStorageKey(this.matterId));
+            if (saved) {
+                this.data = { ...this.data, ...JSON.parse(saved) };
+            }
+        } catch (error) {
+            console.warn('Unable to load service tracker state:', error);
+        }
+    }
+
+    /**
+     * Save the service tracker for the current matter to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(getServiceStorageKey(this.matterId), JSON.stringify(this.data));
+        } catch (error) {
+            console.warn('Unable to save service tracker state:', error);
+        }
+    }
+
+    /**
+     * Switch to another matter and load its defendants
+     * @param {string} matterId - Matter identifier
+     */
+    setMatter(matterId) {
+        this.matterId = matterId;
+        this.load();
+    }
+
+    /**
+     * Get the complaint filing date
+     * @returns {string} ISO date or empty string
+     */
+    getFilingDate() {
+        return this.data.filingDate;
+    }
+
+    /**
+     * Set the complaint filing date
+     * @param {string} date - ISO date or empty string
+     */
+    setFilingDate(date) {
+        if (date && !parseISODate(date)) {
+            throw new Error(`Invalid filing date: ${date}`);
+        }
+        this.data.filingDate = date || '';
+        this.save();
+    }
+
+    /**
+     * Get all defendants
+     * @returns {Array} Defendant records { id, name, method, serviceDate, extensions }
+     */
+    getDefendants() {
+        return JSON.parse(JSON.stringify(this.data.defendants));
+    }
+
+    /**
+     * Add a defendant
+     * @param {string} name - Defendant name
+     * @returns {Object} Defendant record
+     */
+    addDefendant(name) {
+        const trimmed = String(name || '').trim();
+        if (!trimmed) {
+            throw new Error('Defendant name is required');
+        }
+
+        const defendant = {
+            id: generateDefendantId(),
+            name: trimmed,
+            method: SERVICE_METHODS[0].id,
+            serviceDate: '',
+            extensions: []
+        };
+        this.data.defendants.push(defendant);
+        this.save();
+        return { ...defendant };
+    }
+
+    /**
+     * Update a defendant's name, service method or service date
+     * @param {string} defendantId - Defendant identifier
+     * @param {Object} changes - { name, method, serviceDate }
+     */
+    updateDefendant(defendantId, changes) {
+        const defendant = this.findDefendant(defendantId);
+        const updated = { ...defendant, ...changes };
+
+        if (!SERVICE_METHODS.some(method => method.id === updated.method)) {
+            throw new Error(`Unknown service method: ${updated.method}`);
+        }
+        if (updated.serviceDate && !parseISODate(updated.serviceDate)) {
+            throw new Error(`Invalid service date: ${updated.serviceDate}`);
+        }
+
+        defendant.name = String(updated.name).trim() || defendant.name;
+        defendant.method = updated.method;
+        defendant.serviceDate = updated.serviceDate || '';
+        this.save();
+    }
+
+    /**
+     * Remove a defendant
+     * @param {string} defendantId - Defendant identifier
+     */
+    removeDefendant(defendantId) {
+        this.data.defendants = this.data.defendants.filter(defendant => defendant.id !== defendantId);
+        this.save();
+    }
+
+    /**
+     * Log a motion to extend time for service
+     * @param {string} defendantId - Defendant identifier
+     * @param {Object} motion - { filedDate, status, extendedTo, note }
+     */
+    logExtension(defendantId, motion) {
+        const defendant = this.findDefendant(defendantId);
+        const status = motion.status || 'pending';
+        validateExtension({ ...motion, status });
+
+        defendant.extensions.push({
+            filedDate: motion.filedDate,
+            status,
+            extendedTo: status === 'granted' ? motion.extendedTo : '',
+            note: String(motion.note || '').trim()
+        });
+        this.save();
+    }
+
+    /**
+     * Record the ruling on a pending motion to extend time
+     * @param {string} defendantId - Defendant identifier
+     * @param {number} index - Position of the motion in the defendant's extensions
+     * @param {Object} ruling - { status: 'granted' or 'denied', extendedTo }
+     */
+    resolveExtension(defendantId, index, ruling) {
+        const defendant = this.findDefendant(defendantId);
+        const extension = defendant.extensions[index];
+
+        if (!extension) {
+            throw new Error(`Unknown extension motion: ${index}`);
+        }
+        if (extension.status !== 'pending') {
+            throw new Error(`The motion filed ${extension.filedDate} was already ${extension.status}`);
+        }
+        if (ruling.status === 'pending') {
+            throw new Error('A ruling must grant or deny the motion');
+        }
+        validateExtension({ ...extension, ...ruling });
+
+        extension.status = ruling.status;
+        extension.extendedTo = ruling.status === 'granted' ? ruling.extendedTo : '';
+        this.save();
+    }
+
+    /**
+     * Get the full tracker state (for export)
+     * @returns {Object} { filingDate, defendants }
+     */
+    getData() {
+        return JSON.parse(JSON.stringify(this.data));
+    }
+
+    /**
+     * Replace the full tracker state (e.g., when importing a matter)
+     * @param {Object} data - { filingDate, defendants } (see normalizeServiceData)
+     */
+    setData(data) {
+        this.data = {
+            filingDate: (data && data.filingDate) || '',
+            defendants: JSON.parse(JSON.stringify((data && data.defendants) || []))
+        };
+        this.save();
+    }
+
+    /**
+     * Find a defendant record by ID
+     * @param {string} defendantId - Defendant identifier
+     * @returns {Object} Defendant record (live reference)
+     */
+    findDefendant(defendantId) {
+        const defendant = this.data.defendants.find(entry => entry.id === defendantId);
+        if (!defendant) {
+            throw new Error(`Unknown defendant: ${defendantId}`);
+        }
+        return defendant;
+    }
+}
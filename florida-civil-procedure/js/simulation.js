@@ -0,0 +1,194 @@
+/**
+ * Monte Carlo Simulation Module
+ * Runs random walks from Complaint Filed through LINKS, choosing each next
+ * step by link volume and sampling every step's duration, attorney hours and
+ * fixed costs from its min/max range. A seeded generator makes runs repeatable.
+ */
+
+import { NODES } from './data.js';
+import { START_NODE_ID, getTransitionProbabilities } from './probability.js';
+
+export const DEFAULT_SIMULATION_RUNS = 5000;
+export const DEFAULT_SIMULATION_SEED = 1;
+export const DEFAULT_HISTOGRAM_BINS = 20;
+
+// Walks that have not reached a terminal step after this many steps are cut off
+const MAX_WALK_STEPS = 200;
+
+/**
+ * Create a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Integer seed
+ * @returns {Function} Returns a float in [0, 1) on each call
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Sample uniformly from a min/max range
+ * @param {Function} random - Random number generator
+ * @param {number} min - Minimum value
+ * @param {number} max - Maximum value
+ * @returns {number}
+ */
+function sampleRange(random, min = 0, max = min) {
+    return max > min ? min + random() * (max - min) : min;
+}
+
+/**
+ * Get a percentile from sorted values (linear interpolation)
+ * @param {Array} sorted - Values sorted ascending
+ * @param {number} p - Percentile between 0 and 1
+ * @returns {number}
+ */
+export function percentile(sorted, p) {
+    if (sorted.length === 0) return 0;
+    const index = (sorted.length - 1) * p;
+    const lower = Math.floor(index);
+    const upper = Math.ceil(index);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+/**
+ * Bucket values into equal-width bins
+ * @param {Array} values - Values to bucket
+ * @param {number} binCount - Number of bins
+ * @returns {Array} Bins { x0, x1, count }
+ */
+export function buildHistogram(values, binCount = DEFAULT_HISTOGRAM_BINS) {
+    if (values.length === 0) return [];
+
+    const min = values.reduce((a, b) => Math.min(a, b), Infinity);
+    const max = values.reduce((a, b) => Math.max(a, b), -Infinity);
+    const width = (max - min) / binCount || 1;
+    const bins = Array.from({ length: binCount }, (_, i) => ({
+        x0: min + i * width,
+        x1: min + (i + 1) * width,
+        count: 0
+    }));
+
+    values.forEach(value => {
+        bins[Math.min(binCount - 1, Math.floor((value - min) / width))].count++;
+    });
+    return bins;
+}
+
+/**
+ * Summarize simulated values
+ * @param {Array} values - Simulated values
+ * @param {number} binCount - Histogram bins
+ * @returns {Object} { p10, p50, p90, mean, min, max, histogram }
+ */
+function summarize(values, binCount) {
+    const sorted = [...values].sort((a, b) => a - b);
+    return {
+        p10: percentile(sorted, 0.1),
+        p50: percentile(sorted, 0.5),
+        p90: percentile(sorted, 0.9),
+        mean: values.reduce((sum, value) => sum + value, 0) / (values.length || 1),
+        min: sorted[0] || 0,
+        max: sorted[sorted.length - 1] || 0,
+        histogram: buildHistogram(values, binCount)
+    };
+}
+
+/**
+ * Simulate a single case from the start node to a terminal step
+ * @param {Function} random - Random number generator
+ * @param {Map} transitions - Transition probabilities
+ * @param {Map} nodeMap - Node ID -> node
+ * @param {number} startId - Starting node ID
+ * @param {number} hourlyRate - Attorney hourly rate
+ * @returns {Object} { days, hours, fixedCosts, cost, endNodeId, truncated }
+ */
+function simulateWalk(random, transitions, nodeMap, startId, hourlyRate) {
+    let nodeId = startId;
+    let days = 0;
+    let hours = 0;
+    let fixedCosts = 0;
+
+    for (let step = 0; step < MAX_WALK_STEPS; step++) {
+        const node = nodeMap.get(nodeId);
+        if (node) {
+            days += sampleRange(random, node.durationDaysMin, node.durationDaysMax);
+            hours += sampleRange(random, node.attorneyHoursMin, node.attorneyHoursMax);
+            (node.fixedCosts || []).forEach(cost => {
+                fixedCosts += sampleRange(random, cost.amountMin || cost.amount || 0, cost.amountMax || cost.amount || 0);
+            });
+        }
+
+        const outgoing = transitions.get(nodeId);
+        if (!outgoing || outgoing.length === 0) {
+            return { days, hours, fixedCosts, cost: fixedCosts + hours * hourlyRate, endNodeId: nodeId, truncated: false };
+        }
+
+        // Pick the next step by cumulative probability
+        let roll = random();
+        let next = outgoing[outgoing.length - 1];
+        for (const transition of outgoing) {
+            roll -= transition.probability;
+            if (roll < 0) {
+                next = transition;
+                break;
+            }
+        }
+        nodeId = next.target;
+    }
+
+    return { days, hours, fixedCosts, cost: fixedCosts + hours * hourlyRate, endNodeId: nodeId, truncated: true };
+}
+
+/**
+ * Run a Monte Carlo simulation of case duration and total spend
+ * @param {Object} options - Simulation options
+ * @param {number} options.runs - Number of random walks
+ * @param {number} options.seed - Seed for the random number generator
+ * @param {number} options.hourlyRate - Attorney hourly rate for total spend
+ * @param {number} options.startId - Node every walk starts at
+ * @param {number} options.bins - Histogram bins
+ * @returns {Object} { runs, seed, hourlyRate, duration, cost, truncated }, where duration
+ *     and cost are { p10, p50, p90, mean, min, max, histogram }
+ */
+export function runSimulation(options = {}) {
+    const {
+        runs = DEFAULT_SIMULATION_RUNS,
+        seed = DEFAULT_SIMULATION_SEED,
+        hourlyRate = 0,
+        startId = START_NODE_ID,
+        bins = DEFAULT_HISTOGRAM_BINS
+    } = options;
+
+    if (!Number.isInteger(runs) || runs < 1) {
+        throw new Error(`Run count must be a positive whole number: ${runs}`);
+    }
+
+    const random = createRandom(seed);
+    const transitions = getTransitionProbabilities();
+    const nodeMap = new Map(NODES.map(node => [node.id, node]));
+    const durations = [];
+    const costs = [];
+    let truncated = 0;
+
+    for (let i = 0; i < runs; i++) {
+        const walk = simulateWalk(random, transitions, nodeMap, startId, hourlyRate);
+        durations.push(walk.days);
+        costs.push(walk.cost);
+        if (walk.truncated) truncated++;
+    }
+
+    return {
+        runs,
+        seed,
+        hourlyRate,
+        duration: summarize(durations, bins),
+        cost: summarize(costs, bins),
+        truncated
+    };
+}
@@ -0,0 +1,263 @@
+/**
+ * Case Tracker Module
+ * Records per-node progress (status, actual dates, due date, notes) for a matter
+ * and persists it to localStorage
+ */
+
+import { parseISODate } from './utils.js';
+
+/**
+ * Progress statuses, in the order the progress editor lists them
+ */
+export const TRACKER_STATUSES = [
+    { id: 'not-started', label: 'Not Started', icon: '○' },
+    { id: 'in-progress', label: 'In Progress', icon: '◐' },
+    { id: 'completed', label: 'Completed', icon: '●' },
+    { id: 'skipped', label: 'Skipped', icon: '⊘' }
+];
+
+export const DEFAULT_MATTER_ID = 'default';
+
+const STORAGE_PREFIX = 'fcp.tracker.';
+
+/**
+ * Get the localStorage key holding a matter's progress
+ * @param {string} matterId - Matter identifier
+ * @returns {string}
+ */
+export function getTrackerStorageKey(matterId) {
+    return `${STORAGE_PREFIX}${matterId}`;
+}
+
+/**
+ * Get the display info for a status ID
+ * @param {string} statusId - Status identifier
+ * @returns {Object} Status { id, label, icon }
+ */
+export function getStatusInfo(statusId) {
+    return TRACKER_STATUSES.find(status => status.id === statusId) || TRACKER_STATUSES[0];
+}
+
+/**
+ * Check a progress entry's status and dates
+ * @param {Object} entry - Progress entry with every field present
+ * @throws {Error} For an unknown status, an invalid date or an end date before the start
+ */
+function validateEntry(entry) {
+    if (!TRACKER_STATUSES.some(status => status.id === entry.status)) {
+        throw new Error(`Unknown tracker status: ${entry.status}`);
+    }
+    ['actualStart', 'actualEnd', 'dueDate'].forEach(field => {
+        if (entry[field] && !parseISODate(entry[field])) {
+            throw new Error(`Invalid ${field} date: ${entry[field]}`);
+        }
+    });
+    // ISO dates compare correctly as strings
+    if (entry.actualStart && entry.actualEnd && entry.actualEnd < entry.actualStart) {
+        throw new Error(`Actual end (${entry.actualEnd}) is before actual start (${entry.actualStart})`);
+    }
+}
+
+/**
+ * Check and normalize progress entries read from outside the app (e.g., an
+ * imported workspace file)
+ * Missing fields get their defaults and unknown fields are dropped.
+ * @param {Object} entries - Entries keyed by node ID
+ * @returns {Object} Normalized entries keyed by node ID
+ * @throws {Error} Naming the node of the first entry that cannot be used
+ */
+export function normalizeTrackerEntries(entries) {
+    if (entries === undefined || entries === null) return {};
+    if (typeof entries !== 'object' || Array.isArray(entries)) {
+        throw new Error('Case progress must be an object keyed by node ID');
+    }
+
+    const normalized = {};
+    Object.entries(entries).forEach(([nodeId, entry]) => {
+        if (!/^\d+$/.test(nodeId)) {
+            throw new Error(`Case progress has an invalid node ID: ${nodeId}`);
+        }
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`Case progress for node ${nodeId} is not an object`);
+        }
+
+        const fields = {
+            status: entry.status ?? 'not-started',
+            actualStart: entry.actualStart ?? '',
+            actualEnd: entry.actualEnd ?? '',
+            dueDate: entry.dueDate ?? '',
+            notes: entry.notes ?? ''
+        };
+        try {
+            Object.entries(fields).forEach(([field, value]) => {
+                if (typeof value !== 'string') {
+                    throw new Error(`${field} must be text`);
+                }
+            });
+            validateEntry(fields);
+        } catch (error) {
+            throw new Error(`Case progress for node ${nodeId}: ${error.message}`);
+        }
+        normalized[nodeId] = fields;
+    });
+    return normalized;
+}
+
+export class CaseTracker {
+    /**
+     * @param {string} matterId - Matter the progress belongs to
+     * @param {Storage} storage - Storage backend (defaults to localStorage)
+     */
+    constructor(matterId = DEFAULT_MATTER_ID, storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.matterId = matterId;
+        this.entries = {};
+        this.load();
+    }
+
+    /**
+     * Get the storage key for the current matter
+     * @returns {string}
+     */
+    getStorageKey() {
+        return getTrackerStorageKey(this.matterId);
+    }
+
+    /**
+     * Load progress for the current matter from storage
+     */
+    load() {
+        this.entries = {};
+        if (!this.storage) return;
+
+        try {
+            const saved = this.storage.getItem(this.getStorageKey());
+            if (saved) {
+                this.entries = JSON.parse(saved) || {};
+            }
+        } catch (error) {
+            console.warn('Unable to load case tracker state:', error);
+        }
+    }
+
+    /**
+     * Save progress for the current matter to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(this.getStorageKey(), JSON.stringify(this.entries));
+        } catch (error) {
+            console.warn('Unable to save case tracker state:', error);
+        }
+    }
+
+    /**
+     * Switch to another matter and load its progress
+     * @param {string} matterId - Matter identifier
+     */
+    setMatter(matterId) {
+        this.matterId = matterId || DEFAULT_MATTER_ID;
+        this.load();
+    }
+
+    /**
+     * Get the progress entry for a node
+     * @param {number} nodeId - Node ID
+     * @returns {Object} { status, actualStart, actualEnd, dueDate, notes }
+     */
+    getEntry(nodeId) {
+        return {
+            status: 'not-started',
+            actualStart: '',
+            actualEnd: '',
+            dueDate: '',
+            notes: '',
+            ...(this.entries[nodeId] || {})
+        };
+    }
+
+    /**
+     * Get the status of a node
+     * @param {number} nodeId - Node ID
+     * @returns {string} Status ID
+     */
+    getStatus(nodeId) {
+        return this.getEntry(nodeId).status;
+    }
+
+    /**
+     * Check whether a node has any recorded progress
+     * @param {number} nodeId - Node ID
+     * @returns {boolean}
+     */
+    hasEntry(nodeId) {
+        return Boolean(this.entries[nodeId]);
+    }
+
+    /**
+     * Update the progress entry for a node
+     * Dates must be ISO (YYYY-MM-DD) or empty, and actualEnd may not precede actualStart
+     * @param {number} nodeId - Node ID
+     * @param {Object} changes - Fields to update { status, actualStart, actualEnd, dueDate, notes }
+     * @returns {Object} Updated entry
+     */
+    updateEntry(nodeId, changes) {
+        const entry = { ...this.getEntry(nodeId), ...changes };
+
+        validateEntry(entry);
+
+        const isEmpty = entry.status === 'not-started' && !entry.actualStart && !entry.actualEnd &&
+            !entry.dueDate && !entry.notes;
+        if (isEmpty) {
+            delete this.entries[nodeId];
+        } else {
+            this.entries[nodeId] = entry;
+        }
+
+        this.save();
+        return this.getEntry(nodeId);
+    }
+
+    /**
+     * Remove all progress for the current matter
+     */
+    clear() {
+        this.entries = {};
+        this.save();
+    }
+
+    /**
+     * Get all recorded entries keyed by node ID
+     * @returns {Object}
+     */
+    getEntries() {
+        return JSON.parse(JSON.stringify(this.entries));
+    }
+
+    /**
+     * Replace all entries (e.g., when importing a matter)
+     * @param {Object} entries - Entries keyed by node ID (see normalizeTrackerEntries)
+     */
+    setEntries(entries) {
+        this.entries = JSON.parse(JSON.stringify(entries || {}));
+        this.save();
+    }
+
+    /**
+     * Count nodes by status
+     * @param {Array} nodes - Nodes to count over
+     * @returns {Object} Counts keyed by status ID
+     */
+    getProgress(nodes) {
+        const counts = {};
+        TRACKER_STATUSES.forEach(status => {
+            counts[status.id] = 0;
+        });
+        nodes.forEach(node => {
+            counts[this.getStatus(node.id)]++;
+        });
+        return counts;
+    }
+}
@@ -46,34 +46,47 @@ export function cleanNodeName(name) {
 
 /**
  * Format tooltip HTML
+ * Workflow fields may come from a loaded dataset and tracker fields from
+ * user input, so every string is escaped.
  * @param {Object} node - Node data
+ * @param {Object} extras - Optional per-node context
+ * @param {Object} extras.deadline - Computed deadline entry for the node
+ * @param {Object} extras.progress - Case tracker entry for the node
+ * @param {Object} extras.decision - Decision analysis for the node
+ * @param {Object} extras.version - Effective range and source amendment of the step's form
  * @returns {string} HTML string for tooltip
  */
-export function formatTooltip(node) {
-    let html = `<strong>${cleanNodeName(node.name)}</strong>`;
+export function formatTooltip(node, extras = {}) {
+    const { deadline = null, progress = null, decision = null, version = null } = extras;
+    let html = `<strong>${escapeHTML(cleanNodeName(node.name))}</strong>`;
 
     if (node.rule) {
-        html += `<div class="section"><div class="label">Florida Rule</div>${node.rule}</div>`;
+        html += `<div class="section"><div class="label">Rule</div>${escapeHTML(node.rule)}</div>`;
+    }
+
+    if (version) {
+        const source = version.amendment ? `<div>${escapeHTML(version.amendment.citation)}</div>` : '';
+        html += `<div class="section version"><div class="label">Rule Version</div>${escapeHTML(version.range)}${source}</div>`;
     }
 
     if (node.duration && node.duration !== "n/a") {
-        html += `<div class="section"><div class="label">Timeline</div>${node.duration}</div>`;
+        html += `<div class="section"><div class="label">Timeline</div>${escapeHTML(node.duration)}</div>`;
     }
 
     if (node.cost && node.cost !== "n/a") {
-        html += `<div class="section"><div class="label">Estimated Cost</div>${node.cost}</div>`;
+        html += `<div class="section"><div class="label">Estimated Cost</div>${escapeHTML(node.cost)}</div>`;
     }
 
     if (node.owner && node.owner !== "n/a") {
-        html += `<div class="section"><div class="label">Responsible Party</div>${node.owner}</div>`;
+        html += `<div class="section"><div class="label">Responsible Party</div>${escapeHTML(node.owner)}</div>`;
     }
 
     if (node.trigger) {
-        html += `<div class="section"><div class="label">Trigger Event</div>${node.trigger}</div>`;
+        html += `<div class="section"><div class="label">Trigger Event</div>${escapeHTML(node.trigger)}</div>`;
     }
 
     if (node.documents && node.documents.length > 0) {
-        const docList = node.documents.slice(0, 5).join(', ');
+        const docList = escapeHTML(node.documents.slice(0, 5).join(', '));
         const more = node.documents.length > 5 ? ` (+${node.documents.length - 5} more)` : '';
         html += `<div class="section"><div class="label">Required Documents</div>${docList}${more}</div>`;
     }
@@ -84,11 +97,41 @@ export function formatTooltip(node) {
             'flexible': 'Flexible Timeline',
             'court-set': 'Court-Determined Deadline'
         }[node.deadline] || node.deadline;
-        html += `<div class="section"><div class="label">Deadline Type</div>${deadlineText}</div>`;
+        html += `<div class="section"><div class="label">Deadline Type</div>${escapeHTML(deadlineText)}</div>`;
+    }
+
+    if (deadline) {
+        const projected = deadline.projected ? ' (projected)' : '';
+        const extended = deadline.extended ? '<div>Extended past a weekend/holiday</div>' : '';
+        const mail = deadline.mailDaysAdded ? `<div>Includes ${deadline.mailDaysAdded} days for mail service</div>` : '';
+        const skipped = deadline.skippedHolidays && deadline.skippedHolidays.length > 0 ?
+            `<div>Skipped: ${escapeHTML(deadline.skippedHolidays.map(holiday => holiday.name).join(', '))}</div>` : '';
+        html += `<div class="section due-date"><div class="label">Computed Due Date${projected}</div>${formatDisplayDate(deadline.dueDate)}${mail}${extended}${skipped}</div>`;
+    }
+
+    if (progress) {
+        const dates = [
+            progress.actualStart ? `Started ${escapeHTML(progress.actualStart)}` : '',
+            progress.actualEnd ? `Ended ${escapeHTML(progress.actualEnd)}` : '',
+            progress.dueDate ? `Due ${escapeHTML(progress.dueDate)}` : ''
+        ].filter(Boolean).join(' • ');
+        html += `<div class="section progress"><div class="label">Case Progress</div>${progress.label}` +
+            `${dates ? `<div>${dates}</div>` : ''}${progress.notes ? `<div>${escapeHTML(progress.notes)}</div>` : ''}</div>`;
+    }
+
+    if (decision) {
+        const branches = decision.branches.map(branch =>
+            `<div>${branch === decision.recommended ? '★ ' : ''}${escapeHTML(cleanNodeName(branch.target.name))}: ` +
+            `EV ${formatCurrency(branch.ev)} (${Math.round(branch.days)} days, ${formatCurrency(branch.cost)} cost)</div>`
+        ).join('');
+        const delta = decision.evDelta === null ?
+            'Only one branch is modeled' :
+            `Recommended: ${escapeHTML(cleanNodeName(decision.recommended.target.name))}, ahead by ${formatCurrency(decision.evDelta)}`;
+        html += `<div class="section decision"><div class="label">Decision Analysis</div>${delta}${branches}</div>`;
     }
 
     if (node.notes) {
-        html += `<div class="section notes"><div class="label">Practice Note</div>${node.notes}</div>`;
+        html += `<div class="section notes"><div class="label">Practice Note</div>${escapeHTML(node.notes)}</div>`;
     }
 
     if (node.isExpandable) {
@@ -106,18 +149,33 @@ export function formatTooltip(node) {
  * @returns {string} HTML string for tooltip
  */
 export function formatLinkTooltip(link, sourceNode, targetNode) {
-    return `<strong>${cleanNodeName(sourceNode.name)} → ${cleanNodeName(targetNode.name)}</strong>
+    return `<strong>${escapeHTML(cleanNodeName(sourceNode.name))} → ${escapeHTML(cleanNodeName(targetNode.name))}</strong>
             <div class="section">
-                <div class="label">Path</div>${link.label}
+                <div class="label">Path</div>${escapeHTML(link.label ?? '')}
             </div>
             <div class="section">
-                <div class="label">Trigger</div>${link.trigger}
+                <div class="label">Trigger</div>${escapeHTML(link.trigger ?? '')}
             </div>
             <div class="section">
-                <div class="label">Volume</div>${link.volume}% of cases
+                <div class="label">Volume</div>${escapeHTML(link.volume)}% of cases
             </div>`;
 }
 
+/**
+ * Save a Blob through a temporary download link
+ * @param {Blob} blob - File content
+ * @param {string} filename - Output filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const a = document.createElement('a');
+    a.download = filename;
+    a.href = url;
+    a.click();
+    URL.revokeObjectURL(url);
+}
+
 /**
  * Export SVG to PNG
  * @param {SVGElement} svgElement - The SVG element to export
@@ -140,10 +198,7 @@ export function exportToPNG(svgElement, filename = 'florida-civil-procedure.png'
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
         canvas.toBlob(function(blob) {
-            const a = document.createElement('a');
-            a.download = filename;
-            a.href = URL.createObjectURL(blob);
-            a.click();
+            downloadBlob(blob, filename);
             URL.revokeObjectURL(url);
         });
     };
@@ -158,38 +213,26 @@ export function exportToPNG(svgElement, filename = 'florida-civil-procedure.png'
  */
 export function exportToSVG(svgElement, filename = 'florida-civil-procedure.svg') {
     const svgData = new XMLSerializer().serializeToString(svgElement);
-    const blob = new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' });
-    const url = URL.createObjectURL(blob);
+    downloadBlob(new Blob([svgData], { type: 'image/svg+xml;charset=utf-8' }), filename);
+}
 
-    const a = document.createElement('a');
-    a.download = filename;
-    a.href = url;
-    a.click();
-    URL.revokeObjectURL(url);
+/**
+ * Export iCalendar content as a "<prefix>-deadlines.ics" file
+ * @param {string} icsContent - iCalendar file content
+ * @param {string} filePrefix - Jurisdiction pack's file prefix (e.g., 'federal-civil-procedure')
+ */
+export function exportToICS(icsContent, filePrefix) {
+    downloadBlob(new Blob([icsContent], { type: 'text/calendar;charset=utf-8' }), `${filePrefix}-deadlines.ics`);
 }
 
 /**
- * Search nodes by name, rule, or stage
- * @param {Array} nodes - Array of nodes
- * @param {string} query - Search query
- * @returns {Array} Matching nodes
+ * Export JSON content as a "<prefix>-<name>.json" file
+ * @param {string} jsonContent - JSON document
+ * @param {string} filePrefix - Jurisdiction pack's file prefix (e.g., 'federal-civil-procedure')
+ * @param {string} name - What the document holds (e.g., 'workspace', 'workflow')
  */
-export function searchNodes(nodes, query) {
-    if (!query || query.trim() === '') return [];
-
-    const lowerQuery = query.toLowerCase().trim();
-
-    return nodes.filter(node => {
-        return (
-            cleanNodeName(node.name).toLowerCase().includes(lowerQuery) ||
-            (node.rule && node.rule.toLowerCase().includes(lowerQuery)) ||
-            (node.stage && node.stage.toLowerCase().includes(lowerQuery)) ||
-            (node.owner && node.owner.toLowerCase().includes(lowerQuery)) ||
-            (node.documents && node.documents.some(doc =>
-                doc.toLowerCase().includes(lowerQuery)
-            ))
-        );
-    });
+export function exportToJSON(jsonContent, filePrefix, name) {
+    downloadBlob(new Blob([jsonContent], { type: 'application/json;charset=utf-8' }), `${filePrefix}-${name}.json`);
 }
 
 /**
@@ -236,6 +279,62 @@ export function findPaths(links, startId, endId, visited = new Set()) {
     return paths;
 }
 
+/**
+ * Get the ancestors and descendants of a node, following links up to a depth
+ * Exception links are not followed; those touching the lineage are returned separately.
+ * @param {Array} links - Array of links
+ * @param {number} nodeId - Focused node ID
+ * @param {number} depth - Maximum number of links to follow each way (Infinity for all)
+ * @returns {Object} { upstream, downstream, links, exceptionLinks, exceptionNodes } - Sets of
+ *     node IDs, and Sets of "source-target" link keys
+ */
+export function getLineage(links, nodeId, depth = Infinity) {
+    const regular = links.filter(link => !link.isException);
+
+    const walk = (from, to) => {
+        const found = new Set();
+        const followed = new Set();
+        let frontier = [nodeId];
+
+        for (let level = 0; level < depth && frontier.length > 0; level++) {
+            const next = [];
+            frontier.forEach(id => {
+                regular.filter(link => link[from] === id).forEach(link => {
+                    followed.add(`${link.source}-${link.target}`);
+                    if (link[to] !== nodeId && !found.has(link[to])) {
+                        found.add(link[to]);
+                        next.push(link[to]);
+                    }
+                });
+            });
+            frontier = next;
+        }
+        return { found, followed };
+    };
+
+    const up = walk('target', 'source');
+    const down = walk('source', 'target');
+    const lineage = new Set([nodeId, ...up.found, ...down.found]);
+
+    const exceptionLinks = new Set();
+    const exceptionNodes = new Set();
+    links.filter(link => link.isException &&
+        (lineage.has(link.source) || lineage.has(link.target))).forEach(link => {
+        exceptionLinks.add(`${link.source}-${link.target}`);
+        [link.source, link.target].forEach(id => {
+            if (!lineage.has(id)) exceptionNodes.add(id);
+        });
+    });
+
+    return {
+        upstream: up.found,
+        downstream: down.found,
+        links: new Set([...up.followed, ...down.followed]),
+        exceptionLinks,
+        exceptionNodes
+    };
+}
+
 /**
  * Calculate statistics from the workflow
  * @param {Array} nodes - Array of nodes
@@ -382,3 +481,90 @@ export function formatCurrency(min, max = min) {
     }
     return `${formatter.format(min)} - ${formatter.format(max)}`;
 }
+
+/**
+ * Escape text for safe insertion into HTML (e.g., user-entered names)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Parse an ISO date string (YYYY-MM-DD) into a Date at UTC midnight
+ * Working in UTC keeps day arithmetic free of daylight-saving shifts
+ * @param {string|Date} value - ISO date string or Date
+ * @returns {Date|null} Parsed date, or null if the value is not a valid date
+ */
+export function parseISODate(value) {
+    if (value instanceof Date) {
+        return isNaN(value) ? null : new Date(Date.UTC(value.getUTCFullYear(), value.getUTCMonth(), value.getUTCDate()));
+    }
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value || '').trim());
+    if (!match) return null;
+
+    const date = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    // Reject rollovers such as 2025-02-30
+    return toISODate(date) === match[0] ? date : null;
+}
+
+/**
+ * Format a Date as an ISO date string (YYYY-MM-DD)
+ * @param {Date} date - Date to format
+ * @returns {string} ISO date string
+ */
+export function toISODate(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Add calendar days to a date
+ * @param {Date} date - Starting date
+ * @param {number} days - Number of days to add (may be negative)
+ * @returns {Date} New date
+ */
+export function addDays(date, days) {
+    const result = new Date(date.getTime());
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+/**
+ * Get today's local calendar date as a UTC-midnight Date
+ * @returns {Date}
+ */
+export function getToday() {
+    const now = new Date();
+    return new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+}
+
+/**
+ * Count calendar days from one date to another
+ * @param {Date} from - Start date (UTC midnight)
+ * @param {Date} to - End date (UTC midnight)
+ * @returns {number} Days (negative when `to` is before `from`)
+ */
+export function daysBetween(from, to) {
+    return Math.round((to - from) / 86400000);
+}
+
+/**
+ * Format a date for display (e.g., "Mon, Jan 6, 2025")
+ * @param {Date} date - Date to format
+ * @returns {string} Formatted date string
+ */
+export function formatDisplayDate(date) {
+    return date.toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
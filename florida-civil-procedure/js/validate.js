@@ -0,0 +1,285 @@
+/**
+ * Workflow Data Validator
+ * Integrity checks for the hand-edited workflow datasets in data/. Runs in
+ * the browser at startup in debug mode (?debug in the URL) and from Node as a
+ * pre-publish check: `node js/validate.js` exits non-zero on errors.
+ */
+
+import {
+    NODES,
+    LINKS,
+    NODE_GROUPS,
+    PHASE_GROUPS,
+    STAGE_COLORS,
+    CONFIG,
+    AMENDMENTS
+} from './data.js';
+import { parseISODate } from './utils.js';
+
+/**
+ * Checks run by validateWorkflowData
+ * severity - 'error' fails the pre-publish check; 'warning' is reported only
+ */
+export const VALIDATION_CHECKS = {
+    'duplicate-id': { label: 'Duplicate node IDs', severity: 'error' },
+    'missing-link-node': { label: 'Links referencing missing nodes', severity: 'error' },
+    unreachable: { label: 'Nodes unreachable from node 0', severity: 'warning' },
+    cycle: { label: 'Links that form a cycle', severity: 'error' },
+    'group-member': { label: 'Group members that do not exist or disagree with the node\'s group', severity: 'error' },
+    'group-parent': { label: 'Group parents that do not exist', severity: 'error' },
+    'group-parent-expands': { label: 'Group parents that expand a different group', severity: 'warning' },
+    'expands-group': { label: 'expandsGroup values without a matching group', severity: 'error' },
+    'stage-color': { label: 'Stages missing from STAGE_COLORS', severity: 'error' },
+    'stage-phase': { label: 'Stages missing from every phase group', severity: 'warning' },
+    'overlapping-nodes': { label: 'Overlapping node coordinates', severity: 'warning' },
+    'effective-range': { label: 'Invalid or overlapping effective date ranges', severity: 'error' },
+    'amendment-ref': { label: 'Effective ranges citing missing amendments', severity: 'error' }
+};
+
+/**
+ * Rendered height of a node (see ChartRenderer.renderNode)
+ * @param {Object} node - Node data
+ * @param {Object} config - Chart configuration
+ * @returns {number}
+ */
+function getNodeHeight(node, config) {
+    return node.name.includes('\n') ? config.node.multiLineHeight : config.node.singleLineHeight;
+}
+
+/**
+ * Validate workflow data
+ * @param {Object} data - Data to check (defaults to the exports of data.js)
+ * @returns {Object} { errors, warnings, issues }, where issues are { check, severity, message, nodeId }
+ */
+export function validateWorkflowData(data = {}) {
+    const {
+        nodes = NODES,
+        links = LINKS,
+        nodeGroups = NODE_GROUPS,
+        phaseGroups = PHASE_GROUPS,
+        stageColors = STAGE_COLORS,
+        config = CONFIG,
+        amendments = AMENDMENTS
+    } = data;
+
+    const issues = [];
+    const report = (check, message, nodeId = null) => {
+        issues.push({ check, severity: VALIDATION_CHECKS[check].severity, message, nodeId });
+    };
+
+    // Duplicate IDs
+    const nodeMap = new Map();
+    nodes.forEach(node => {
+        if (nodeMap.has(node.id)) {
+            report('duplicate-id', `Node ID ${node.id} is used by more than one node`, node.id);
+        }
+        nodeMap.set(node.id, node);
+    });
+
+    // Links referencing missing nodes
+    links.forEach(link => {
+        ['source', 'target'].forEach(end => {
+            if (!nodeMap.has(link[end])) {
+                report('missing-link-node', `Link ${link.source} → ${link.target} has a missing ${end} node ${link[end]}`);
+            }
+        });
+    });
+
+    // Reachability from node 0
+    const reachable = new Set([0]);
+    const queue = [0];
+    while (queue.length > 0) {
+        const nodeId = queue.shift();
+        links.filter(link => link.source === nodeId).forEach(link => {
+            if (!reachable.has(link.target)) {
+                reachable.add(link.target);
+                queue.push(link.target);
+            }
+        });
+    }
+    nodeMap.forEach(node => {
+        if (!reachable.has(node.id)) {
+            report('unreachable', `Node ${node.id} (${node.name.replace(/\n/g, ' ')}) cannot be reached from node 0`, node.id);
+        }
+    });
+
+    // Cycles: the critical path and Sankey layout order nodes topologically.
+    // Peel off nodes with no incoming links, then nodes with no outgoing
+    // links; whatever remains lies on (or between) cycles.
+    const remaining = new Set(nodeMap.keys());
+    const graphLinks = links.filter(link => nodeMap.has(link.source) && nodeMap.has(link.target));
+    const peel = (end) => {
+        let removed = true;
+        while (removed) {
+            removed = false;
+            const linked = new Set(graphLinks
+                .filter(link => remaining.has(link.source) && remaining.has(link.target))
+                .map(link => link[end]));
+            remaining.forEach(nodeId => {
+                if (!linked.has(nodeId)) {
+                    remaining.delete(nodeId);
+                    removed = true;
+                }
+            });
+        }
+    };
+    peel('target');
+    peel('source');
+    if (remaining.size > 0) {
+        const nodeIds = Array.from(remaining).sort((a, b) => a - b);
+        report('cycle', `Links form a cycle through nodes ${nodeIds.join(', ')}`, nodeIds[0]);
+    }
+
+    // Node groups: members and parents
+    Object.entries(nodeGroups).forEach(([groupKey, group]) => {
+        (group.childNodeIds || []).forEach(childId => {
+            const child = nodeMap.get(childId);
+            if (!child) {
+                report('group-member', `Group "${groupKey}" lists missing node ${childId}`, childId);
+            } else if (child.group !== groupKey) {
+                report('group-member', `Group "${groupKey}" lists node ${childId}, but the node's group is "${child.group || 'none'}"`, childId);
+            }
+        });
+
+        const parentIds = group.parentNodeIds || (group.parentNodeId !== undefined ? [group.parentNodeId] : []);
+        parentIds.forEach(parentId => {
+            const parent = nodeMap.get(parentId);
+            if (!parent) {
+                report('group-parent', `Group "${groupKey}" has missing parent node ${parentId}`, parentId);
+            } else if (parent.expandsGroup && parent.expandsGroup !== groupKey) {
+                report('group-parent-expands', `Group "${groupKey}" cannot be expanded from its parent node ${parentId}, which expands "${parent.expandsGroup}"`, parentId);
+            }
+        });
+    });
+
+    nodeMap.forEach(node => {
+        if (node.group) {
+            const group = nodeGroups[node.group];
+            if (!group) {
+                report('group-member', `Node ${node.id} belongs to missing group "${node.group}"`, node.id);
+            } else if (!(group.childNodeIds || []).includes(node.id)) {
+                report('group-member', `Node ${node.id} belongs to group "${node.group}", which does not list it`, node.id);
+            }
+        }
+        if (node.expandsGroup && !nodeGroups[node.expandsGroup]) {
+            report('expands-group', `Node ${node.id} expands missing group "${node.expandsGroup}"`, node.id);
+        }
+    });
+
+    // Stages
+    const phaseStages = new Set(Object.values(phaseGroups).flatMap(phase => phase.stages || []));
+    const stages = new Set(Array.from(nodeMap.values()).map(node => node.stage));
+    stages.forEach(stage => {
+        const nodeIds = Array.from(nodeMap.values()).filter(node => node.stage === stage).map(node => node.id);
+        if (!stageColors[stage]) {
+            report('stage-color', `Stage "${stage}" (nodes ${nodeIds.join(', ')}) has no color in STAGE_COLORS`);
+        }
+        if (!phaseStages.has(stage)) {
+            report('stage-phase', `Stage "${stage}" (nodes ${nodeIds.join(', ')}) is not in any phase group`);
+        }
+    });
+
+    // Overlapping node rectangles
+    const placed = Array.from(nodeMap.values());
+    for (let i = 0; i < placed.length; i++) {
+        for (let j = i + 1; j < placed.length; j++) {
+            const a = placed[i];
+            const b = placed[j];
+            const overlapX = Math.abs(a.x - b.x) < config.node.width;
+            const overlapY = Math.abs(a.y - b.y) < (getNodeHeight(a, config) + getNodeHeight(b, config)) / 2;
+            if (overlapX && overlapY) {
+                report('overlapping-nodes', `Nodes ${a.id} and ${b.id} overlap at (${a.x}, ${a.y}) / (${b.x}, ${b.y})`, a.id);
+            }
+        }
+    }
+
+    // Effective date ranges and the amendments they cite
+    const checkRange = (effective, label, nodeId = null) => {
+        if (!effective) return true;
+
+        const invalid = ['from', 'until'].filter(end => effective[end] !== undefined && !parseISODate(effective[end]));
+        if (invalid.length > 0) {
+            report('effective-range', `${label} has an invalid effective ${invalid.join(' and ')} date`, nodeId);
+            return false;
+        }
+        if (effective.from && effective.until && effective.from >= effective.until) {
+            report('effective-range', `${label} stops applying (${effective.until}) before it takes effect (${effective.from})`, nodeId);
+            return false;
+        }
+        if (effective.amendment && !amendments[effective.amendment]) {
+            report('amendment-ref', `${label} cites missing amendment "${effective.amendment}"`, nodeId);
+        }
+        return true;
+    };
+
+    nodes.forEach(node => {
+        checkRange(node.effective, `Node ${node.id}`, node.id);
+
+        const revisions = (node.revisions || [])
+            .filter((revision, index) => checkRange(revision.effective, `Node ${node.id} revision ${index + 1}`, node.id))
+            .map(revision => revision.effective)
+            .sort((a, b) => (a.from || '').localeCompare(b.from || ''));
+        for (let i = 1; i < revisions.length; i++) {
+            const previous = revisions[i - 1];
+            if (!previous.until || !revisions[i].from || revisions[i].from < previous.until) {
+                report('effective-range', `Node ${node.id} has revisions with overlapping effective ranges`, node.id);
+                break;
+            }
+        }
+    });
+    links.forEach(link => checkRange(link.effective, `Link ${link.source} → ${link.target}`));
+
+    return {
+        errors: issues.filter(issue => issue.severity === 'error'),
+        warnings: issues.filter(issue => issue.severity === 'warning'),
+        issues
+    };
+}
+
+/**
+ * Format a validation result as plain text
+ * @param {Object} result - Result of validateWorkflowData
+ * @returns {string}
+ */
+export function formatValidationReport(result) {
+    if (result.issues.length === 0) {
+        return 'Workflow data is valid.';
+    }
+
+    const lines = [`Workflow data: ${result.errors.length} error(s), ${result.warnings.length} warning(s)`];
+    Object.entries(VALIDATION_CHECKS).forEach(([check, { label, severity }]) => {
+        const found = result.issues.filter(issue => issue.check === check);
+        if (found.length === 0) return;
+
+        lines.push('', `${severity.toUpperCase()}: ${label} (${found.length})`);
+        found.forEach(issue => lines.push(`  - ${issue.message}`));
+    });
+    return lines.join('\n');
+}
+
+// Pre-publish check: `node js/validate.js` (checks the bundled Florida and federal workflows)
+if (typeof process !== 'undefined' && process.argv?.[1] && import.meta.url === new URL(`file://${process.argv[1]}`).href) {
+    const { readFileSync } = await import('node:fs');
+    const { validateSchema } = await import('./schema.js');
+    const readJSON = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+
+    const schema = readJSON('../data/workflow.schema.json');
+    const results = [
+        ['Florida (data/workflow.json)', readJSON('../data/workflow.json')],
+        ['Federal (data/federal-workflow.json)', readJSON('../data/federal-workflow.json')]
+    ].map(([label, dataset]) => {
+        // Integrity checks assume a well-formed dataset, so they only run once the schema passes
+        const schemaIssues = validateSchema(dataset, schema);
+        if (schemaIssues.length > 0) {
+            const report = [`Workflow data does not match the schema (${schemaIssues.length})`]
+                .concat(schemaIssues.map(issue => `  - ${issue.path}: ${issue.message}`))
+                .join('\n');
+            return [label, report, true];
+        }
+
+        const result = validateWorkflowData(dataset);
+        return [label, formatValidationReport(result), result.errors.length > 0];
+    });
+    results.forEach(([label, report]) => console.log(`${label}\n${report}\n`));
+    process.exitCode = results.some(([, , failed]) => failed) ? 1 : 0;
+}
@@ -0,0 +1,188 @@
+/**
+ * Rule Versioning Module
+ * Resolves a versioned workflow to the form it took on a given date and
+ * lists what changed between two dates.
+ *
+ * Nodes and links may carry an effective range, { from, until, amendment }:
+ * from is the first day the item applied, until the first day it no longer
+ * did (the next amendment's effective date), and amendment the key of the
+ * amendment (in the workflow's amendments table) that added or removed it.
+ * Either end may be left open. Nodes may also list revisions, each an
+ * effective range plus the fields that applied during it; the node's own
+ * fields apply on dates no revision covers.
+ */
+
+import { addDays, parseISODate, toISODate } from './utils.js';
+
+/**
+ * URL parameter selecting the as-of date at startup (e.g., ?asof=2024-06-01)
+ */
+export const AS_OF_URL_PARAM = 'asof';
+
+/**
+ * Node fields a revision may change, with display labels
+ */
+export const VERSIONED_FIELDS = {
+    rule: 'Rule',
+    duration: 'Timeline',
+    cost: 'Estimated Cost',
+    documents: 'Required Documents',
+    owner: 'Responsible Party',
+    trigger: 'Trigger Event',
+    deadline: 'Deadline Type',
+    notes: 'Practice Note',
+    attorneyHoursMin: 'Attorney Hours (Min)',
+    attorneyHoursMax: 'Attorney Hours (Max)',
+    fixedCosts: 'Fixed Costs',
+    durationDaysMin: 'Duration Days (Min)',
+    durationDaysMax: 'Duration Days (Max)'
+};
+
+/**
+ * Check whether an effective range covers a date
+ * ISO dates compare correctly as strings.
+ * @param {Object} effective - { from, until } range (missing means always in effect)
+ * @param {string} date - ISO date (YYYY-MM-DD)
+ * @returns {boolean}
+ */
+export function isInEffect(effective, date) {
+    if (!effective) return true;
+    return (!effective.from || effective.from <= date) && (!effective.until || date < effective.until);
+}
+
+/**
+ * Resolve a node to the form it took on a date
+ * @param {Object} node - Versioned node
+ * @param {string} date - ISO date
+ * @returns {Object|null} The node with any revision in effect applied and
+ *     effective set to the range of that form, or null when not in effect
+ */
+export function resolveNodeAsOf(node, date) {
+    if (!isInEffect(node.effective, date)) return null;
+
+    const { revisions = [], ...resolved } = node;
+    const revision = revisions.find(entry => isInEffect(entry.effective, date));
+    return revision ? { ...resolved, ...revision } : resolved;
+}
+
+/**
+ * Resolve a versioned workflow to the form it took on a date
+ * Steps and links not in effect are left out, revisions are applied, and
+ * node groups drop members that were not in effect.
+ * @param {Object} workflow - Dataset document (nodes, links, nodeGroups, ...)
+ * @param {string} date - ISO date
+ * @returns {Object} Dataset document without versioning
+ */
+export function resolveWorkflowAsOf(workflow, date) {
+    const nodes = workflow.nodes.map(node => resolveNodeAsOf(node, date)).filter(Boolean);
+    const nodeIds = new Set(nodes.map(node => node.id));
+
+    const links = workflow.links.filter(link =>
+        isInEffect(link.effective, date) && nodeIds.has(link.source) && nodeIds.has(link.target));
+
+    const nodeGroups = Object.fromEntries(Object.entries(workflow.nodeGroups).map(([key, group]) => [
+        key,
+        { ...group, childNodeIds: group.childNodeIds.filter(id => nodeIds.has(id)) }
+    ]));
+
+    return { ...workflow, nodes, links, nodeGroups };
+}
+
+/**
+ * Compare two field values
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * List what changed in a workflow between two dates
+ * @param {Object} workflow - Versioned dataset document
+ * @param {string} fromDate - Earlier ISO date
+ * @param {string} toDate - Later ISO date
+ * @returns {Object} { amendments, added, removed, changed, linksAdded, linksRemoved }, where
+ *     changed entries are { before, after, fields: [{ field, label, before, after }] }
+ *     and amendments are those taking effect after fromDate through toDate
+ */
+export function diffWorkflowVersions(workflow, fromDate, toDate) {
+    const before = resolveWorkflowAsOf(workflow, fromDate);
+    const after = resolveWorkflowAsOf(workflow, toDate);
+    const beforeNodes = new Map(before.nodes.map(node => [node.id, node]));
+    const afterNodes = new Map(after.nodes.map(node => [node.id, node]));
+
+    const changed = [];
+    afterNodes.forEach((node, id) => {
+        const previous = beforeNodes.get(id);
+        if (!previous) return;
+
+        const fields = Object.entries(VERSIONED_FIELDS)
+            .filter(([field]) => !isSameValue(previous[field], node[field]))
+            .map(([field, label]) => ({ field, label, before: previous[field], after: node[field] }));
+        if (fields.length > 0) {
+            changed.push({ before: previous, after: node, fields });
+        }
+    });
+
+    const linkKey = (link) => `${link.source}>${link.target}:${link.volume}`;
+    const beforeLinks = new Set(before.links.map(linkKey));
+    const afterLinks = new Set(after.links.map(linkKey));
+
+    return {
+        amendments: Object.values(workflow.amendments || {})
+            .filter(amendment => fromDate < amendment.effective && amendment.effective <= toDate)
+            .sort((a, b) => a.effective.localeCompare(b.effective)),
+        added: after.nodes.filter(node => !beforeNodes.has(node.id)),
+        removed: before.nodes.filter(node => !afterNodes.has(node.id)),
+        changed,
+        linksAdded: after.links.filter(link => !beforeLinks.has(linkKey(link))),
+        linksRemoved: before.links.filter(link => !afterLinks.has(linkKey(link)))
+    };
+}
+
+/**
+ * Format an ISO date for display (e.g., "Jan 1, 2025")
+ * @param {string} date - ISO date
+ * @returns {string}
+ */
+function formatVersionDate(date) {
+    return parseISODate(date).toLocaleDateString('en-US', {
+        timeZone: 'UTC',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric'
+    });
+}
+
+/**
+ * Describe an effective range (e.g., "May 1, 2021 - Dec 31, 2024")
+ * @param {Object} effective - { from, until } range
+ * @returns {string}
+ */
+export function formatEffectiveRange(effective = {}) {
+    const { from, until } = effective;
+    // until is exclusive, so the range ends the day before
+    const lastDay = until ? toISODate(addDays(parseISODate(until), -1)) : null;
+
+    if (from && lastDay) return `${formatVersionDate(from)} - ${formatVersionDate(lastDay)}`;
+    if (from) return `Since ${formatVersionDate(from)}`;
+    if (lastDay) return `Through ${formatVersionDate(lastDay)}`;
+    return 'Always';
+}
+
+/**
+ * Describe the form of a step in effect, for tooltips
+ * @param {Object} node - Resolved node
+ * @param {Object} amendments - Amendments keyed by ID
+ * @returns {Object|null} { range, amendment }, or null for unversioned steps
+ */
+export function describeNodeVersion(node, amendments = {}) {
+    if (!node.effective) return null;
+
+    return {
+        range: formatEffectiveRange(node.effective),
+        amendment: amendments[node.effective.amendment] || null
+    };
+}
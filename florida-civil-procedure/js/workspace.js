@@ -0,0 +1,364 @@
+/**
+ * Matter Workspace Module
+ * Holds the list of matters (cases) a user manages. Each matter keeps its own
+ * case tracker progress, cost-estimator selections, hourly rate and deadline
+ * calculator inputs, and the whole list can be exported to and restored from
+ * a single JSON file.
+ */
+
+import { CaseTracker, DEFAULT_MATTER_ID, getTrackerStorageKey, normalizeTrackerEntries } from './tracker.js';
+import { ServiceTracker, getServiceStorageKey, normalizeServiceData } from './service.js';
+
+const STORAGE_KEY = 'fcp.workspace';
+
+/**
+ * Export file format version - bump when the exported shape changes
+ */
+export const WORKSPACE_EXPORT_VERSION = 1;
+
+export const DEFAULT_HOURLY_RATE = 350;
+
+/**
+ * Descriptive fields editable for each matter
+ */
+export const MATTER_FIELDS = [
+    { id: 'caption', label: 'Caption', placeholder: 'Smith v. Jones' },
+    { id: 'caseNumber', label: 'Case Number', placeholder: '2025-CA-001234' },
+    { id: 'court', label: 'Court', placeholder: 'Circuit Court, Ninth Judicial Circuit' },
+    { id: 'parties', label: 'Parties', placeholder: 'Plaintiff / Defendant' }
+];
+
+/**
+ * Generate a unique matter ID
+ * @returns {string}
+ */
+function generateMatterId() {
+    return `matter-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Build a matter record with defaults filled in
+ * @param {Object} fields - Matter fields
+ * @returns {Object} Matter record
+ */
+function createMatterRecord(fields = {}) {
+    const now = new Date().toISOString();
+    return {
+        id: fields.id || generateMatterId(),
+        caption: String(fields.caption || 'Untitled Matter').trim(),
+        caseNumber: String(fields.caseNumber || '').trim(),
+        court: String(fields.court || '').trim(),
+        parties: String(fields.parties || '').trim(),
+        archived: Boolean(fields.archived),
+        selections: Array.isArray(fields.selections) ? fields.selections.map(Number).filter(Number.isInteger) : [],
+        hourlyRate: Number.isFinite(fields.hourlyRate) ? fields.hourlyRate : DEFAULT_HOURLY_RATE,
+        deadlineAnchor: fields.deadlineAnchor && fields.deadlineAnchor.date ? { ...fields.deadlineAnchor } : null,
+        proposalInputs: fields.proposalInputs && fields.proposalInputs.serviceDate ? { ...fields.proposalInputs } : null,
+        createdAt: fields.createdAt || now,
+        updatedAt: fields.updatedAt || now
+    };
+}
+
+export class Workspace {
+    /**
+     * @param {Storage} storage - Storage backend (defaults to localStorage)
+     */
+    constructor(storage = globalThis.localStorage) {
+        this.storage = storage;
+        this.matters = [];
+        this.activeMatterId = null;
+        this.load();
+    }
+
+    /**
+     * Load the matter list from storage
+     * A default matter is created on first use so progress recorded before
+     * the workspace existed is kept.
+     */
+    load() {
+        this.matters = [];
+        this.activeMatterId = null;
+
+        try {
+            const saved = this.storage?.getItem(STORAGE_KEY);
+            if (saved) {
+                const data = JSON.parse(saved);
+                this.matters = (data.matters || []).map(matter => createMatterRecord(matter));
+                this.activeMatterId = data.activeMatterId;
+            }
+        } catch (error) {
+            console.warn('Unable to load workspace:', error);
+        }
+
+        if (this.matters.length === 0) {
+            this.matters.push(createMatterRecord({ id: DEFAULT_MATTER_ID }));
+        }
+        if (!this.getMatter(this.activeMatterId)) {
+            this.activeMatterId = this.matters[0].id;
+        }
+    }
+
+    /**
+     * Save the matter list to storage
+     */
+    save() {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(STORAGE_KEY, JSON.stringify({
+                activeMatterId: this.activeMatterId,
+                matters: this.matters
+            }));
+        } catch (error) {
+            console.warn('Unable to save workspace:', error);
+        }
+    }
+
+    /**
+     * Get matters in the workspace
+     * @param {Object} options - Filter options
+     * @param {boolean} options.includeArchived - Include archived matters
+     * @returns {Array} Matter records
+     */
+    getMatters(options = {}) {
+        const { includeArchived = false } = options;
+        return this.matters
+            .filter(matter => includeArchived || !matter.archived)
+            .map(matter => ({ ...matter, selections: [...matter.selections] }));
+    }
+
+    /**
+     * Get a matter by ID
+     * @param {string} matterId - Matter identifier
+     * @returns {Object|null} Matter record (live reference) or null
+     */
+    getMatter(matterId) {
+        return this.matters.find(matter => matter.id === matterId) || null;
+    }
+
+    /**
+     * Get the active matter
+     * @returns {Object} Matter record
+     */
+    getActiveMatter() {
+        return this.getMatter(this.activeMatterId);
+    }
+
+    /**
+     * Switch the active matter
+     * @param {string} matterId - Matter identifier
+     * @returns {Object} The newly active matter
+     */
+    setActiveMatter(matterId) {
+        const matter = this.getMatter(matterId);
+        if (!matter) {
+            throw new Error(`Unknown matter: ${matterId}`);
+        }
+
+        this.activeMatterId = matterId;
+        this.save();
+        return matter;
+    }
+
+    /**
+     * Create a new matter
+     * @param {Object} fields - { caption, caseNumber, court, parties }
+     * @returns {Object} Created matter
+     */
+    createMatter(fields = {}) {
+        const matter = createMatterRecord({
+            caption: fields.caption,
+            caseNumber: fields.caseNumber,
+            court: fields.court,
+            parties: fields.parties
+        });
+        this.matters.push(matter);
+        this.save();
+        return matter;
+    }
+
+    /**
+     * Update a matter's fields
+     * @param {string} matterId - Matter identifier
+     * @param {Object} changes - Fields to update
+     * @returns {Object} Updated matter
+     */
+    updateMatter(matterId, changes) {
+        const matter = this.getMatter(matterId);
+        if (!matter) {
+            throw new Error(`Unknown matter: ${matterId}`);
+        }
+
+        const updated = createMatterRecord({
+            ...matter,
+            ...changes,
+            id: matter.id,
+            createdAt: matter.createdAt,
+            updatedAt: new Date().toISOString()
+        });
+        Object.assign(matter, updated);
+        this.save();
+        return matter;
+    }
+
+    /**
+     * Duplicate a matter, including its tracker progress, service tracker and selections
+     * @param {string} matterId - Matter identifier
+     * @returns {Object} The copy
+     */
+    duplicateMatter(matterId) {
+        const source = this.getMatter(matterId);
+        if (!source) {
+            throw new Error(`Unknown matter: ${matterId}`);
+        }
+
+        const copy = createMatterRecord({
+            ...source,
+            id: null,
+            caption: `${source.caption} (Copy)`,
+            archived: false,
+            createdAt: null,
+            updatedAt: null
+        });
+        this.matters.push(copy);
+
+        new CaseTracker(copy.id, this.storage).setEntries(new CaseTracker(source.id, this.storage).getEntries());
+        new ServiceTracker(copy.id, this.storage).setData(new ServiceTracker(source.id, this.storage).getData());
+        this.save();
+        return copy;
+    }
+
+    /**
+     * Archive or restore a matter
+     * Archiving the active matter switches to another open matter.
+     * @param {string} matterId - Matter identifier
+     * @param {boolean} archived - Whether the matter is archived
+     * @returns {Object} Updated matter
+     */
+    setArchived(matterId, archived) {
+        const matter = this.updateMatter(matterId, { archived });
+
+        if (archived && matterId === this.activeMatterId) {
+            this.activeMatterId = this.ensureOpenMatter().id;
+            this.save();
+        }
+        return matter;
+    }
+
+    /**
+     * Delete a matter, its tracker progress and its service tracker
+     * Deleting the last open matter creates a fresh default one.
+     * @param {string} matterId - Matter identifier
+     */
+    deleteMatter(matterId) {
+        if (!this.getMatter(matterId)) {
+            throw new Error(`Unknown matter: ${matterId}`);
+        }
+
+        this.matters = this.matters.filter(matter => matter.id !== matterId);
+        this.removeMatterData(matterId);
+
+        if (matterId === this.activeMatterId) {
+            this.activeMatterId = this.ensureOpenMatter().id;
+        }
+        this.save();
+    }
+
+    /**
+     * Get an open (non-archived) matter, creating one if none exist
+     * @returns {Object} Matter record
+     */
+    ensureOpenMatter() {
+        const open = this.matters.find(matter => !matter.archived);
+        if (open) return open;
+
+        const matter = createMatterRecord();
+        this.matters.push(matter);
+        return matter;
+    }
+
+    /**
+     * Remove the per-matter data stored outside the matter list
+     * @param {string} matterId - Matter identifier
+     */
+    removeMatterData(matterId) {
+        this.storage?.removeItem(getTrackerStorageKey(matterId));
+        this.storage?.removeItem(getServiceStorageKey(matterId));
+    }
+
+    /**
+     * Export every matter, with its tracker progress and service tracker, as JSON
+     * @returns {string} JSON document
+     */
+    exportJSON() {
+        return JSON.stringify({
+            version: WORKSPACE_EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            activeMatterId: this.activeMatterId,
+            matters: this.matters.map(matter => ({
+                ...matter,
+                tracker: new CaseTracker(matter.id, this.storage).getEntries(),
+                service: new ServiceTracker(matter.id, this.storage).getData()
+            }))
+        }, null, 2);
+    }
+
+    /**
+     * Replace the workspace with matters from an exported JSON document
+     * Nothing is replaced when any matter's progress or service records are unusable.
+     * @param {string} json - JSON document from exportJSON
+     * @returns {number} Number of matters imported
+     * @throws {Error} Naming the matter and record that cannot be imported
+     */
+    importJSON(json) {
+        let data;
+        try {
+            data = JSON.parse(json);
+        } catch (error) {
+            throw new Error(`Workspace file is not valid JSON: ${error.message}`);
+        }
+
+        if (!data || !Array.isArray(data.matters) || data.matters.length === 0) {
+            throw new Error('Workspace file contains no matters');
+        }
+        if (data.version > WORKSPACE_EXPORT_VERSION) {
+            throw new Error(`Workspace file version ${data.version} is newer than this app supports`);
+        }
+
+        const ids = new Set();
+        const imported = data.matters.map((matter, index) => {
+            if (!matter || typeof matter.id !== 'string' || !matter.id) {
+                throw new Error(`Matter ${index + 1} is missing an ID`);
+            }
+            if (ids.has(matter.id)) {
+                throw new Error(`Duplicate matter ID: ${matter.id}`);
+            }
+            ids.add(matter.id);
+
+            // Progress and service records are checked before anything is replaced
+            const record = createMatterRecord(matter);
+            try {
+                return {
+                    record,
+                    tracker: normalizeTrackerEntries(matter.tracker),
+                    service: normalizeServiceData(matter.service)
+                };
+            } catch (error) {
+                throw new Error(`Matter ${index + 1} (${record.caption}): ${error.message}`);
+            }
+        });
+
+        // Drop progress for matters that are being replaced
+        this.matters.forEach(matter => this.removeMatterData(matter.id));
+
+        this.matters = imported.map(({ record }) => record);
+        imported.forEach(({ record, tracker, service }) => {
+            new CaseTracker(record.id, this.storage).setEntries(tracker);
+            new ServiceTracker(record.id, this.storage).setData(service);
+        });
+
+        this.activeMatterId = ids.has(data.activeMatterId) ? data.activeMatterId : this.ensureOpenMatter().id;
+        this.save();
+        return imported.length;
+    }
+}
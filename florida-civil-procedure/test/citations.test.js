@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SECTION_PREFIX, parseCitations, resolveCitations, formatCitation } from '../js/citations.js';
+import { getJurisdiction } from '../js/jurisdictions.js';
+
+// Resolver table shaped like the jurisdiction packs' (see jurisdictions.js)
+const SOURCES = [
+    { id: 'appellate', label: 'Fed. R. App. P.', prefix: 'FRAP', pattern: /^\d+$/, url: ({ number }) => `frap/${number}` },
+    { id: 'civil', label: 'Fla. R. Civ. P.', pattern: /^1\.\d+$/, url: ({ number }) => `civil/${number}` },
+    { id: 'statute', label: 'Fla. Stat. §', pattern: /^\d{2,3}\.\d+$/, url: ({ number }) => `statute/${number}` },
+    { id: 'statute', label: 'Fla. Stat. §', prefix: SECTION_PREFIX, pattern: /^\d{2,3}\.\d+$/, url: ({ number }) => `statute/${number}` }
+];
+
+test('parseCitations reads the number and subdivisions', () => {
+    const [citation] = parseCitations('1.070(b)');
+
+    assert.equal(citation.number, '1.070');
+    assert.equal(citation.prefix, null);
+    assert.deepEqual(citation.subdivisions, ['b']);
+});
+
+test('parseCitations splits compound rule strings and keeps separators', () => {
+    const citations = parseCitations('768.79/1.442');
+
+    assert.deepEqual(citations.map(citation => citation.number), ['768.79', '1.442']);
+    assert.deepEqual(citations.map(citation => citation.separator), ['', '/']);
+});
+
+test('parseCitations carries a prefix across commas', () => {
+    const citations = parseCitations('FRAP 4, 5');
+
+    assert.deepEqual(citations.map(citation => [citation.prefix, citation.number]), [['FRAP', '4'], ['FRAP', '5']]);
+});
+
+test('parseCitations reads ranges', () => {
+    const [citation] = parseCitations('FRAP 28-34');
+
+    assert.equal(citation.number, '28');
+    assert.equal(citation.rangeEnd, '34');
+});
+
+test('parseCitations keeps unparseable text with a null number', () => {
+    const [citation] = parseCitations('Admin Order');
+
+    assert.equal(citation.text, 'Admin Order');
+    assert.equal(citation.number, null);
+});
+
+test('resolveCitations links each citation through the first matching source', () => {
+    const citations = resolveCitations('768.79/1.442(c)', SOURCES);
+
+    assert.deepEqual(citations.map(citation => citation.url), ['statute/768.79', 'civil/1.442']);
+    assert.equal(formatCitation(citations[1]), 'Fla. R. Civ. P. 1.442(c)');
+});
+
+test('resolveCitations leaves citations no source matches unlinked', () => {
+    const [citation] = resolveCitations('Admin Order', SOURCES);
+
+    assert.equal(citation.source, null);
+    assert.equal(citation.url, null);
+    assert.equal(formatCitation(citation), 'Admin Order');
+});
+
+test('parseCitations accepts a section-sign prefix', () => {
+    ['§ 768.79', '§768.79', '§§ 768.79', 'Fla. Stat. § 768.79', 'Fla. Stat. §§ 768.79'].forEach(rule => {
+        const [citation] = parseCitations(rule);
+
+        assert.equal(citation.prefix, SECTION_PREFIX, rule);
+        assert.equal(citation.number, '768.79', rule);
+    });
+});
+
+test('parseCitations carries a section sign across commas', () => {
+    const citations = parseCitations('§§ 57.105(7), 768.79');
+
+    assert.deepEqual(citations.map(citation => [citation.prefix, citation.number]), [['§', '57.105'], ['§', '768.79']]);
+    assert.deepEqual(citations[0].subdivisions, ['7']);
+});
+
+test('resolveCitations links section-sign citations to the statute', () => {
+    const [citation] = resolveCitations('§ 768.79(1)', SOURCES);
+
+    assert.equal(citation.url, 'statute/768.79');
+    assert.equal(formatCitation(citation), 'Fla. Stat. § 768.79(1)');
+});
+
+test('section-sign citations resolve in the Florida pack but not as federal rules', () => {
+    const [florida] = resolveCitations('§ 90.702', getJurisdiction('florida').citationSources);
+    const [federal] = resolveCitations('§ 1332', getJurisdiction('federal').citationSources);
+
+    assert.equal(florida.source.id, 'evidence');
+    assert.match(florida.url, /0090\.702\.html$/);
+    assert.equal(federal.url, null);
+});
+
+test('Florida judicial-administration and appellate rules open their own rule sets', () => {
+    const [judicialAdmin, appellate, civil] = resolveCitations('2.514, 9.110, 1.090', getJurisdiction('florida').citationSources);
+
+    assert.deepEqual([judicialAdmin, appellate, civil].map(citation => citation.source.id), ['judicial-admin', 'appellate', 'civil']);
+    assert.equal(new Set([judicialAdmin, appellate, civil].map(citation => citation.url.split('#')[0])).size, 3);
+    assert.match(judicialAdmin.url, /#search=%22RULE%202\.514%22$/);
+    assert.match(appellate.url, /#search=%22RULE%209\.110%22$/);
+});
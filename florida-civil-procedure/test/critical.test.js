@@ -0,0 +1,32 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { LINKS } from '../js/data.js';
+import { CRITICAL_PATH_METRICS, computeCriticalPath } from '../js/critical.js';
+import { applyBundledWorkflow } from './helpers/workflow.js';
+
+await applyBundledWorkflow('florida');
+
+test('each metric finds a path from Complaint Filed to Final Judgment', () => {
+    CRITICAL_PATH_METRICS.forEach(metric => {
+        const criticalPath = computeCriticalPath(metric.id);
+
+        assert.equal(criticalPath.nodeIds[0], 0, metric.id);
+        assert.equal(criticalPath.nodeIds.at(-1), 30, metric.id);
+    });
+});
+
+test('the most likely path does not detour through a parallel process', () => {
+    assert.ok(!computeCriticalPath('likelihood').nodeIds.includes(23));
+});
+
+test('computeCriticalPath returns null instead of throwing when the links form a cycle', () => {
+    LINKS.push({ source: 30, target: 1, volume: 1, label: 'Refiled', trigger: 'Plaintiff refiles' });
+    try {
+        CRITICAL_PATH_METRICS.forEach(metric => {
+            assert.equal(computeCriticalPath(metric.id), null, metric.id);
+        });
+    } finally {
+        LINKS.pop();
+    }
+});
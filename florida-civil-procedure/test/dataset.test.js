@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { NODES } from '../js/data.js';
+import { getActiveDataset, resolveDatasetURL } from '../js/dataset.js';
+import { JURISDICTIONS, getJurisdiction } from '../js/jurisdictions.js';
+import { applyBundledWorkflow } from './helpers/workflow.js';
+
+const PAGE = 'https://example.org/app/index.html?data=x';
+
+test('resolveDatasetURL resolves relative and same-origin URLs against the page', () => {
+    assert.equal(resolveDatasetURL('datasets/custom.json', PAGE).href, 'https://example.org/app/datasets/custom.json');
+    assert.equal(resolveDatasetURL('/shared/workflow.json', PAGE).href, 'https://example.org/shared/workflow.json');
+    assert.equal(resolveDatasetURL('https://example.org/w.json', PAGE).href, 'https://example.org/w.json');
+});
+
+test('resolveDatasetURL rejects other origins', () => {
+    [
+        'https://attacker.example/evil.json',
+        '//attacker.example/evil.json',
+        'http://example.org/w.json',
+        'https://example.org:8443/w.json',
+        'data:application/json,{}',
+        'javascript:alert(1)'
+    ].forEach(url => {
+        assert.throws(() => resolveDatasetURL(url, PAGE), /same site/, url);
+    });
+});
+
+test('each pack\'s bundled workflow loads through the schema and integrity checks', async () => {
+    for (const pack of JURISDICTIONS) {
+        const dataset = await pack.loadDataset();
+
+        assert.equal(dataset.formatVersion, 1);
+        assert.match(dataset.version, /^\d{4}\.\d{2}$/, pack.id);
+        assert.ok(dataset.nodes.length > 0, pack.id);
+    }
+});
+
+test('loadDataset returns a fresh copy of the bundled workflow', async () => {
+    const pack = getJurisdiction('florida');
+    const first = await pack.loadDataset();
+    first.nodes[0].name = 'Edited';
+
+    assert.notEqual((await pack.loadDataset()).nodes[0].name, 'Edited');
+});
+
+test('applying a bundled workflow fills the data.js exports', async () => {
+    const dataset = await applyBundledWorkflow('federal');
+
+    assert.deepEqual(getActiveDataset(), { name: dataset.name, version: dataset.version, source: 'bundled' });
+    assert.equal(NODES.length, dataset.nodes.length);
+});
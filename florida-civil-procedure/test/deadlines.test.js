@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeDeadline } from '../js/deadlines.js';
+import { toISODate } from '../js/utils.js';
+
+test('computeDeadline counts from the day after the trigger', () => {
+    // Mon 2025-03-03 + 10 days = Thu 2025-03-13
+    const result = computeDeadline('2025-03-03', 10);
+
+    assert.equal(toISODate(result.dueDate), '2025-03-13');
+    assert.equal(result.extended, false);
+    assert.equal(result.mailDaysAdded, 0);
+});
+
+test('computeDeadline rolls a weekend last day to Monday', () => {
+    // Mon 2025-03-03 + 20 days = Sun 2025-03-23
+    const result = computeDeadline('2025-03-03', 20);
+
+    assert.equal(toISODate(result.periodEnd), '2025-03-23');
+    assert.equal(toISODate(result.dueDate), '2025-03-24');
+    assert.equal(result.extended, true);
+});
+
+test('computeDeadline rolls past consecutive holidays and the weekend after them', () => {
+    // Mon 2025-11-17 + 10 days = Thanksgiving; Friday is also a holiday
+    const result = computeDeadline('2025-11-17', 10);
+
+    assert.equal(toISODate(result.dueDate), '2025-12-01');
+    assert.deepEqual(result.skippedHolidays.map(holiday => holiday.name),
+        ['Thanksgiving Day', 'Friday after Thanksgiving']);
+});
+
+test('computeDeadline rolls a period counted before an event backward', () => {
+    // 10 days before Thu 2025-06-05 is Memorial Day, so the last day is the Friday before
+    const result = computeDeadline('2025-06-05', 10, { direction: 'before' });
+
+    assert.equal(toISODate(result.periodEnd), '2025-05-26');
+    assert.equal(toISODate(result.dueDate), '2025-05-23');
+});
+
+test('computeDeadline adds no mail days to periods counted before an event', () => {
+    const result = computeDeadline('2025-06-05', 10, { direction: 'before', mailService: true });
+
+    assert.equal(result.mailDaysAdded, 0);
+});
+
+test('computeDeadline returns null for an invalid date', () => {
+    assert.equal(computeDeadline('not a date', 10), null);
+});
+
+test('computeDeadline adds mail days after rolling the period, then rolls again', () => {
+    // Mon 2025-03-03 + 20 days = Sun 2025-03-23, which rolls to Mon 2025-03-24;
+    // 5 mail days then end Sat 2025-03-29, which rolls to Mon 2025-03-31
+    const result = computeDeadline('2025-03-03', 20, { mailService: true });
+
+    assert.equal(toISODate(result.periodEnd), '2025-03-23');
+    assert.equal(toISODate(result.dueDate), '2025-03-31');
+    assert.equal(result.mailDaysAdded, 5);
+    assert.equal(result.extended, true);
+});
+
+test('computeDeadline adds mail days directly when the period ends on a court day', () => {
+    // Mon 2025-03-03 + 10 days = Thu 2025-03-13; + 5 mail days = Tue 2025-03-18
+    const result = computeDeadline('2025-03-03', 10, { mailService: true });
+
+    assert.equal(toISODate(result.dueDate), '2025-03-18');
+    assert.equal(result.extended, false);
+});
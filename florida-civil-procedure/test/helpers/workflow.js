@@ -0,0 +1,35 @@
+/**
+ * Test helper: apply a jurisdiction pack's bundled workflow
+ * The packs fetch their JSON datasets, so file: URLs are served from disk.
+ */
+
+import { readFile } from 'node:fs/promises';
+
+import { applyDataset } from '../../js/dataset.js';
+import { getJurisdiction, setActiveJurisdiction } from '../../js/jurisdictions.js';
+
+const browserFetch = globalThis.fetch;
+
+globalThis.fetch = async (url, options) => {
+    const href = String(url);
+    if (!href.startsWith('file:')) {
+        return browserFetch(url, options);
+    }
+    try {
+        return new Response(await readFile(new URL(href), 'utf8'));
+    } catch (error) {
+        return new Response(null, { status: 404 });
+    }
+};
+
+/**
+ * Load, validate and apply a pack's bundled workflow, and make the pack active
+ * @param {string} id - Pack ID
+ * @returns {Promise<Object>} The applied dataset
+ */
+export async function applyBundledWorkflow(id = 'florida') {
+    const dataset = await getJurisdiction(id).loadDataset();
+    applyDataset(dataset, 'bundled');
+    setActiveJurisdiction(id);
+    return dataset;
+}
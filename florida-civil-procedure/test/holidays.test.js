@@ -0,0 +1,91 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+    addClosureDate,
+    getCustomClosures,
+    getHolidayCalendar,
+    getHolidaysForYear,
+    setCustomClosures,
+    setHolidayCalendar
+} from '../js/holidays.js';
+import { computeDeadline } from '../js/deadlines.js';
+import { setActiveJurisdiction } from '../js/jurisdictions.js';
+import { toISODate } from '../js/utils.js';
+
+afterEach(() => setActiveJurisdiction('florida'));
+
+/**
+ * Holiday names by date under a calendar
+ * @param {string} calendar - Key in HOLIDAY_CALENDARS
+ * @param {number} year - Full year
+ * @returns {Object} { date: name }
+ */
+function holidaysFor(calendar, year) {
+    setHolidayCalendar(calendar);
+    return Object.fromEntries(getHolidaysForYear(year).map(holiday => [holiday.date, holiday.name]));
+}
+
+test('the Florida calendar has no Washington\'s Birthday, Juneteenth or Columbus Day', () => {
+    const holidays = holidaysFor('florida', 2025);
+
+    assert.equal(holidays['2025-02-17'], undefined);
+    assert.equal(holidays['2025-06-19'], undefined);
+    assert.equal(holidays['2025-10-13'], undefined);
+    assert.equal(holidays['2025-11-28'], 'Friday after Thanksgiving');
+});
+
+test('the federal calendar holds every federal holiday plus the Florida holidays', () => {
+    const holidays = holidaysFor('federal', 2025);
+
+    assert.deepEqual(Object.keys(holidays), [
+        '2025-01-01', '2025-01-20', '2025-02-17', '2025-05-26', '2025-06-19', '2025-07-04',
+        '2025-09-01', '2025-10-13', '2025-11-11', '2025-11-27', '2025-11-28', '2025-12-25'
+    ]);
+    assert.equal(holidays['2025-02-17'], 'Washington\'s Birthday');
+    assert.equal(holidays['2025-10-13'], 'Columbus Day');
+});
+
+test('federal holidays on a weekend move to their observed day', () => {
+    // Juneteenth 2027 is a Saturday; Christmas 2027 a Saturday and New Year's 2028 a Saturday
+    const holidays = holidaysFor('federal', 2027);
+
+    assert.equal(holidays['2027-06-18'], 'Juneteenth National Independence Day (observed)');
+    assert.equal(holidays['2027-12-24'], 'Christmas Day (observed)');
+    assert.equal(holidays['2027-12-31'], 'New Year\'s Day (observed)');
+});
+
+test('the federal calendar adds no Juneteenth before 2021', () => {
+    assert.equal(holidaysFor('federal', 2020)['2020-06-19'], undefined);
+});
+
+test('setHolidayCalendar rejects an unknown calendar', () => {
+    assert.throws(() => setHolidayCalendar('texas'), /Unknown holiday calendar/);
+});
+
+test('each jurisdiction pack installs its own holiday calendar', () => {
+    // Mon 2025-06-09 + 10 days = Thu 2025-06-19 (Juneteenth)
+    setActiveJurisdiction('federal');
+    assert.equal(getHolidayCalendar().id, 'federal');
+    assert.equal(toISODate(computeDeadline('2025-06-09', 10).dueDate), '2025-06-20');
+
+    setActiveJurisdiction('florida');
+    assert.equal(getHolidayCalendar().id, 'florida');
+    assert.equal(toISODate(computeDeadline('2025-06-09', 10).dueDate), '2025-06-19');
+});
+
+test('an ad-hoc closure only extends deadlines in its own jurisdiction', () => {
+    // Mon 2025-03-03 + 10 days = Thu 2025-03-13
+    setActiveJurisdiction('florida');
+    addClosureDate({ date: '2025-03-13', name: 'Local closure order' });
+    try {
+        assert.equal(toISODate(computeDeadline('2025-03-03', 10).dueDate), '2025-03-14');
+        assert.equal(getCustomClosures('federal').length, 0);
+
+        setActiveJurisdiction('federal');
+        assert.deepEqual(getCustomClosures(), []);
+        assert.equal(toISODate(computeDeadline('2025-03-03', 10).dueDate), '2025-03-13');
+    } finally {
+        setCustomClosures([], 'florida');
+    }
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { computeOutcomeDistribution, getTransitionProbabilities } from '../js/probability.js';
+import { JURISDICTIONS } from '../js/jurisdictions.js';
+import { applyBundledWorkflow } from './helpers/workflow.js';
+
+await applyBundledWorkflow('florida');
+
+test('every outcome node in each jurisdiction pack is terminal', async () => {
+    for (const pack of JURISDICTIONS) {
+        const { links } = await pack.loadDataset();
+        const sources = new Set(links.map(link => link.source));
+
+        Object.entries(pack.outcomeNodeIds).forEach(([category, nodeIds]) => {
+            nodeIds.forEach(nodeId => {
+                assert.ok(!sources.has(nodeId), `${pack.id} ${category} outcome node ${nodeId} has outgoing links`);
+            });
+        });
+    }
+});
+
+test('transition probabilities from each step sum to one', () => {
+    getTransitionProbabilities().forEach((outgoing, source) => {
+        const total = outgoing.reduce((sum, transition) => sum + transition.probability, 0);
+        assert.ok(Math.abs(total - 1) < 1e-9, `step ${source} sums to ${total}`);
+    });
+});
+
+test('computeOutcomeDistribution absorbs all probability in the bundled workflow', () => {
+    const { outcomes, unresolved } = computeOutcomeDistribution();
+    const total = outcomes.reduce((sum, outcome) => sum + outcome.probability, 0);
+
+    assert.ok(Math.abs(total - 1) < 1e-6);
+    assert.ok(unresolved < 1e-6);
+});
+
+test('parallel processes take no share of the outcome distribution', () => {
+    const { terminals, reach } = computeOutcomeDistribution();
+    const fromStart = getTransitionProbabilities().get(0).map(transition => transition.target);
+
+    assert.ok(!fromStart.includes(23));
+    assert.ok(!reach.has(23));
+    assert.ok(!terminals.has(23));
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSearchIndex, parseSearchQuery, searchIndex } from '../js/search.js';
+
+// Summary judgment appears in one step's name and another step's notes
+const WORKFLOW = {
+    nodes: [
+        { id: 1, name: 'Motion for\nSummary Judgment', rule: '1.510', stage: 'Motions' },
+        { id: 2, name: 'Hearing', stage: 'Motions', notes: 'Summary judgment hearing set by the court' },
+        { id: 3, name: 'Interrogatories', stage: 'Discovery', owner: 'Attorney' }
+    ],
+    links: [{ source: 1, target: 2, label: 'Set for Hearing' }],
+    parallelProcesses: [{ id: 'mediation', name: 'Mediation', description: 'Court-ordered mediation' }]
+};
+
+const INDEX = buildSearchIndex(WORKFLOW);
+
+/**
+ * IDs of the results for a query, best first
+ * @param {string} query - Search text
+ * @returns {Array}
+ */
+function resultIds(query) {
+    return searchIndex(INDEX, query).map(result => result.id);
+}
+
+test('searchIndex ranks a match in the step name above one in its notes', () => {
+    assert.deepEqual(resultIds('summary judgment'), [1, 2]);
+});
+
+test('searchIndex expands legal abbreviations', () => {
+    assert.deepEqual(resultIds('msj'), [1, 2]);
+});
+
+test('searchIndex tolerates typos and matches the last word by prefix', () => {
+    assert.deepEqual(resultIds('sumary judgment'), [1, 2]);
+    assert.deepEqual(resultIds('interrog'), [3]);
+});
+
+test('searchIndex requires every query word to match', () => {
+    assert.deepEqual(resultIds('summary mediation'), []);
+});
+
+test('searchIndex returns parallel processes as their own results', () => {
+    const [result] = searchIndex(INDEX, 'mediation');
+
+    assert.equal(result.type, 'process');
+    assert.equal(result.id, 'mediation');
+});
+
+test('parseSearchQuery separates filters from free text', () => {
+    const query = parseSearchQuery('owner:"Process Server" motion');
+
+    assert.equal(query.text, 'motion');
+    assert.deepEqual(query.filters, [{ field: 'owner', operator: ':', value: 'Process Server' }]);
+    assert.deepEqual(query.errors, []);
+});
+
+test('parseSearchQuery reads numeric comparisons, ignoring $ and commas', () => {
+    const query = parseSearchQuery('cost>$1000 cost<=5,000');
+
+    assert.deepEqual(query.filters, [
+        { field: 'cost', operator: '>', value: 1000 },
+        { field: 'cost', operator: '<=', value: 5000 }
+    ]);
+});
+
+test('parseSearchQuery matches field names case-insensitively', () => {
+    assert.deepEqual(parseSearchQuery('Stage:Discovery').filters,
+        [{ field: 'stage', operator: ':', value: 'Discovery' }]);
+});
+
+test('parseSearchQuery skips filters still being typed', () => {
+    assert.deepEqual(parseSearchQuery('owner:'), { text: '', filters: [], errors: [] });
+});
+
+test('parseSearchQuery reports unusable filters', () => {
+    assert.deepEqual(parseSearchQuery('days>abc').errors, ['days> needs a number']);
+    assert.deepEqual(parseSearchQuery('stage>x').errors, ['stage only supports stage:value']);
+
+    const unknown = parseSearchQuery('foo:bar');
+    assert.equal(unknown.text, 'foo:bar');
+    assert.match(unknown.errors[0], /^Unknown filter "foo:"/);
+});
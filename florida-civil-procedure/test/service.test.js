@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { SERVICE_STATUSES, ServiceTracker, getDefendantServiceStatus } from '../js/service.js';
+import { JURISDICTIONS, setActiveJurisdiction } from '../js/jurisdictions.js';
+import { toISODate } from '../js/utils.js';
+// Serves the packs' bundled workflows from disk
+import './helpers/workflow.js';
+
+/**
+ * Service tracker holding one defendant with a pending motion to extend time
+ * @returns {Object} { tracker, defendantId }
+ */
+function createTrackerWithMotion() {
+    const tracker = new ServiceTracker('matter', null);
+    tracker.setFilingDate('2025-01-02');
+    const { id } = tracker.addDefendant('Acme Corp.');
+    tracker.logExtension(id, { filedDate: '2025-04-25', note: 'Evading service' });
+    return { tracker, defendantId: id };
+}
+
+/**
+ * Service status of the tracker's only defendant
+ * @param {ServiceTracker} tracker - Service tracker
+ * @returns {Object}
+ */
+function getStatus(tracker) {
+    const [defendant] = tracker.getDefendants();
+    return getDefendantServiceStatus(defendant, tracker.getFilingDate(), { today: new Date(Date.UTC(2025, 3, 28)) });
+}
+
+test('a logged motion is pending until resolved', () => {
+    const { tracker } = createTrackerWithMotion();
+
+    assert.equal(getStatus(tracker).pendingExtension, true);
+});
+
+test('resolveExtension grants a pending motion and moves the deadline', () => {
+    const { tracker, defendantId } = createTrackerWithMotion();
+    tracker.resolveExtension(defendantId, 0, { status: 'granted', extendedTo: '2025-06-30' });
+
+    const status = getStatus(tracker);
+    assert.equal(status.pendingExtension, false);
+    assert.equal(status.extended, true);
+    assert.equal(toISODate(status.deadline), '2025-06-30');
+});
+
+test('resolveExtension denies a pending motion and keeps the deadline', () => {
+    const { tracker, defendantId } = createTrackerWithMotion();
+    tracker.resolveExtension(defendantId, 0, { status: 'denied', extendedTo: '2025-06-30' });
+
+    const [defendant] = tracker.getDefendants();
+    assert.deepEqual(defendant.extensions[0], { filedDate: '2025-04-25', status: 'denied', extendedTo: '', note: 'Evading service' });
+    assert.equal(getStatus(tracker).extended, false);
+});
+
+test('resolveExtension rejects unusable rulings', () => {
+    const { tracker, defendantId } = createTrackerWithMotion();
+
+    assert.throws(() => tracker.resolveExtension(defendantId, 0, { status: 'granted' }), /needs the date/);
+    assert.throws(() => tracker.resolveExtension(defendantId, 0, { status: 'pending' }), /grant or deny/);
+    assert.throws(() => tracker.resolveExtension(defendantId, 1, { status: 'denied' }), /Unknown extension motion/);
+
+    tracker.resolveExtension(defendantId, 0, { status: 'denied' });
+    assert.throws(() => tracker.resolveExtension(defendantId, 0, { status: 'granted', extendedTo: '2025-06-30' }),
+        /already denied/);
+});
+
+test('each flagged service status points at a step in each pack\'s workflow', async () => {
+    for (const pack of JURISDICTIONS) {
+        const nodeIds = new Set((await pack.loadDataset()).nodes.map(node => node.id));
+
+        Object.values(SERVICE_STATUSES).filter(status => status.flagged).forEach(status => {
+            assert.ok(nodeIds.has(pack.serviceRiskNodeIds[status.id]), `${pack.id} ${status.id}`);
+        });
+    }
+});
+
+test('the risk step follows the defendant\'s status and the active pack', () => {
+    const tracker = new ServiceTracker('matter', null);
+    tracker.setFilingDate('2025-01-02');
+    const { id } = tracker.addDefendant('Acme Corp.');
+    const riskAt = (date) => getDefendantServiceStatus(tracker.getDefendants()[0], tracker.getFilingDate(), {
+        today: new Date(date)
+    });
+
+    try {
+        assert.equal(riskAt('2025-01-10').riskNodeId, null);
+        assert.equal(riskAt('2025-04-20').status.id, 'at-risk');
+        assert.equal(riskAt('2025-04-20').riskNodeId, 1);
+        assert.equal(riskAt('2025-06-01').status.id, 'overdue');
+        assert.equal(riskAt('2025-06-01').riskNodeId, 6);
+
+        setActiveJurisdiction('federal');
+        tracker.updateDefendant(id, { serviceDate: '2025-05-15' });
+        assert.equal(riskAt('2025-06-01').status.id, 'served-late');
+        assert.equal(riskAt('2025-06-01').riskNodeId, 9);
+    } finally {
+        setActiveJurisdiction('florida');
+    }
+});
@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { createRandom, runSimulation, percentile, buildHistogram } from '../js/simulation.js';
+import { applyBundledWorkflow } from './helpers/workflow.js';
+
+await applyBundledWorkflow('florida');
+
+test('createRandom repeats its sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const sequence = Array.from({ length: 5 }, () => a());
+
+    assert.deepEqual(Array.from({ length: 5 }, () => b()), sequence);
+    sequence.forEach(value => assert.ok(value >= 0 && value < 1));
+});
+
+test('runSimulation is reproducible for a seed', () => {
+    const first = runSimulation({ runs: 500, seed: 7, hourlyRate: 300 });
+    const second = runSimulation({ runs: 500, seed: 7, hourlyRate: 300 });
+
+    assert.deepEqual(second, first);
+});
+
+test('runSimulation results change with the seed', () => {
+    const first = runSimulation({ runs: 500, seed: 1, hourlyRate: 300 });
+    const second = runSimulation({ runs: 500, seed: 2, hourlyRate: 300 });
+
+    assert.notDeepEqual(second.duration, first.duration);
+});
+
+test('runSimulation orders its percentiles', () => {
+    const { duration, cost } = runSimulation({ runs: 500, seed: 3, hourlyRate: 300 });
+
+    [duration, cost].forEach(summary => {
+        assert.ok(summary.min <= summary.p10);
+        assert.ok(summary.p10 <= summary.p50);
+        assert.ok(summary.p50 <= summary.p90);
+        assert.ok(summary.p90 <= summary.max);
+    });
+});
+
+test('runSimulation rejects a run count that is not a positive whole number', () => {
+    assert.throws(() => runSimulation({ runs: 0 }), /positive whole number/);
+    assert.throws(() => runSimulation({ runs: 2.5 }), /positive whole number/);
+});
+
+test('percentile interpolates between sorted values', () => {
+    assert.equal(percentile([10, 20, 30, 40, 50], 0.5), 30);
+    assert.equal(percentile([10, 20], 0.5), 15);
+    assert.equal(percentile([], 0.5), 0);
+});
+
+test('buildHistogram counts every value once', () => {
+    const bins = buildHistogram([1, 2, 2, 3, 10], 3);
+
+    assert.equal(bins.length, 3);
+    assert.equal(bins.reduce((sum, bin) => sum + bin.count, 0), 5);
+    assert.equal(bins[2].count, 1);
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { CaseTracker } from '../js/tracker.js';
+import { formatTooltip } from '../js/utils.js';
+
+/**
+ * Minimal in-memory Storage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+test('updateEntry saves actual dates in order', () => {
+    const tracker = new CaseTracker('matter', createStorage());
+    const entry = tracker.updateEntry(5, { status: 'completed', actualStart: '2025-03-03', actualEnd: '2025-03-10' });
+
+    assert.equal(entry.actualEnd, '2025-03-10');
+});
+
+test('updateEntry rejects an actual end before the actual start', () => {
+    const tracker = new CaseTracker('matter', createStorage());
+
+    assert.throws(() => tracker.updateEntry(5, { actualStart: '2025-03-10', actualEnd: '2025-03-03' }),
+        /before actual start/);
+    assert.equal(tracker.hasEntry(5), false);
+});
+
+test('updateEntry rejects an unknown status and invalid dates', () => {
+    const tracker = new CaseTracker('matter', createStorage());
+
+    assert.throws(() => tracker.updateEntry(5, { status: 'done' }), /Unknown tracker status/);
+    assert.throws(() => tracker.updateEntry(5, { dueDate: 'tomorrow' }), /Invalid dueDate/);
+});
+
+test('formatTooltip escapes progress notes', () => {
+    const html = formatTooltip({ id: 5, name: 'Service' }, {
+        progress: { label: 'In Progress', notes: '<img src=x onerror=alert(1)>' }
+    });
+
+    assert.ok(!html.includes('<img'));
+    assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
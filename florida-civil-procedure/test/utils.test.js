@@ -0,0 +1,35 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { escapeHTML, formatLinkTooltip, formatTooltip } from '../js/utils.js';
+
+const PAYLOAD = '<img src=x onerror=alert(1)>';
+
+test('escapeHTML escapes markup and quotes', () => {
+    assert.equal(escapeHTML(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+});
+
+test('formatTooltip escapes every dataset string', () => {
+    const html = formatTooltip({
+        id: 1,
+        name: PAYLOAD,
+        rule: PAYLOAD,
+        duration: PAYLOAD,
+        cost: PAYLOAD,
+        owner: PAYLOAD,
+        trigger: PAYLOAD,
+        documents: [PAYLOAD],
+        deadline: PAYLOAD,
+        notes: PAYLOAD
+    });
+
+    assert.ok(!html.includes('<img'));
+    assert.equal(html.split(escapeHTML(PAYLOAD)).length - 1, 9);
+});
+
+test('formatLinkTooltip escapes node names, label and trigger', () => {
+    const html = formatLinkTooltip({ label: PAYLOAD, trigger: PAYLOAD, volume: 5 }, { name: PAYLOAD }, { name: 'Answer' });
+
+    assert.ok(!html.includes('<img'));
+    assert.match(html, /5% of cases/);
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { validateWorkflowData } from '../js/validate.js';
+import { parseDataset } from '../js/dataset.js';
+import { JURISDICTIONS, getJurisdiction } from '../js/jurisdictions.js';
+import { applyBundledWorkflow } from './helpers/workflow.js';
+
+const LOOP_LINK = { source: 30, target: 1, volume: 1, label: 'Refiled', trigger: 'Plaintiff refiles' };
+
+await applyBundledWorkflow('florida');
+
+test('the bundled workflows contain no cycles', async () => {
+    for (const pack of JURISDICTIONS) {
+        const dataset = await pack.loadDataset();
+        const { issues } = validateWorkflowData(dataset);
+
+        assert.deepEqual(issues.filter(issue => issue.check === 'cycle'), [], pack.id);
+    }
+});
+
+test('a loop in the links is an error naming the nodes on it', async () => {
+    const dataset = await getJurisdiction('florida').loadDataset();
+    dataset.links.push(LOOP_LINK);
+
+    const cycles = validateWorkflowData(dataset).errors.filter(issue => issue.check === 'cycle');
+
+    assert.equal(cycles.length, 1);
+    assert.match(cycles[0].message, /\b1, .*\b30\b/);
+    // Nodes upstream of the loop are not on it
+    assert.doesNotMatch(cycles[0].message, /nodes 0\b/);
+});
+
+test('parseDataset rejects a workflow with a cycle', async () => {
+    const dataset = await getJurisdiction('florida').loadDataset();
+    dataset.links.push(LOOP_LINK);
+
+    await assert.rejects(parseDataset(JSON.stringify(dataset)), error => {
+        assert.ok(error.details.some(detail => detail.startsWith('/links: Links form a cycle')));
+        return true;
+    });
+});
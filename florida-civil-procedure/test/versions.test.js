@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { diffWorkflowVersions, resolveWorkflowAsOf } from '../js/versions.js';
+
+// Two amendments: one revises step 1's timeline, the other replaces step 2 with step 3
+const WORKFLOW = {
+    amendments: {
+        a: { id: 'a', name: 'First', effective: '2021-05-01' },
+        b: { id: 'b', name: 'Second', effective: '2025-01-01' }
+    },
+    nodes: [
+        { id: 0, name: 'Start' },
+        {
+            id: 1,
+            name: 'Motion',
+            duration: '40 days',
+            revisions: [
+                { effective: { until: '2021-05-01', amendment: 'a' }, duration: '20 days' }
+            ]
+        },
+        { id: 2, name: 'Old Step', effective: { until: '2025-01-01', amendment: 'b' } },
+        { id: 3, name: 'New Step', effective: { from: '2025-01-01', amendment: 'b' } }
+    ],
+    links: [
+        { source: 0, target: 1, volume: 10 },
+        { source: 1, target: 2, volume: 5, effective: { until: '2025-01-01', amendment: 'b' } },
+        { source: 1, target: 3, volume: 5, effective: { from: '2025-01-01', amendment: 'b' } }
+    ],
+    nodeGroups: {}
+};
+
+test('resolveWorkflowAsOf applies the revision in effect', () => {
+    const before = resolveWorkflowAsOf(WORKFLOW, '2020-01-01');
+    const after = resolveWorkflowAsOf(WORKFLOW, '2022-01-01');
+
+    assert.equal(before.nodes.find(node => node.id === 1).duration, '20 days');
+    assert.equal(after.nodes.find(node => node.id === 1).duration, '40 days');
+});
+
+test('diffWorkflowVersions lists amendments, added and removed steps between dates', () => {
+    const diff = diffWorkflowVersions(WORKFLOW, '2024-01-01', '2025-06-01');
+
+    assert.deepEqual(diff.amendments.map(amendment => amendment.id), ['b']);
+    assert.deepEqual(diff.added.map(node => node.id), [3]);
+    assert.deepEqual(diff.removed.map(node => node.id), [2]);
+    assert.deepEqual(diff.linksAdded.map(link => link.target), [3]);
+    assert.deepEqual(diff.linksRemoved.map(link => link.target), [2]);
+    assert.deepEqual(diff.changed, []);
+});
+
+test('diffWorkflowVersions reports changed fields with before and after values', () => {
+    const diff = diffWorkflowVersions(WORKFLOW, '2020-01-01', '2022-01-01');
+
+    assert.deepEqual(diff.amendments.map(amendment => amendment.id), ['a']);
+    assert.equal(diff.changed.length, 1);
+    assert.deepEqual(diff.changed[0].fields, [
+        { field: 'duration', label: 'Timeline', before: '20 days', after: '40 days' }
+    ]);
+});
+
+test('diffWorkflowVersions finds nothing between dates with no amendment', () => {
+    const diff = diffWorkflowVersions(WORKFLOW, '2022-01-01', '2024-01-01');
+
+    assert.deepEqual(diff.amendments, []);
+    assert.deepEqual([diff.added, diff.removed, diff.changed, diff.linksAdded, diff.linksRemoved], [[], [], [], [], []]);
+});
@@ -0,0 +1,70 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { Workspace } from '../js/workspace.js';
+import { ServiceTracker } from '../js/service.js';
+import { CaseTracker } from '../js/tracker.js';
+
+/**
+ * Minimal in-memory Storage
+ * @returns {Object}
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: (key) => items.delete(key)
+    };
+}
+
+/**
+ * Build an export document holding one matter
+ * @param {Object} fields - Matter fields, tracker and service data
+ * @returns {string} JSON document
+ */
+function exportWith(fields) {
+    return JSON.stringify({ version: 1, activeMatterId: 'm1', matters: [{ id: 'm1', caption: 'Smith v. Jones', ...fields }] });
+}
+
+test('importJSON defaults missing service fields', () => {
+    const storage = createStorage();
+    const workspace = new Workspace(storage);
+
+    workspace.importJSON(exportWith({
+        tracker: { 5: { status: 'completed' } },
+        service: { filingDate: '2025-01-02', defendants: [{ id: 'd1', name: 'Acme Corp.' }] }
+    }));
+
+    const [defendant] = new ServiceTracker('m1', storage).getDefendants();
+    assert.deepEqual(defendant, { id: 'd1', name: 'Acme Corp.', method: 'personal', serviceDate: '', extensions: [] });
+    assert.deepEqual(new CaseTracker('m1', storage).getEntry(5),
+        { status: 'completed', actualStart: '', actualEnd: '', dueDate: '', notes: '' });
+});
+
+test('importJSON reports the matter and record that cannot be used', () => {
+    const workspace = new Workspace(createStorage());
+
+    assert.throws(() => workspace.importJSON(exportWith({
+        service: { defendants: [{ id: 'd1', name: 'Acme Corp.', extensions: [{ filedDate: 'soon' }] }] }
+    })), /^Error: Matter 1 \(Smith v\. Jones\): Defendant 1: extension 1: A valid motion filing date is required$/);
+
+    assert.throws(() => workspace.importJSON(exportWith({ tracker: { 5: { status: 'done' } } })),
+        /Case progress for node 5: Unknown tracker status: done/);
+
+    assert.throws(() => workspace.importJSON(exportWith({ tracker: { 5: { notes: { html: '<b>' } } } })),
+        /notes must be text/);
+});
+
+test('importJSON leaves the workspace unchanged when a record is rejected', () => {
+    const storage = createStorage();
+    const workspace = new Workspace(storage);
+    const matter = workspace.createMatter({ caption: 'Existing Matter' });
+    new CaseTracker(matter.id, storage).updateEntry(1, { status: 'in-progress' });
+
+    assert.throws(() => workspace.importJSON(exportWith({ service: { defendants: [{ id: 'd1' }] } })),
+        /name is required/);
+
+    assert.ok(workspace.getMatter(matter.id));
+    assert.equal(new CaseTracker(matter.id, storage).getStatus(1), 'in-progress');
+});